@@ -1,8 +1,16 @@
 import { render, screen } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import store from './store/index';
 import App from './App';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+test('renders the search UI and map container', () => {
+  render(
+    <Provider store={store}>
+      <App />
+    </Provider>
+  );
+
+  expect(screen.getByText('SeePlace Explorer')).toBeInTheDocument();
+  expect(screen.getByPlaceholderText(/search for places/i)).toBeInTheDocument();
+  expect(screen.getByText('Map View')).toBeInTheDocument();
 });
@@ -2,103 +2,47 @@
 // Fixed to dispatch selectPlace with proper payload format
 import React, { useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { selectPlace } from '../../store/slices/placesSlice';
+import { selectPlace, selectSelectedPlace } from '../../store/slices/placesSlice';
+import demoDataset from '../../data/demoPlaces.json';
+import { createPlace } from '../../models/place';
+import { createLogger } from '../../utils/logger';
+
+const log = createLogger('ui');
 
 const AutoPinningDemo = () => {
   const dispatch = useDispatch();
-  const { selectedPlace } = useSelector(state => state.places);
+  const selectedPlace = useSelector(selectSelectedPlace);
   const { mapLoading } = useSelector(state => state.ui);
   const [isTestMode, setIsTestMode] = useState(false);
   const [lastTestedPlace, setLastTestedPlace] = useState(null);
 
-  // Sample places for testing auto-pinning across Malaysia
-  const testPlaces = [
-    {
-      name: 'Petronas Twin Towers',
-      place_id: 'ChIJRzxL8BC4zDERdU3yFGBfMLs',
-      geometry: {
-        location: { lat: 3.1579, lng: 101.7116 }
-      },
-      formatted_address: 'Kuala Lumpur City Centre, 50088 Kuala Lumpur, Malaysia',
-      types: ['tourist_attraction', 'point_of_interest', 'establishment'],
-      description: 'Iconic twin skyscrapers in Kuala Lumpur'
-    },
-    {
-      name: 'Batu Caves',
-      place_id: 'ChIJfzzsckm4zDERlJw0qQY2dn4',
-      geometry: {
-        location: { lat: 3.2371, lng: 101.6840 }
-      },
-      formatted_address: 'Gombak, 68100 Batu Caves, Selangor, Malaysia',
-      types: ['tourist_attraction', 'hindu_temple', 'point_of_interest'],
-      description: 'Famous limestone caves with Hindu temples'
-    },
-    {
-      name: 'Central Market Kuala Lumpur',
-      place_id: 'ChIJsZM4aPC4zDER7NR_kQvKC7Y',
-      geometry: {
-        location: { lat: 3.1425, lng: 101.6969 }
-      },
-      formatted_address: 'Jalan Hang Kasturi, City Centre, 50050 Kuala Lumpur, Malaysia',
-      types: ['shopping_mall', 'tourist_attraction', 'point_of_interest'],
-      description: 'Historic cultural center and shopping destination'
-    },
-    {
-      name: 'Menara KL Tower',
-      place_id: 'ChIJ0UXPi_S4zDER0N0BnjqsWvM',
-      geometry: {
-        location: { lat: 3.1527, lng: 101.7010 }
-      },
-      formatted_address: 'Jalan Punchak, Off, Jalan P. Ramlee, 50250 Kuala Lumpur, Malaysia',
-      types: ['tourist_attraction', 'point_of_interest', 'establishment'],
-      description: 'Telecommunications tower with observation deck'
-    },
-    {
-      name: 'Genting Highlands',
-      place_id: 'ChIJMzFIBR5OzDERpSSO-g_wGTM',
-      geometry: {
-        location: { lat: 3.4210, lng: 101.7930 }
-      },
-      formatted_address: 'Genting Highlands, 69000 Pahang, Malaysia',
-      types: ['tourist_attraction', 'locality', 'political'],
-      description: 'Highland resort with casino and theme park'
-    },
-    {
-      name: 'Sri Gombak',
-      place_id: 'ChIJ3z-ItUm5zDERHgMmMCdXyWM',
-      geometry: {
-        location: { lat: 3.2597, lng: 101.6525 }
-      },
-      formatted_address: 'Sri Gombak, Selangor, Malaysia',
-      types: ['locality', 'political'],
-      description: 'Residential area in Selangor'
-    }
-  ];
+  // Sample places for testing auto-pinning across Malaysia (shared with demo mode)
+  const testPlaces = demoDataset.places.slice(0, 6);
 
   // 🛠️ FIXED: Dispatch selectPlace with proper format for saga
   const handleTestAutoPin = (place) => {
-    console.log('🧪 AutoPinningDemo: Testing auto-pinning with place:', place.name);
+    log.debug('🧪 AutoPinningDemo: Testing auto-pinning with place:', place.name);
     
     // Store the tested place for UI feedback
     setLastTestedPlace(place);
     
-    // Dispatch selectPlace with place object directly (saga handles this format)
-    dispatch(selectPlace(place));
+    // Dispatch selectPlace with the dataset entry as a Place (saga handles this format)
+    dispatch(selectPlace(createPlace(place)));
     
     // Log the expected behavior for debugging
-    console.log('🎯 Expected auto-pinning behavior:');
-    console.log('1. Map should center to coordinates:', place.geometry.location);
-    console.log('2. Red marker should appear at location');
-    console.log('3. Map should zoom to level 15');
-    console.log('4. Marker should bounce briefly');
-    console.log('5. Info window should show place details');
-    console.log('6. Selected place overlay should appear at bottom');
+    log.debug('🎯 Expected auto-pinning behavior:');
+    log.debug('1. Map should center to coordinates:', place.geometry.location);
+    log.debug('2. Red marker should appear at location');
+    log.debug('3. Map should zoom to level 15');
+    log.debug('4. Marker should bounce briefly');
+    log.debug('5. Info window should show place details');
+    log.debug('6. Selected place overlay should appear at bottom');
   };
 
   const handleClearSelection = () => {
     dispatch(selectPlace(null));
     setLastTestedPlace(null);
-    console.log('🧹 Cleared place selection');
+    log.debug('🧹 Cleared place selection');
   };
 
   const getPlaceIcon = (types) => {
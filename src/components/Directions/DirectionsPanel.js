@@ -0,0 +1,207 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the Directions panel: pick an origin and destination, choose driving / walking /
+// transit, compare the alternative routes and read the step-by-step instructions. The selected
+// route is drawn on the map by useGoogleMaps.
+
+import React from 'react';
+import { usePlaces } from '../../hooks/usePlaces';
+import { useDirections } from '../../hooks/useDirections';
+import { useSearchSettings } from '../../hooks/useSearchSettings';
+import EndpointField from './EndpointField';
+import LoadingSpinner from '../common/LoadingSpinner';
+import { TRAVEL_MODES } from '../../utils/constants';
+
+const RECENT_QUICK_PICKS = 3;
+
+const DirectionsPanel = () => {
+  const { selectedPlace, searchHistory } = usePlaces();
+  const { settings } = useSearchSettings();
+  const {
+    isOpen,
+    origin,
+    destination,
+    travelMode,
+    routes,
+    selectedRouteIndex,
+    activeRoute,
+    status,
+    error,
+    endpointSearch,
+    open,
+    setEndpoint,
+    searchEndpoint,
+    swap,
+    setTravelMode,
+    selectRoute,
+    retry,
+    close
+  } = useDirections();
+
+  if (!isOpen) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex items-center justify-between">
+          <h2 className="text-xl font-semibold text-gray-800">Directions</h2>
+          <button
+            type="button"
+            onClick={() => open({ destination: selectedPlace })}
+            className="px-3 py-1 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Get directions
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  // Quick picks: the pinned place, the user's position (once granted) and recent history
+  const quickPicks = [];
+  if (selectedPlace) {
+    quickPicks.push({ key: 'selected', label: `📍 ${selectedPlace.name}`, place: selectedPlace });
+  }
+  if (settings?.userLocation) {
+    quickPicks.push({
+      key: 'me',
+      label: '🎯 Your location',
+      place: { name: 'Your location', location: settings.userLocation }
+    });
+  }
+  (searchHistory || [])
+    .filter(item => item.place?.place_id !== selectedPlace?.place_id)
+    .slice(0, RECENT_QUICK_PICKS)
+    .forEach(item => quickPicks.push({ key: item.id, label: `🕘 ${item.place.name}`, place: item.place }));
+
+  const fieldProps = (field) => ({
+    endpoint: field === 'origin' ? origin : destination,
+    suggestions: endpointSearch.field === field ? endpointSearch.suggestions : [],
+    quickPicks,
+    onSearch: (query) => searchEndpoint(field, query),
+    onSelect: (place) => setEndpoint(field, place),
+    onClear: () => setEndpoint(field, null)
+  });
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">Directions</h2>
+        <button
+          type="button"
+          onClick={close}
+          className="text-sm text-gray-500 hover:text-gray-700 transition-colors"
+        >
+          Close
+        </button>
+      </div>
+
+      <div className="flex gap-2 mb-4">
+        {TRAVEL_MODES.map(item => (
+          <button
+            key={item.mode}
+            type="button"
+            onClick={() => setTravelMode(item.mode)}
+            aria-pressed={travelMode === item.mode}
+            className={`flex-1 py-1 text-sm rounded-lg border transition-colors ${
+              travelMode === item.mode
+                ? 'bg-blue-600 border-blue-600 text-white'
+                : 'border-gray-300 text-gray-600 hover:bg-gray-50'
+            }`}
+          >
+            {item.icon} {item.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="space-y-2">
+        <EndpointField label="From" {...fieldProps('origin')} />
+        <div className="flex justify-center">
+          <button
+            type="button"
+            onClick={swap}
+            disabled={!origin && !destination}
+            className="px-2 text-gray-500 hover:text-gray-700 disabled:opacity-40"
+            aria-label="Swap origin and destination"
+          >
+            ⇅
+          </button>
+        </div>
+        <EndpointField label="To" {...fieldProps('destination')} />
+      </div>
+
+      {status === 'loading' && (
+        <div className="flex justify-center py-4">
+          <LoadingSpinner size="md" />
+        </div>
+      )}
+
+      {error && (
+        <div className="mt-3 p-2 bg-red-50 border border-red-200 rounded text-red-600 text-sm">
+          {error}
+          <button type="button" onClick={retry} className="ml-2 underline hover:no-underline">
+            Try again
+          </button>
+        </div>
+      )}
+
+      {status === 'succeeded' && routes.length > 1 && (
+        <div className="mt-4 space-y-1">
+          {routes.map((route, index) => (
+            <button
+              key={`${route.summary}_${index}`}
+              type="button"
+              onClick={() => selectRoute(index)}
+              aria-pressed={index === selectedRouteIndex}
+              className={`w-full flex justify-between px-3 py-2 text-sm rounded-lg border transition-colors ${
+                index === selectedRouteIndex
+                  ? 'border-blue-600 bg-blue-50 text-blue-800'
+                  : 'border-gray-200 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              <span className="truncate">{route.summary ? `via ${route.summary}` : `Route ${index + 1}`}</span>
+              <span className="whitespace-nowrap ml-2">{route.duration.text}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {status === 'succeeded' && activeRoute && (
+        <div className="mt-4">
+          <div className="flex items-baseline justify-between mb-2">
+            <span className="text-lg font-semibold text-gray-900">{activeRoute.duration.text}</span>
+            <span className="text-sm text-gray-600">{activeRoute.distance.text}</span>
+          </div>
+
+          {activeRoute.warnings.map(warning => (
+            <p key={warning} className="mb-2 text-xs text-amber-700">⚠️ {warning}</p>
+          ))}
+
+          <ol className="space-y-2 max-h-80 overflow-y-auto custom-scrollbar">
+            {activeRoute.steps.map((step, index) => (
+              <li key={index} className="flex gap-3 text-sm">
+                <span className="w-5 text-right text-gray-400">{index + 1}.</span>
+                <div className="flex-1">
+                  <div className="text-gray-800">{step.instructions}</div>
+                  {step.transit && (
+                    <div className="text-xs text-blue-700">
+                      {step.transit.vehicle} {step.transit.line}
+                      {step.transit.headsign && ` towards ${step.transit.headsign}`}
+                      {Number.isFinite(step.transit.num_stops) && ` · ${step.transit.num_stops} stops`}
+                    </div>
+                  )}
+                  <div className="text-xs text-gray-500">
+                    {step.distance.text}{step.duration.text && ` · ${step.duration.text}`}
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ol>
+
+          {activeRoute.copyrights && (
+            <p className="mt-3 text-xs text-gray-400">{activeRoute.copyrights}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DirectionsPanel;
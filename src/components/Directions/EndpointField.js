@@ -0,0 +1,94 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines one endpoint field of the directions panel ("From" / "To"): the chosen place with
+// a clear button, or a search input with autocomplete suggestions and quick picks (selected
+// place, your location, recent history).
+
+import React, { useState } from 'react';
+
+const EndpointField = ({ label, endpoint, suggestions, quickPicks, onSearch, onSelect, onClear }) => {
+  const [text, setText] = useState('');
+
+  if (endpoint) {
+    return (
+      <div className="flex items-center gap-2">
+        <span className="w-10 text-xs font-medium text-gray-500 uppercase">{label}</span>
+        <div className="flex-1 min-w-0 px-3 py-2 bg-gray-50 border border-gray-200 rounded-lg">
+          <div className="text-sm font-medium text-gray-900 truncate">{endpoint.name}</div>
+          {endpoint.address && <div className="text-xs text-gray-500 truncate">{endpoint.address}</div>}
+        </div>
+        <button
+          type="button"
+          onClick={onClear}
+          className="text-gray-400 hover:text-gray-600"
+          aria-label={`Clear ${label.toLowerCase()}`}
+        >
+          ✕
+        </button>
+      </div>
+    );
+  }
+
+  const handleChange = (e) => {
+    setText(e.target.value);
+    onSearch(e.target.value);
+  };
+
+  const handleSelect = (place) => {
+    setText('');
+    onSelect(place);
+  };
+
+  return (
+    <div className="flex items-start gap-2">
+      <span className="w-10 pt-2 text-xs font-medium text-gray-500 uppercase">{label}</span>
+      <div className="flex-1 min-w-0">
+        <input
+          type="text"
+          value={text}
+          onChange={handleChange}
+          placeholder="Search for a place..."
+          aria-label={label}
+          className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+        />
+
+        {text.trim().length >= 2 && suggestions.length > 0 && (
+          <ul className="mt-1 border border-gray-200 rounded-lg divide-y divide-gray-100">
+            {suggestions.map(place => (
+              <li key={place.place_id}>
+                <button
+                  type="button"
+                  onClick={() => handleSelect(place)}
+                  className="w-full text-left px-3 py-2 hover:bg-gray-50 transition-colors"
+                >
+                  <div className="text-sm text-gray-900 truncate">
+                    {place.structured_formatting?.main_text || place.name || place.description}
+                  </div>
+                  <div className="text-xs text-gray-500 truncate">
+                    {place.structured_formatting?.secondary_text || place.formatted_address || ''}
+                  </div>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {!text && quickPicks.length > 0 && (
+          <div className="flex flex-wrap gap-1 mt-2">
+            {quickPicks.map(pick => (
+              <button
+                key={pick.key}
+                type="button"
+                onClick={() => handleSelect(pick.place)}
+                className="max-w-full px-2 py-1 text-xs text-gray-600 border border-gray-300 rounded-full truncate hover:bg-gray-50 transition-colors"
+              >
+                {pick.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EndpointField;
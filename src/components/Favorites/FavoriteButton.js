@@ -0,0 +1,39 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the star toggle shown on suggestions, history items, favorites and the selected-place
+// overlay. It sits inside clickable rows, so its clicks do not reach the row.
+
+import React from 'react';
+import { useFavorite } from '../../hooks/useFavorites';
+
+const FavoriteButton = ({ place, className = '' }) => {
+  const { enabled, isFavorite, pending, toggle } = useFavorite(place);
+
+  if (!enabled) {
+    return null;
+  }
+
+  const handleClick = (event) => {
+    event.stopPropagation();
+    toggle();
+  };
+
+  const label = isFavorite ? 'Remove from favorites' : 'Add to favorites';
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      disabled={pending}
+      aria-pressed={isFavorite}
+      aria-label={label}
+      title={label}
+      className={`flex-shrink-0 text-lg leading-none transition-colors disabled:opacity-50 ${
+        isFavorite ? 'text-yellow-500 hover:text-yellow-600' : 'text-gray-300 hover:text-yellow-500'
+      } ${className}`}
+    >
+      {isFavorite ? '★' : '☆'}
+    </button>
+  );
+};
+
+export default FavoriteButton;
@@ -0,0 +1,80 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the favorites list: places starred from suggestions, history or the map overlay,
+// kept on the REST backend. Selecting one pins it like a suggestion would. Hidden when no
+// backend is configured (REACT_APP_API_BASE_URL).
+
+import React from 'react';
+import { useFavorites } from '../../hooks/useFavorites';
+import { usePlaces } from '../../hooks/usePlaces';
+import { favoritePlace } from '../../services/favoritesService';
+import FavoriteButton from './FavoriteButton';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const FavoritesPanel = () => {
+  const { enabled, favorites, status, error, syncError, reload, dismissError } = useFavorites();
+  const { selectPlace } = usePlaces();
+
+  if (!enabled) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">
+          ⭐ Favorites
+        </h2>
+        {status === 'loading' && <LoadingSpinner size="sm" />}
+      </div>
+
+      {syncError && (
+        <div className="mb-3 p-2 bg-red-50 border border-red-200 rounded text-red-600 text-sm" role="alert">
+          {syncError.operation === 'add' ? 'Could not save the favorite' : 'Could not remove the favorite'}: {syncError.message}
+          <button type="button" onClick={dismissError} className="ml-2 underline hover:no-underline">
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      {status === 'failed' && (
+        <div className="mb-3 text-sm text-red-600">
+          ⚠️ {error?.message}
+          <button type="button" onClick={reload} className="ml-2 text-blue-600 hover:text-blue-800 font-medium">
+            Try again
+          </button>
+        </div>
+      )}
+
+      {favorites.length === 0 && status !== 'loading' && status !== 'failed' && (
+        <div className="text-center py-6 text-gray-500">
+          <div className="text-3xl mb-2">☆</div>
+          <p className="text-sm">Star a place to keep it here</p>
+        </div>
+      )}
+
+      {favorites.length > 0 && (
+        <div className="space-y-2 max-h-80 overflow-y-auto custom-scrollbar">
+          {favorites.map(favorite => (
+            <div
+              key={favorite.place_id}
+              onClick={() => selectPlace({ place: favoritePlace(favorite), query: '' })}
+              className="p-3 border border-gray-200 rounded-lg hover:bg-gray-50 cursor-pointer transition-colors group flex items-start justify-between"
+            >
+              <div className="flex-1 min-w-0">
+                <div className="font-medium text-gray-900 truncate group-hover:text-blue-600 transition-colors">
+                  {favorite.name}
+                </div>
+                <div className="text-sm text-gray-500 truncate mt-1">
+                  {favorite.formatted_address}
+                </div>
+              </div>
+              <FavoriteButton place={favorite} className="ml-3" />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FavoritesPanel;
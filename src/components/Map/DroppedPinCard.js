@@ -0,0 +1,82 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the card shown after clicking (or long-pressing) the map: the reverse-geocoded
+// address of the dropped pin and the nearest place, either of which can become the selected place.
+
+import React from 'react';
+import { useDroppedPin } from '../../hooks/useDroppedPin';
+import LoadingSpinner from '../common/LoadingSpinner';
+import { formatDistance } from '../../utils/helpers';
+
+const DroppedPinCard = () => {
+  const { location, address, nearestPlace, status, error, choosePlace, clear } = useDroppedPin();
+
+  if (!location || status === 'idle') {
+    return null;
+  }
+
+  return (
+    <div className="absolute top-4 left-4 w-72 bg-white rounded-lg shadow-lg p-4 z-20">
+      <div className="flex items-start justify-between mb-2">
+        <h3 className="font-semibold text-gray-900">📌 Dropped pin</h3>
+        <button
+          onClick={clear}
+          className="ml-2 text-gray-400 hover:text-gray-600"
+          aria-label="Close dropped pin"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="text-xs text-gray-500 font-mono mb-3">
+        {location.lat.toFixed(5)}, {location.lng.toFixed(5)}
+      </div>
+
+      {status === 'loading' && (
+        <div className="flex items-center text-sm text-gray-600">
+          <LoadingSpinner size="sm" />
+          <span className="ml-2">Looking up this spot...</span>
+        </div>
+      )}
+
+      {status === 'failed' && (
+        <div className="text-sm text-red-600">⚠️ {error}</div>
+      )}
+
+      {status === 'succeeded' && (
+        <div className="space-y-3">
+          {address && (
+            <div>
+              <div className="text-sm text-gray-800">{address.formatted_address || address.name}</div>
+              <button
+                onClick={() => choosePlace(address)}
+                className="mt-1 text-sm text-blue-600 hover:text-blue-800 font-medium"
+              >
+                Use this address
+              </button>
+            </div>
+          )}
+
+          {nearestPlace && (
+            <div className="pt-3 border-t border-gray-100">
+              <div className="text-xs text-gray-500 mb-1">
+                Nearest place{Number.isFinite(nearestPlace.distance_meters) && ` · ${formatDistance(nearestPlace.distance_meters)} away`}
+              </div>
+              <div className="text-sm font-medium text-gray-900">{nearestPlace.name}</div>
+              {nearestPlace.formatted_address && (
+                <div className="text-xs text-gray-600">{nearestPlace.formatted_address}</div>
+              )}
+              <button
+                onClick={() => choosePlace(nearestPlace)}
+                className="mt-1 text-sm text-blue-600 hover:text-blue-800 font-medium"
+              >
+                Use this place
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DroppedPinCard;
@@ -3,20 +3,30 @@
 import React, { useRef, useEffect, useState } from 'react';
 import { useSelector } from 'react-redux';
 import { useGoogleMaps } from '../../hooks/useGoogleMaps';
+import { selectSelectedPlace } from '../../store/slices/placesSlice';
 import LoadingSpinner from '../common/LoadingSpinner';
+import DroppedPinCard from './DroppedPinCard';
+import PhotoStrip from '../PlacePhotos/PhotoStrip';
+import PlaceDetailsPanel from '../PlaceDetails/PlaceDetailsPanel';
+import FavoriteButton from '../Favorites/FavoriteButton';
+import { useDirections } from '../../hooks/useDirections';
+import { createLogger } from '../../utils/logger';
+
+const log = createLogger('map');
 
 const MapContainer = () => {
   const mapContainerRef = useRef(null);
   const [retryCount, setRetryCount] = useState(0);
   const [mapReady, setMapReady] = useState(false);
   
-  const { selectedPlace } = useSelector(state => state.places);
+  const selectedPlace = useSelector(selectSelectedPlace);
   const { map, isLoaded, error } = useGoogleMaps('google-map');
+  const { open: openDirections } = useDirections();
 
   // 🔥 CRITICAL: Force map resize and tile loading after initialization
   useEffect(() => {
     if (map && isLoaded && !mapReady) {
-      console.log('🔄 MapContainer: Triggering map setup for tile rendering...');
+      log.debug('🔄 MapContainer: Triggering map setup for tile rendering...');
       
       const setupMap = async () => {
         try {
@@ -26,18 +36,18 @@ const MapContainer = () => {
           // Force map to recognize its container size
           if (window.google?.maps?.event) {
             window.google.maps.event.trigger(map, 'resize');
-            console.log('✅ MapContainer: Triggered map resize');
+            log.debug('✅ MapContainer: Triggered map resize');
           }
           
           // Ensure map is centered properly (this can trigger tile loading)
           const currentCenter = map.getCenter();
           if (currentCenter) {
             map.setCenter(currentCenter);
-            console.log('✅ MapContainer: Re-centered map to trigger tiles');
+            log.debug('✅ MapContainer: Re-centered map to trigger tiles');
           } else {
             // Fallback center
             map.setCenter({ lat: 3.1390, lng: 101.6869 });
-            console.log('✅ MapContainer: Set fallback center');
+            log.debug('✅ MapContainer: Set fallback center');
           }
           
           // Force a zoom change to trigger tile refresh
@@ -45,10 +55,10 @@ const MapContainer = () => {
           map.setZoom(currentZoom || 13);
           
           setMapReady(true);
-          console.log('🎉 MapContainer: Map setup completed for tile rendering');
+          log.debug('🎉 MapContainer: Map setup completed for tile rendering');
           
         } catch (setupError) {
-          console.error('❌ MapContainer: Map setup failed:', setupError);
+          log.error('❌ MapContainer: Map setup failed:', setupError);
         }
       };
       
@@ -64,7 +74,7 @@ const MapContainer = () => {
       for (let entry of entries) {
         const { width, height } = entry.contentRect;
         if (width > 0 && height > 0) {
-          console.log(`📏 MapContainer: Size changed to ${width}x${height}`);
+          log.debug(`📏 MapContainer: Size changed to ${width}x${height}`);
           
           // Trigger map resize when container size changes
           setTimeout(() => {
@@ -84,7 +94,7 @@ const MapContainer = () => {
   }, [map]);
 
   const handleRetry = () => {
-    console.log('🔄 MapContainer: Retrying map initialization...');
+    log.debug('🔄 MapContainer: Retrying map initialization...');
     setRetryCount(prev => prev + 1);
     setMapReady(false);
     // Force page reload as a simple retry mechanism
@@ -189,6 +199,9 @@ const MapContainer = () => {
         </div>
       )}
       
+      {/* Dropped pin card - address and nearest place for the last map click */}
+      {isLoaded && mapReady && !error && <DroppedPinCard />}
+
       {/* Selected place info overlay - shows when place is selected and auto-pinned */}
       {selectedPlace && isLoaded && mapReady && !error && (
         <div className="absolute bottom-4 left-4 right-4 bg-white rounded-lg shadow-lg p-4 max-w-sm mx-auto z-20">
@@ -196,6 +209,7 @@ const MapContainer = () => {
             <h3 className="font-semibold text-gray-900 flex-1">
               📍 {selectedPlace.name}
             </h3>
+            <FavoriteButton place={selectedPlace} className="ml-2" />
             <div className="ml-2 px-2 py-1 bg-green-100 text-green-700 text-xs rounded-full">
               Auto-Pinned
             </div>
@@ -203,6 +217,7 @@ const MapContainer = () => {
           <p className="text-sm text-gray-600 mb-2">
             {selectedPlace.formatted_address}
           </p>
+          <PhotoStrip photos={selectedPlace.photos} placeName={selectedPlace.name} />
           {selectedPlace.types && (
             <div className="flex flex-wrap gap-1 mb-2">
               {selectedPlace.types.slice(0, 3).map((type) => (
@@ -220,6 +235,13 @@ const MapContainer = () => {
               📍 {selectedPlace.geometry.location.lat.toFixed(4)}, {selectedPlace.geometry.location.lng.toFixed(4)}
             </div>
           )}
+          <button
+            onClick={() => openDirections({ destination: selectedPlace })}
+            className="mt-2 text-sm text-blue-600 hover:text-blue-800 font-medium"
+          >
+            🧭 Directions to here
+          </button>
+          <PlaceDetailsPanel placeId={selectedPlace.place_id} />
         </div>
       )}
     </div>
@@ -0,0 +1,155 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the NearbySearch panel ("What's around here"): pick a category and radius, then
+// search around the map center or a point picked on the map. Results are pinned on the map
+// with the radius drawn around the center; picking a row selects the place.
+
+import React from 'react';
+import { usePlaces } from '../../hooks/usePlaces';
+import { useNearbySearch } from '../../hooks/useNearbySearch';
+import LoadingSpinner from '../common/LoadingSpinner';
+import { NEARBY_CATEGORIES, NEARBY_RADIUS_OPTIONS_METERS } from '../../utils/constants';
+import { formatDistance } from '../../utils/helpers';
+
+const NearbySearch = () => {
+  const { selectPlace } = usePlaces();
+  const {
+    isActive,
+    isPickingPoint,
+    center,
+    radius,
+    category,
+    results,
+    status,
+    error,
+    searchNearby,
+    setRadius,
+    setCategory,
+    togglePointPick,
+    clear
+  } = useNearbySearch();
+
+  const activeCategory = NEARBY_CATEGORIES.find(item => item.type === category);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">
+          What's around here
+        </h2>
+        {isActive && (
+          <button
+            type="button"
+            onClick={clear}
+            className="text-sm text-gray-500 hover:text-gray-700 transition-colors"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-3">
+        {NEARBY_CATEGORIES.map(item => (
+          <button
+            key={item.type || 'any'}
+            type="button"
+            onClick={() => setCategory(item.type)}
+            aria-pressed={category === item.type}
+            className={`px-2 py-1 text-xs rounded-full border transition-colors ${
+              category === item.type
+                ? 'bg-blue-600 border-blue-600 text-white'
+                : 'border-gray-300 text-gray-600 hover:bg-gray-50'
+            }`}
+          >
+            {item.icon} {item.label}
+          </button>
+        ))}
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-gray-700 mb-3">
+        Within
+        <select
+          value={radius}
+          onChange={(e) => setRadius(Number(e.target.value))}
+          className="px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 outline-none"
+        >
+          {NEARBY_RADIUS_OPTIONS_METERS.map(option => (
+            <option key={option} value={option}>{formatDistance(option)}</option>
+          ))}
+        </select>
+      </label>
+
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={() => searchNearby()}
+          className="flex-1 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          Search map center
+        </button>
+        <button
+          type="button"
+          onClick={togglePointPick}
+          aria-pressed={isPickingPoint}
+          className={`flex-1 py-2 text-sm font-medium rounded-lg border transition-colors ${
+            isPickingPoint
+              ? 'border-blue-600 text-blue-700 bg-blue-50'
+              : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+          }`}
+        >
+          {isPickingPoint ? 'Click the map…' : 'Pick a point'}
+        </button>
+      </div>
+
+      {status === 'loading' && (
+        <div className="flex justify-center py-4">
+          <LoadingSpinner size="md" />
+        </div>
+      )}
+
+      {error && (
+        <div className="mt-3 p-2 bg-red-50 border border-red-200 rounded text-red-600 text-sm">
+          {error.message}
+          {error.retryable && (
+            <button
+              type="button"
+              onClick={() => searchNearby(center)}
+              className="ml-2 underline hover:no-underline"
+            >
+              Try again
+            </button>
+          )}
+        </div>
+      )}
+
+      {status === 'succeeded' && results.length === 0 && (
+        <p className="text-center py-4 text-gray-500 text-sm">
+          No {activeCategory?.type ? activeCategory.label.toLowerCase() : 'places'} within {formatDistance(radius)}
+        </p>
+      )}
+
+      {status === 'succeeded' && results.length > 0 && (
+        <ul className="mt-3 space-y-2 max-h-80 overflow-y-auto custom-scrollbar">
+          {results.map(place => (
+            <li key={place.place_id}>
+              <button
+                type="button"
+                onClick={() => selectPlace({ place, query: place.name || '' })}
+                className="w-full text-left p-3 rounded-lg border border-gray-200 hover:bg-gray-50 transition-colors"
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-medium text-gray-900 truncate">{place.name}</span>
+                  {Number.isFinite(place.distance_meters) && (
+                    <span className="text-xs text-gray-500 whitespace-nowrap">{formatDistance(place.distance_meters)}</span>
+                  )}
+                </div>
+                <div className="text-sm text-gray-500 truncate">{place.vicinity || place.formatted_address}</div>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default NearbySearch;
@@ -7,7 +7,24 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { usePlaces } from '../../hooks/usePlaces';
 import { useDebounce } from '../../hooks/useDebounce';
+import { useSearchSettings } from '../../hooks/useSearchSettings';
+import { useTextSearch } from '../../hooks/useTextSearch';
+import { useTravelTimes } from '../../hooks/useTravelTimes';
 import LoadingSpinner from '../common/LoadingSpinner';
+import SearchSettings from './SearchSettings';
+import FavoriteButton from '../Favorites/FavoriteButton';
+import { PLACES_ERROR_CODES } from '../../services/errors';
+import { createLogger } from '../../utils/logger';
+
+const log = createLogger('ui');
+
+// Errors the user cannot retry away: the API key or Cloud project needs fixing
+const CONFIGURATION_ERROR_CODES = [
+  PLACES_ERROR_CODES.REQUEST_DENIED,
+  PLACES_ERROR_CODES.API_KEY_MISSING,
+  PLACES_ERROR_CODES.API_KEY_INVALID,
+  PLACES_ERROR_CODES.API_NOT_ACTIVATED
+];
 
 const PlaceAutocomplete = () => {
   const [query, setQuery] = useState('');
@@ -21,11 +38,24 @@ const PlaceAutocomplete = () => {
     suggestions,
     searchLoading,
     error,
+    retrying,
     searchPlaces,
     selectPlace,
-    clearSuggestions
+    clearSuggestions,
+    startSession,
+    endSession
   } = usePlaces();
 
+  // Placeholder reflects the country restriction / location bias
+  const { placeholder } = useSearchSettings();
+  const { searchAll } = useTextSearch();
+  const { travelTimes, status: travelTimesStatus } = useTravelTimes();
+
+  // Search retries first; a details retry means the picked place is still loading
+  const retryStatus = retrying?.search
+    ? { label: 'Search is busy', ...retrying.search }
+    : retrying?.details && { label: 'Loading place details', ...retrying.details };
+
   const debouncedSearch = useDebounce((searchQuery) => {
     if (searchQuery.trim().length >= 2) {
       searchPlaces(searchQuery);
@@ -40,11 +70,15 @@ const PlaceAutocomplete = () => {
     const value = e.target.value;
     setQuery(value);
     setFocusedIndex(-1);
+    // Every prediction typed from here until selection shares one session token
+    if (value.trim()) {
+      startSession();
+    }
     debouncedSearch(value);
   };
 
   const handlePlaceSelect = (place) => {
-  console.log('🔍 PlaceAutocomplete: Selecting place:', place.name || place.description);
+  log.debug('🔍 PlaceAutocomplete: Selecting place:', place.name || place.description);
   
   // 🛠️ FIXED: Send structured payload with both place and query
   selectPlace({
@@ -58,8 +92,28 @@ const PlaceAutocomplete = () => {
   inputRef.current?.blur();
 };
 
+  // 📑 Paginated text search beyond the ten autocomplete suggestions
+  const handleSeeAllResults = () => {
+    const trimmed = query.trim();
+    if (trimmed.length < 2) return;
+
+    searchAll(trimmed);
+    setShowSuggestions(false);
+    setFocusedIndex(-1);
+  };
+
   const handleKeyDown = (e) => {
-    if (!showSuggestions || suggestions.length === 0) return;
+    if (e.key === 'Escape') {
+      endSession();
+    }
+
+    if (!showSuggestions || suggestions.length === 0) {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        handleSeeAllResults();
+      }
+      return;
+    }
 
     switch (e.key) {
       case 'ArrowDown':
@@ -80,6 +134,8 @@ const PlaceAutocomplete = () => {
         e.preventDefault();
         if (focusedIndex >= 0 && suggestions[focusedIndex]) {
           handlePlaceSelect(suggestions[focusedIndex]);
+        } else {
+          handleSeeAllResults();
         }
         break;
       
@@ -114,6 +170,7 @@ const PlaceAutocomplete = () => {
 
   const handleClear = () => {
     setQuery('');
+    endSession();
     clearSuggestions();
     setShowSuggestions(false);
     setFocusedIndex(-1);
@@ -134,7 +191,7 @@ const PlaceAutocomplete = () => {
               setShowSuggestions(true);
             }
           }}
-          placeholder="Search for places in Malaysia..."
+          placeholder={placeholder}
           className="w-full px-4 py-3 pr-12 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all duration-200"
           autoComplete="off"
         />
@@ -160,9 +217,27 @@ const PlaceAutocomplete = () => {
         </div>
       </div>
 
+      {retryStatus && (
+        <div className="mt-2 text-xs text-amber-700" role="status">
+          🔁 {retryStatus.label}, retrying (attempt {retryStatus.attempt} of {retryStatus.maxAttempts})...
+        </div>
+      )}
+
       {error && (
         <div className="mt-2 p-2 bg-red-50 border border-red-200 rounded text-red-600 text-sm">
-          {error}
+          {error.message}
+          {error.retryable && query.trim().length >= 2 && (
+            <button
+              type="button"
+              onClick={() => searchPlaces(query.trim())}
+              className="ml-2 underline hover:no-underline"
+            >
+              Try again
+            </button>
+          )}
+          {CONFIGURATION_ERROR_CODES.includes(error.code) && (
+            <div className="mt-1 text-xs text-red-500">See "Google Cloud Configuration" in the README.</div>
+          )}
         </div>
       )}
 
@@ -175,10 +250,19 @@ const PlaceAutocomplete = () => {
             <SuggestionItem
               key={place.place_id}
               place={place}
+              travelTime={travelTimes[place.place_id]}
+              travelTimeLoading={travelTimesStatus === 'loading'}
               isSelected={index === focusedIndex}
               onClick={() => handlePlaceSelect(place)}
             />
           ))}
+          <button
+            type="button"
+            onClick={handleSeeAllResults}
+            className="w-full px-4 py-3 text-left text-sm font-medium text-blue-600 hover:bg-blue-50 border-t border-gray-100 transition-colors"
+          >
+            See all results for "{query.trim()}"
+          </button>
         </div>
       )}
 
@@ -187,11 +271,13 @@ const PlaceAutocomplete = () => {
           No places found for "{query}"
         </div>
       )}
+
+      <SearchSettings />
     </div>
   );
 };
 
-const SuggestionItem = ({ place, isSelected, onClick }) => {
+const SuggestionItem = ({ place, travelTime, travelTimeLoading, isSelected, onClick }) => {
   const getPlaceIcon = (types) => {
     if (types?.includes('restaurant') || types?.includes('food')) return '🍽️';
     if (types?.includes('gas_station')) return '⛽';
@@ -221,6 +307,18 @@ const SuggestionItem = ({ place, isSelected, onClick }) => {
             {place.structured_formatting?.secondary_text || ''}
           </div>
         </div>
+        {/* ⏱️ Travel time from the chosen origin: null = no route, undefined = not measured */}
+        {travelTime ? (
+          <div className="flex-shrink-0 text-right">
+            <div className="text-sm font-medium text-gray-700">{travelTime.duration.text}</div>
+            <div className="text-xs text-gray-500">{travelTime.distance.text}</div>
+          </div>
+        ) : travelTime === null ? (
+          <span className="flex-shrink-0 text-xs text-gray-400">No route</span>
+        ) : travelTimeLoading ? (
+          <span className="flex-shrink-0 text-xs text-gray-400">…</span>
+        ) : null}
+        <FavoriteButton place={place} />
       </div>
     </div>
   );
@@ -0,0 +1,142 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the SearchSettings panel shown under the search box: where results are biased
+// (map area, near me or anywhere), an optional country restriction and strict-bounds mode.
+// Styled with Tailwind CSS like the rest of the sidebar.
+
+import React, { useState } from 'react';
+import { useSearchSettings } from '../../hooks/useSearchSettings';
+import { useTravelTimes } from '../../hooks/useTravelTimes';
+import { REGION_PRESETS, SEARCH_BIAS_MODES, TRAVEL_TIME_ORIGINS, TRAVEL_MODES } from '../../utils/constants';
+
+const BIAS_OPTIONS = [
+  { value: SEARCH_BIAS_MODES.VIEWPORT, label: 'Map area' },
+  { value: SEARCH_BIAS_MODES.USER_LOCATION, label: 'Near me' },
+  { value: SEARCH_BIAS_MODES.NONE, label: 'Anywhere' }
+];
+
+const TRAVEL_TIME_ORIGIN_OPTIONS = [
+  { value: TRAVEL_TIME_ORIGINS.NONE, label: 'Off' },
+  { value: TRAVEL_TIME_ORIGINS.USER_LOCATION, label: 'My location' },
+  { value: TRAVEL_TIME_ORIGINS.SELECTED_PLACE, label: 'Pinned place' }
+];
+
+const LOCATION_STATUS_TEXT = {
+  pending: 'Locating you...',
+  denied: 'Location permission denied',
+  unavailable: 'Location unavailable'
+};
+
+const SearchSettings = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const { settings, setBiasMode, setCountry, setStrictBounds, reset } = useSearchSettings();
+  const travelTimes = useTravelTimes();
+
+  if (!settings) {
+    return null;
+  }
+
+  const locationStatusText = LOCATION_STATUS_TEXT[settings.userLocationStatus];
+  const canRestrict = settings.biasMode !== SEARCH_BIAS_MODES.NONE;
+
+  return (
+    <div className="mt-3 text-sm">
+      <button
+        type="button"
+        onClick={() => setIsOpen(open => !open)}
+        className="text-blue-600 hover:text-blue-800 transition-colors"
+        aria-expanded={isOpen}
+      >
+        ⚙️ Search options
+      </button>
+
+      {isOpen && (
+        <div className="mt-2 p-3 bg-gray-50 border border-gray-200 rounded-lg space-y-3">
+          <fieldset>
+            <legend className="font-medium text-gray-700 mb-1">Prefer results in</legend>
+            <div className="flex flex-wrap gap-2">
+              {BIAS_OPTIONS.map(option => (
+                <label key={option.value} className="flex items-center gap-1 text-gray-600">
+                  <input
+                    type="radio"
+                    name="search-bias"
+                    value={option.value}
+                    checked={settings.biasMode === option.value}
+                    onChange={() => setBiasMode(option.value)}
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+            {locationStatusText && (
+              <p className="mt-1 text-xs text-gray-500">{locationStatusText}</p>
+            )}
+          </fieldset>
+
+          <label className="block text-gray-700">
+            <span className="font-medium">Country</span>
+            <select
+              value={settings.country || ''}
+              onChange={(e) => setCountry(e.target.value || null)}
+              className="mt-1 w-full px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 outline-none"
+            >
+              <option value="">Any country</option>
+              {REGION_PRESETS.map(preset => (
+                <option key={preset.country} value={preset.country}>{preset.label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className={`flex items-center gap-2 ${canRestrict ? 'text-gray-600' : 'text-gray-400'}`}>
+            <input
+              type="checkbox"
+              checked={settings.strictBounds}
+              disabled={!canRestrict}
+              onChange={(e) => setStrictBounds(e.target.checked)}
+            />
+            Only show results inside this area
+          </label>
+
+          <div className="text-gray-700">
+            <span className="font-medium">Travel times from</span>
+            <div className="mt-1 flex gap-2">
+              <select
+                value={travelTimes.origin}
+                onChange={(e) => travelTimes.setOrigin(e.target.value)}
+                aria-label="Travel times from"
+                className="flex-1 px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 outline-none"
+              >
+                {TRAVEL_TIME_ORIGIN_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <select
+                value={travelTimes.mode}
+                onChange={(e) => travelTimes.setMode(e.target.value)}
+                disabled={travelTimes.origin === TRAVEL_TIME_ORIGINS.NONE}
+                aria-label="Travel mode"
+                className="px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 outline-none disabled:opacity-50"
+              >
+                {TRAVEL_MODES.map(item => (
+                  <option key={item.mode} value={item.mode}>{item.icon} {item.label}</option>
+                ))}
+              </select>
+            </div>
+            {travelTimes.error && (
+              <p className="mt-1 text-xs text-gray-500">{travelTimes.error.message}</p>
+            )}
+          </div>
+
+          <button
+            type="button"
+            onClick={reset}
+            className="text-xs text-gray-500 hover:text-gray-700 transition-colors"
+          >
+            Reset to defaults
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchSettings;
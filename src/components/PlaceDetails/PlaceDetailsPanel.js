@@ -0,0 +1,172 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the extended details section of the selected-place overlay. Collapsed by default;
+// expanding it loads opening hours, phone, website, price level, business status and reviews
+// (billed as an extra details request, so only when the user asks for them).
+
+import React, { useEffect, useState } from 'react';
+import { usePlaceDetails } from '../../hooks/usePlaceDetails';
+import { useNow } from '../../hooks/useNow';
+import { getOpeningStatus, formatOpeningStatus } from '../../utils/helpers';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const BUSINESS_STATUS_LABELS = {
+  OPERATIONAL: null, // the normal case needs no badge
+  CLOSED_TEMPORARILY: 'Temporarily closed',
+  CLOSED_PERMANENTLY: 'Permanently closed'
+};
+
+const MAX_REVIEW_LENGTH = 220;
+
+const formatPriceLevel = (level) => (level === 0 ? 'Free' : '$'.repeat(level));
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length).trimEnd()}…` : text);
+
+const hostname = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return url;
+  }
+};
+
+const Review = ({ review }) => (
+  <li className="py-2 border-t border-gray-100 first:border-t-0">
+    <div className="flex items-center justify-between text-xs">
+      {review.author_url ? (
+        <a href={review.author_url} target="_blank" rel="noopener noreferrer" className="font-medium text-gray-800 hover:underline">
+          {review.author_name}
+        </a>
+      ) : (
+        <span className="font-medium text-gray-800">{review.author_name}</span>
+      )}
+      <span className="text-gray-500">
+        {review.rating !== null && `⭐ ${review.rating} · `}{review.relative_time_description}
+      </span>
+    </div>
+    {review.text && <p className="mt-1 text-xs text-gray-600">{truncate(review.text, MAX_REVIEW_LENGTH)}</p>}
+  </li>
+);
+
+const DetailsBody = ({ details }) => {
+  const now = useNow();
+  const statusLabel = BUSINESS_STATUS_LABELS[details.business_status];
+  const weekdayText = details.opening_hours?.weekday_text || [];
+  // Evaluated in the place's timezone; a closed business is not "open now" whatever its hours say
+  const openingStatus = statusLabel ? null : getOpeningStatus(details.opening_hours, details.utc_offset_minutes, now);
+
+  return (
+    <div className="space-y-2 text-sm">
+      {statusLabel && (
+        <div className="inline-block px-2 py-1 bg-red-100 text-red-700 text-xs rounded-full">{statusLabel}</div>
+      )}
+
+      {openingStatus && (
+        <div className={`font-medium ${openingStatus.isOpen ? 'text-green-700' : 'text-red-600'}`}>
+          {formatOpeningStatus(openingStatus)}
+        </div>
+      )}
+
+      {weekdayText.length > 0 && (
+        <div>
+          <div className="font-medium text-gray-800">🕒 Opening hours</div>
+          <ul className="text-xs text-gray-600">
+            {weekdayText.map(line => <li key={line}>{line}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {details.formatted_phone_number && (
+        <div>
+          📞{' '}
+          <a href={`tel:${details.international_phone_number || details.formatted_phone_number}`} className="text-blue-600 hover:text-blue-800">
+            {details.formatted_phone_number}
+          </a>
+        </div>
+      )}
+
+      {details.website && (
+        <div>
+          🌐{' '}
+          <a href={details.website} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800">
+            {hostname(details.website)}
+          </a>
+        </div>
+      )}
+
+      {details.price_level !== null && (
+        <div className="text-gray-700">💰 {formatPriceLevel(details.price_level)}</div>
+      )}
+
+      {details.reviews.length > 0 && (
+        <div>
+          <div className="font-medium text-gray-800">💬 Reviews</div>
+          <ul>
+            {details.reviews.map((review, index) => <Review key={`${review.author_name}-${index}`} review={review} />)}
+          </ul>
+        </div>
+      )}
+
+      {details.url && (
+        <a href={details.url} target="_blank" rel="noopener noreferrer" className="block text-xs text-blue-600 hover:text-blue-800">
+          View on Google Maps ↗
+        </a>
+      )}
+    </div>
+  );
+};
+
+const PlaceDetailsPanel = ({ placeId }) => {
+  const [expanded, setExpanded] = useState(false);
+  const { details, status, error, load } = usePlaceDetails(placeId);
+
+  // A new selection starts collapsed again
+  useEffect(() => {
+    setExpanded(false);
+  }, [placeId]);
+
+  useEffect(() => {
+    if (expanded) {
+      load();
+    }
+  }, [expanded, load]);
+
+  if (!placeId) {
+    return null;
+  }
+
+  return (
+    <div className="mt-2 border-t border-gray-100 pt-2">
+      <button
+        onClick={() => setExpanded(value => !value)}
+        className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+        aria-expanded={expanded}
+      >
+        {expanded ? '▾ Hide details' : 'ℹ️ Hours, contact & reviews'}
+      </button>
+
+      {expanded && (
+        <div className="mt-2 max-h-64 overflow-y-auto">
+          {status === 'loading' && (
+            <div className="flex items-center text-sm text-gray-600">
+              <LoadingSpinner size="sm" />
+              <span className="ml-2">Loading details...</span>
+            </div>
+          )}
+          {status === 'failed' && (
+            <div className="text-sm text-red-600">
+              ⚠️ {error?.message}
+              {error?.retryable && (
+                <button onClick={load} className="ml-2 text-blue-600 hover:text-blue-800 font-medium">
+                  Try again
+                </button>
+              )}
+            </div>
+          )}
+          {status === 'succeeded' && details && <DetailsBody details={details} />}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlaceDetailsPanel;
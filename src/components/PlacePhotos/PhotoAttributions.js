@@ -0,0 +1,43 @@
+// This file is part of the Google Places Redux Saga project.
+// It renders photo html_attributions, which Google's terms require next to every photo.
+// The markup is parsed into text and http(s) links (parseAttributionHtml) and rendered as React
+// elements, never injected as HTML.
+
+import React from 'react';
+import { parseAttributionHtml } from '../../utils/photos';
+
+const PhotoAttributions = ({ attributions = [], className = 'text-xs text-gray-500' }) => {
+  const entries = [...new Set(attributions)]
+    .map(parseAttributionHtml)
+    .filter(segments => segments.length > 0);
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className={className}>
+      📷{' '}
+      {entries.map((segments, entryIndex) => (
+        <React.Fragment key={entryIndex}>
+          {entryIndex > 0 && ', '}
+          {segments.map((segment, index) => (segment.href ? (
+            <a
+              key={index}
+              href={segment.href}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="underline hover:text-gray-700"
+            >
+              {segment.text}
+            </a>
+          ) : (
+            <span key={index}>{segment.text}</span>
+          )))}
+        </React.Fragment>
+      ))}
+    </div>
+  );
+};
+
+export default PhotoAttributions;
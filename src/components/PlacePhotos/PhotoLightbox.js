@@ -0,0 +1,91 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the full-size photo viewer opened from the photo strip: one photo at a time with its
+// attributions, previous / next buttons, and arrow keys / Escape on the keyboard.
+
+import React, { useEffect } from 'react';
+import { usePhotoUrl } from '../../hooks/usePhotoUrl';
+import LoadingSpinner from '../common/LoadingSpinner';
+import PhotoAttributions from './PhotoAttributions';
+import { PHOTO_CONFIG } from '../../utils/constants';
+
+const PhotoLightbox = ({ photos, index, placeName, onChangeIndex, onClose }) => {
+  const photo = photos[index];
+  const { url, loading, error } = usePhotoUrl(photo, {
+    maxWidth: PHOTO_CONFIG.lightboxMaxWidth,
+    maxHeight: PHOTO_CONFIG.lightboxMaxHeight
+  });
+  const hasPrevious = index > 0;
+  const hasNext = index < photos.length - 1;
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        onClose();
+      } else if (event.key === 'ArrowLeft' && hasPrevious) {
+        onChangeIndex(index - 1);
+      } else if (event.key === 'ArrowRight' && hasNext) {
+        onChangeIndex(index + 1);
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [index, hasPrevious, hasNext, onChangeIndex, onClose]);
+
+  if (!photo) {
+    return null;
+  }
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-80 p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-label={`Photos of ${placeName}`}
+      onClick={onClose}
+    >
+      <div className="relative max-w-5xl w-full" onClick={(event) => event.stopPropagation()}>
+        <div className="flex items-center justify-between text-white text-sm mb-2">
+          <span>{placeName} · {index + 1} / {photos.length}</span>
+          <button onClick={onClose} className="text-white hover:text-gray-300" aria-label="Close photos">
+            ✕
+          </button>
+        </div>
+
+        <div className="flex items-center justify-center min-h-[200px]">
+          {loading && <LoadingSpinner />}
+          {error && <div className="text-sm text-red-300">⚠️ {error.message}</div>}
+          {url && (
+            <img
+              src={url}
+              alt={`${placeName} (${index + 1} of ${photos.length})`}
+              className="max-h-[75vh] max-w-full rounded object-contain"
+            />
+          )}
+        </div>
+
+        <PhotoAttributions attributions={photo.html_attributions} className="mt-2 text-xs text-gray-300" />
+
+        {hasPrevious && (
+          <button
+            onClick={() => onChangeIndex(index - 1)}
+            className="absolute left-0 top-1/2 -translate-y-1/2 px-3 py-2 text-2xl text-white hover:text-gray-300"
+            aria-label="Previous photo"
+          >
+            ‹
+          </button>
+        )}
+        {hasNext && (
+          <button
+            onClick={() => onChangeIndex(index + 1)}
+            className="absolute right-0 top-1/2 -translate-y-1/2 px-3 py-2 text-2xl text-white hover:text-gray-300"
+            aria-label="Next photo"
+          >
+            ›
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PhotoLightbox;
@@ -0,0 +1,64 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the row of photo thumbnails in the selected-place overlay. Thumbnails resolve their
+// URLs lazily through usePhotoUrl; clicking one opens the lightbox at that photo.
+
+import React, { useCallback, useState } from 'react';
+import { usePhotoUrl, supportsPlacePhotos } from '../../hooks/usePhotoUrl';
+import PhotoAttributions from './PhotoAttributions';
+import PhotoLightbox from './PhotoLightbox';
+import { PHOTO_CONFIG } from '../../utils/constants';
+
+const PhotoThumbnail = ({ photo, label, onOpen }) => {
+  const { url, loading } = usePhotoUrl(photo, { maxWidth: PHOTO_CONFIG.thumbnailMaxWidth });
+
+  return (
+    <button
+      onClick={onOpen}
+      className="flex-shrink-0 w-20 h-16 rounded overflow-hidden bg-gray-100 hover:ring-2 hover:ring-blue-400"
+      aria-label={label}
+    >
+      {url ? (
+        <img src={url} alt="" className="w-full h-full object-cover" />
+      ) : (
+        <span className="text-xs text-gray-400">{loading ? '…' : '📷'}</span>
+      )}
+    </button>
+  );
+};
+
+const PhotoStrip = ({ photos = [], placeName }) => {
+  const [openIndex, setOpenIndex] = useState(null);
+  const closeLightbox = useCallback(() => setOpenIndex(null), []);
+
+  if (photos.length === 0 || !supportsPlacePhotos()) {
+    return null;
+  }
+
+  return (
+    <div className="mb-2">
+      <div className="flex gap-2 overflow-x-auto pb-1">
+        {photos.map((photo, index) => (
+          <PhotoThumbnail
+            key={photo.id}
+            photo={photo}
+            label={`Open photo ${index + 1} of ${placeName}`}
+            onOpen={() => setOpenIndex(index)}
+          />
+        ))}
+      </div>
+      <PhotoAttributions attributions={photos.flatMap(photo => photo.html_attributions || [])} />
+
+      {openIndex !== null && (
+        <PhotoLightbox
+          photos={photos}
+          index={openIndex}
+          placeName={placeName}
+          onChangeIndex={setOpenIndex}
+          onClose={closeLightbox}
+        />
+      )}
+    </div>
+  );
+};
+
+export default PhotoStrip;
@@ -4,6 +4,11 @@ import React from 'react';
 import PlaceAutocomplete from './PlaceAutocomplete/PlaceAutocomplete';
 import MapContainer from './Map/MapContainer';
 import SearchHistory from './SearchHistory/SearchHistory';
+import SearchResults from './SearchResults/SearchResults';
+import NearbySearch from './NearbySearch/NearbySearch';
+import DirectionsPanel from './Directions/DirectionsPanel';
+import UsagePanel from './UsagePanel/UsagePanel';
+import FavoritesPanel from './Favorites/FavoritesPanel';
 import ErrorBoundary from './common/ErrorBoundary';
 import Header from './common/Header';
 
@@ -25,10 +30,25 @@ const PlaceSearchApp = () => {
                 </h2>
                 <PlaceAutocomplete />
               </div>
+
+              {/* 📑 "See all results" list (hidden until a text search runs) */}
+              <SearchResults />
+
+              {/* 🧭 Nearby search around the map center or a picked point */}
+              <NearbySearch />
+
+              {/* 🧭 Routes between two places */}
+              <DirectionsPanel />
               
+              {/* ⭐ Starred places, kept on the REST backend */}
+              <FavoritesPanel />
+
               <div className="bg-white rounded-lg shadow-md p-6">
                 <SearchHistory />
               </div>
+
+              {/* 💰 Billable calls today, estimated cost and caps */}
+              <UsagePanel />
             </div>
             
             {/* Map section - enlarged and takes more space */}
@@ -1,5 +1,6 @@
 // ===== 5. src/components/SearchHistory/SearchHistoryItem.js =====
 import React from 'react';
+import FavoriteButton from '../Favorites/FavoriteButton';
 
 const SearchHistoryItem = ({ item, onSelect }) => {
   const formatTimestamp = (timestamp) => {
@@ -33,6 +34,7 @@ const SearchHistoryItem = ({ item, onSelect }) => {
             Searched: {formatTimestamp(item.timestamp)}
           </div>
         </div>
+        <FavoriteButton place={item.place} className="ml-3" />
         <div className="ml-3 text-gray-400 group-hover:text-blue-600 transition-colors">
           <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
@@ -0,0 +1,154 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the SearchResults component: the paginated "See all results" list.
+// Each page adds rows (and map pins, drawn by useGoogleMaps); picking a row selects the place
+// through the same auto-pinning flow as an autocomplete suggestion. "Open now" hides places known
+// to be closed and keeps those whose hours are unknown, marked as such (see isPlaceOpenNow).
+
+import React from 'react';
+import { usePlaces } from '../../hooks/usePlaces';
+import { useTextSearch } from '../../hooks/useTextSearch';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const SearchResults = () => {
+  const { selectPlace, selectedPlace } = usePlaces();
+  const {
+    isOpen,
+    query,
+    results,
+    totalResults,
+    openNowById,
+    openNowOnly,
+    status,
+    error,
+    hasMore,
+    searchAll,
+    loadMore,
+    setOpenNowOnly,
+    close
+  } = useTextSearch();
+
+  if (!isOpen) {
+    return null;
+  }
+
+  const isLoading = status === 'loading';
+  const isLoadingMore = status === 'loadingMore';
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">
+          Results for "{query}"
+        </h2>
+        <button
+          type="button"
+          onClick={close}
+          className="text-sm text-gray-500 hover:text-gray-700 transition-colors"
+        >
+          Close
+        </button>
+      </div>
+
+      {isLoading && (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner size="md" />
+        </div>
+      )}
+
+      <label className="flex items-center gap-2 mb-3 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={openNowOnly}
+          onChange={(event) => setOpenNowOnly(event.target.checked)}
+          className="rounded border-gray-300"
+        />
+        🕒 Open now
+      </label>
+
+      {!isLoading && totalResults === 0 && !error && (
+        <p className="text-center py-6 text-gray-500">No places found for "{query}"</p>
+      )}
+
+      {!isLoading && totalResults > 0 && results.length === 0 && (
+        <p className="text-center py-6 text-gray-500">
+          All {totalResults} places are closed right now
+        </p>
+      )}
+
+      {results.length > 0 && (
+        <>
+          <p className="text-xs text-gray-500 mb-2">
+            Showing {results.length} place{results.length === 1 ? '' : 's'}
+            {openNowOnly && results.length < totalResults ? ` of ${totalResults} (closed hidden)` : ''}
+            {hasMore ? ' · more available' : ''}
+          </p>
+          <ul className="space-y-2 max-h-96 overflow-y-auto custom-scrollbar">
+            {results.map((place, index) => (
+              <li key={place.place_id}>
+                <button
+                  type="button"
+                  onClick={() => selectPlace({ place, query })}
+                  className={`w-full text-left p-3 rounded-lg border transition-colors ${
+                    selectedPlace?.place_id === place.place_id
+                      ? 'border-blue-300 bg-blue-50'
+                      : 'border-gray-200 hover:bg-gray-50'
+                  }`}
+                >
+                  <div className="flex items-start gap-2">
+                    <span className="text-xs text-gray-400 mt-1 w-5 text-right">{index + 1}</span>
+                    <div className="flex-1 min-w-0">
+                      <div className="font-medium text-gray-900 truncate">
+                        {place.name || place.structured_formatting?.main_text || place.description}
+                      </div>
+                      <div className="text-sm text-gray-500 truncate">
+                        {place.formatted_address || place.vicinity || place.structured_formatting?.secondary_text}
+                      </div>
+                      <div className="flex items-center gap-2 text-xs mt-1">
+                        {place.rating && (
+                          <span className="text-yellow-600">
+                            ⭐ {place.rating}{place.user_ratings_total ? ` (${place.user_ratings_total})` : ''}
+                          </span>
+                        )}
+                        {openNowById[place.place_id] === true && <span className="text-green-700">Open now</span>}
+                        {openNowById[place.place_id] === false && <span className="text-red-600">Closed</span>}
+                        {openNowById[place.place_id] === null && <span className="text-gray-400">Hours unknown</span>}
+                      </div>
+                    </div>
+                  </div>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {error && (
+        <div className="mt-2 p-2 bg-red-50 border border-red-200 rounded text-red-600 text-sm">
+          {error.message}
+          {error.retryable && (
+            <button
+              type="button"
+              onClick={() => searchAll(query)}
+              className="ml-2 underline hover:no-underline"
+            >
+              Try again
+            </button>
+          )}
+        </div>
+      )}
+
+      {hasMore && (
+        <button
+          type="button"
+          onClick={loadMore}
+          disabled={isLoadingMore}
+          className="mt-3 w-full py-2 text-sm font-medium text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50 disabled:opacity-50 transition-colors"
+        >
+          {isLoadingMore ? 'Loading more...' : 'Load more results'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SearchResults;
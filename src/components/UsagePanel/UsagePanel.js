@@ -0,0 +1,108 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the API usage panel: calls made through googleMapsService today, per SKU, with the
+// estimated cost and progress towards the optional per-minute / per-day caps.
+
+import React, { useState } from 'react';
+import { useUsageMeter } from '../../hooks/useUsageMeter';
+
+const SKU_LABELS = {
+  autocomplete: 'Autocomplete',
+  details: 'Place Details',
+  mapLoad: 'Map loads',
+  directions: 'Directions',
+  textSearch: 'Text Search',
+  nearbySearch: 'Nearby Search',
+  geocode: 'Geocoding',
+  distanceMatrix: 'Distance Matrix elements',
+  photo: 'Place Photos'
+};
+
+const formatCost = (cost) => `$${cost < 1 ? cost.toFixed(3) : cost.toFixed(2)}`;
+
+const CapBar = ({ label, used, limit }) => {
+  const ratio = Math.min(1, used / limit);
+  return (
+    <div>
+      <div className="flex justify-between text-xs text-gray-600">
+        <span>{label}</span>
+        <span>{used} / {limit}</span>
+      </div>
+      <div className="h-1.5 mt-1 bg-gray-100 rounded">
+        <div
+          className={`h-1.5 rounded ${ratio >= 1 ? 'bg-red-500' : ratio >= 0.8 ? 'bg-amber-500' : 'bg-blue-500'}`}
+          style={{ width: `${ratio * 100}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+const UsagePanel = () => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const {
+    skus,
+    totalCalls,
+    estimatedCost,
+    callsLastMinute,
+    blockedCalls,
+    maxPerMinute,
+    maxPerDay,
+    reset
+  } = useUsageMeter();
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <button
+        type="button"
+        onClick={() => setIsExpanded(expanded => !expanded)}
+        aria-expanded={isExpanded}
+        className="w-full flex items-center justify-between"
+      >
+        <h2 className="text-xl font-semibold text-gray-800">API Usage</h2>
+        <span className="text-sm text-gray-600">
+          {totalCalls} calls · ~{formatCost(estimatedCost)} today
+        </span>
+      </button>
+
+      {isExpanded && (
+        <div className="mt-4 space-y-3">
+          {skus.length === 0 ? (
+            <p className="text-sm text-gray-500">No billable calls yet today.</p>
+          ) : (
+            <table className="w-full text-sm">
+              <tbody>
+                {skus.map(item => (
+                  <tr key={item.sku} className="border-b border-gray-100 last:border-0">
+                    <td className="py-1 text-gray-700">{SKU_LABELS[item.sku] || item.sku}</td>
+                    <td className="py-1 text-right text-gray-900">{item.count}</td>
+                    <td className="py-1 pl-3 text-right text-gray-500">{formatCost(item.cost)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {maxPerMinute > 0 && <CapBar label="This minute" used={callsLastMinute} limit={maxPerMinute} />}
+          {maxPerDay > 0 && <CapBar label="Today" used={totalCalls} limit={maxPerDay} />}
+
+          {blockedCalls > 0 && (
+            <p className="text-xs text-red-600">🛑 {blockedCalls} call(s) blocked by the usage caps today.</p>
+          )}
+
+          <div className="flex items-center justify-between">
+            <p className="text-xs text-gray-400">Estimate at list prices; cached results are free.</p>
+            <button
+              type="button"
+              onClick={reset}
+              className="text-xs text-gray-500 underline hover:text-gray-700"
+            >
+              Reset
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UsagePanel;
@@ -4,6 +4,9 @@
 // The ErrorBoundary component is used to prevent the entire application from crashing due to errors in any part of the component tree.
 // It provides a user-friendly error message and a button to refresh the page.  
 import React from 'react';
+import { createLogger } from '../../utils/logger';
+
+const log = createLogger('ui');
 
 class ErrorBoundary extends React.Component {
   constructor(props) {
@@ -16,7 +19,7 @@ class ErrorBoundary extends React.Component {
   }
 
   componentDidCatch(error, errorInfo) {
-    console.error('Error caught by ErrorBoundary:', error, errorInfo);
+    log.error('Error caught by ErrorBoundary:', error, errorInfo);
   }
 
   render() {
@@ -6,6 +6,11 @@
 // The Header component is used in the main application layout to provide a consistent header across the application.   
 
 import React from 'react';
+import {
+  isDemoMode,
+  getActivePlacesProviderName,
+  NOMINATIM_PROVIDER_NAME
+} from '../../services/placesProviderRegistry';
 
 const Header = () => {
   return (
@@ -23,9 +28,22 @@ const Header = () => {
               </p>
             </div>
           </div>
-          <div className="text-sm text-gray-500">
-            Powered by Google Places API
-          </div>
+          {isDemoMode() ? (
+            <div
+              className="px-3 py-1 bg-yellow-100 text-yellow-800 text-sm rounded-full"
+              title="No Google Maps API key configured - serving the bundled place dataset"
+            >
+              Demo mode · offline dataset
+            </div>
+          ) : getActivePlacesProviderName() === NOMINATIM_PROVIDER_NAME ? (
+            <div className="text-sm text-gray-500">
+              Search data © OpenStreetMap contributors
+            </div>
+          ) : (
+            <div className="text-sm text-gray-500">
+              Powered by Google Places API
+            </div>
+          )}
         </div>
       </div>
     </header>
@@ -0,0 +1,70 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines a custom React hook for the directions panel: opening it (optionally towards a
+// place), picking endpoints, switching travel mode and route, and the endpoint autocomplete.
+import { useCallback } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  openDirections,
+  setDirectionsEndpoint,
+  swapDirectionsEndpoints,
+  setTravelMode as setTravelModeAction,
+  directionsRequest,
+  selectRoute as selectRouteAction,
+  directionsEndpointSearch,
+  closeDirections,
+  selectDirections,
+  selectActiveRoute
+} from '../store/slices/directionsSlice';
+
+export const useDirections = () => {
+  const dispatch = useDispatch();
+  const directions = useSelector(selectDirections);
+  const activeRoute = useSelector(selectActiveRoute);
+
+  // open() or open({ origin, destination }) with any place-like objects
+  const open = useCallback((endpoints) => {
+    dispatch(openDirections(endpoints));
+  }, [dispatch]);
+
+  // field: 'origin' | 'destination'; a null place clears the field
+  const setEndpoint = useCallback((field, place) => {
+    dispatch(setDirectionsEndpoint(field, place));
+  }, [dispatch]);
+
+  const searchEndpoint = useCallback((field, query) => {
+    dispatch(directionsEndpointSearch({ field, query }));
+  }, [dispatch]);
+
+  const swap = useCallback(() => {
+    dispatch(swapDirectionsEndpoints());
+  }, [dispatch]);
+
+  const setTravelMode = useCallback((mode) => {
+    dispatch(setTravelModeAction(mode));
+  }, [dispatch]);
+
+  const selectRoute = useCallback((index) => {
+    dispatch(selectRouteAction(index));
+  }, [dispatch]);
+
+  const retry = useCallback(() => {
+    dispatch(directionsRequest());
+  }, [dispatch]);
+
+  const close = useCallback(() => {
+    dispatch(closeDirections());
+  }, [dispatch]);
+
+  return {
+    ...directions,
+    activeRoute,
+    open,
+    setEndpoint,
+    searchEndpoint,
+    swap,
+    setTravelMode,
+    selectRoute,
+    retry,
+    close
+  };
+};
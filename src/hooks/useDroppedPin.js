@@ -0,0 +1,28 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines a custom React hook for the dropped pin card: the reverse-geocoded address and
+// nearest place of the last map click, making one of them the selected place, and dismissing it.
+import { useCallback } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { selectPlace } from '../store/slices/placesSlice';
+import { clearDroppedPin, selectDroppedPin } from '../store/slices/droppedPinSlice';
+
+export const useDroppedPin = () => {
+  const dispatch = useDispatch();
+  const droppedPin = useSelector(selectDroppedPin);
+
+  // Goes through the regular selection flow (auto-pinning + history); the pin clears itself
+  const choosePlace = useCallback((place) => {
+    if (!place) return;
+    dispatch(selectPlace({ place, query: place.name || place.formatted_address || '' }));
+  }, [dispatch]);
+
+  const clear = useCallback(() => {
+    dispatch(clearDroppedPin());
+  }, [dispatch]);
+
+  return {
+    ...droppedPin,
+    choosePlace,
+    clear
+  };
+};
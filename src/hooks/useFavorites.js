@@ -0,0 +1,71 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the custom React hooks for favorites: useFavorites for the list panel (loads the
+// list once) and useFavorite for a single star toggle. Both report `enabled: false` when no
+// REST backend is configured, and the favorites UI then stays hidden.
+import { useCallback, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  loadFavoritesRequest,
+  toggleFavorite,
+  dismissFavoritesError,
+  selectFavoritesState,
+  selectIsFavorite,
+  selectFavoritePending
+} from '../store/slices/favoritesSlice';
+import { favoritesService } from '../services/favoritesService';
+
+export const useFavorites = () => {
+  const dispatch = useDispatch();
+  const { items, status, error, syncError } = useSelector(selectFavoritesState);
+  const enabled = favoritesService.isAvailable();
+
+  useEffect(() => {
+    if (enabled && status === 'idle') {
+      dispatch(loadFavoritesRequest());
+    }
+  }, [dispatch, enabled, status]);
+
+  const reload = useCallback(() => {
+    dispatch(loadFavoritesRequest());
+  }, [dispatch]);
+
+  const toggle = useCallback((place) => {
+    dispatch(toggleFavorite(place));
+  }, [dispatch]);
+
+  const dismissError = useCallback(() => {
+    dispatch(dismissFavoritesError());
+  }, [dispatch]);
+
+  return {
+    enabled,
+    favorites: items,
+    status,
+    error,
+    syncError,
+    reload,
+    toggle,
+    dismissError
+  };
+};
+
+// place: a serialized place, prediction or favorite
+export const useFavorite = (place) => {
+  const dispatch = useDispatch();
+  const placeId = place?.place_id;
+  const isFavorite = useSelector(state => selectIsFavorite(state, placeId));
+  const pending = useSelector(state => selectFavoritePending(state, placeId));
+
+  const toggle = useCallback(() => {
+    if (place) {
+      dispatch(toggleFavorite(place));
+    }
+  }, [dispatch, place]);
+
+  return {
+    enabled: favoritesService.isAvailable() && Boolean(placeId),
+    isFavorite,
+    pending,
+    toggle
+  };
+};
@@ -1,8 +1,78 @@
 // FIXED: src/hooks/useGoogleMaps.js
 // Stable auto-pinning with coordinate validation
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { useSelector } from 'react-redux';
-import { googleMapsService } from '../services/googleMapsService';
+import { useSelector, useDispatch } from 'react-redux';
+import { selectPlace, selectSelectedPlace } from '../store/slices/placesSlice';
+import { getMapProvider } from '../services/placesProviderRegistry';
+import { setSearchViewport, selectDefaultLocation } from '../store/slices/searchSettingsSlice';
+import { nearbySearchRequest } from '../store/slices/nearbySlice';
+import { dropPin } from '../store/slices/droppedPinSlice';
+import { selectActiveRoute } from '../store/slices/directionsSlice';
+import { circleToBounds } from '../utils/helpers';
+import { isValidLatLng } from '../models/place';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('map');
+
+const isValidPosition = (position) =>
+  Boolean(position) && Number.isFinite(position.lat) && Number.isFinite(position.lng) &&
+  Math.abs(position.lat) <= 90 && Math.abs(position.lng) <= 180;
+
+// One marker per place with coordinates; clicking a marker calls onSelect(place)
+function pinPlaces(map, places, onSelect) {
+  const pins = { entries: [], positions: [] };
+
+  (places || []).forEach(place => {
+    const location = place.geometry?.location;
+    if (!isValidPosition(location)) {
+      return;
+    }
+
+    try {
+      const marker = getMapProvider().createMarker(map, location, place.name || 'Result');
+      if (!marker) return;
+
+      const listener = marker.addListener?.('click', () => onSelect(place)) || null;
+      pins.entries.push({ marker, listener });
+      pins.positions.push(location);
+    } catch (e) {
+      log.warn('⚠️ useGoogleMaps: Could not pin place:', e);
+    }
+  });
+  return pins;
+}
+
+function removePins(pins) {
+  pins.entries.forEach(({ marker, listener }) => {
+    try {
+      listener?.remove?.();
+      marker.setMap(null);
+    } catch (e) {
+      log.warn('Could not remove marker:', e);
+    }
+  });
+  pins.entries = [];
+}
+
+function boundsAround(positions) {
+  return {
+    north: Math.max(...positions.map(p => p.lat)),
+    south: Math.min(...positions.map(p => p.lat)),
+    east: Math.max(...positions.map(p => p.lng)),
+    west: Math.min(...positions.map(p => p.lng))
+  };
+}
+
+// LatLngBounds (Google or demo map) -> { north, south, east, west }
+function toBoundsLiteral(bounds) {
+  if (!bounds) return null;
+  if (typeof bounds.toJSON === 'function') {
+    return bounds.toJSON();
+  }
+  const ne = bounds.getNorthEast();
+  const sw = bounds.getSouthWest();
+  return { north: ne.lat(), east: ne.lng(), south: sw.lat(), west: sw.lng() };
+}
 
 export const useGoogleMaps = (containerId) => {
   const [map, setMap] = useState(null);
@@ -14,25 +84,29 @@ export const useGoogleMaps = (containerId) => {
   const markersRef = useRef([]);
   const initializationAttempted = useRef(false);
   const lastProcessedPlaceId = useRef(null); // Prevent duplicate processing
+  const mapListenersRef = useRef([]);
+  const isPickingPointRef = useRef(false); // Read by the map click listener
   
+  const dispatch = useDispatch();
+
   // Get selected place from Redux (now with serialized data)
-  const selectedPlace = useSelector(state => state.places.selectedPlace);
+  const selectedPlace = useSelector(selectSelectedPlace);
+  // Initial center follows REACT_APP_DEFAULT_LOCATION
+  const defaultLocation = useSelector(selectDefaultLocation);
+  const resultPlaces = useSelector(state => state.searchResults?.results);
+  const resultsQuery = useSelector(state => state.searchResults?.query);
+  const resultPagesLoaded = useSelector(state => state.searchResults?.pagesLoaded);
+  const nearbyActive = useSelector(state => state.nearby?.isActive);
+  const nearbyCenter = useSelector(state => state.nearby?.center);
+  const nearbyRadius = useSelector(state => state.nearby?.radius);
+  const nearbyResults = useSelector(state => state.nearby?.results);
+  const isPickingPoint = useSelector(state => state.nearby?.isPickingPoint);
+  const droppedPinLocation = useSelector(state => state.droppedPin?.location);
+  const activeRoute = useSelector(selectActiveRoute);
 
-  // 🔧 COORDINATE VALIDATION HELPER
-  const validateCoordinates = useCallback((coords) => {
-    if (!coords || typeof coords !== 'object') {
-      return false;
-    }
-    
-    const { lat, lng } = coords;
-    
-    return typeof lat === 'number' && 
-           typeof lng === 'number' && 
-           Number.isFinite(lat) && 
-           Number.isFinite(lng) &&
-           lat >= -90 && lat <= 90 &&
-           lng >= -180 && lng <= 180;
-  }, []);
+  useEffect(() => {
+    isPickingPointRef.current = Boolean(isPickingPoint);
+  }, [isPickingPoint]);
 
   // 🔧 STABLE MAP INITIALIZATION - Fixed timing issues
   const initMap = useCallback(async () => {
@@ -41,7 +115,7 @@ export const useGoogleMaps = (containerId) => {
     }
 
     initializationAttempted.current = true;
-    console.log('🗺️ useGoogleMaps: Starting map initialization...');
+    log.debug('🗺️ useGoogleMaps: Starting map initialization...');
 
     try {
       // Wait for DOM element with retries
@@ -61,14 +135,14 @@ export const useGoogleMaps = (containerId) => {
       }
 
       // 🔧 SAFE DEFAULT COORDINATES
-      const defaultCenter = { lat: 3.139, lng: 101.686 }; // Kuala Lumpur
+      const defaultCenter = defaultLocation?.center || { lat: 3.139, lng: 101.686 }; // Kuala Lumpur
       
-      if (!validateCoordinates(defaultCenter)) {
+      if (!isValidLatLng(defaultCenter)) {
         throw new Error('Invalid default coordinates');
       }
 
       // Initialize map with proper error handling
-      const mapInstance = await googleMapsService.createMap(containerId, {
+      const mapInstance = await getMapProvider().createMap(containerId, {
         center: defaultCenter,
         zoom: 11,
         mapTypeControl: true,
@@ -86,17 +160,49 @@ export const useGoogleMaps = (containerId) => {
       setIsLoaded(true);
       setError(null);
 
-      console.log('✅ useGoogleMaps: Map initialized successfully!');
+      // 🧭 Keep the search bias in step with the visible area
+      const publishViewport = () => {
+        try {
+          const bounds = toBoundsLiteral(mapInstance.getBounds?.());
+          if (bounds) {
+            dispatch(setSearchViewport(bounds));
+          }
+        } catch (viewportError) {
+          log.warn('⚠️ useGoogleMaps: Could not read map bounds:', viewportError);
+        }
+      };
+      publishViewport();
+
+      // 📌 A click drops a pin to reverse-geocode, unless "Pick a point" for nearby search is waiting for it
+      const handleMapClick = (event) => {
+        if (!event?.latLng) {
+          return;
+        }
+        const point = { lat: event.latLng.lat(), lng: event.latLng.lng() };
+        if (!isValidLatLng(point)) {
+          return;
+        }
+        dispatch(isPickingPointRef.current ? nearbySearchRequest({ center: point }) : dropPin(point));
+      };
+
+      mapListenersRef.current = [
+        mapInstance.addListener?.('idle', publishViewport),
+        mapInstance.addListener?.('click', handleMapClick),
+        // Google Maps reports a long-press on touch screens as contextmenu
+        mapInstance.addListener?.('contextmenu', handleMapClick)
+      ].filter(Boolean);
+
+      log.debug('✅ useGoogleMaps: Map initialized successfully!');
 
     } catch (error) {
-      console.error('❌ useGoogleMaps: Map initialization failed:', error);
+      log.error('❌ useGoogleMaps: Map initialization failed:', error);
       setError(error.message);
       setIsLoaded(false);
       setMap(null);
       mapInstanceRef.current = null;
       initializationAttempted.current = false; // Allow retry
     }
-  }, [containerId, validateCoordinates]);
+  }, [containerId, defaultLocation, dispatch]);
 
   // Initialize map on mount
   useEffect(() => {
@@ -121,12 +227,12 @@ export const useGoogleMaps = (containerId) => {
     // Prevent duplicate processing of same place
     const placeId = selectedPlace.place_id || selectedPlace.name;
     if (placeId === lastProcessedPlaceId.current) {
-      console.log('🔄 useGoogleMaps: Skipping duplicate place processing');
+      log.debug('🔄 useGoogleMaps: Skipping duplicate place processing');
       return;
     }
     
     lastProcessedPlaceId.current = placeId;
-    console.log('📍 useGoogleMaps: AUTO-PINNING started for:', selectedPlace.name);
+    log.debug('📍 useGoogleMaps: AUTO-PINNING started for:', selectedPlace.name);
 
     try {
       // Clear existing markers
@@ -136,38 +242,19 @@ export const useGoogleMaps = (containerId) => {
             marker.setMap(null);
           }
         } catch (e) {
-          console.warn('Could not remove marker:', e);
+          log.warn('Could not remove marker:', e);
         }
       });
       markersRef.current = [];
 
-      // Extract coordinates (now always serialized from Redux)
+      // The Place model only lets valid coordinates into the store
       const location = selectedPlace.geometry.location;
-      
-      // 🔧 CRITICAL: Validate coordinates before using them
-      if (!validateCoordinates(location)) {
-        console.warn('⚠️ useGoogleMaps: Invalid coordinates for auto-pinning:', location);
-        setError('Invalid coordinates for selected place');
-        return;
-      }
+      const position = { lat: location.lat, lng: location.lng };
 
-      // Ensure coordinates are numbers
-      const position = {
-        lat: Number(location.lat),
-        lng: Number(location.lng)
-      };
-
-      // Double-check after conversion
-      if (!validateCoordinates(position)) {
-        console.warn('⚠️ useGoogleMaps: Coordinates failed validation after conversion:', position);
-        setError('Unable to process place coordinates');
-        return;
-      }
-
-      console.log('📍 useGoogleMaps: Pinning validated location:', position);
+      log.debug('📍 useGoogleMaps: Pinning validated location:', position);
 
       // Create new marker
-      const marker = googleMapsService.createMarker(
+      const marker = getMapProvider().createMarker(
         map,
         position,
         selectedPlace.name || 'Selected Place'
@@ -180,19 +267,19 @@ export const useGoogleMaps = (containerId) => {
         try {
           map.setCenter(position);
           map.setZoom(15);
-          console.log('✅ useGoogleMaps: Map centered successfully to:', position);
+          log.debug('✅ useGoogleMaps: Map centered successfully to:', position);
         } catch (centerError) {
-          console.warn('⚠️ useGoogleMaps: Failed to center map:', centerError);
+          log.warn('⚠️ useGoogleMaps: Failed to center map:', centerError);
           
           // Try with validated default center as fallback
           const fallbackCenter = { lat: 3.139, lng: 101.686 };
-          if (validateCoordinates(fallbackCenter)) {
+          if (isValidLatLng(fallbackCenter)) {
             try {
               map.setCenter(fallbackCenter);
               map.setZoom(11);
-              console.log('✅ useGoogleMaps: Used fallback center');
+              log.debug('✅ useGoogleMaps: Used fallback center');
             } catch (fallbackError) {
-              console.error('❌ useGoogleMaps: Fallback center also failed:', fallbackError);
+              log.error('❌ useGoogleMaps: Fallback center also failed:', fallbackError);
             }
           }
         }
@@ -208,22 +295,133 @@ export const useGoogleMaps = (containerId) => {
                 marker.setAnimation(null);
               }
             } catch (e) {
-              console.warn('Could not stop marker animation:', e);
+              log.warn('Could not stop marker animation:', e);
             }
           }, 1500);
         }
 
-        console.log('✅ useGoogleMaps: AUTO-PIN successful for:', selectedPlace.name);
+        log.debug('✅ useGoogleMaps: AUTO-PIN successful for:', selectedPlace.name);
         
       } else {
-        console.warn('⚠️ useGoogleMaps: Failed to create marker');
+        log.warn('⚠️ useGoogleMaps: Failed to create marker');
       }
 
     } catch (error) {
-      console.error('❌ useGoogleMaps: Auto-pinning failed:', error);
+      log.error('❌ useGoogleMaps: Auto-pinning failed:', error);
       setError(`Auto-pinning failed: ${error.message}`);
     }
-  }, [map, selectedPlace, validateCoordinates]); // Added validateCoordinates to dependencies
+  }, [map, selectedPlace]);
+
+  // 📑 Pin every text-search result; clicking a pin selects that place
+  useEffect(() => {
+    if (!map) {
+      return;
+    }
+
+    const pins = pinPlaces(map, resultPlaces, place => dispatch(selectPlace({ place, query: resultsQuery })));
+
+    // Frame the first page; later pages keep the user's view
+    if (pins.positions.length > 0 && resultPagesLoaded === 1 && typeof map.fitBounds === 'function') {
+      map.fitBounds(boundsAround(pins.positions));
+    }
+
+    return () => removePins(pins);
+  }, [map, resultPlaces, resultsQuery, resultPagesLoaded, dispatch]);
+
+  // 🧭 Nearby results: radius circle around the search center plus a pin per place
+  useEffect(() => {
+    if (!map || !nearbyActive || !isValidLatLng(nearbyCenter)) {
+      return;
+    }
+
+    let circle = null;
+    try {
+      circle = getMapProvider().createCircle?.(map, nearbyCenter, nearbyRadius) || null;
+    } catch (e) {
+      log.warn('⚠️ useGoogleMaps: Could not draw nearby radius:', e);
+    }
+
+    if (typeof map.fitBounds === 'function') {
+      map.fitBounds(circleToBounds(nearbyCenter, nearbyRadius));
+    } else {
+      map.setCenter(nearbyCenter);
+    }
+
+    return () => {
+      try {
+        circle?.setMap(null);
+      } catch (e) {
+        log.warn('Could not remove nearby radius:', e);
+      }
+    };
+  }, [map, nearbyActive, nearbyCenter, nearbyRadius]);
+
+  useEffect(() => {
+    if (!map) {
+      return;
+    }
+
+    const pins = pinPlaces(map, nearbyResults, place => dispatch(selectPlace({ place, query: place.name || '' })));
+    return () => removePins(pins);
+  }, [map, nearbyResults, dispatch]);
+
+  // 📌 Marker for the dropped pin while its card is open
+  useEffect(() => {
+    if (!map || !isValidLatLng(droppedPinLocation)) {
+      return;
+    }
+
+    let marker = null;
+    try {
+      marker = getMapProvider().createMarker(map, droppedPinLocation, 'Dropped pin');
+    } catch (e) {
+      log.warn('⚠️ useGoogleMaps: Could not drop pin:', e);
+    }
+
+    return () => {
+      try {
+        marker?.setMap(null);
+      } catch (e) {
+        log.warn('Could not remove dropped pin:', e);
+      }
+    };
+  }, [map, droppedPinLocation]);
+
+  // 🧭 Selected directions route: polyline, start / end markers, framed on the map
+  useEffect(() => {
+    if (!map || !activeRoute?.polyline) {
+      return;
+    }
+
+    const provider = getMapProvider();
+    const overlays = [];
+    try {
+      const line = provider.createPolyline?.(map, activeRoute.polyline);
+      if (line) overlays.push(line);
+
+      [[activeRoute.start_location, 'Start'], [activeRoute.end_location, 'Destination']].forEach(([position, title]) => {
+        if (isValidLatLng(position)) {
+          overlays.push(provider.createMarker(map, position, title));
+        }
+      });
+    } catch (e) {
+      log.warn('⚠️ useGoogleMaps: Could not draw route:', e);
+    }
+
+    if (activeRoute.bounds && typeof map.fitBounds === 'function') {
+      map.fitBounds(activeRoute.bounds);
+    }
+
+    return () => {
+      overlays.forEach(overlay => {
+        try {
+          overlay?.setMap(null);
+        } catch (e) {
+          log.warn('Could not remove route overlay:', e);
+        }
+      });
+    };
+  }, [map, activeRoute]);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -235,10 +433,13 @@ export const useGoogleMaps = (containerId) => {
             marker.setMap(null);
           }
         } catch (e) {
-          console.warn('Cleanup error:', e);
+          log.warn('Cleanup error:', e);
         }
       });
       
+      mapListenersRef.current.forEach(listener => listener?.remove?.());
+      mapListenersRef.current = [];
+
       // Reset refs
       markersRef.current = [];
       mapInstanceRef.current = null;
@@ -258,17 +459,17 @@ export const useGoogleMaps = (containerId) => {
       if (!map) return null;
       
       // Validate coordinates before adding marker
-      if (!validateCoordinates(position)) {
-        console.warn('⚠️ useGoogleMaps: Invalid coordinates for addMarker:', position);
+      if (!isValidLatLng(position)) {
+        log.warn('⚠️ useGoogleMaps: Invalid coordinates for addMarker:', position);
         return null;
       }
       
-      const marker = googleMapsService.createMarker(map, position, title);
+      const marker = getMapProvider().createMarker(map, position, title);
       if (marker) {
         markersRef.current.push(marker);
       }
       return marker;
-    }, [map, validateCoordinates]),
+    }, [map]),
     
     clearMarkers: useCallback(() => {
       markersRef.current.forEach(marker => {
@@ -277,7 +478,7 @@ export const useGoogleMaps = (containerId) => {
             marker.setMap(null);
           }
         } catch (e) {
-          console.warn('Could not clear marker:', e);
+          log.warn('Could not clear marker:', e);
         }
       });
       markersRef.current = [];
@@ -287,18 +488,18 @@ export const useGoogleMaps = (containerId) => {
       if (!map || !position) return;
       
       // Validate coordinates before centering
-      if (!validateCoordinates(position)) {
-        console.warn('⚠️ useGoogleMaps: Invalid coordinates for centerMap:', position);
+      if (!isValidLatLng(position)) {
+        log.warn('⚠️ useGoogleMaps: Invalid coordinates for centerMap:', position);
         return;
       }
       
       try {
         map.setCenter(position);
         map.setZoom(zoom);
-        console.log('✅ useGoogleMaps: Map centered via centerMap method');
+        log.debug('✅ useGoogleMaps: Map centered via centerMap method');
       } catch (error) {
-        console.error('❌ useGoogleMaps: centerMap failed:', error);
+        log.error('❌ useGoogleMaps: centerMap failed:', error);
       }
-    }, [map, validateCoordinates])
+    }, [map])
   };
 };
\ No newline at end of file
@@ -0,0 +1,236 @@
+import React from 'react';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
+import { renderHook, waitFor, act } from '@testing-library/react';
+import { useGoogleMaps } from './useGoogleMaps';
+import placesReducer, { selectPlace, selectSelectedPlace } from '../store/slices/placesSlice';
+import uiReducer from '../store/slices/uiSlice';
+import searchSettingsReducer from '../store/slices/searchSettingsSlice';
+import searchResultsReducer, { textSearchRequest, textSearchSuccess } from '../store/slices/searchResultsSlice';
+import droppedPinReducer from '../store/slices/droppedPinSlice';
+import directionsReducer, { openDirections, directionsSuccess, closeDirections } from '../store/slices/directionsSlice';
+import nearbyReducer, { nearbySearchRequest, nearbySearchSuccess, startNearbyPointPick } from '../store/slices/nearbySlice';
+import { GoogleMapsService } from '../services/googleMapsService';
+import {
+  registerPlacesProvider,
+  setActivePlacesProvider,
+  unregisterPlacesProvider
+} from '../services/placesProviderRegistry';
+import { createFakeGoogleMaps } from '../test-utils/fakeGoogleMaps';
+import { encodePolyline } from '../utils/helpers';
+import { createPlace } from '../models/place';
+
+let fake;
+let store;
+
+const renderMapHook = () => {
+  const wrapper = ({ children }) => <Provider store={store}>{children}</Provider>;
+  return renderHook(() => useGoogleMaps('test-map'), { wrapper });
+};
+
+beforeEach(() => {
+  document.body.innerHTML = '<div id="test-map"></div>';
+  fake = createFakeGoogleMaps();
+  registerPlacesProvider('fake-google', new GoogleMapsService({ loader: fake.loader }));
+  setActivePlacesProvider('fake-google');
+  store = configureStore({ reducer: { places: placesReducer, ui: uiReducer, searchSettings: searchSettingsReducer, searchResults: searchResultsReducer, nearby: nearbyReducer, droppedPin: droppedPinReducer, directions: directionsReducer } });
+});
+
+afterEach(() => {
+  unregisterPlacesProvider('fake-google');
+});
+
+test('creates the map in the container element', async () => {
+  const { result } = renderMapHook();
+
+  await waitFor(() => expect(result.current.isLoaded).toBe(true));
+  expect(fake.calls.maps).toHaveLength(1);
+  expect(fake.calls.maps[0].getDiv().id).toBe('test-map');
+});
+
+test('auto-pins and centers on the selected place', async () => {
+  const { result } = renderMapHook();
+  await waitFor(() => expect(result.current.isLoaded).toBe(true));
+
+  act(() => {
+    store.dispatch(selectPlace({
+      place: { place_id: 'klcc', name: 'KLCC', geometry: { location: { lat: 3.1579, lng: 101.7116 } } }
+    }));
+  });
+
+  await waitFor(() => expect(fake.calls.markers).toHaveLength(1));
+  const [marker] = fake.calls.markers;
+  const map = fake.calls.maps[0];
+
+  expect(marker.getTitle()).toBe('KLCC');
+  expect(marker.getPosition().toJSON()).toEqual({ lat: 3.1579, lng: 101.7116 });
+  expect(map.getCenter().toJSON()).toEqual({ lat: 3.1579, lng: 101.7116 });
+  expect(map.getZoom()).toBe(15);
+});
+
+test('replaces the previous pin when another place is selected', async () => {
+  const { result } = renderMapHook();
+  await waitFor(() => expect(result.current.isLoaded).toBe(true));
+
+  act(() => {
+    store.dispatch(selectPlace({ place: { place_id: 'a', name: 'A', geometry: { location: { lat: 1, lng: 1 } } } }));
+  });
+  await waitFor(() => expect(fake.calls.markers).toHaveLength(1));
+
+  act(() => {
+    store.dispatch(selectPlace({ place: { place_id: 'b', name: 'B', geometry: { location: { lat: 2, lng: 2 } } } }));
+  });
+  await waitFor(() => expect(fake.calls.markers).toHaveLength(2));
+
+  expect(fake.calls.markers[0].getMap()).toBeNull();
+  expect(fake.calls.markers[1].getMap()).toBe(fake.calls.maps[0]);
+});
+
+test('pins repaired coordinates and skips ones the Place model dropped', async () => {
+  const { result } = renderMapHook();
+  await waitFor(() => expect(result.current.isLoaded).toBe(true));
+
+  act(() => {
+    store.dispatch(selectPlace({ place: createPlace({ place_id: 'bad', name: 'Bad', geometry: { location: { lat: 123, lng: 95 } } }) }));
+  });
+  expect(fake.calls.markers).toHaveLength(0);
+
+  act(() => {
+    store.dispatch(selectPlace({ place: createPlace({ place_id: 'swapped', name: 'Swapped', geometry: { location: { lat: 101.7, lng: 3.1 } } }) }));
+  });
+
+  await waitFor(() => expect(fake.calls.markers).toHaveLength(1));
+  expect(fake.calls.markers[0].getPosition().toJSON()).toEqual({ lat: 3.1, lng: 101.7 });
+  expect(result.current.error).toBeNull();
+});
+
+test('publishes the visible area to the search settings when the map settles', async () => {
+  const { result } = renderMapHook();
+  await waitFor(() => expect(result.current.isLoaded).toBe(true));
+
+  act(() => {
+    fake.calls.maps[0].fitBounds({ north: 3.3, south: 3.0, east: 101.8, west: 101.5 });
+  });
+
+  expect(store.getState().searchSettings.viewport).toEqual({ north: 3.3, south: 3.0, east: 101.8, west: 101.5 });
+});
+
+test('pins text-search results and selects a place when its pin is clicked', async () => {
+  const { result } = renderMapHook();
+  await waitFor(() => expect(result.current.isLoaded).toBe(true));
+
+  act(() => {
+    store.dispatch(textSearchRequest({ query: 'clinic' }));
+    store.dispatch(textSearchSuccess({
+      results: [
+        { place_id: 'c1', name: 'Clinic 1', geometry: { location: { lat: 3.1, lng: 101.6 } } },
+        { place_id: 'c2', name: 'Clinic 2', geometry: { location: { lat: 3.2, lng: 101.7 } } },
+        { place_id: 'c3', name: 'No geometry' }
+      ],
+      nextCursor: null
+    }));
+  });
+
+  await waitFor(() => expect(fake.calls.markers).toHaveLength(2));
+  expect(fake.calls.maps[0].getBounds().toJSON()).toEqual({ north: 3.2, south: 3.1, east: 101.7, west: 101.6 });
+
+  act(() => {
+    fake.google.maps.event.trigger(fake.calls.markers[1], 'click');
+  });
+  expect(selectSelectedPlace(store.getState()).place_id).toBe('c2');
+});
+
+test('draws the nearby radius and pins nearby results', async () => {
+  const { result } = renderMapHook();
+  await waitFor(() => expect(result.current.isLoaded).toBe(true));
+  const center = { lat: 3.1579, lng: 101.7116 };
+
+  act(() => {
+    store.dispatch(nearbySearchRequest({ center, radius: 1000 }));
+    store.dispatch(nearbySearchSuccess({
+      center,
+      results: [{ place_id: 'park', name: 'KLCC Park', geometry: { location: { lat: 3.1554, lng: 101.7146 } } }]
+    }));
+  });
+
+  await waitFor(() => expect(fake.calls.markers).toHaveLength(1));
+  expect(fake.calls.circles).toHaveLength(1);
+  expect(fake.calls.circles[0].getRadius()).toBe(1000);
+  expect(fake.calls.maps[0].getBounds().contains(center)).toBe(true);
+
+  act(() => {
+    store.dispatch(nearbySearchRequest({ radius: 2000 }));
+  });
+  await waitFor(() => expect(fake.calls.circles).toHaveLength(2));
+  expect(fake.calls.circles[0].getMap()).toBeNull();
+});
+
+test('starts a nearby search at the clicked point instead of dropping a pin while picking', async () => {
+  const { result } = renderMapHook();
+  await waitFor(() => expect(result.current.isLoaded).toBe(true));
+  const map = fake.calls.maps[0];
+  const latLng = new fake.google.maps.LatLng(3.14, 101.69);
+
+  act(() => {
+    fake.google.maps.event.trigger(map, 'click', { latLng });
+  });
+  expect(store.getState().nearby.status).toBe('idle');
+  expect(store.getState().droppedPin.status).toBe('loading');
+
+  act(() => {
+    store.dispatch(startNearbyPointPick());
+  });
+  act(() => {
+    fake.google.maps.event.trigger(map, 'click', { latLng });
+  });
+
+  expect(store.getState().nearby).toMatchObject({ isPickingPoint: false, center: { lat: 3.14, lng: 101.69 }, status: 'loading' });
+});
+
+test('drops a pin where the map is clicked and removes it once a place is chosen', async () => {
+  const { result } = renderMapHook();
+  await waitFor(() => expect(result.current.isLoaded).toBe(true));
+
+  act(() => {
+    fake.google.maps.event.trigger(fake.calls.maps[0], 'contextmenu', { latLng: new fake.google.maps.LatLng(3.14, 101.69) });
+  });
+
+  expect(store.getState().droppedPin).toMatchObject({ location: { lat: 3.14, lng: 101.69 }, status: 'loading' });
+  await waitFor(() => expect(fake.calls.markers).toHaveLength(1));
+  expect(fake.calls.markers[0].getTitle()).toBe('Dropped pin');
+
+  act(() => {
+    store.dispatch(selectPlace({ place: { place_id: 'a', name: 'A', geometry: { location: { lat: 3.14, lng: 101.69 } } } }));
+  });
+
+  await waitFor(() => expect(fake.calls.markers[0].getMap()).toBeNull());
+  expect(store.getState().droppedPin.status).toBe('idle');
+});
+
+test('draws the selected directions route and removes it when directions close', async () => {
+  const { result } = renderMapHook();
+  await waitFor(() => expect(result.current.isLoaded).toBe(true));
+  const path = [{ lat: 3.1342, lng: 101.6865 }, { lat: 3.1579, lng: 101.7116 }];
+
+  act(() => {
+    store.dispatch(openDirections());
+    store.dispatch(directionsSuccess([{
+      polyline: encodePolyline(path),
+      bounds: { north: 3.1579, south: 3.1342, east: 101.7116, west: 101.6865 },
+      start_location: path[0],
+      end_location: path[1],
+      steps: []
+    }]));
+  });
+
+  await waitFor(() => expect(fake.calls.polylines).toHaveLength(1));
+  expect(fake.calls.polylines[0].getPath().map(point => point.toJSON())).toEqual(path);
+  expect(fake.calls.markers.map(marker => marker.getTitle())).toEqual(['Start', 'Destination']);
+  expect(fake.calls.maps[0].getBounds().toJSON()).toEqual({ north: 3.1579, south: 3.1342, east: 101.7116, west: 101.6865 });
+
+  act(() => {
+    store.dispatch(closeDirections());
+  });
+  await waitFor(() => expect(fake.calls.polylines[0].getMap()).toBeNull());
+  expect(fake.calls.markers.every(marker => marker.getMap() === null)).toBe(true);
+});
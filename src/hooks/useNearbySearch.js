@@ -0,0 +1,56 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines a custom React hook for "What's around here": searching around the map center,
+// a picked point or a given place, and adjusting the category and radius (which re-runs an
+// active search in place).
+import { useCallback } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  nearbySearchRequest,
+  setNearbyRadius,
+  setNearbyCategory,
+  startNearbyPointPick,
+  cancelNearbyPointPick,
+  clearNearbySearch,
+  selectNearby
+} from '../store/slices/nearbySlice';
+
+export const useNearbySearch = () => {
+  const dispatch = useDispatch();
+  const nearby = useSelector(selectNearby);
+
+  // Without a center the saga uses the current map center
+  const searchNearby = useCallback((center) => {
+    dispatch(nearbySearchRequest(center ? { center } : {}));
+  }, [dispatch]);
+
+  const setRadius = useCallback((radius) => {
+    dispatch(setNearbyRadius(radius));
+    if (nearby?.isActive && nearby.center) {
+      dispatch(nearbySearchRequest({ center: nearby.center, radius }));
+    }
+  }, [dispatch, nearby?.isActive, nearby?.center]);
+
+  const setCategory = useCallback((category) => {
+    dispatch(setNearbyCategory(category));
+    if (nearby?.isActive && nearby.center) {
+      dispatch(nearbySearchRequest({ center: nearby.center, category }));
+    }
+  }, [dispatch, nearby?.isActive, nearby?.center]);
+
+  const togglePointPick = useCallback(() => {
+    dispatch(nearby?.isPickingPoint ? cancelNearbyPointPick() : startNearbyPointPick());
+  }, [dispatch, nearby?.isPickingPoint]);
+
+  const clear = useCallback(() => {
+    dispatch(clearNearbySearch());
+  }, [dispatch]);
+
+  return {
+    ...nearby,
+    searchNearby,
+    setRadius,
+    setCategory,
+    togglePointPick,
+    clear
+  };
+};
@@ -0,0 +1,15 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines a custom React hook returning the current time, refreshed every intervalMs, for
+// components whose output depends on the clock (e.g. whether a place is open right now).
+import { useEffect, useState } from 'react';
+
+export const useNow = (intervalMs = 60 * 1000) => {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs]);
+
+  return now;
+};
@@ -0,0 +1,51 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines a custom React hook that resolves a serialized photo reference into a sized image
+// URL through the active places provider. URLs stay out of Redux: they are only needed while a
+// photo is on screen, and the provider caches them.
+import { useEffect, useState } from 'react';
+import { getPlacesProvider } from '../services/placesProviderRegistry';
+import { serializePlacesError } from '../services/errors';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('ui');
+
+const EMPTY = { url: null, loading: false, error: null };
+
+// Whether the active provider can show photos at all
+export const supportsPlacePhotos = () => typeof getPlacesProvider().getPhotoUrl === 'function';
+
+export const usePhotoUrl = (photo, { maxWidth, maxHeight } = {}) => {
+  const [state, setState] = useState(EMPTY);
+  const placeId = photo?.place_id;
+  const index = photo?.index;
+
+  useEffect(() => {
+    const provider = getPlacesProvider();
+    if (!placeId || !Number.isInteger(index) || typeof provider.getPhotoUrl !== 'function') {
+      setState(EMPTY);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setState({ url: null, loading: true, error: null });
+
+    provider.getPhotoUrl({ place_id: placeId, index }, { maxWidth, maxHeight })
+      .then(url => {
+        if (!cancelled) {
+          setState({ url, loading: false, error: null });
+        }
+      })
+      .catch(error => {
+        log.warn(`⚠️ Photo ${index} of ${placeId} could not be resolved:`, error);
+        if (!cancelled) {
+          setState({ url: null, loading: false, error: serializePlacesError(error) });
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [placeId, index, maxWidth, maxHeight]);
+
+  return state;
+};
@@ -0,0 +1,29 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines a custom React hook for the details panel: the extended details of one place
+// (from state.placeDetails) and a load() that fetches them when missing or stale.
+import { useCallback } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  placeDetailsRequest,
+  selectPlaceDetailsEntry,
+  selectPlaceDetailsRequest
+} from '../store/slices/placeDetailsSlice';
+
+export const usePlaceDetails = (placeId) => {
+  const dispatch = useDispatch();
+  const entry = useSelector(state => selectPlaceDetailsEntry(state, placeId));
+  const { status, error } = useSelector(state => selectPlaceDetailsRequest(state, placeId));
+
+  const load = useCallback(() => {
+    if (placeId) {
+      dispatch(placeDetailsRequest(placeId));
+    }
+  }, [dispatch, placeId]);
+
+  return {
+    details: entry?.details || null,
+    status,
+    error,
+    load
+  };
+};
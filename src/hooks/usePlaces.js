@@ -12,23 +12,30 @@ import {
   searchPlacesRequest, 
   selectPlace as selectPlaceAction,
   clearSuggestions,
-  clearSearchHistory 
+  clearSearchHistory,
+  startAutocompleteSession,
+  endAutocompleteSession,
+  selectSuggestions,
+  selectSearchHistory,
+  selectSelectedPlace
 } from '../store/slices/placesSlice';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('ui');
 
 export const usePlaces = () => {
   const dispatch = useDispatch();
   
-  const {
-    suggestions,
-    searchHistory,
-    selectedPlace,
-    markers
-  } = useSelector(state => state.places);
+  const suggestions = useSelector(selectSuggestions);
+  const searchHistory = useSelector(selectSearchHistory);
+  const selectedPlace = useSelector(selectSelectedPlace);
+  const { markers, autocompleteSessionId } = useSelector(state => state.places);
   
   const {
     searchLoading,
     mapLoading,
-    error
+    error,
+    retrying
   } = useSelector(state => state.ui);
 
   const searchPlaces = useCallback((query) => {
@@ -37,17 +44,17 @@ export const usePlaces = () => {
 
   // 🛠️ CRITICAL FIX: Prevent double-wrapping of payload
   const selectPlace = useCallback((placeOrPayload, query = '') => {
-    console.log('🔍 usePlaces: selectPlace called with:', { placeOrPayload, query });
+    log.debug('🔍 usePlaces: selectPlace called with:', { placeOrPayload, query });
     
     // Check if first argument is already a structured payload object
     if (placeOrPayload && typeof placeOrPayload === 'object' && placeOrPayload.place) {
       // New format: { place: actualPlace, query: actualQuery }
       // Pass it directly without wrapping again
-      console.log('📝 usePlaces: Using structured payload format - passing directly');
+      log.debug('📝 usePlaces: Using structured payload format - passing directly');
       dispatch(selectPlaceAction(placeOrPayload));
     } else {
       // Old format: (place, query) - wrap it properly
-      console.log('📝 usePlaces: Using legacy format, creating structured payload');
+      log.debug('📝 usePlaces: Using legacy format, creating structured payload');
       dispatch(selectPlaceAction({ 
         place: placeOrPayload, 
         query: query || '' 
@@ -63,17 +70,34 @@ export const usePlaces = () => {
     dispatch(clearSearchHistory());
   }, [dispatch]);
 
+  // 🎟️ Autocomplete session lifecycle: start on first keystroke, end on clear / Escape
+  const startSession = useCallback(() => {
+    if (!autocompleteSessionId) {
+      dispatch(startAutocompleteSession());
+    }
+  }, [dispatch, autocompleteSessionId]);
+
+  const endSession = useCallback(() => {
+    if (autocompleteSessionId) {
+      dispatch(endAutocompleteSession(autocompleteSessionId));
+    }
+  }, [dispatch, autocompleteSessionId]);
+
   return {
     suggestions,
     searchHistory,
     selectedPlace,
     markers,
+    autocompleteSessionId,
     searchLoading,
     mapLoading,
     error,
+    retrying,
     searchPlaces,
     selectPlace,
     clearSuggestions: clearSuggestionsList,
-    clearHistory
+    clearHistory,
+    startSession,
+    endSession
   };
 };
\ No newline at end of file
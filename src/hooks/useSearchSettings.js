@@ -0,0 +1,51 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines a custom React hook for the runtime search settings (location bias, country
+// restriction, strict bounds) and the placeholder text derived from them.
+import { useCallback } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  setBiasMode as setBiasModeAction,
+  setCountryRestriction,
+  setStrictBounds as setStrictBoundsAction,
+  requestUserLocation,
+  resetSearchSettings,
+  selectSearchSettings,
+  selectSearchPlaceholder
+} from '../store/slices/searchSettingsSlice';
+import { SEARCH_BIAS_MODES } from '../utils/constants';
+
+export const useSearchSettings = () => {
+  const dispatch = useDispatch();
+  const settings = useSelector(selectSearchSettings);
+  const placeholder = useSelector(selectSearchPlaceholder);
+
+  // "Near me" needs a position first; the saga switches the bias once it arrives
+  const setBiasMode = useCallback((mode) => {
+    if (mode === SEARCH_BIAS_MODES.USER_LOCATION && !settings?.userLocation) {
+      dispatch(requestUserLocation());
+      return;
+    }
+    dispatch(setBiasModeAction(mode));
+  }, [dispatch, settings?.userLocation]);
+
+  const setCountry = useCallback((country) => {
+    dispatch(setCountryRestriction(country));
+  }, [dispatch]);
+
+  const setStrictBounds = useCallback((enabled) => {
+    dispatch(setStrictBoundsAction(enabled));
+  }, [dispatch]);
+
+  const reset = useCallback(() => {
+    dispatch(resetSearchSettings());
+  }, [dispatch]);
+
+  return {
+    settings,
+    placeholder,
+    setBiasMode,
+    setCountry,
+    setStrictBounds,
+    reset
+  };
+};
@@ -0,0 +1,72 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines a custom React hook for "See all results": starting a paginated text search,
+// loading further pages, the "Open now" filter and closing the results list.
+import { useCallback, useMemo } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  textSearchRequest,
+  textSearchNextPage,
+  setOpenNowFilter,
+  closeTextSearch,
+  selectSearchResults
+} from '../store/slices/searchResultsSlice';
+import { selectPlaceDetailsById } from '../store/slices/placeDetailsSlice';
+import { isPlaceOpenNow } from '../utils/helpers';
+import { useNow } from './useNow';
+
+export const useTextSearch = () => {
+  const dispatch = useDispatch();
+  const searchResults = useSelector(selectSearchResults);
+  const extendedDetailsById = useSelector(selectPlaceDetailsById);
+  const now = useNow();
+  const { results, openNowOnly } = searchResults;
+
+  // place_id -> true / false / null (unknown). Extended details, when loaded, have full periods
+  // and the UTC offset; text search results usually carry no hours at all, so "Open now" hides
+  // only the places known to be closed and the list marks the rest as unknown.
+  const openNowById = useMemo(() => {
+    const byId = {};
+    results.forEach(place => {
+      const extended = extendedDetailsById[place.place_id]?.details;
+      byId[place.place_id] = isPlaceOpenNow(
+        extended?.opening_hours || place.opening_hours,
+        extended?.utc_offset_minutes ?? place.utc_offset_minutes,
+        now
+      );
+    });
+    return byId;
+  }, [results, extendedDetailsById, now]);
+
+  const visibleResults = useMemo(
+    () => (openNowOnly ? results.filter(place => openNowById[place.place_id] !== false) : results),
+    [results, openNowOnly, openNowById]
+  );
+
+  const searchAll = useCallback((query) => {
+    dispatch(textSearchRequest({ query }));
+  }, [dispatch]);
+
+  const loadMore = useCallback(() => {
+    dispatch(textSearchNextPage());
+  }, [dispatch]);
+
+  const setOpenNowOnly = useCallback((enabled) => {
+    dispatch(setOpenNowFilter(enabled));
+  }, [dispatch]);
+
+  const close = useCallback(() => {
+    dispatch(closeTextSearch());
+  }, [dispatch]);
+
+  return {
+    ...searchResults,
+    results: visibleResults,
+    totalResults: results.length,
+    openNowById,
+    hasMore: Boolean(searchResults?.nextCursor),
+    searchAll,
+    loadMore,
+    setOpenNowOnly,
+    close
+  };
+};
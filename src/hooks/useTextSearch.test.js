@@ -0,0 +1,27 @@
+import React from 'react';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
+import { renderHook, act } from '@testing-library/react';
+import { useTextSearch } from './useTextSearch';
+import searchResultsReducer, { textSearchRequest, textSearchSuccess, setOpenNowFilter } from '../store/slices/searchResultsSlice';
+import placeDetailsReducer from '../store/slices/placeDetailsSlice';
+
+const result = (place_id, opening_hours) => ({ place_id, name: place_id, types: [], photos: [], ...(opening_hours && { opening_hours }) });
+
+test('with "Open now" on, hides closed places and keeps those with unknown hours', () => {
+  const store = configureStore({ reducer: { searchResults: searchResultsReducer, placeDetails: placeDetailsReducer } });
+  const wrapper = ({ children }) => <Provider store={store}>{children}</Provider>;
+  const { result: hook } = renderHook(() => useTextSearch(), { wrapper });
+
+  act(() => {
+    store.dispatch(textSearchRequest({ query: 'cafe' }));
+    store.dispatch(textSearchSuccess({
+      results: [result('open', { open_now: true }), result('closed', { open_now: false }), result('no-hours')]
+    }));
+    store.dispatch(setOpenNowFilter(true));
+  });
+
+  expect(hook.current.openNowById).toEqual({ open: true, closed: false, 'no-hours': null });
+  expect(hook.current.results.map(place => place.place_id)).toEqual(['open', 'no-hours']);
+  expect(hook.current.totalResults).toBe(3);
+});
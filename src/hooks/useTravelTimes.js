@@ -0,0 +1,46 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines a custom React hook for the travel-time column of the suggestions: where travel
+// times are measured from (off, your location or the pinned place), the travel mode, and the
+// times per suggestion filled in by the saga after each searchPlacesSuccess.
+import { useCallback } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  setTravelTimeOrigin,
+  setTravelTimeMode
+} from '../store/slices/placesSlice';
+import { requestUserLocation } from '../store/slices/searchSettingsSlice';
+import { TRAVEL_TIME_ORIGINS } from '../utils/constants';
+
+export const useTravelTimes = () => {
+  const dispatch = useDispatch();
+  const {
+    travelTimeOrigin,
+    travelTimeMode,
+    travelTimes,
+    travelTimesStatus,
+    travelTimesError
+  } = useSelector(state => state.places);
+  const hasUserLocation = useSelector(state => Boolean(state.searchSettings?.userLocation));
+
+  // Measuring from "your location" asks for the position first; the saga re-runs once it arrives
+  const setOrigin = useCallback((origin) => {
+    if (origin === TRAVEL_TIME_ORIGINS.USER_LOCATION && !hasUserLocation) {
+      dispatch(requestUserLocation({ useForBias: false }));
+    }
+    dispatch(setTravelTimeOrigin(origin));
+  }, [dispatch, hasUserLocation]);
+
+  const setMode = useCallback((mode) => {
+    dispatch(setTravelTimeMode(mode));
+  }, [dispatch]);
+
+  return {
+    origin: travelTimeOrigin,
+    mode: travelTimeMode,
+    travelTimes,
+    status: travelTimesStatus,
+    error: travelTimesError,
+    setOrigin,
+    setMode
+  };
+};
@@ -0,0 +1,16 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines a custom React hook for the API usage meter: today's per-SKU call counts, the
+// estimated cost, the caps, and a reset. The meter lives in the service layer (calls are counted
+// inside googleMapsService), so it is read with useSyncExternalStore rather than from Redux.
+import { useCallback, useSyncExternalStore } from 'react';
+import { usageMeter as defaultUsageMeter } from '../services/usageMeter';
+
+export const useUsageMeter = (meter = defaultUsageMeter) => {
+  const usage = useSyncExternalStore(meter.subscribe, meter.getSnapshot);
+
+  const reset = useCallback(() => {
+    meter.reset();
+  }, [meter]);
+
+  return { ...usage, reset };
+};
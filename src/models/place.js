@@ -0,0 +1,337 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the Place model, the one place shape allowed into the Redux store. createPlace()
+// converts whatever a provider returns (Maps JavaScript API PlaceResults and predictions, the
+// Places API (New) adapters, Nominatim/Photon, the demo dataset, or a saved copy) into a Place,
+// checking every field against PLACE_SCHEMA:
+//   - known fields are converted to plain data (LatLng objects become literals, photos become
+//     references without getUrl(), opening hours keep only periods and weekday text);
+//   - a field that fails its check is dropped, and unknown fields are never copied;
+//   - geometry is repaired where the intent is clear (numeric strings, swapped or wrapped
+//     coordinates, viewport corners in the wrong order, a missing location inside a viewport);
+//   - every drop or repair is recorded in place.warnings and logged.
+// A payload without a place_id is rejected: createPlace returns null.
+// Call it once, where payloads enter (sagas, persistence): it logs, so reducers never call it and
+// take Places as they are. Favorites are Places plus addedAt (see toFavorite).
+//
+// One exception: the extended details behind the details panel (phone numbers, website, reviews;
+// see serializePlaceExtras) are not a place but extras kept per place_id in state.placeDetails,
+// fetched on demand and dropped when stale. Making them Place fields would put reviews into every
+// suggestion and history entry. createPlaceExtras() checks the fields they share with a Place
+// against PLACE_SCHEMA, so both copies of the hours or business status agree.
+import { serializePlacePhotos } from '../utils/photos';
+import { serializeOpeningHours } from '../utils/helpers';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('store');
+
+/**
+ * @typedef {Object} LatLngLiteral
+ * @property {number} lat - Degrees, -90..90
+ * @property {number} lng - Degrees, -180..180
+ */
+
+/**
+ * @typedef {Object} LatLngBoundsLiteral
+ * @property {LatLngLiteral} northeast
+ * @property {LatLngLiteral} southwest - southwest.lat <= northeast.lat; lng may be larger when
+ *   the area crosses the antimeridian
+ */
+
+/**
+ * @typedef {Object} PlaceGeometry
+ * @property {LatLngLiteral} [location]
+ * @property {LatLngBoundsLiteral} [viewport]
+ * @property {LatLngBoundsLiteral} [bounds]
+ */
+
+/**
+ * @typedef {Object} TextMatch
+ * @property {number} offset
+ * @property {number} length
+ */
+
+/**
+ * @typedef {Object} StructuredFormatting
+ * @property {string} main_text
+ * @property {string} secondary_text
+ * @property {TextMatch[]} [main_text_matched_substrings]
+ */
+
+/**
+ * @typedef {Object} Place
+ * @property {string} place_id
+ * @property {string} [name]
+ * @property {string} [description] - Prediction text
+ * @property {string} [formatted_address]
+ * @property {string} [vicinity]
+ * @property {StructuredFormatting} [structured_formatting]
+ * @property {TextMatch[]} [matched_substrings]
+ * @property {string[]} types
+ * @property {number} [rating] - 0..5
+ * @property {number} [user_ratings_total]
+ * @property {number} [price_level] - 0..4
+ * @property {string} [business_status]
+ * @property {number} [utc_offset_minutes]
+ * @property {number} [distance_meters] - From the point a nearby search was made around
+ * @property {Object[]} photos - Photo references, see serializePlacePhotos
+ * @property {Object} [opening_hours] - See serializeOpeningHours
+ * @property {PlaceGeometry} [geometry]
+ * @property {string[]} [warnings] - What validation dropped or repaired
+ */
+
+// Reading a field: (value, warn, raw) -> the value to keep, or undefined to leave it out
+const string = () => (value, warn) => {
+  if (typeof value === 'string') return value;
+  warn(`expected text, got ${typeof value}`);
+  return undefined;
+};
+
+const number = ({ min = -Infinity, max = Infinity, integer = false } = {}) => (value, warn) => {
+  if (typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max
+    && (!integer || Number.isInteger(value))) {
+    return value;
+  }
+  warn(`expected ${integer ? 'a whole number' : 'a number'} in ${min}..${max}, got ${JSON.stringify(value)}`);
+  return undefined;
+};
+
+const stringList = () => (value, warn) => {
+  if (!Array.isArray(value)) {
+    warn('expected a list');
+    return undefined;
+  }
+  const strings = value.filter(item => typeof item === 'string');
+  if (strings.length !== value.length) {
+    warn(`dropped ${value.length - strings.length} entries that are not text`);
+  }
+  return strings;
+};
+
+const textMatches = () => (value, warn) => {
+  if (!Array.isArray(value)) {
+    warn('expected a list');
+    return undefined;
+  }
+  return value
+    .filter(match => Number.isInteger(match?.offset) && Number.isInteger(match?.length))
+    .map(({ offset, length }) => ({ offset, length }));
+};
+
+const structuredFormatting = () => (value, warn) => {
+  if (!value || typeof value !== 'object') {
+    warn('expected an object');
+    return undefined;
+  }
+  return {
+    main_text: typeof value.main_text === 'string' ? value.main_text : '',
+    secondary_text: typeof value.secondary_text === 'string' ? value.secondary_text : '',
+    ...(Array.isArray(value.main_text_matched_substrings) && {
+      main_text_matched_substrings: textMatches()(value.main_text_matched_substrings, warn)
+    })
+  };
+};
+
+export const isValidLatLng = (value) => Boolean(value)
+  && Number.isFinite(value.lat) && Number.isFinite(value.lng)
+  && Math.abs(value.lat) <= 90 && Math.abs(value.lng) <= 180;
+
+const wrapLongitude = (lng) => ((((lng + 180) % 360) + 360) % 360) - 180;
+
+// LatLng or literal -> LatLngLiteral, repaired where possible; undefined when it cannot be
+function readLatLng(point, warn) {
+  let lat = typeof point?.lat === 'function' ? point.lat() : point?.lat;
+  let lng = typeof point?.lng === 'function' ? point.lng() : point?.lng;
+
+  if (typeof lat === 'string' || typeof lng === 'string') {
+    [lat, lng] = [lat, lng].map(value => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value));
+    warn('coordinates were text');
+  }
+  if (typeof lat !== 'number' || typeof lng !== 'number' || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+    warn(`dropped coordinates that are not numbers: ${JSON.stringify({ lat, lng })}`);
+    return undefined;
+  }
+  if (Math.abs(lat) > 90 && Math.abs(lng) <= 90) {
+    [lat, lng] = [lng, lat];
+    warn('latitude and longitude were swapped');
+  }
+  if (Math.abs(lat) > 90) {
+    warn(`dropped latitude ${lat}, outside -90..90`);
+    return undefined;
+  }
+  if (Math.abs(lng) > 180) {
+    const wrapped = wrapLongitude(lng);
+    warn(`longitude ${lng} wrapped to ${wrapped}`);
+    lng = wrapped;
+  }
+  return { lat, lng };
+}
+
+// LatLngBounds, { north, east, south, west } or { northeast, southwest } -> LatLngBoundsLiteral
+function readBounds(bounds, warn) {
+  let corners = null;
+  try {
+    if (typeof bounds.getNorthEast === 'function' && typeof bounds.getSouthWest === 'function') {
+      corners = [bounds.getNorthEast(), bounds.getSouthWest()];
+    } else if (bounds.north !== undefined) {
+      corners = [{ lat: bounds.north, lng: bounds.east }, { lat: bounds.south, lng: bounds.west }];
+    } else if (bounds.northeast && bounds.southwest) {
+      corners = [bounds.northeast, bounds.southwest];
+    }
+  } catch (error) {
+    warn(`could not be read (${error.message})`);
+    return undefined;
+  }
+  if (!corners) {
+    warn('unrecognized bounds');
+    return undefined;
+  }
+
+  const northeast = readLatLng(corners[0], warn);
+  const southwest = readLatLng(corners[1], warn);
+  if (!northeast || !southwest) {
+    return undefined;
+  }
+  if (southwest.lat > northeast.lat) {
+    [southwest.lat, northeast.lat] = [northeast.lat, southwest.lat];
+    warn('north and south edges were swapped');
+  }
+  return { northeast, southwest };
+}
+
+const boundsCenter = ({ northeast, southwest }) => {
+  // West edge east of the east edge: the area crosses the antimeridian
+  const east = southwest.lng > northeast.lng ? northeast.lng + 360 : northeast.lng;
+  return { lat: (northeast.lat + southwest.lat) / 2, lng: wrapLongitude((southwest.lng + east) / 2) };
+};
+
+const geometry = () => (value, warn) => {
+  if (!value || typeof value !== 'object') {
+    warn('expected an object');
+    return undefined;
+  }
+
+  const read = {};
+  const location = value.location && readLatLng(value.location, (message) => warn(`location: ${message}`));
+  if (location) read.location = location;
+  ['viewport', 'bounds'].forEach(key => {
+    const bounds = value[key] && readBounds(value[key], (message) => warn(`${key}: ${message}`));
+    if (bounds) read[key] = bounds;
+  });
+
+  if (!read.location && read.viewport) {
+    read.location = boundsCenter(read.viewport);
+    warn('location: missing, used the viewport center');
+  }
+  return Object.keys(read).length > 0 ? read : undefined;
+};
+
+const photos = () => (value, warn, raw) => {
+  if (!Array.isArray(value)) {
+    warn('expected a list');
+    return [];
+  }
+  return serializePlacePhotos(raw);
+};
+
+const openingHours = () => (value, warn) => {
+  const hours = serializeOpeningHours(value);
+  if (!hours) warn('expected an object');
+  return hours || undefined;
+};
+
+// Every field a Place can have; anything else a provider sends is left out
+export const PLACE_SCHEMA = {
+  place_id: string(),
+  name: string(),
+  description: string(),
+  formatted_address: string(),
+  vicinity: string(),
+  structured_formatting: structuredFormatting(),
+  matched_substrings: textMatches(),
+  types: stringList(),
+  rating: number({ min: 0, max: 5 }),
+  user_ratings_total: number({ min: 0, integer: true }),
+  price_level: number({ min: 0, max: 4, integer: true }),
+  business_status: string(),
+  utc_offset_minutes: number({ min: -12 * 60, max: 14 * 60, integer: true }),
+  distance_meters: number({ min: 0 }),
+  photos: photos(),
+  opening_hours: openingHours(),
+  geometry: geometry(),
+  warnings: stringList()
+};
+
+const pick = (source, fields) => Object.fromEntries(fields.map(field => [field, source?.[field]]));
+
+// Always present, even when the provider leaves them out
+const DEFAULTS = { types: [], photos: [] };
+
+/**
+ * Validates and converts a provider payload.
+ * @param {Object} input
+ * @returns {{ place: Place|null, warnings: string[] }} place is null when the input is rejected;
+ *   warnings lists what was dropped or repaired this time
+ */
+export function parsePlace(input) {
+  if (!input || typeof input !== 'object') {
+    return { place: null, warnings: ['not an object'] };
+  }
+  if (typeof input.place_id !== 'string' || input.place_id.length === 0) {
+    return { place: null, warnings: ['place_id: missing'] };
+  }
+
+  const warnings = [];
+  const place = { ...DEFAULTS };
+  Object.entries(PLACE_SCHEMA).forEach(([field, read]) => {
+    const value = input[field];
+    if (value === undefined || value === null) return;
+
+    const converted = read(value, (message) => warnings.push(`${field}: ${message}`), input);
+    if (converted !== undefined) {
+      place[field] = converted;
+    }
+  });
+
+  const recorded = [...(place.warnings || []), ...warnings.filter(warning => !place.warnings?.includes(warning))];
+  if (recorded.length > 0) {
+    place.warnings = recorded;
+  }
+  return { place, warnings };
+}
+
+/**
+ * A Place for a provider payload, or null when it cannot be one. Repairs are logged.
+ * @param {Object} input
+ * @returns {Place|null}
+ */
+export function createPlace(input) {
+  const { place, warnings } = parsePlace(input);
+  if (!place) {
+    log.warn('⚠️ Place: Rejected provider payload:', warnings.join('; '), input);
+  } else if (warnings.length > 0) {
+    log.warn(`⚠️ Place: ${place.place_id}: ${warnings.join('; ')}`);
+  }
+  return place;
+}
+
+// Places for a list of payloads, leaving out the rejected ones
+export const createPlaces = (inputs) => (inputs || []).map(input => createPlace(input)).filter(Boolean);
+
+// Extended details fields that are also Place fields
+const SHARED_EXTRAS_FIELDS = ['opening_hours', 'utc_offset_minutes', 'price_level', 'business_status'];
+
+/**
+ * Extended details with the fields they share with a Place validated like one; a shared field
+ * that fails its check becomes null. The other fields are kept as given.
+ * @param {string} placeId
+ * @param {Object} details - See serializePlaceExtras
+ * @returns {Object}
+ */
+export function createPlaceExtras(placeId, details) {
+  const checked = createPlace({ place_id: placeId, ...pick(details, SHARED_EXTRAS_FIELDS) });
+  const extras = { ...details, place_id: placeId };
+  SHARED_EXTRAS_FIELDS.forEach(field => {
+    extras[field] = checked?.[field] ?? null;
+  });
+  return extras;
+}
@@ -0,0 +1,111 @@
+import { createPlace, createPlaces, createPlaceExtras, parsePlace } from './place';
+import { toFakeGeometry } from '../test-utils/fakeGoogleMaps';
+
+const sdkPlace = {
+  place_id: 'klcc',
+  name: 'Petronas Twin Towers',
+  geometry: toFakeGeometry({
+    location: { lat: 3.1579, lng: 101.7116 },
+    viewport: { northeast: { lat: 3.16, lng: 101.72 }, southwest: { lat: 3.15, lng: 101.70 } }
+  }),
+  photos: [{ width: 800, height: 600, html_attributions: [], getUrl: () => 'https://example.com/photo.jpg' }],
+  opening_hours: { periods: [], weekday_text: [], isOpen: () => true },
+  utc_offset_minutes: 480,
+  plus_code: { global_code: '6PM34QR6+5M' },
+  isOpen: () => true
+};
+
+test('turns an SDK place into plain data and leaves out fields it does not know', () => {
+  const place = createPlace(sdkPlace);
+
+  expect(place).toEqual({
+    place_id: 'klcc',
+    name: 'Petronas Twin Towers',
+    types: [],
+    geometry: {
+      location: { lat: 3.1579, lng: 101.7116 },
+      viewport: { northeast: { lat: 3.16, lng: 101.72 }, southwest: { lat: 3.15, lng: 101.70 } }
+    },
+    photos: [expect.objectContaining({ place_id: 'klcc', index: 0, width: 800 })],
+    opening_hours: { periods: [], weekday_text: [] },
+    utc_offset_minutes: 480
+  });
+  expect(JSON.parse(JSON.stringify(place))).toEqual(place);
+});
+
+test('gives a Place back unchanged and without new warnings', () => {
+  const place = createPlace({ ...sdkPlace, geometry: { location: { lat: '3.1579', lng: '101.7116' } } });
+
+  expect(parsePlace(place)).toEqual({ place, warnings: [] });
+});
+
+test('rejects payloads without a place_id', () => {
+  expect(createPlace({ name: 'Somewhere', geometry: { location: { lat: 3.1, lng: 101.6 } } })).toBeNull();
+  expect(createPlace(null)).toBeNull();
+  expect(createPlaces([null, { place_id: '' }, { place_id: 'batu' }])).toEqual([{ place_id: 'batu', types: [], photos: [] }]);
+});
+
+test('repairs coordinates whose meaning is clear', () => {
+  const locationOf = (location) => createPlace({ place_id: 'p', geometry: { location } }).geometry?.location;
+
+  expect(locationOf({ lat: '3.1579', lng: '101.7116' })).toEqual({ lat: 3.1579, lng: 101.7116 });
+  expect(locationOf({ lat: 101.7116, lng: 3.1579 })).toEqual({ lat: 3.1579, lng: 101.7116 });
+  expect(locationOf({ lat: 3.1579, lng: 461.7116 }).lng).toBeCloseTo(101.7116);
+  expect(locationOf({ lat: 95, lng: 101.7 })).toBeUndefined();
+  expect(locationOf({ lat: '', lng: 101.7 })).toBeUndefined();
+});
+
+test('orders viewport corners and fills a missing location from the viewport', () => {
+  const { geometry, warnings } = createPlace({
+    place_id: 'p',
+    geometry: { viewport: { north: 3.1, south: 3.2, east: 101.8, west: 101.6 } }
+  });
+
+  expect(geometry.location.lat).toBeCloseTo(3.15);
+  expect(geometry.location.lng).toBeCloseTo(101.7);
+  expect(geometry).toMatchObject({
+    viewport: { northeast: { lat: 3.2, lng: 101.8 }, southwest: { lat: 3.1, lng: 101.6 } }
+  });
+  expect(warnings).toEqual([
+    'geometry: viewport: north and south edges were swapped',
+    'geometry: location: missing, used the viewport center'
+  ]);
+});
+
+test('drops fields that fail their checks and records why', () => {
+  const place = createPlace({ place_id: 'p', rating: 7, price_level: 2, types: ['cafe', 3], name: 42 });
+
+  expect(place).toEqual({
+    place_id: 'p',
+    types: ['cafe'],
+    photos: [],
+    price_level: 2,
+    warnings: [
+      'name: expected text, got number',
+      'types: dropped 1 entries that are not text',
+      'rating: expected a number in 0..5, got 7'
+    ]
+  });
+});
+
+test('checks the fields extended details share with a Place and keeps the rest', () => {
+  const extras = createPlaceExtras('klcc', {
+    place_id: 'klcc',
+    website: 'https://example.com',
+    reviews: [],
+    opening_hours: null,
+    utc_offset_minutes: 480,
+    price_level: 9,
+    business_status: 'OPERATIONAL'
+  });
+
+  expect(extras).toEqual({
+    place_id: 'klcc',
+    website: 'https://example.com',
+    reviews: [],
+    opening_hours: null,
+    utc_offset_minutes: 480,
+    price_level: null,
+    business_status: 'OPERATIONAL'
+  });
+});
@@ -0,0 +1,186 @@
+// This file is part of the Google Places Redux Saga project.
+// It implements the HTTP client for the app's own REST backend (REACT_APP_API_BASE_URL), used by
+// favoritesService. Requests and responses are JSON; every failure is an ApiError with a stable
+// `code`, so sagas can serialize it into Redux like the places errors.
+//
+// Authentication is left to the host app: setAuthHeaderProvider(() => ({ Authorization: ... }))
+// adds headers (sync or async) to every request.
+import { API_CONFIG } from '../utils/constants';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('api');
+
+export const API_ERROR_CODES = {
+  NOT_CONFIGURED: 'NOT_CONFIGURED',
+  TIMEOUT: 'TIMEOUT',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  HTTP_ERROR: 'HTTP_ERROR',
+  INVALID_JSON: 'INVALID_JSON'
+};
+
+const CODES = API_ERROR_CODES;
+
+const USER_MESSAGES = {
+  [CODES.NOT_CONFIGURED]: 'The server is not configured. Set REACT_APP_API_BASE_URL.',
+  [CODES.TIMEOUT]: 'The server took too long to respond. Please try again.',
+  [CODES.NETWORK_ERROR]: 'Could not reach the server. Please check your connection.',
+  [CODES.INVALID_JSON]: 'The server sent a response that could not be read.'
+};
+
+export class ApiError extends Error {
+  // options: { status, body, cause } - status and body are set for HTTP_ERROR
+  constructor(code, message, { status = null, body = null, cause = null } = {}) {
+    super(message || USER_MESSAGES[code] || code);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.body = body;
+    this.cause = cause;
+    // Timeouts, lost connections, rate limits and server errors can succeed on a later try
+    this.retryable = code === CODES.TIMEOUT
+      || code === CODES.NETWORK_ERROR
+      || (code === CODES.HTTP_ERROR && (status === 429 || status >= 500));
+  }
+}
+
+// JSON error bodies as commonly sent: { message }, { error: 'text' } or { error: { message } }
+const errorBodyMessage = (body) => {
+  if (!body || typeof body !== 'object') return null;
+  if (typeof body.message === 'string') return body.message;
+  if (typeof body.error === 'string') return body.error;
+  return typeof body.error?.message === 'string' ? body.error.message : null;
+};
+
+// Serializable shape for Redux: { code, message, status, retryable }
+export function serializeApiError(error) {
+  if (!(error instanceof ApiError)) {
+    return { code: CODES.NETWORK_ERROR, message: error?.message || USER_MESSAGES[CODES.NETWORK_ERROR], status: null, retryable: true };
+  }
+  return {
+    code: error.code,
+    message: error.code === CODES.HTTP_ERROR ? error.message : USER_MESSAGES[error.code],
+    status: error.status,
+    retryable: error.retryable
+  };
+}
+
+class ApiService {
+  constructor({
+    baseUrl = API_CONFIG.baseUrl,
+    timeoutMs = API_CONFIG.timeoutMs,
+    fetchImpl,
+    getAuthHeaders = null
+  } = {}) {
+    this.baseUrl = baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+    this.timeoutMs = timeoutMs;
+    this.fetchImpl = fetchImpl || ((...args) => fetch(...args));
+    this.getAuthHeaders = getAuthHeaders;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl);
+  }
+
+  // provider: () => headers | Promise<headers>, called before every request; null removes it
+  setAuthHeaderProvider(provider) {
+    this.getAuthHeaders = provider;
+  }
+
+  _url(path, query) {
+    const search = query ? new URLSearchParams(query).toString() : '';
+    return `${this.baseUrl}/${path.replace(/^\/+/, '')}${search ? `?${search}` : ''}`;
+  }
+
+  async _parseBody(response) {
+    const text = await response.text();
+    if (!text) {
+      return null;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      if (!response.ok) {
+        // Proxies answer failures with HTML; the status says enough
+        return null;
+      }
+      throw new ApiError(CODES.INVALID_JSON, `Invalid JSON in response from ${response.url || 'server'}`, { status: response.status, cause: error });
+    }
+  }
+
+  // options: { body (sent as JSON), query, headers }. Resolves with the parsed JSON body, or null
+  // for empty responses (204).
+  async request(method, path, { body, query, headers = {} } = {}) {
+    if (!this.baseUrl) {
+      throw new ApiError(CODES.NOT_CONFIGURED, 'API base URL not configured. Set REACT_APP_API_BASE_URL.');
+    }
+
+    const authHeaders = this.getAuthHeaders ? await this.getAuthHeaders() : null;
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), this.timeoutMs) : null;
+    const url = this._url(path, query);
+
+    try {
+      log.debug(`🌐 API: ${method} ${url}`);
+      const response = await this.fetchImpl(url, {
+        method,
+        headers: {
+          Accept: 'application/json',
+          ...(body !== undefined && { 'Content-Type': 'application/json' }),
+          ...authHeaders,
+          ...headers
+        },
+        ...(body !== undefined && { body: JSON.stringify(body) }),
+        signal: controller?.signal
+      });
+
+      const responseBody = await this._parseBody(response);
+      if (!response.ok) {
+        throw new ApiError(
+          CODES.HTTP_ERROR,
+          errorBodyMessage(responseBody) || `Request failed with status ${response.status}`,
+          { status: response.status, body: responseBody }
+        );
+      }
+      return responseBody;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      if (error.name === 'AbortError') {
+        throw new ApiError(CODES.TIMEOUT, `${method} ${path} timed out after ${this.timeoutMs}ms`, { cause: error });
+      }
+      // fetch() only rejects when the server could not be reached
+      throw new ApiError(CODES.NETWORK_ERROR, error.message, { cause: error });
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+  }
+
+  get(path, options) {
+    return this.request('GET', path, options);
+  }
+
+  post(path, body, options) {
+    return this.request('POST', path, { ...options, body });
+  }
+
+  put(path, body, options) {
+    return this.request('PUT', path, { ...options, body });
+  }
+
+  delete(path, options) {
+    return this.request('DELETE', path, options);
+  }
+
+  getStatus() {
+    return {
+      baseUrl: this.baseUrl,
+      timeoutMs: this.timeoutMs,
+      hasAuthHeaders: Boolean(this.getAuthHeaders)
+    };
+  }
+}
+
+export const apiService = new ApiService();
+
+export default ApiService;
@@ -0,0 +1,93 @@
+import ApiService, { ApiError, API_ERROR_CODES, serializeApiError } from './apiService';
+import { createFakeFetch } from '../test-utils/fakeFetch';
+
+const BASE_URL = 'http://localhost:8080/api/';
+
+describe('ApiService', () => {
+  test('sends JSON to the base URL and parses JSON responses', async () => {
+    const server = createFakeFetch({
+      'PUT /api/favorites/abc': ({ body }) => ({ body: { ...body, stored: true } }),
+      'GET /api/favorites': () => ({ body: [] })
+    });
+    const api = new ApiService({ baseUrl: BASE_URL, fetchImpl: server.fetchImpl });
+
+    await expect(api.put('/favorites/abc', { name: 'KLCC' })).resolves.toEqual({ name: 'KLCC', stored: true });
+    await expect(api.get('favorites', { query: { limit: 5 } })).resolves.toEqual([]);
+
+    expect(server.requests[0]).toMatchObject({
+      method: 'PUT',
+      pathname: '/api/favorites/abc',
+      headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+      body: { name: 'KLCC' }
+    });
+    expect(server.requests[1]).toMatchObject({ method: 'GET', params: { limit: '5' }, body: undefined });
+    expect(server.requests[1].headers).not.toHaveProperty('Content-Type');
+  });
+
+  test('resolves empty responses with null', async () => {
+    const server = createFakeFetch({ 'DELETE /api/favorites/abc': () => ({ status: 204 }) });
+    const api = new ApiService({ baseUrl: BASE_URL, fetchImpl: server.fetchImpl });
+
+    await expect(api.delete('/favorites/abc')).resolves.toBeNull();
+  });
+
+  test('adds headers from the auth hook to every request', async () => {
+    const server = createFakeFetch({ 'GET /api/favorites': () => ({ body: [] }) });
+    const api = new ApiService({ baseUrl: BASE_URL, fetchImpl: server.fetchImpl });
+
+    api.setAuthHeaderProvider(async () => ({ Authorization: 'Bearer token-1' }));
+    await api.get('/favorites');
+    api.setAuthHeaderProvider(null);
+    await api.get('/favorites');
+
+    expect(server.requests[0].headers).toMatchObject({ Authorization: 'Bearer token-1' });
+    expect(server.requests[1].headers).not.toHaveProperty('Authorization');
+  });
+
+  test('turns HTTP failures into ApiErrors carrying the JSON error message', async () => {
+    const server = createFakeFetch({
+      'PUT /api/favorites/abc': () => ({ status: 422, body: { error: { message: 'Name is required' } } }),
+      'GET /api/favorites': () => ({ status: 503, body: '<html>Bad gateway</html>' })
+    });
+    const api = new ApiService({ baseUrl: BASE_URL, fetchImpl: server.fetchImpl });
+
+    const invalid = await api.put('/favorites/abc', {}).catch(error => error);
+    expect(invalid).toBeInstanceOf(ApiError);
+    expect(invalid).toMatchObject({ code: API_ERROR_CODES.HTTP_ERROR, status: 422, message: 'Name is required', retryable: false });
+
+    const unavailable = await api.get('/favorites').catch(error => error);
+    expect(serializeApiError(unavailable)).toEqual({
+      code: API_ERROR_CODES.HTTP_ERROR,
+      message: 'Request failed with status 503',
+      status: 503,
+      retryable: true
+    });
+  });
+
+  test('rejects successful responses that are not JSON', async () => {
+    const server = createFakeFetch({ 'GET /api/favorites': () => ({ status: 200, body: 'not json' }) });
+    const api = new ApiService({ baseUrl: BASE_URL, fetchImpl: server.fetchImpl });
+
+    await expect(api.get('/favorites')).rejects.toMatchObject({ code: API_ERROR_CODES.INVALID_JSON });
+  });
+
+  test('times out slow requests and reports unreachable servers', async () => {
+    const hanging = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    }));
+    const slow = new ApiService({ baseUrl: BASE_URL, timeoutMs: 10, fetchImpl: hanging });
+    const offline = new ApiService({ baseUrl: BASE_URL, fetchImpl: jest.fn().mockRejectedValue(new TypeError('Failed to fetch')) });
+
+    await expect(slow.get('/favorites')).rejects.toMatchObject({ code: API_ERROR_CODES.TIMEOUT, retryable: true });
+    await expect(offline.get('/favorites')).rejects.toMatchObject({ code: API_ERROR_CODES.NETWORK_ERROR, retryable: true });
+  });
+
+  test('refuses to send requests without a base URL', async () => {
+    const fetchImpl = jest.fn();
+    const api = new ApiService({ baseUrl: '', fetchImpl });
+
+    expect(api.isConfigured()).toBe(false);
+    await expect(api.get('/favorites')).rejects.toMatchObject({ code: API_ERROR_CODES.NOT_CONFIGURED });
+    expect(fetchImpl).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,75 @@
+// This file is part of the Google Places Redux Saga project.
+// It manages autocomplete session tokens so one typing session is billed as one session.
+// Redux only ever sees a serializable session id (started by PlaceAutocomplete when the user begins
+// typing); the non-serializable AutocompleteSessionToken lives here, keyed by that id. Every
+// prediction request of the session reuses the token, the place-details request on selection
+// consumes it, and the session is then retired (also on clear / Escape).
+
+// Google treats a session as expired a few minutes after it starts
+const DEFAULT_MAX_SESSION_AGE_MS = 3 * 60 * 1000;
+const DEFAULT_MAX_SESSIONS = 10;
+
+export class AutocompleteSessionManager {
+  constructor({
+    createToken,
+    maxSessionAgeMs = DEFAULT_MAX_SESSION_AGE_MS,
+    maxSessions = DEFAULT_MAX_SESSIONS,
+    now = () => Date.now()
+  } = {}) {
+    if (typeof createToken !== 'function') {
+      throw new Error('AutocompleteSessionManager requires a createToken function');
+    }
+    this.createToken = createToken;
+    this.maxSessionAgeMs = maxSessionAgeMs;
+    this.maxSessions = maxSessions;
+    this.now = now;
+    this.sessions = new Map();
+    this.stats = { tokensCreated: 0, sessionsRetired: 0 };
+  }
+
+  // Token for a session id, created lazily on first use and renewed once expired
+  getToken(sessionId) {
+    if (!sessionId) {
+      return null;
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (session && this.now() - session.createdAt < this.maxSessionAgeMs) {
+      session.requestCount += 1;
+      return session.token;
+    }
+
+    const token = this.createToken();
+    this.stats.tokensCreated += 1;
+    this.sessions.delete(sessionId);
+    this.sessions.set(sessionId, { token, createdAt: this.now(), requestCount: 1 });
+
+    // Sessions that were never retired (e.g. tab left idle) must not pile up
+    while (this.sessions.size > this.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+    return token;
+  }
+
+  isActive(sessionId) {
+    return this.sessions.has(sessionId);
+  }
+
+  retire(sessionId) {
+    if (this.sessions.delete(sessionId)) {
+      this.stats.sessionsRetired += 1;
+      return true;
+    }
+    return false;
+  }
+
+  clear() {
+    this.sessions.clear();
+  }
+
+  getStats() {
+    return { ...this.stats, activeSessions: this.sessions.size };
+  }
+}
+
+export default AutocompleteSessionManager;
@@ -0,0 +1,52 @@
+import { AutocompleteSessionManager } from './autocompleteSessionManager';
+
+let clock;
+let tokenCount;
+let manager;
+
+beforeEach(() => {
+  clock = 0;
+  tokenCount = 0;
+  manager = new AutocompleteSessionManager({
+    createToken: () => ({ id: ++tokenCount }),
+    maxSessionAgeMs: 1000,
+    maxSessions: 2,
+    now: () => clock
+  });
+});
+
+test('creates a token lazily and reuses it for the same session', () => {
+  const token = manager.getToken('a');
+
+  expect(manager.getToken('a')).toBe(token);
+  expect(manager.getStats()).toEqual({ tokensCreated: 1, sessionsRetired: 0, activeSessions: 1 });
+});
+
+test('returns no token without a session id', () => {
+  expect(manager.getToken(null)).toBeNull();
+  expect(tokenCount).toBe(0);
+});
+
+test('renews tokens once a session is older than the maximum age', () => {
+  const token = manager.getToken('a');
+  clock = 1000;
+
+  expect(manager.getToken('a')).not.toBe(token);
+});
+
+test('retires sessions and reports whether anything was removed', () => {
+  manager.getToken('a');
+
+  expect(manager.retire('a')).toBe(true);
+  expect(manager.retire('a')).toBe(false);
+  expect(manager.isActive('a')).toBe(false);
+});
+
+test('drops the oldest abandoned sessions beyond the limit', () => {
+  manager.getToken('a');
+  manager.getToken('b');
+  manager.getToken('c');
+
+  expect(manager.isActive('a')).toBe(false);
+  expect(manager.getStats().activeSessions).toBe(2);
+});
@@ -0,0 +1,213 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the typed errors raised by the places providers. Every failure carries a stable
+// `code` (the PlacesServiceStatus it came from, or a loader / network code), so sagas and
+// components can react per code instead of matching on message text.
+
+export const PLACES_ERROR_CODES = {
+  // PlacesServiceStatus (the Directions, Geocoder and Distance Matrix statuses use the same names)
+  OVER_QUERY_LIMIT: 'OVER_QUERY_LIMIT',
+  REQUEST_DENIED: 'REQUEST_DENIED',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  NOT_FOUND: 'NOT_FOUND',
+  UNKNOWN_ERROR: 'UNKNOWN_ERROR',
+  // Loading the Maps JavaScript API
+  API_KEY_MISSING: 'API_KEY_MISSING',
+  API_KEY_INVALID: 'API_KEY_INVALID',
+  API_NOT_ACTIVATED: 'API_NOT_ACTIVATED',
+  LOAD_TIMEOUT: 'LOAD_TIMEOUT',
+  LOAD_FAILED: 'LOAD_FAILED',
+  // Everything else
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE',
+  // Blocked locally by the usage meter before reaching Google
+  USAGE_CAP_REACHED: 'USAGE_CAP_REACHED'
+};
+
+const CODES = PLACES_ERROR_CODES;
+
+// Codes worth retrying as-is: quota windows reset, servers and networks recover
+const RETRYABLE_CODES = new Set([
+  CODES.OVER_QUERY_LIMIT,
+  CODES.UNKNOWN_ERROR,
+  CODES.LOAD_TIMEOUT,
+  CODES.LOAD_FAILED,
+  CODES.NETWORK_ERROR
+]);
+
+// What the user sees in ui.error for each code
+const USER_MESSAGES = {
+  [CODES.OVER_QUERY_LIMIT]: 'API limit reached. Please try again later.',
+  [CODES.REQUEST_DENIED]: 'Google Maps refused the request. Check that the API is enabled and billing is set up.',
+  [CODES.INVALID_REQUEST]: 'That request could not be processed.',
+  [CODES.NOT_FOUND]: 'That place could not be found.',
+  [CODES.UNKNOWN_ERROR]: 'Google Maps had a problem. Please try again.',
+  [CODES.API_KEY_MISSING]: 'Google Maps API key is missing. Please check configuration.',
+  [CODES.API_KEY_INVALID]: 'Google Maps API key issue. Please check configuration.',
+  [CODES.API_NOT_ACTIVATED]: 'Maps JavaScript API not enabled. Please enable it in Google Cloud Console.',
+  [CODES.LOAD_TIMEOUT]: 'Google Maps took too long to load. Check your connection and try again.',
+  [CODES.LOAD_FAILED]: 'Google Maps failed to load. Please try again.',
+  [CODES.NETWORK_ERROR]: 'Network error. Please check your connection.',
+  [CODES.SERVICE_UNAVAILABLE]: 'The places service is unavailable.',
+  [CODES.USAGE_CAP_REACHED]: 'API usage cap reached. Requests are paused to protect your budget.'
+};
+
+export class PlacesError extends Error {
+  // options: { status, cause, userMessage, retryable } - userMessage overrides the per-code
+  // ui.error text, retryable the per-code default
+  constructor(code, message, { status = null, cause = null, userMessage = null, retryable = RETRYABLE_CODES.has(code) } = {}) {
+    super(message || USER_MESSAGES[code] || code);
+    this.name = 'PlacesError';
+    this.code = code;
+    this.status = status;
+    this.cause = cause;
+    this.userMessage = userMessage;
+    this.retryable = retryable;
+  }
+}
+
+export class QuotaExceededError extends PlacesError {
+  constructor(message, options) {
+    super(CODES.OVER_QUERY_LIMIT, message, options);
+    this.name = 'QuotaExceededError';
+  }
+}
+
+export class RequestDeniedError extends PlacesError {
+  constructor(message, options) {
+    super(CODES.REQUEST_DENIED, message, options);
+    this.name = 'RequestDeniedError';
+  }
+}
+
+export class InvalidRequestError extends PlacesError {
+  constructor(message, options) {
+    super(CODES.INVALID_REQUEST, message, options);
+    this.name = 'InvalidRequestError';
+  }
+}
+
+export class NotFoundError extends PlacesError {
+  constructor(message, options) {
+    super(CODES.NOT_FOUND, message, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+// Any failure while loading the Maps JavaScript API (code says which)
+export class LoaderError extends PlacesError {
+  constructor(code, message, options) {
+    super(code, message, options);
+    this.name = 'LoaderError';
+  }
+}
+
+export class NetworkError extends PlacesError {
+  constructor(message, options) {
+    super(CODES.NETWORK_ERROR, message, options);
+    this.name = 'NetworkError';
+  }
+}
+
+// Raised by the usage meter; `cap` is 'perMinute' or 'perDay'
+export class UsageCapError extends PlacesError {
+  constructor(message, { cap, limit, ...options } = {}) {
+    super(CODES.USAGE_CAP_REACHED, message, options);
+    this.name = 'UsageCapError';
+    this.cap = cap;
+    this.limit = limit;
+  }
+}
+
+// Non-OK service status -> typed error. ZERO_RESULTS is not an error and is handled by callers.
+export function fromServiceStatus(status, message) {
+  const text = message || `Request failed: ${status}`;
+  switch (status) {
+    case CODES.OVER_QUERY_LIMIT:
+      return new QuotaExceededError(text, { status });
+    case CODES.REQUEST_DENIED:
+      return new RequestDeniedError(text, { status });
+    case CODES.INVALID_REQUEST:
+    case 'MAX_WAYPOINTS_EXCEEDED':
+    case 'MAX_ROUTE_LENGTH_EXCEEDED':
+    case 'MAX_DIMENSIONS_EXCEEDED':
+    case 'MAX_ELEMENTS_EXCEEDED':
+      return new InvalidRequestError(text, { status });
+    case CODES.NOT_FOUND:
+      return new NotFoundError(text, { status });
+    default:
+      // UNKNOWN_ERROR, and the SDK's generic ERROR (server could not be reached)
+      return new PlacesError(CODES.UNKNOWN_ERROR, text, { status });
+  }
+}
+
+// @googlemaps/js-api-loader only reports failures as text (the Maps error name, or a script
+// load error), so this is the one place that inspects messages.
+export function fromLoaderError(error) {
+  if (error instanceof PlacesError) {
+    return error;
+  }
+
+  const text = error?.message || String(error);
+  const options = { cause: error };
+  if (/timeout/i.test(text)) {
+    return new LoaderError(CODES.LOAD_TIMEOUT, 'Google Maps API loading timed out. Check your internet connection and try again.', options);
+  }
+  if (text.includes('ApiNotActivatedMapError')) {
+    return new LoaderError(CODES.API_NOT_ACTIVATED, 'Maps JavaScript API not enabled. Please enable it in Google Cloud Console.', options);
+  }
+  if (text.includes('InvalidKeyMapError') || text.includes('ApiTargetBlockedMapError')) {
+    return new LoaderError(CODES.API_KEY_INVALID, 'API key rejected or blocked for this API. Check the key and its restrictions.', options);
+  }
+  if (text.includes('RequestDeniedMapError')) {
+    return new LoaderError(CODES.REQUEST_DENIED, 'API request denied. Check if billing is enabled in Google Cloud Console.', options);
+  }
+  return new LoaderError(CODES.LOAD_FAILED, text, options);
+}
+
+// Places API (New) promises reject with MapsRequestError / MapsServerError (which carry a
+// `code`) or a bare MapsNetworkError. Codes are either status names or google.rpc codes.
+const RPC_CODE_STATUSES = {
+  RESOURCE_EXHAUSTED: CODES.OVER_QUERY_LIMIT,
+  PERMISSION_DENIED: CODES.REQUEST_DENIED,
+  UNAUTHENTICATED: CODES.REQUEST_DENIED,
+  INVALID_ARGUMENT: CODES.INVALID_REQUEST,
+  NOT_FOUND: CODES.NOT_FOUND
+};
+
+export function fromMapsRequestError(error) {
+  if (error instanceof PlacesError) {
+    return error;
+  }
+  if (error?.name === 'MapsNetworkError' && !error.code) {
+    return new NetworkError(error.message, { cause: error });
+  }
+
+  const status = RPC_CODE_STATUSES[error?.code] || error?.code;
+  const placesError = fromServiceStatus(status, error?.message);
+  placesError.cause = error;
+  return placesError;
+}
+
+// Anything thrown by a provider or saga -> PlacesError. Providers classify their own network
+// failures where they call fetch() or the SDK, so anything untyped reaching here is a bug
+// (a TypeError from code, say): retrying it would only fail the same way.
+export function toPlacesError(error) {
+  if (error instanceof PlacesError) {
+    return error;
+  }
+  return new PlacesError(CODES.UNKNOWN_ERROR, error?.message, {
+    cause: error,
+    userMessage: 'Something went wrong. Please reload the page if it keeps happening.',
+    retryable: false
+  });
+}
+
+// Serializable shape for Redux (ui.error): { code, message, retryable }
+export function serializePlacesError(error) {
+  const placesError = toPlacesError(error);
+  return {
+    code: placesError.code,
+    message: placesError.userMessage || USER_MESSAGES[placesError.code] || placesError.message,
+    retryable: placesError.retryable
+  };
+}
@@ -0,0 +1,107 @@
+import {
+  PlacesError,
+  QuotaExceededError,
+  NotFoundError,
+  LoaderError,
+  NetworkError,
+  fromServiceStatus,
+  fromLoaderError,
+  fromMapsRequestError,
+  toPlacesError,
+  serializePlacesError
+} from './errors';
+
+describe('fromServiceStatus', () => {
+  test.each([
+    ['OVER_QUERY_LIMIT', 'OVER_QUERY_LIMIT', true],
+    ['REQUEST_DENIED', 'REQUEST_DENIED', false],
+    ['INVALID_REQUEST', 'INVALID_REQUEST', false],
+    ['MAX_ELEMENTS_EXCEEDED', 'INVALID_REQUEST', false],
+    ['NOT_FOUND', 'NOT_FOUND', false],
+    ['UNKNOWN_ERROR', 'UNKNOWN_ERROR', true],
+    ['ERROR', 'UNKNOWN_ERROR', true]
+  ])('maps %s to %s', (status, code, retryable) => {
+    const error = fromServiceStatus(status, `failed: ${status}`);
+
+    expect(error).toBeInstanceOf(PlacesError);
+    expect(error).toMatchObject({ code, status, retryable, message: `failed: ${status}` });
+  });
+
+  test('uses the specific subclasses', () => {
+    expect(fromServiceStatus('OVER_QUERY_LIMIT')).toBeInstanceOf(QuotaExceededError);
+    expect(fromServiceStatus('NOT_FOUND')).toBeInstanceOf(NotFoundError);
+  });
+});
+
+describe('fromLoaderError', () => {
+  test.each([
+    ['API load timeout after 20 seconds', 'LOAD_TIMEOUT'],
+    ['Google Maps JavaScript API error: ApiNotActivatedMapError', 'API_NOT_ACTIVATED'],
+    ['InvalidKeyMapError', 'API_KEY_INVALID'],
+    ['RequestDeniedMapError', 'REQUEST_DENIED'],
+    ['The Google Maps JavaScript API could not load.', 'LOAD_FAILED']
+  ])('classifies "%s" as %s', (message, code) => {
+    const cause = new Error(message);
+    const error = fromLoaderError(cause);
+
+    expect(error).toBeInstanceOf(LoaderError);
+    expect(error.code).toBe(code);
+    expect(error.cause).toBe(cause);
+  });
+
+  test('passes typed errors through', () => {
+    const error = new NotFoundError('gone');
+    expect(fromLoaderError(error)).toBe(error);
+  });
+});
+
+describe('fromMapsRequestError', () => {
+  const mapsError = (name, code, message = 'Request failed') =>
+    Object.assign(new Error(message), { name, code });
+
+  test.each([
+    ['RESOURCE_EXHAUSTED', 'OVER_QUERY_LIMIT'],
+    ['PERMISSION_DENIED', 'REQUEST_DENIED'],
+    ['INVALID_ARGUMENT', 'INVALID_REQUEST'],
+    ['NOT_FOUND', 'NOT_FOUND'],
+    ['OVER_QUERY_LIMIT', 'OVER_QUERY_LIMIT'],
+    ['INTERNAL', 'UNKNOWN_ERROR']
+  ])('maps %s to %s', (rpcCode, code) => {
+    const cause = mapsError('MapsRequestError', rpcCode);
+    const error = fromMapsRequestError(cause);
+
+    expect(error).toBeInstanceOf(PlacesError);
+    expect(error.code).toBe(code);
+    expect(error.cause).toBe(cause);
+  });
+
+  test('treats a MapsNetworkError without a code as a network failure', () => {
+    expect(fromMapsRequestError(mapsError('MapsNetworkError', undefined))).toBeInstanceOf(NetworkError);
+  });
+});
+
+describe('serializePlacesError', () => {
+  test('passes typed errors through and treats anything else as an unexpected failure', () => {
+    const offline = new NetworkError('Failed to fetch');
+    expect(toPlacesError(offline)).toBe(offline);
+    expect(toPlacesError(new Error('boom'))).toMatchObject({ code: 'UNKNOWN_ERROR', message: 'boom', retryable: false });
+  });
+
+  test('does not retry a TypeError thrown by code as if it were a network failure', () => {
+    const bug = new TypeError("Cannot read properties of undefined (reading 'geometry')");
+    const error = toPlacesError(bug);
+
+    expect(error).not.toBeInstanceOf(NetworkError);
+    expect(error).toMatchObject({ code: 'UNKNOWN_ERROR', retryable: false, cause: bug });
+  });
+
+  test('produces the serializable ui.error shape with a user-facing message', () => {
+    expect(serializePlacesError(new QuotaExceededError('Places textSearch failed: OVER_QUERY_LIMIT'))).toEqual({
+      code: 'OVER_QUERY_LIMIT',
+      message: 'API limit reached. Please try again later.',
+      retryable: true
+    });
+    expect(serializePlacesError(new NotFoundError('no geometry', { userMessage: 'Selected place has no location data' })))
+      .toEqual({ code: 'NOT_FOUND', message: 'Selected place has no location data', retryable: false });
+  });
+});
@@ -0,0 +1,60 @@
+// This file is part of the Google Places Redux Saga project.
+// It keeps the user's favorite places on the REST backend through apiService:
+//   GET    /favorites             -> [favorite]
+//   PUT    /favorites/:placeId    -> favorite (as stored; an empty 204 is fine)
+//   DELETE /favorites/:placeId
+// A favorite is a Place (see models/place) plus the time it was added, enough to list it and to
+// reselect it without another search.
+import { apiService } from './apiService';
+import { createPlace } from '../models/place';
+
+// Place, autocomplete prediction or stored favorite -> favorite, or null if it is not a place.
+// Predictions carry no geometry; selecting such a favorite fetches details as a prediction would.
+export function toFavorite(place, addedAt = new Date().toISOString()) {
+  const favorite = createPlace(place);
+  if (!favorite) {
+    return null;
+  }
+
+  return {
+    ...favorite,
+    name: favorite.name || favorite.structured_formatting?.main_text || favorite.description || '',
+    formatted_address: favorite.formatted_address || favorite.structured_formatting?.secondary_text || '',
+    addedAt: typeof place.addedAt === 'string' ? place.addedAt : addedAt
+  };
+}
+
+// The Place a favorite was made from, for selecting it
+export const favoritePlace = ({ addedAt, ...place }) => place;
+
+const favoritePath = (placeId) => `/favorites/${encodeURIComponent(placeId)}`;
+
+class FavoritesService {
+  constructor({ api = apiService } = {}) {
+    this.api = api;
+  }
+
+  isAvailable() {
+    return this.api.isConfigured();
+  }
+
+  async list() {
+    const body = await this.api.get('/favorites');
+    // A bare array, or { favorites: [...] }
+    const favorites = Array.isArray(body) ? body : body?.favorites || [];
+    return favorites.map(favorite => toFavorite(favorite)).filter(Boolean);
+  }
+
+  async add(favorite) {
+    const stored = await this.api.put(favoritePath(favorite.place_id), favorite);
+    return toFavorite(stored?.place_id ? stored : favorite);
+  }
+
+  async remove(placeId) {
+    await this.api.delete(favoritePath(placeId));
+  }
+}
+
+export const favoritesService = new FavoritesService();
+
+export default FavoritesService;
@@ -1,27 +1,289 @@
 // REPLACE: src/services/googleMapsService.js
 // CORRUPTION-PROOF googleMapsService.js - WITH getPlaceDetails for auto-pinning
 import { Loader } from '@googlemaps/js-api-loader';
+import { LruCache } from '../utils/lruCache';
+import {
+  CACHE_CONFIG,
+  PAGINATION_CONFIG,
+  MAX_DIRECTIONS_ROUTES,
+  DISTANCE_MATRIX_MAX_DESTINATIONS,
+  TRAVEL_TIME_ORIGIN_PRECISION,
+  PLACES_API,
+  PLACES_API_VERSIONS,
+  PLACE_DETAILS_FIELD_MASK,
+  EXTENDED_DETAILS_FIELDS,
+  EXTENDED_DETAILS_FIELD_MASK
+} from '../utils/constants';
+import { AutocompleteSessionManager } from './autocompleteSessionManager';
+import { toSuggestionAreaFields, toLegacyPrediction, toLegacyPlace, toLegacyPlaceExtras } from './placesApiNew';
+import { usageMeter as defaultUsageMeter } from './usageMeter';
+import {
+  PLACES_ERROR_CODES,
+  PlacesError,
+  LoaderError,
+  NotFoundError,
+  InvalidRequestError,
+  fromServiceStatus,
+  fromLoaderError,
+  fromMapsRequestError
+} from './errors';
+import {
+  locationBiasToBounds,
+  isWithinBounds,
+  decodePolyline,
+  encodePolyline,
+  htmlToText,
+  serializeOpeningHours
+} from '../utils/helpers';
+import { createLogger } from '../utils/logger';
 
-// Service state holder to prevent corruption
-const ServiceState = {
+const log = createLogger('service');
+
+// Service state holder to prevent corruption (one per service instance)
+const createServiceState = () => ({
   google: null,
   autocompleteService: null,
   placesService: null,
+  geocoder: null,
+  directionsService: null,
+  distanceMatrixService: null,
   isInitialized: false,
   initializationPromise: null,
   lastError: null,
   isCorrupted: false
-};
+});
+
+// Options that never change the result set (e.g. session bookkeeping) stay out of cache keys
+const NON_CACHE_KEY_OPTIONS = ['sessionId'];
+
+// Stable JSON: object keys sorted so { a, b } and { b, a } produce the same key
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function normalizeSearchQuery(query) {
+  return (query || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Location bias, country restriction and strict bounds as AutocompletionRequest fields
+export function buildAutocompleteAreaFields({ locationBias, country, strictBounds } = {}) {
+  const fields = {};
+
+  if (country) {
+    fields.componentRestrictions = { country };
+  }
+
+  if (locationBias) {
+    if (strictBounds) {
+      // locationRestriction only accepts rectangles, so circles are boxed
+      const bounds = locationBiasToBounds(locationBias);
+      if (bounds) {
+        fields.locationRestriction = bounds;
+      }
+    } else if (locationBias.bounds) {
+      fields.locationBias = locationBias.bounds;
+    } else if (locationBias.center && Number.isFinite(locationBias.radius)) {
+      fields.locationBias = { center: locationBias.center, radius: locationBias.radius };
+    }
+  }
+  return fields;
+}
+
+// Location bias and country as TextSearchRequest fields. Text search has no hard
+// restriction, so the country only biases (region) and strict bounds are applied to the results.
+export function buildTextSearchAreaFields({ locationBias, country } = {}) {
+  const fields = {};
+
+  if (country) {
+    fields.region = country;
+  }
+
+  if (locationBias?.bounds) {
+    fields.bounds = locationBias.bounds;
+  } else if (locationBias?.center && Number.isFinite(locationBias.radius)) {
+    fields.location = locationBias.center;
+    fields.radius = locationBias.radius;
+  }
+  return fields;
+}
+
+const toLatLngLiteral = (location) => location && ({
+  lat: typeof location.lat === 'function' ? location.lat() : location.lat,
+  lng: typeof location.lng === 'function' ? location.lng() : location.lng
+});
+
+export function buildSearchCacheKey(query, options = {}) {
+  const keyOptions = { ...options };
+  NON_CACHE_KEY_OPTIONS.forEach(option => delete keyOptions[option]);
+  return `${normalizeSearchQuery(query)}|${stableStringify(keyOptions)}`;
+}
+
+// Directions endpoint -> DirectionsRequest origin/destination. Place ids route to the right
+// entrance, so they win over coordinates; plain strings are geocoded by the service.
+function toDirectionsEndpoint(endpoint) {
+  if (typeof endpoint === 'string') {
+    return endpoint.trim() || null;
+  }
+  if (!endpoint) return null;
+  if (endpoint.place_id) return { placeId: endpoint.place_id };
+  const location = toLatLngLiteral(endpoint.location || endpoint.geometry?.location);
+  return location && Number.isFinite(location.lat) && Number.isFinite(location.lng) ? location : null;
+}
+
+// Travel-time cache key part for an endpoint: place id, or coordinates rounded for the cache
+function travelTimeEndpointKey(endpoint) {
+  if (endpoint?.place_id) return `id:${endpoint.place_id}`;
+  const location = toLatLngLiteral(endpoint?.location || endpoint?.geometry?.location);
+  if (!location) return null;
+  return `${location.lat.toFixed(TRAVEL_TIME_ORIGIN_PRECISION)},${location.lng.toFixed(TRAVEL_TIME_ORIGIN_PRECISION)}`;
+}
+
+const toTextValue = (field) => field ? { text: field.text || '', value: field.value ?? 0 } : { text: '', value: 0 };
+
+// DirectionsRoute -> plain object for Redux. The path travels as an encoded polyline string
+// and is decoded again by createPolyline when drawn.
+export function serializeDirectionsRoute(route) {
+  const legs = route.legs || [];
+  const firstLeg = legs[0] || {};
+  const lastLeg = legs[legs.length - 1] || {};
+  const overviewPath = (route.overview_path || []).map(toLatLngLiteral);
+
+  return {
+    summary: route.summary || '',
+    polyline: typeof route.overview_polyline === 'string'
+      ? route.overview_polyline
+      : route.overview_polyline?.points || encodePolyline(overviewPath),
+    bounds: route.bounds?.toJSON ? route.bounds.toJSON() : null,
+    distance: {
+      text: legs.length === 1 ? toTextValue(firstLeg.distance).text : '',
+      value: legs.reduce((total, leg) => total + (leg.distance?.value || 0), 0)
+    },
+    duration: {
+      text: legs.length === 1 ? toTextValue(firstLeg.duration).text : '',
+      value: legs.reduce((total, leg) => total + (leg.duration?.value || 0), 0)
+    },
+    start_address: firstLeg.start_address || '',
+    end_address: lastLeg.end_address || '',
+    start_location: toLatLngLiteral(firstLeg.start_location) || null,
+    end_location: toLatLngLiteral(lastLeg.end_location) || null,
+    steps: legs.flatMap(leg => (leg.steps || []).map(step => ({
+      instructions: htmlToText(step.instructions),
+      distance: toTextValue(step.distance),
+      duration: toTextValue(step.duration),
+      travel_mode: step.travel_mode || '',
+      ...(step.transit && {
+        transit: {
+          line: step.transit.line?.short_name || step.transit.line?.name || '',
+          vehicle: step.transit.line?.vehicle?.name || '',
+          headsign: step.transit.headsign || '',
+          num_stops: step.transit.num_stops ?? null,
+          departure_stop: step.transit.departure_stop?.name || '',
+          arrival_stop: step.transit.arrival_stop?.name || ''
+        }
+      })
+    }))),
+    warnings: route.warnings || [],
+    copyrights: route.copyrights || ''
+  };
+}
+
+const MAX_SERIALIZED_REVIEWS = 5;
+
+const orNull = (value) => (value === undefined || value === '' ? null : value);
+
+// Extended details (PlaceResult fields from EXTENDED_DETAILS_FIELDS) -> plain object for Redux.
+// Missing fields are null; opening hours keep periods ({ day, time: 'HHMM' }) and weekday text.
+export function serializePlaceExtras(place) {
+  return {
+    place_id: place.place_id,
+    opening_hours: serializeOpeningHours(place.opening_hours),
+    utc_offset_minutes: Number.isFinite(place.utc_offset_minutes) ? place.utc_offset_minutes : null,
+    formatted_phone_number: orNull(place.formatted_phone_number),
+    international_phone_number: orNull(place.international_phone_number),
+    website: orNull(place.website),
+    price_level: Number.isInteger(place.price_level) ? place.price_level : null,
+    reviews: (place.reviews || []).slice(0, MAX_SERIALIZED_REVIEWS).map(review => ({
+      author_name: review.author_name || '',
+      author_url: orNull(review.author_url),
+      rating: Number.isFinite(review.rating) ? review.rating : null,
+      text: review.text || '',
+      relative_time_description: review.relative_time_description || '',
+      time: Number.isFinite(review.time) ? review.time : null
+    })),
+    business_status: orNull(place.business_status),
+    url: orNull(place.url)
+  };
+}
 
 class GoogleMapsService {
-  constructor() {
-    const apiKey = process.env.REACT_APP_GOOGLE_MAPS_API_KEY;
+  // `loader` can be injected (e.g. the fake SDK in src/test-utils) in place of
+  // @googlemaps/js-api-loader; it only needs a load() that resolves to the google namespace
+  constructor({
+    apiKey = process.env.REACT_APP_GOOGLE_MAPS_API_KEY,
+    loader,
+    cacheConfig = CACHE_CONFIG,
+    paginationConfig = PAGINATION_CONFIG,
+    usageMeter = defaultUsageMeter,
+    placesApi = PLACES_API
+  } = {}) {
+    this._state = createServiceState();
+
+    // 'legacy' or 'new' (Places API (New)); both produce the same prediction and place shapes
+    if (!Object.values(PLACES_API_VERSIONS).includes(placesApi)) {
+      throw new Error(`Unknown Places API version '${placesApi}'. Use 'legacy' or 'new'.`);
+    }
+    this.placesApi = placesApi;
+
+    // Every billable request is recorded (and may be blocked by a cap) right before it is made
+    this.usageMeter = usageMeter;
+
+    // Predictions keyed by normalized query + search options, details keyed by place_id
+    this.predictionsCache = new LruCache(cacheConfig.predictions);
+    this.detailsCache = new LruCache(cacheConfig.details);
+    // Travel time per mode + origin + destination; unreachable destinations are cached as null
+    this.travelTimesCache = new LruCache(cacheConfig.travelTimes || CACHE_CONFIG.travelTimes);
+    // Hours, contact data and reviews for the details panel, keyed by place_id
+    this.extendedDetailsCache = new LruCache(cacheConfig.extendedDetails || CACHE_CONFIG.extendedDetails);
+    // Sized photo URLs keyed by place, photo index and size; each miss is one billable photo
+    this.photoUrlsCache = new LruCache(cacheConfig.photoUrls || CACHE_CONFIG.photoUrls);
+
+    // PlacesSearchPagination handles aren't serializable, so Redux only sees the cursor keys
+    this.paginationConfig = paginationConfig;
+    this.openSearches = new LruCache({
+      maxSize: paginationConfig.maxOpenSearches,
+      ttlMs: paginationConfig.cursorTtlMs
+    });
+    this.cursorSequence = 0;
+
+    // Session tokens for billing: one token per typing session, consumed by the details call
+    this.sessions = new AutocompleteSessionManager({
+      createToken: () => new this._state.google.maps.places.AutocompleteSessionToken()
+    });
+    // Places API (New): the PlacePrediction behind each suggestion, keyed by place id. Its
+    // toPlace() carries the session token into fetchFields, which has no token of its own.
+    this.suggestionPredictions = new LruCache({ maxSize: 50, ttlMs: this.sessions.maxSessionAgeMs });
+
+    if (loader) {
+      this.loader = loader;
+      log.debug('🚀 GoogleMapsService: Constructor completed with injected loader');
+      return;
+    }
+
     if (!apiKey) {
-      console.error('❌ GoogleMapsService: API key not found');
-      throw new Error('Google Maps API key not found. Please check your .env file.');
+      log.error('❌ GoogleMapsService: API key not found');
+      throw new LoaderError(PLACES_ERROR_CODES.API_KEY_MISSING, 'Google Maps API key not found. Please check your .env file.');
     }
 
-    console.log('🔑 API Key found:', apiKey.substring(0, 20) + '...');
+    log.info('🔑 API key configured');
 
     this.loader = new Loader({
       apiKey: apiKey,
@@ -29,15 +291,15 @@ class GoogleMapsService {
       libraries: ['places', 'geometry']
     });
     
-    console.log('🚀 GoogleMapsService: Constructor completed successfully');
+    log.debug('🚀 GoogleMapsService: Constructor completed successfully');
   }
 
   // Corruption-safe getter
   getState() {
     try {
-      return ServiceState;
+      return this._state;
     } catch (error) {
-      console.error('❌ ServiceState corrupted:', error);
+      log.error('❌ ServiceState corrupted:', error);
       return {
         google: null,
         autocompleteService: null,
@@ -54,166 +316,176 @@ class GoogleMapsService {
     const state = this.getState();
     
     if (state.isCorrupted) {
-      console.log('🔄 State corrupted, resetting...');
+      log.debug('🔄 State corrupted, resetting...');
       this.reset();
     }
 
     if (state.isInitialized && state.google && state.autocompleteService && state.placesService) {
-      console.log('✅ GoogleMapsService: Already initialized and ready');
+      log.debug('✅ GoogleMapsService: Already initialized and ready');
       return state.google;
     }
 
     if (state.initializationPromise) {
-      console.log('⏳ GoogleMapsService: Waiting for existing initialization...');
+      log.debug('⏳ GoogleMapsService: Waiting for existing initialization...');
       try {
         return await state.initializationPromise;
       } catch (error) {
-        console.log('⚠️ Previous initialization failed, starting fresh...');
-        ServiceState.initializationPromise = null;
+        log.debug('⚠️ Previous initialization failed, starting fresh...');
+        this._state.initializationPromise = null;
       }
     }
 
-    console.log('🚀 Starting fresh initialization...');
-    ServiceState.initializationPromise = this._performInitialization();
-    return ServiceState.initializationPromise;
+    log.debug('🚀 Starting fresh initialization...');
+    this._state.initializationPromise = this._performInitialization();
+    return this._state.initializationPromise;
   }
 
   async _performInitialization() {
     try {
-      console.log('📡 Loading Google Maps API...');
+      log.debug('📡 Loading Google Maps API...');
       
       // Reset state before initialization
-      ServiceState.isCorrupted = false;
-      ServiceState.lastError = null;
+      this._state.isCorrupted = false;
+      this._state.lastError = null;
       
       // Load the Google Maps API with comprehensive error handling
       const loadPromise = this.loader.load();
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('API load timeout after 20 seconds')), 20000)
-      );
+      let loadTimer;
+      const timeoutPromise = new Promise((_, reject) => {
+        loadTimer = setTimeout(() => reject(new Error('API load timeout after 20 seconds')), 20000);
+      });
       
-      ServiceState.google = await Promise.race([loadPromise, timeoutPromise]);
+      try {
+        this._state.google = await Promise.race([loadPromise, timeoutPromise]);
+      } finally {
+        clearTimeout(loadTimer);
+      }
       
-      if (!ServiceState.google || !ServiceState.google.maps) {
-        throw new Error('Google Maps API failed to load properly');
+      if (!this._state.google || !this._state.google.maps) {
+        throw new LoaderError(PLACES_ERROR_CODES.LOAD_FAILED, 'Google Maps API failed to load properly');
       }
       
-      console.log('✅ Google Maps API loaded successfully');
-      console.log('📍 Maps Version:', ServiceState.google.maps.version || 'Unknown');
-      console.log('🔍 Available services:', Object.keys(ServiceState.google.maps));
+      log.debug('✅ Google Maps API loaded successfully');
+      log.debug('📍 Maps Version:', this._state.google.maps.version || 'Unknown');
+      log.debug('🔍 Available services:', Object.keys(this._state.google.maps));
       
       // Verify Places library is available
-      if (!ServiceState.google.maps.places) {
-        throw new Error('Places library not available. Please ensure Places API is enabled in Google Cloud Console.');
+      if (!this._state.google.maps.places) {
+        throw new LoaderError(PLACES_ERROR_CODES.API_NOT_ACTIVATED, 'Places library not available. Please ensure Places API is enabled in Google Cloud Console.');
       }
-      console.log('✅ Places library confirmed');
+      log.debug('✅ Places library confirmed');
 
       // Create AutocompleteService with protection against corruption
-      await this._createAutocompleteService();
+      if (this.placesApi === PLACES_API_VERSIONS.NEW) {
+        this._useAutocompleteSuggestion();
+      } else {
+        await this._createAutocompleteService();
+      }
       
       // 🆕 Create PlacesService for getPlaceDetails functionality
       await this._createPlacesService();
       
-      ServiceState.isInitialized = true;
-      ServiceState.initializationPromise = null;
-      ServiceState.lastError = null;
-      console.log('🎉 Initialization completed successfully with Places support!');
-      return ServiceState.google;
+      this._state.isInitialized = true;
+      this._state.initializationPromise = null;
+      this._state.lastError = null;
+      log.debug('🎉 Initialization completed successfully with Places support!');
+      return this._state.google;
       
     } catch (error) {
-      console.error('❌ Initialization failed:', error);
+      log.error('❌ Initialization failed:', error);
       
       // Safe state update
       try {
-        ServiceState.isInitialized = false;
-        ServiceState.initializationPromise = null;
-        ServiceState.autocompleteService = null;
-        ServiceState.placesService = null;
-        ServiceState.lastError = error;
+        this._state.isInitialized = false;
+        this._state.initializationPromise = null;
+        this._state.autocompleteService = null;
+        this._state.placesService = null;
+        this._state.lastError = error;
       } catch (stateError) {
-        console.error('❌ Failed to update state after error:', stateError);
-        ServiceState.isCorrupted = true;
-      }
-      
-      // Provide specific error guidance
-      if (error.message.includes('timeout')) {
-        throw new Error('Google Maps API loading timed out. Check your internet connection and try again.');
-      } else if (error.message.includes('ApiNotActivatedMapError')) {
-        throw new Error('Maps JavaScript API not enabled. Please enable it in Google Cloud Console.');
-      } else if (error.message.includes('ApiTargetBlockedMapError')) {
-        throw new Error('API key blocked. This should not happen with unrestricted keys. Try creating a new API key.');
-      } else if (error.message.includes('RequestDeniedMapError')) {
-        throw new Error('API request denied. Check if billing is enabled in Google Cloud Console.');
+        log.error('❌ Failed to update state after error:', stateError);
+        this._state.isCorrupted = true;
       }
       
-      throw error;
+      // Typed, with specific guidance per loader failure
+      throw fromLoaderError(error);
     }
   }
 
   async _createAutocompleteService() {
     try {
-      console.log('🔧 Creating AutocompleteService...');
+      log.debug('🔧 Creating AutocompleteService...');
       
-      if (!ServiceState.google || !ServiceState.google.maps || !ServiceState.google.maps.places) {
+      if (!this._state.google || !this._state.google.maps || !this._state.google.maps.places) {
         throw new Error('Google Maps Places not available for service creation');
       }
       
       // Create the service with error protection
-      ServiceState.autocompleteService = new ServiceState.google.maps.places.AutocompleteService();
+      this._state.autocompleteService = new this._state.google.maps.places.AutocompleteService();
       
-      if (!ServiceState.autocompleteService) {
+      if (!this._state.autocompleteService) {
         throw new Error('AutocompleteService creation returned null/undefined');
       }
       
-      console.log('✅ AutocompleteService created successfully');
+      log.debug('✅ AutocompleteService created successfully');
       
       // Quick validation test
       try {
         await this._validateService();
-        console.log('✅ AutocompleteService validation passed');
+        log.debug('✅ AutocompleteService validation passed');
       } catch (validationError) {
-        console.warn('⚠️ AutocompleteService validation failed:', validationError.message);
+        log.warn('⚠️ AutocompleteService validation failed:', validationError.message);
         
         // If validation fails due to API issues, don't fail initialization
         if (validationError.message.includes('REQUEST_DENIED')) {
-          console.log('📋 This might be due to missing API enablement. Service may still work for real queries.');
+          log.debug('📋 This might be due to missing API enablement. Service may still work for real queries.');
         }
       }
       
     } catch (error) {
-      console.error('❌ AutocompleteService creation failed:', error);
+      log.error('❌ AutocompleteService creation failed:', error);
       throw new Error('Failed to create AutocompleteService: ' + error.message);
     }
   }
 
+  // Places API (New): the AutocompleteSuggestion class is the autocomplete client. No validation
+  // request here - the legacy one would fail on projects that only enable the new API.
+  _useAutocompleteSuggestion() {
+    const { AutocompleteSuggestion, Place } = this._state.google.maps.places;
+    if (!AutocompleteSuggestion || !Place) {
+      throw new LoaderError(PLACES_ERROR_CODES.API_NOT_ACTIVATED, 'Places API (New) classes not available. Please enable Places API (New) in Google Cloud Console.');
+    }
+    this._state.autocompleteService = AutocompleteSuggestion;
+    log.debug('✅ Using Places API (New) AutocompleteSuggestion');
+  }
+
   // 🆕 NEW METHOD: Create PlacesService for place details
   async _createPlacesService() {
     try {
-      console.log('🔧 Creating PlacesService for place details...');
+      log.debug('🔧 Creating PlacesService for place details...');
       
-      if (!ServiceState.google || !ServiceState.google.maps || !ServiceState.google.maps.places) {
+      if (!this._state.google || !this._state.google.maps || !this._state.google.maps.places) {
         throw new Error('Google Maps Places not available for PlacesService creation');
       }
       
       // Create a temporary div for PlacesService (required by Google API)
       const tempDiv = document.createElement('div');
-      ServiceState.placesService = new ServiceState.google.maps.places.PlacesService(tempDiv);
+      this._state.placesService = new this._state.google.maps.places.PlacesService(tempDiv);
       
-      if (!ServiceState.placesService) {
+      if (!this._state.placesService) {
         throw new Error('PlacesService creation returned null/undefined');
       }
       
-      console.log('✅ PlacesService created successfully');
+      log.debug('✅ PlacesService created successfully');
       
     } catch (error) {
-      console.error('❌ PlacesService creation failed:', error);
+      log.error('❌ PlacesService creation failed:', error);
       throw new Error('Failed to create PlacesService: ' + error.message);
     }
   }
 
   async _validateService() {
     return new Promise((resolve, reject) => {
-      if (!ServiceState.autocompleteService) {
+      if (!this._state.autocompleteService) {
         reject(new Error('AutocompleteService is null'));
         return;
       }
@@ -223,16 +495,17 @@ class GoogleMapsService {
       }, 8000);
 
       try {
-        ServiceState.autocompleteService.getPlacePredictions(
+        this.usageMeter.record('autocomplete');
+        this._state.autocompleteService.getPlacePredictions(
           {
             input: 'malaysia',
             types: ['country'],
           },
           (predictions, status) => {
             clearTimeout(timeout);
-            console.log('🧪 Validation result - Status:', status);
+            log.debug('🧪 Validation result - Status:', status);
             
-            const PlacesServiceStatus = ServiceState.google.maps.places.PlacesServiceStatus;
+            const PlacesServiceStatus = this._state.google.maps.places.PlacesServiceStatus;
             
             if (status === PlacesServiceStatus.OK || 
                 status === PlacesServiceStatus.ZERO_RESULTS) {
@@ -252,96 +525,119 @@ class GoogleMapsService {
   }
 
   // 🔥 ENHANCED: Replace the searchPlaces method around line 300-400
-  async searchPlaces(query) {
+  async searchPlaces(query, options = {}) {
     try {
-      console.log(`🔍 Searching for: "${query}" (targeting up to 10 results)`);
+      log.debug(`🔍 Searching for: "${query}" (targeting up to 10 results)`);
       
       // Input validation
       if (!query || typeof query !== 'string' || query.trim().length < 2) {
-        console.log('📝 Query too short, returning empty results');
+        log.debug('📝 Query too short, returning empty results');
         return [];
       }
 
+      const cacheKey = buildSearchCacheKey(query, options);
+      const cachedResults = this.predictionsCache.get(cacheKey);
+      if (cachedResults) {
+        log.debug(`💾 Predictions cache hit for "${query}"`);
+        return cachedResults;
+      }
+
       const state = this.getState();
       
       if (state.isCorrupted) {
-        console.log('🔄 State corrupted during search, attempting reset...');
+        log.debug('🔄 State corrupted during search, attempting reset...');
         this.reset();
-        return [];
+        throw new PlacesError(PLACES_ERROR_CODES.SERVICE_UNAVAILABLE, 'Service state corrupted');
       }
 
-      // Ensure service is initialized
+      // Ensure service is initialized (loader failures propagate as LoaderError)
       if (!state.isInitialized || !state.autocompleteService) {
-        console.log('🔄 Service not ready, initializing...');
-        try {
-          await this.initialize();
-        } catch (initError) {
-          console.error('❌ Initialization failed during search:', initError);
-          return [];
-        }
+        log.debug('🔄 Service not ready, initializing...');
+        await this.initialize();
       }
 
       // Final safety check
       const currentState = this.getState();
       if (!currentState.autocompleteService) {
-        console.warn('⚠️ AutocompleteService still not available after initialization');
-        return [];
+        throw new PlacesError(PLACES_ERROR_CODES.SERVICE_UNAVAILABLE, 'AutocompleteService not available after initialization');
       }
 
-      console.log('🌐 Making Enhanced Places API request...');
+      log.debug('🌐 Making Enhanced Places API request...');
+      this.usageMeter.record('autocomplete');
       
-      // 🔥 NEW: Enhanced search to get up to 10 results
-      const results = await this._getEnhancedSearchResults(query.trim());
-      console.log(`✅ Enhanced search found ${results.length} total results`);
+      // 🔥 NEW: Enhanced search to get up to 10 results (Places API (New) returns up to 5)
+      const results = this.placesApi === PLACES_API_VERSIONS.NEW
+        ? await this._getSuggestionResults(query.trim(), options)
+        : await this._getEnhancedSearchResults(query.trim(), options);
+      log.debug(`✅ Enhanced search found ${results.length} total results`);
+
+      // Empty result sets are not cached; a place may be added while the user keeps typing
+      if (results.length > 0) {
+        this.predictionsCache.set(cacheKey, results);
+      }
       return results;
 
     } catch (error) {
-      console.error('❌ Search error:', error);
-      return [];
+      log.error('❌ Search error:', error);
+      throw error;
     }
   }
 
   //Very Crucial Method
-   async getPlaceDetails(placeId) {
+   async getPlaceDetails(placeId, options = {}) {
+    const { sessionId } = options;
     try {
-      console.log(`🏢 Getting place details for: ${placeId}`);
+      log.debug(`🏢 Getting place details for: ${placeId}`);
       
       if (!placeId) {
-        throw new Error('Place ID is required for getPlaceDetails');
+        throw new InvalidRequestError('Place ID is required for getPlaceDetails');
+      }
+
+      const cachedPlace = this.detailsCache.get(placeId);
+      if (cachedPlace) {
+        log.debug(`💾 Details cache hit for ${placeId}`);
+        this.endAutocompleteSession(sessionId);
+        return cachedPlace;
       }
 
       const state = this.getState();
       
       if (state.isCorrupted) {
-        console.log('🔄 State corrupted during place details, attempting reset...');
+        log.debug('🔄 State corrupted during place details, attempting reset...');
         this.reset();
-        throw new Error('Service state corrupted');
+        throw new PlacesError(PLACES_ERROR_CODES.SERVICE_UNAVAILABLE, 'Service state corrupted');
       }
 
       // Ensure service is initialized
       if (!state.isInitialized || !state.placesService) {
-        console.log('🔄 PlacesService not ready, initializing...');
-        try {
-          await this.initialize();
-        } catch (initError) {
-          console.error('❌ Initialization failed during place details:', initError);
-          throw new Error('Failed to initialize PlacesService');
-        }
+        log.debug('🔄 PlacesService not ready, initializing...');
+        await this.initialize();
       }
 
       // Final safety check
       const currentState = this.getState();
       if (!currentState.placesService) {
-        throw new Error('PlacesService not available after initialization');
+        throw new PlacesError(PLACES_ERROR_CODES.SERVICE_UNAVAILABLE, 'PlacesService not available after initialization');
+      }
+
+      log.debug('📋 Making Place Details API request...');
+      this.usageMeter.record('details');
+
+      if (this.placesApi === PLACES_API_VERSIONS.NEW) {
+        const place = await this._fetchPlaceFields(placeId, sessionId);
+        this.detailsCache.set(placeId, place);
+        return place;
       }
 
-      console.log('📋 Making Place Details API request...');
+      // The details request closes the autocomplete session the prediction came from
+      const sessionToken = this.sessions.getToken(sessionId);
       
       return new Promise((resolve, reject) => {
         try {
           currentState.placesService.getDetails(
             {
               placeId: placeId,
+              ...(sessionToken && { sessionToken }),
               fields: [
                 'name', 
                 'geometry', 
@@ -355,12 +651,13 @@ class GoogleMapsService {
               ]
             },
             (place, status) => {
-              console.log(`📋 Place Details API Response - Status: ${status}`);
+              log.debug(`📋 Place Details API Response - Status: ${status}`);
+              this.endAutocompleteSession(sessionId);
               
               const state = this.getState();
               if (!state.google || !state.google.maps || !state.google.maps.places) {
-                console.error('❌ Google Maps objects corrupted during place details callback');
-                reject(new Error('Google Maps service corrupted'));
+                log.error('❌ Google Maps objects corrupted during place details callback');
+                reject(new PlacesError(PLACES_ERROR_CODES.SERVICE_UNAVAILABLE, 'Google Maps service corrupted'));
                 return;
               }
 
@@ -369,70 +666,171 @@ class GoogleMapsService {
               switch (status) {
                 case PlacesServiceStatus.OK:
                   if (place && place.geometry && place.geometry.location) {
-                    console.log('✅ Place details retrieved successfully');
+                    log.debug('✅ Place details retrieved successfully');
+                    this.detailsCache.set(placeId, place);
                     resolve(place);
                   } else {
-                    console.warn('⚠️ Place details missing geometry data');
-                    reject(new Error('Place details missing geometry data'));
+                    log.warn('⚠️ Place details missing geometry data');
+                    reject(new NotFoundError('Place details missing geometry data', { status }));
                   }
                   break;
                   
                 case PlacesServiceStatus.NOT_FOUND:
-                  console.warn('⚠️ Place not found');
-                  reject(new Error('Place not found'));
+                  log.warn('⚠️ Place not found');
+                  reject(new NotFoundError('Place not found', { status }));
                   break;
                   
                 case PlacesServiceStatus.REQUEST_DENIED:
-                  console.warn('⚠️ Place Details REQUEST_DENIED - Check if Places API (New) is enabled');
-                  reject(new Error('Place Details API request denied'));
+                  log.warn('⚠️ Place Details REQUEST_DENIED - Check if Places API (New) is enabled');
+                  reject(fromServiceStatus(status, 'Place Details API request denied'));
                   break;
                   
                 default:
-                  console.warn(`⚠️ Unexpected place details status: ${status}`);
-                  reject(new Error(`Place details API error: ${status}`));
+                  log.warn(`⚠️ Unexpected place details status: ${status}`);
+                  reject(fromServiceStatus(status, `Place details API error: ${status}`));
               }
             }
           );
         } catch (callError) {
-          console.error('❌ Error making place details API call:', callError);
-          reject(new Error('Place details API call failed'));
+          log.error('❌ Error making place details API call:', callError);
+          reject(new PlacesError(PLACES_ERROR_CODES.UNKNOWN_ERROR, 'Place details API call failed', { cause: callError }));
         }
       });
 
     } catch (error) {
-      console.error('❌ Place details error:', error);
+      log.error('❌ Place details error:', error);
       throw error;
     }
   }
 
  // 🔥 NEW METHODS: Add these after your getPlaceDetails method
 
+  // 📋 Opening hours, phone, website, price level, reviews, business status and Maps URL for the
+  // details panel. Requested apart from getPlaceDetails (those fields cost extra) and serialized.
+  async getExtendedPlaceDetails(placeId) {
+    if (!placeId) {
+      throw new InvalidRequestError('Place ID is required for getExtendedPlaceDetails');
+    }
+
+    const cachedDetails = this.extendedDetailsCache.get(placeId);
+    if (cachedDetails) {
+      log.debug(`💾 Extended details cache hit for ${placeId}`);
+      return cachedDetails;
+    }
+
+    const state = this.getState();
+    if (!state.isInitialized || !state.placesService) {
+      await this.initialize();
+    }
+
+    const { places } = this.getState().google.maps;
+    log.debug(`📋 Getting extended details for: ${placeId}`);
+    this.usageMeter.record('extendedDetails');
+
+    let place;
+    if (this.placesApi === PLACES_API_VERSIONS.NEW) {
+      const newPlace = new places.Place({ id: placeId });
+      try {
+        await newPlace.fetchFields({ fields: EXTENDED_DETAILS_FIELD_MASK });
+      } catch (error) {
+        throw fromMapsRequestError(error);
+      }
+      place = toLegacyPlaceExtras(newPlace);
+    } else {
+      place = await new Promise((resolve, reject) => {
+        this.getState().placesService.getDetails({ placeId, fields: EXTENDED_DETAILS_FIELDS }, (result, status) => {
+          if (status === places.PlacesServiceStatus.OK && result) {
+            resolve(result);
+          } else {
+            reject(fromServiceStatus(status, `Extended place details failed: ${status}`));
+          }
+        });
+      });
+    }
+
+    const details = serializePlaceExtras({ ...place, place_id: placeId });
+    this.extendedDetailsCache.set(placeId, details);
+    return details;
+  }
+
+  // Places API (New) autocomplete, converted to AutocompletePrediction-shaped results
+  async _getSuggestionResults(query, options = {}) {
+    const { places } = this.getState().google.maps;
+    const sessionToken = this.sessions.getToken(options.sessionId) || new places.AutocompleteSessionToken();
+
+    let response;
+    try {
+      response = await places.AutocompleteSuggestion.fetchAutocompleteSuggestions({
+        input: query,
+        sessionToken,
+        ...toSuggestionAreaFields(buildAutocompleteAreaFields(options))
+      });
+    } catch (error) {
+      log.warn('⚠️ fetchAutocompleteSuggestions failed:', error);
+      throw fromMapsRequestError(error);
+    }
+
+    const placePredictions = (response?.suggestions || [])
+      .map(suggestion => suggestion.placePrediction)
+      .filter(Boolean);
+    placePredictions.forEach(prediction => this.suggestionPredictions.set(prediction.placeId, prediction));
+    log.debug(`📊 AutocompleteSuggestion returned ${placePredictions.length} predictions`);
+    return placePredictions.map(toLegacyPrediction);
+  }
+
+  // Places API (New) details with PLACE_DETAILS_FIELD_MASK, converted to a PlaceResult-shaped object.
+  // A suggestion from the still-open session is used so the session is billed as one.
+  async _fetchPlaceFields(placeId, sessionId) {
+    const { places } = this.getState().google.maps;
+    const prediction = this.sessions.isActive(sessionId) ? this.suggestionPredictions.get(placeId) : null;
+    this.suggestionPredictions.delete(placeId);
+    const place = prediction ? prediction.toPlace() : new places.Place({ id: placeId });
+
+    try {
+      await place.fetchFields({ fields: PLACE_DETAILS_FIELD_MASK });
+    } catch (error) {
+      log.warn('⚠️ Place.fetchFields failed:', error);
+      throw fromMapsRequestError(error);
+    } finally {
+      this.endAutocompleteSession(sessionId);
+    }
+
+    const result = toLegacyPlace(place);
+    if (!result.geometry?.location) {
+      throw new NotFoundError('Place details missing geometry data');
+    }
+    log.debug('✅ Place details retrieved via Places API (New)');
+    return result;
+  }
+
   // Enhanced search method to get up to 10 results
-  async _getEnhancedSearchResults(query) {
+  async _getEnhancedSearchResults(query, options = {}) {
     const currentState = this.getState();
+    const areaFields = buildAutocompleteAreaFields(options);
     
-    return new Promise((resolve) => {
+    return new Promise((resolve, reject) => {
       try {
-        // Create session token for better performance
-        const sessionToken = new currentState.google.maps.places.AutocompleteSessionToken();
+        // Reuse the typing session's token; one-off searches get a token of their own
+        const sessionToken = this.sessions.getToken(options.sessionId) ||
+          new currentState.google.maps.places.AutocompleteSessionToken();
         
         // Primary search request
         const primaryRequest = {
           input: query,
           types: ['establishment', 'geocode'],
-        
+          ...areaFields,
           sessionToken: sessionToken
         };
 
         currentState.autocompleteService.getPlacePredictions(
           primaryRequest,
           async (predictions, status) => {
-            console.log(`📊 Primary API Response - Status: ${status}, Results: ${predictions?.length || 0}`);
+            log.debug(`📊 Primary API Response - Status: ${status}, Results: ${predictions?.length || 0}`);
             
             const state = this.getState();
             if (!state.google || !state.google.maps || !state.google.maps.places) {
-              console.error('❌ Google Maps objects corrupted during callback');
-              resolve([]);
+              log.error('❌ Google Maps objects corrupted during callback');
+              reject(new PlacesError(PLACES_ERROR_CODES.SERVICE_UNAVAILABLE, 'Google Maps service corrupted'));
               return;
             }
 
@@ -441,69 +839,72 @@ class GoogleMapsService {
             if (status === PlacesServiceStatus.OK && predictions) {
               // 🔥 ENHANCEMENT: If we got less than 8 results, try to get more
               if (predictions.length < 8) {
-                console.log(`🔍 Got ${predictions.length} results, attempting to find more...`);
+                log.debug(`🔍 Got ${predictions.length} results, attempting to find more...`);
                 try {
-                  const supplementaryResults = await this._getSupplementaryResults(query, predictions);
+                  const supplementaryResults = await this._getSupplementaryResults(query, predictions, sessionToken, areaFields);
                   const combinedResults = this._mergeAndDeduplicateResults(predictions, supplementaryResults);
                   const finalResults = combinedResults.slice(0, 10); // Limit to 10
                   
-                  console.log(`🎯 Enhanced: ${predictions.length} primary + ${supplementaryResults.length} supplementary = ${finalResults.length} total`);
+                  log.debug(`🎯 Enhanced: ${predictions.length} primary + ${supplementaryResults.length} supplementary = ${finalResults.length} total`);
                   resolve(finalResults);
                 } catch (enhanceError) {
-                  console.warn('⚠️ Supplementary search failed, using primary results only:', enhanceError);
+                  log.warn('⚠️ Supplementary search failed, using primary results only:', enhanceError);
                   resolve(predictions || []);
                 }
               } else {
                 // Already got good results
                 const limitedResults = predictions.slice(0, 10);
-                console.log(`✅ Primary search sufficient: ${limitedResults.length} results`);
+                log.debug(`✅ Primary search sufficient: ${limitedResults.length} results`);
                 resolve(limitedResults);
               }
               
             } else if (status === PlacesServiceStatus.ZERO_RESULTS) {
-              console.log('📭 No results found');
+              log.debug('📭 No results found');
               resolve([]);
             } else {
-              console.warn(`⚠️ API returned status: ${status}`);
-              resolve([]);
+              log.warn(`⚠️ API returned status: ${status}`);
+              reject(fromServiceStatus(status, `Place predictions failed: ${status}`));
             }
           }
         );
       } catch (callError) {
-        console.error('❌ Enhanced search API call failed:', callError);
-        resolve([]);
+        log.error('❌ Enhanced search API call failed:', callError);
+        reject(new PlacesError(PLACES_ERROR_CODES.UNKNOWN_ERROR, 'Place predictions call failed', { cause: callError }));
       }
     });
   }
 
   // Get supplementary results using different search parameters
-  async _getSupplementaryResults(query, existingPredictions) {
+  async _getSupplementaryResults(query, existingPredictions, sessionToken, areaFields = {}) {
     const currentState = this.getState();
     
     return new Promise((resolve) => {
       try {
+        // Optional extra request: a usage cap only costs the extra results
+        this.usageMeter.record('autocomplete');
+
         // Use broader search types to find more results
         const supplementaryRequest = {
           input: query,
           types: ['locality', 'sublocality', 'neighborhood'], // Different types
-         
-          sessionToken: new currentState.google.maps.places.AutocompleteSessionToken()
+          ...areaFields,
+          sessionToken: sessionToken
         };
 
         currentState.autocompleteService.getPlacePredictions(
           supplementaryRequest,
           (predictions, status) => {
             if (status === currentState.google.maps.places.PlacesServiceStatus.OK && predictions) {
-              console.log(`📋 Supplementary search found ${predictions.length} additional results`);
+              log.debug(`📋 Supplementary search found ${predictions.length} additional results`);
               resolve(predictions);
             } else {
-              console.log('📭 No supplementary results found');
+              log.debug('📭 No supplementary results found');
               resolve([]);
             }
           }
         );
       } catch (error) {
-        console.warn('⚠️ Supplementary search error:', error);
+        log.warn('⚠️ Supplementary search error:', error);
         resolve([]);
       }
     });
@@ -533,9 +934,341 @@ class GoogleMapsService {
     return merged;
   }
 
+  // 📑 Full text search ("See all results"): up to 20 places per page.
+  // Pass the returned nextCursor back as options.cursor to fetch the following page.
+  async textSearch(query, options = {}) {
+    if (options.cursor) {
+      return this._fetchNextPage(options.cursor);
+    }
+
+    if (!query || typeof query !== 'string' || query.trim().length < 2) {
+      return { results: [], nextCursor: null };
+    }
+
+    log.debug(`📑 Making Text Search request for "${query.trim()}"`);
+    return this._runPagedSearch(
+      'textSearch',
+      { query: query.trim(), ...buildTextSearchAreaFields(options) },
+      // Strict bounds isn't part of TextSearchRequest, so it is enforced on every page here
+      options.strictBounds ? locationBiasToBounds(options.locationBias) : null
+    );
+  }
+
+  // 🧭 Places of a category within `radius` meters of `location`, nearest-ranked by prominence.
+  // Same { results, nextCursor } paging as textSearch.
+  async nearbySearch({ location, radius, type, keyword } = {}, options = {}) {
+    if (options.cursor) {
+      return this._fetchNextPage(options.cursor);
+    }
+
+    if (!location || !Number.isFinite(location.lat) || !Number.isFinite(location.lng)) {
+      throw new InvalidRequestError('A { lat, lng } location is required for nearbySearch');
+    }
+    if (!Number.isFinite(radius) || radius <= 0 || radius > 50000) {
+      throw new InvalidRequestError('nearbySearch radius must be between 1 and 50000 meters');
+    }
+
+    log.debug(`🧭 Making Nearby Search request (${type || keyword || 'any'}, ${radius}m)`);
+    return this._runPagedSearch('nearbySearch', {
+      location: { lat: location.lat, lng: location.lng },
+      radius,
+      ...(type && { type }),
+      ...(keyword && { keyword })
+    });
+  }
+
+  async _runPagedSearch(method, request, resultBounds = null) {
+    await this.initialize();
+    const currentState = this.getState();
+    if (!currentState.placesService) {
+      throw new PlacesError(PLACES_ERROR_CODES.SERVICE_UNAVAILABLE, 'PlacesService not available after initialization');
+    }
+
+    this.usageMeter.record(method);
+    const search = { method, bounds: resultBounds, pending: null, pagination: null, readyAt: 0 };
+    const firstPage = this._waitForPage(search);
+
+    currentState.placesService[method](
+      request,
+      // The SDK calls this again for every pagination.nextPage()
+      (results, status, pagination) => this._handlePage(search, results, status, pagination)
+    );
+    return firstPage;
+  }
+
+  _waitForPage(search) {
+    return new Promise((resolve, reject) => {
+      search.pending = { resolve, reject };
+    });
+  }
+
+  _handlePage(search, results, status, pagination) {
+    const pending = search.pending;
+    search.pending = null;
+    if (!pending) {
+      return;
+    }
+
+    const PlacesServiceStatus = this.getState().google?.maps?.places?.PlacesServiceStatus;
+    if (!PlacesServiceStatus) {
+      pending.reject(new PlacesError(PLACES_ERROR_CODES.SERVICE_UNAVAILABLE, 'Google Maps service corrupted'));
+      return;
+    }
+
+    log.debug(`📑 ${search.method} page - Status: ${status}, Results: ${results?.length || 0}`);
+
+    if (status !== PlacesServiceStatus.OK && status !== PlacesServiceStatus.ZERO_RESULTS) {
+      pending.reject(fromServiceStatus(status, `Places ${search.method} failed: ${status}`));
+      return;
+    }
+
+    let nextCursor = null;
+    if (pagination && pagination.hasNextPage) {
+      this.cursorSequence += 1;
+      nextCursor = `${search.method}_${this.cursorSequence}`;
+      search.pagination = pagination;
+      search.readyAt = Date.now() + this.paginationConfig.pageTokenDelayMs;
+      this.openSearches.set(nextCursor, search);
+    }
+
+    const pageResults = (results || []).filter(place =>
+      !search.bounds || isWithinBounds(toLatLngLiteral(place.geometry?.location), search.bounds)
+    );
+    pending.resolve({ results: pageResults, nextCursor });
+  }
+
+  async _fetchNextPage(cursor) {
+    const search = this.openSearches.get(cursor);
+    if (!search) {
+      throw new PlacesError(PLACES_ERROR_CODES.INVALID_REQUEST, 'These search results have expired. Please search again.', {
+        userMessage: 'These search results have expired. Please search again.'
+      });
+    }
+    // Checked before the cursor is consumed, so a blocked page can be requested again later
+    this.usageMeter.record(search.method);
+    this.openSearches.delete(cursor);
+
+    // Page tokens become valid a couple of seconds after they are issued
+    const wait = search.readyAt - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+
+    const page = this._waitForPage(search);
+    search.pagination.nextPage();
+    return page;
+  }
+
+  // Forward geocoding: address string -> places with geometry
+  async geocode(address) {
+    if (!address || typeof address !== 'string' || !address.trim()) {
+      throw new InvalidRequestError('Address is required for geocode');
+    }
+    return this._runGeocoderRequest({ address: address.trim() });
+  }
+
+  // Reverse geocoding: { lat, lng } -> places at that coordinate, best match first
+  async reverseGeocode(location) {
+    if (!location || !Number.isFinite(location.lat) || !Number.isFinite(location.lng)) {
+      throw new InvalidRequestError('A { lat, lng } location is required for reverseGeocode');
+    }
+    return this._runGeocoderRequest({ location: { lat: location.lat, lng: location.lng } });
+  }
+
+  async _runGeocoderRequest(request) {
+    await this.initialize();
+
+    const state = this.getState();
+    if (!state.google || !state.google.maps || !state.google.maps.Geocoder) {
+      throw new PlacesError(PLACES_ERROR_CODES.SERVICE_UNAVAILABLE, 'Geocoder not available');
+    }
+
+    if (!state.geocoder) {
+      this._state.geocoder = new state.google.maps.Geocoder();
+    }
+    this.usageMeter.record('geocode');
+
+    return new Promise((resolve, reject) => {
+      try {
+        this._state.geocoder.geocode(request, (results, status) => {
+          log.debug(`🧭 Geocoder Response - Status: ${status}`);
+          const GeocoderStatus = state.google.maps.GeocoderStatus;
+
+          if (status === GeocoderStatus.OK) {
+            resolve(results || []);
+          } else if (status === GeocoderStatus.ZERO_RESULTS) {
+            resolve([]);
+          } else {
+            reject(fromServiceStatus(status, `Geocoder error: ${status}`));
+          }
+        });
+      } catch (callError) {
+        log.error('❌ Error making geocoder call:', callError);
+        reject(new PlacesError(PLACES_ERROR_CODES.UNKNOWN_ERROR, 'Geocoder call failed', { cause: callError }));
+      }
+    });
+  }
+
+  // Routes between two endpoints (place, { lat, lng } or address), best first
+  async getDirections({ origin, destination, travelMode = 'DRIVING' } = {}) {
+    const from = toDirectionsEndpoint(origin);
+    const to = toDirectionsEndpoint(destination);
+    if (!from || !to) {
+      throw new InvalidRequestError('Origin and destination are required for directions');
+    }
+
+    await this.initialize();
+    const state = this.getState();
+    if (!state.google || !state.google.maps || !state.google.maps.DirectionsService) {
+      throw new PlacesError(PLACES_ERROR_CODES.SERVICE_UNAVAILABLE, 'Directions not available');
+    }
+
+    if (!state.directionsService) {
+      this._state.directionsService = new state.google.maps.DirectionsService();
+    }
+
+    const request = {
+      origin: from,
+      destination: to,
+      travelMode: state.google.maps.TravelMode?.[travelMode] || travelMode,
+      provideRouteAlternatives: true
+    };
+
+    log.debug(`🧭 Making Directions request (${travelMode})`);
+    this.usageMeter.record('directions');
+    return new Promise((resolve, reject) => {
+      try {
+        this._state.directionsService.route(request, (result, status) => {
+          log.debug(`🧭 Directions Response - Status: ${status}`);
+          const DirectionsStatus = state.google.maps.DirectionsStatus;
+
+          if (status === DirectionsStatus.OK) {
+            resolve((result?.routes || []).slice(0, MAX_DIRECTIONS_ROUTES).map(serializeDirectionsRoute));
+          } else if (status === DirectionsStatus.ZERO_RESULTS) {
+            resolve([]);
+          } else if (status === DirectionsStatus.NOT_FOUND) {
+            reject(new NotFoundError('The origin or destination could not be found', { status }));
+          } else {
+            reject(fromServiceStatus(status, `Directions error: ${status}`));
+          }
+        });
+      } catch (callError) {
+        log.error('❌ Error making directions call:', callError);
+        reject(new PlacesError(PLACES_ERROR_CODES.UNKNOWN_ERROR, 'Directions call failed', { cause: callError }));
+      }
+    });
+  }
+
+  // Travel time and distance from one origin to many destinations, aligned with `destinations`
+  // (null where there is no route). Only destinations missing from the cache are requested, in
+  // as few Distance Matrix calls as its per-request limit allows.
+  async getTravelTimes({ origin, destinations = [], travelMode = 'DRIVING' } = {}) {
+    const from = toDirectionsEndpoint(origin);
+    const originKey = travelTimeEndpointKey(origin);
+    if (!from || !originKey) {
+      throw new InvalidRequestError('An origin is required for travel times');
+    }
+
+    const keys = destinations.map(destination => {
+      const destinationKey = travelTimeEndpointKey(destination);
+      return destinationKey ? `${travelMode}|${originKey}|${destinationKey}` : null;
+    });
+
+    const missing = [];
+    keys.forEach((key, index) => {
+      if (key && !this.travelTimesCache.has(key) && !missing.some(item => item.key === key)) {
+        missing.push({ key, destination: toDirectionsEndpoint(destinations[index]) });
+      }
+    });
+
+    for (let start = 0; start < missing.length; start += DISTANCE_MATRIX_MAX_DESTINATIONS) {
+      const batch = missing.slice(start, start + DISTANCE_MATRIX_MAX_DESTINATIONS);
+      const elements = await this._getDistanceMatrix({
+        origins: [from],
+        destinations: batch.map(item => item.destination),
+        travelMode
+      });
+
+      batch.forEach((item, index) => {
+        const element = elements[index];
+        this.travelTimesCache.set(item.key, element?.status === 'OK'
+          ? { distance: toTextValue(element.distance), duration: toTextValue(element.duration) }
+          : null);
+      });
+    }
+
+    if (missing.length === 0) {
+      log.debug(`⚡ Travel times cache HIT for ${keys.filter(Boolean).length} destinations`);
+    }
+    return keys.map(key => (key ? this.travelTimesCache.get(key) ?? null : null));
+  }
+
+  async _getDistanceMatrix({ origins, destinations, travelMode }) {
+    await this.initialize();
+    const state = this.getState();
+    if (!state.google || !state.google.maps || !state.google.maps.DistanceMatrixService) {
+      throw new PlacesError(PLACES_ERROR_CODES.SERVICE_UNAVAILABLE, 'Distance Matrix not available');
+    }
+
+    if (!state.distanceMatrixService) {
+      this._state.distanceMatrixService = new state.google.maps.DistanceMatrixService();
+    }
+
+    const request = {
+      origins,
+      destinations,
+      travelMode: state.google.maps.TravelMode?.[travelMode] || travelMode
+    };
+
+    log.debug(`⏱️ Making Distance Matrix request (${destinations.length} destinations, ${travelMode})`);
+    // Billed per origin/destination element
+    this.usageMeter.record('distanceMatrix', origins.length * destinations.length);
+    return new Promise((resolve, reject) => {
+      try {
+        this._state.distanceMatrixService.getDistanceMatrix(request, (response, status) => {
+          log.debug(`⏱️ Distance Matrix Response - Status: ${status}`);
+          if (status === state.google.maps.DistanceMatrixStatus.OK) {
+            resolve(response?.rows?.[0]?.elements || []);
+          } else {
+            reject(fromServiceStatus(status, `Distance Matrix error: ${status}`));
+          }
+        });
+      } catch (callError) {
+        log.error('❌ Error making distance matrix call:', callError);
+        reject(new PlacesError(PLACES_ERROR_CODES.UNKNOWN_ERROR, 'Distance Matrix call failed', { cause: callError }));
+      }
+    });
+  }
+
+  // 🖼️ Sized URL for a serialized photo reference ({ place_id, index }, see utils/photos.js).
+  // The live PlacePhoto comes from the details cache, or from a fresh details request when the
+  // reference outlived it (e.g. a place restored from history).
+  async getPhotoUrl(photo, { maxWidth = 400, maxHeight } = {}) {
+    if (!photo?.place_id || !Number.isInteger(photo.index)) {
+      throw new InvalidRequestError('A photo reference needs a place_id and an index');
+    }
+
+    const cacheKey = `${photo.place_id}|${photo.index}|${maxWidth}x${maxHeight || ''}`;
+    const cachedUrl = this.photoUrlsCache.get(cacheKey);
+    if (cachedUrl) {
+      return cachedUrl;
+    }
+
+    const place = this.detailsCache.get(photo.place_id) || await this.getPlaceDetails(photo.place_id);
+    const livePhoto = place.photos?.[photo.index];
+    if (typeof livePhoto?.getUrl !== 'function') {
+      throw new NotFoundError(`Photo ${photo.index} of ${photo.place_id} is no longer available`);
+    }
+
+    this.usageMeter.record('photo');
+    const url = livePhoto.getUrl({ maxWidth, ...(maxHeight && { maxHeight }) });
+    this.photoUrlsCache.set(cacheKey, url);
+    return url;
+  }
+
   async createMap(elementId, center = { lat: 3.1390, lng: 101.6869 }) {
     try {
-      console.log(`🗺️ Creating map for element: ${elementId}`);
+      log.debug(`🗺️ Creating map for element: ${elementId}`);
       
       await this.initialize();
       
@@ -549,6 +1282,7 @@ class GoogleMapsService {
         throw new Error('Google Maps not available for map creation');
       }
 
+      this.usageMeter.record('mapLoad');
       const map = new state.google.maps.Map(element, {
         zoom: 13,
         center: center,
@@ -558,10 +1292,10 @@ class GoogleMapsService {
         zoomControl: true
       });
 
-      console.log('✅ Map created successfully');
+      log.debug('✅ Map created successfully');
       return map;
     } catch (error) {
-      console.error('❌ Map creation error:', error);
+      log.error('❌ Map creation error:', error);
       throw error;
     }
   }
@@ -584,14 +1318,54 @@ class GoogleMapsService {
         animation: state.google.maps.Animation.DROP
       });
 
-      console.log('📍 Marker created successfully');
+      log.debug('📍 Marker created successfully');
       return marker;
     } catch (error) {
-      console.error('❌ Marker creation error:', error);
+      log.error('❌ Marker creation error:', error);
       throw error;
     }
   }
 
+  // Translucent circle, e.g. the nearby-search radius
+  createCircle(map, center, radius) {
+    const state = this.getState();
+    if (!map || !state.google || !state.google.maps) {
+      throw new Error('Google Maps not available for circle creation');
+    }
+
+    return new state.google.maps.Circle({
+      map,
+      center,
+      radius,
+      strokeColor: '#2563eb',
+      strokeOpacity: 0.6,
+      strokeWeight: 2,
+      fillColor: '#3b82f6',
+      fillOpacity: 0.1,
+      clickable: false
+    });
+  }
+
+  // Route line from an encoded polyline, decoded with the geometry library when it is loaded
+  createPolyline(map, encodedPath) {
+    const state = this.getState();
+    if (!map || !state.google || !state.google.maps) {
+      throw new Error('Google Maps not available for polyline creation');
+    }
+
+    const encoding = state.google.maps.geometry?.encoding;
+    const path = encoding ? encoding.decodePath(encodedPath) : decodePolyline(encodedPath);
+
+    return new state.google.maps.Polyline({
+      map,
+      path,
+      strokeColor: '#2563eb',
+      strokeOpacity: 0.85,
+      strokeWeight: 5,
+      clickable: false
+    });
+  }
+
   // Utility methods
   isReady() {
     const state = this.getState();
@@ -608,34 +1382,95 @@ class GoogleMapsService {
     const state = this.getState();
     return {
       isInitialized: state.isInitialized,
+      placesApi: this.placesApi,
       hasGoogle: !!state.google,
       hasPlaces: !!(state.google && state.google.maps && state.google.maps.places),
       hasAutocompleteService: !!state.autocompleteService,
       hasPlacesService: !!state.placesService,  // 🆕 Added placesService status
       isReady: this.isReady(),
       isCorrupted: state.isCorrupted,
-      lastError: state.lastError?.message || null
+      lastError: state.lastError?.message || null,
+      cache: {
+        predictions: this.predictionsCache.getStats(),
+        details: this.detailsCache.getStats(),
+        travelTimes: this.travelTimesCache.getStats(),
+        extendedDetails: this.extendedDetailsCache.getStats(),
+        photoUrls: this.photoUrlsCache.getStats()
+      },
+      sessions: this.sessions.getStats()
     };
   }
 
+  // Retire a typing session (selection, clear or Escape); safe to call with unknown ids
+  endAutocompleteSession(sessionId) {
+    if (sessionId && this.sessions.retire(sessionId)) {
+      log.debug(`🎟️ Autocomplete session ${sessionId} retired`);
+    }
+  }
+
+  // Drop cached predictions, details, travel times and/or photo URLs.
+  //   invalidateCache()                        -> everything
+  //   invalidateCache({ scope: 'predictions' }) -> all predictions (likewise 'details', 'travelTimes', 'photoUrls')
+  //   invalidateCache({ query: 'klcc' })        -> predictions for that query (any options)
+  //   invalidateCache({ placeId: 'ChIJ...' })   -> one place's details and extended details
+  invalidateCache({ scope = 'all', query, placeId } = {}) {
+    let removed = 0;
+
+    if (placeId) {
+      removed += this.detailsCache.delete(placeId) ? 1 : 0;
+      removed += this.extendedDetailsCache.delete(placeId) ? 1 : 0;
+    } else if (query) {
+      const prefix = `${normalizeSearchQuery(query)}|`;
+      removed += this.predictionsCache.deleteWhere(key => key.startsWith(prefix));
+    } else {
+      if (scope === 'all' || scope === 'predictions') {
+        removed += this.predictionsCache.size;
+        this.predictionsCache.clear();
+      }
+      if (scope === 'all' || scope === 'details') {
+        removed += this.detailsCache.size;
+        this.detailsCache.clear();
+        removed += this.extendedDetailsCache.size;
+        this.extendedDetailsCache.clear();
+      }
+      if (scope === 'all' || scope === 'travelTimes') {
+        removed += this.travelTimesCache.size;
+        this.travelTimesCache.clear();
+      }
+      if (scope === 'all' || scope === 'photoUrls') {
+        removed += this.photoUrlsCache.size;
+        this.photoUrlsCache.clear();
+      }
+    }
+
+    log.debug(`🧹 Cache invalidated (${removed} entries removed)`);
+    return removed;
+  }
+
   // Safe reset method
   reset() {
-    console.log('🔄 Resetting GoogleMapsService...');
+    log.debug('🔄 Resetting GoogleMapsService...');
     try {
-      ServiceState.isInitialized = false;
-      ServiceState.autocompleteService = null;
-      ServiceState.placesService = null;
-      ServiceState.initializationPromise = null;
-      ServiceState.lastError = null;
-      ServiceState.isCorrupted = false;
-      // Keep ServiceState.google for faster re-initialization
+      this._state.isInitialized = false;
+      this._state.autocompleteService = null;
+      this._state.placesService = null;
+      this._state.geocoder = null;
+      this._state.directionsService = null;
+      this._state.distanceMatrixService = null;
+      this._state.initializationPromise = null;
+      this._state.lastError = null;
+      this._state.isCorrupted = false;
+      // Keep state.google for faster re-initialization
     } catch (error) {
-      console.error('❌ Reset failed:', error);
+      log.error('❌ Reset failed:', error);
       // Force complete reset
-      Object.assign(ServiceState, {
+      Object.assign(this._state, {
         google: null,
         autocompleteService: null,
         placesService: null,
+        geocoder: null,
+        directionsService: null,
+        distanceMatrixService: null,
         isInitialized: false,
         initializationPromise: null,
         lastError: null,
@@ -650,21 +1485,35 @@ let googleMapsService;
 try {
   googleMapsService = new GoogleMapsService();
 } catch (error) {
-  console.error('❌ Failed to create GoogleMapsService:', error);
-  // Create a safe fallback service
+  log.error('❌ Failed to create GoogleMapsService:', error);
+  // Create a safe fallback service that reports why it is unavailable
+  const unavailable = () => Promise.reject(error instanceof PlacesError
+    ? error
+    : new PlacesError(PLACES_ERROR_CODES.SERVICE_UNAVAILABLE, 'Service unavailable', { cause: error }));
   googleMapsService = {
-    searchPlaces: () => Promise.resolve([]),
-    getPlaceDetails: () => Promise.reject(new Error('Service unavailable')),  // 🆕 Added fallback
+    searchPlaces: unavailable,
+    getPlaceDetails: unavailable,  // 🆕 Added fallback
+    geocode: unavailable,
+    reverseGeocode: unavailable,
     initialize: () => Promise.resolve(null),
-    createMap: () => Promise.reject(new Error('Service unavailable')),
+    createMap: unavailable,
     createMarker: () => null,
     isReady: () => false,
     getStatus: () => ({ error: 'Service creation failed' }),
-    reset: () => {}
+    reset: () => {},
+    invalidateCache: () => 0,
+    endAutocompleteSession: () => {},
+    textSearch: unavailable,
+    nearbySearch: unavailable,
+    createCircle: () => null,
+    getDirections: unavailable,
+    getTravelTimes: unavailable,
+    createPolyline: () => null
   };
 }
 
-// Enhanced debug helpers for your specific situation
+// Enhanced debug helpers for your specific situation.
+// These are called by hand from the browser console, so they print directly instead of logging.
 if (typeof window !== 'undefined') {
   window.debugGoogleMapsService = () => {
     console.log('🔍 Google Maps Service Debug:');
@@ -727,4 +1576,4 @@ if (typeof window !== 'undefined') {
   };
 }
 
-export { googleMapsService };
\ No newline at end of file
+export { googleMapsService, GoogleMapsService };
\ No newline at end of file
@@ -0,0 +1,761 @@
+import { GoogleMapsService, buildSearchCacheKey, buildAutocompleteAreaFields } from './googleMapsService';
+import {
+  createFakeGoogleMaps,
+  fakePrediction,
+  fakeSuggestion,
+  toFakeGeometry,
+  MapsRequestError,
+  fakeDirectionsRoute,
+  PlacesServiceStatus,
+  DirectionsStatus,
+  DistanceMatrixStatus,
+  DistanceMatrixElementStatus
+} from '../test-utils/fakeGoogleMaps';
+import { QuotaExceededError, LoaderError } from './errors';
+import { UsageMeter } from './usageMeter';
+
+const predictions = (prefix, count) =>
+  Array.from({ length: count }, (_, i) => fakePrediction(`${prefix}_${i}`, `${prefix} ${i}`));
+
+// Route predictions by request type so primary/supplementary/validation calls are distinguishable
+const respondByType = (fake, { primary, supplementary = [] }) => {
+  fake.respondTo('getPlacePredictions', (request) => {
+    if (request.types.includes('country')) {
+      return { status: PlacesServiceStatus.OK, predictions: [] };
+    }
+    if (request.types.includes('establishment')) {
+      return primary;
+    }
+    return { status: PlacesServiceStatus.OK, predictions: supplementary };
+  });
+};
+
+let fake;
+let service;
+
+beforeEach(() => {
+  fake = createFakeGoogleMaps();
+  service = new GoogleMapsService({ loader: fake.loader });
+});
+
+describe('initialize', () => {
+  test('loads the injected SDK once and reports readiness', async () => {
+    await Promise.all([service.initialize(), service.initialize()]);
+
+    expect(fake.calls.load).toBe(1);
+    expect(service.isReady()).toBeTruthy();
+    expect(service.getStatus()).toMatchObject({ hasAutocompleteService: true, hasPlacesService: true });
+  });
+
+  test('maps loader failures to actionable messages', async () => {
+    fake = createFakeGoogleMaps({ loadError: new Error('RequestDeniedMapError') });
+    service = new GoogleMapsService({ loader: fake.loader });
+
+    await expect(service.initialize()).rejects.toThrow('Check if billing is enabled');
+    await expect(service.initialize()).rejects.toBeInstanceOf(LoaderError);
+    expect(service.getStatus().lastError).toBe('RequestDeniedMapError');
+  });
+});
+
+describe('searchPlaces', () => {
+  test('returns at most ten primary results without a supplementary call', async () => {
+    respondByType(fake, { primary: { status: PlacesServiceStatus.OK, predictions: predictions('p', 12) } });
+
+    const results = await service.searchPlaces('klcc');
+
+    expect(results).toHaveLength(10);
+    const searchCalls = fake.calls.getPlacePredictions.filter(r => !r.types.includes('country'));
+    expect(searchCalls).toHaveLength(1);
+  });
+
+  test('merges supplementary results after primary ones and drops duplicates', async () => {
+    const primary = predictions('p', 3);
+    const supplementary = [primary[1], ...predictions('s', 9)];
+    respondByType(fake, { primary: { status: PlacesServiceStatus.OK, predictions: primary }, supplementary });
+
+    const results = await service.searchPlaces('kuala');
+
+    expect(results.map(r => r.place_id)).toEqual([
+      'p_0', 'p_1', 'p_2', 's_0', 's_1', 's_2', 's_3', 's_4', 's_5', 's_6'
+    ]);
+  });
+
+  test('ignores short queries without touching the SDK', async () => {
+    await expect(service.searchPlaces('k')).resolves.toEqual([]);
+    expect(fake.calls.load).toBe(0);
+  });
+
+  test('rejects with a typed error when the API rejects the request', async () => {
+    respondByType(fake, { primary: { status: PlacesServiceStatus.OVER_QUERY_LIMIT, predictions: null } });
+
+    const error = await service.searchPlaces('klcc').catch(e => e);
+
+    expect(error).toBeInstanceOf(QuotaExceededError);
+    expect(error).toMatchObject({ code: 'OVER_QUERY_LIMIT', status: 'OVER_QUERY_LIMIT', retryable: true });
+  });
+
+  test('propagates loader failures instead of returning no results', async () => {
+    fake = createFakeGoogleMaps({ loadError: new Error('API load timeout after 20 seconds') });
+    service = new GoogleMapsService({ loader: fake.loader });
+
+    await expect(service.searchPlaces('klcc')).rejects.toMatchObject({ code: 'LOAD_TIMEOUT', retryable: true });
+  });
+});
+
+describe('location bias and restrictions', () => {
+  const bounds = { north: 3.3, south: 3.0, east: 101.8, west: 101.5 };
+
+  test('sends bias and country restriction with primary and supplementary requests', async () => {
+    respondByType(fake, { primary: { status: PlacesServiceStatus.OK, predictions: predictions('p', 2) } });
+
+    await service.searchPlaces('klcc', { locationBias: { bounds }, country: 'my' });
+
+    const searchCalls = fake.calls.getPlacePredictions.filter(r => !r.types.includes('country'));
+    expect(searchCalls).toHaveLength(2);
+    searchCalls.forEach(request => {
+      expect(request).toMatchObject({ locationBias: bounds, componentRestrictions: { country: 'my' } });
+      expect(request).not.toHaveProperty('locationRestriction');
+    });
+  });
+
+  test('turns strict bounds into a rectangular location restriction', () => {
+    expect(buildAutocompleteAreaFields({ locationBias: { bounds }, strictBounds: true })).toEqual({ locationRestriction: bounds });
+
+    const circle = buildAutocompleteAreaFields({
+      locationBias: { center: { lat: 3.1, lng: 101.7 }, radius: 1000 },
+      strictBounds: true
+    });
+    expect(circle.locationRestriction.north).toBeCloseTo(3.109, 3);
+    expect(circle.locationRestriction.west).toBeCloseTo(101.691, 3);
+    expect(buildAutocompleteAreaFields({})).toEqual({});
+  });
+});
+
+describe('getPlaceDetails', () => {
+  test('resolves places with geometry', async () => {
+    fake.respondTo('getDetails', (request) => ({
+      status: PlacesServiceStatus.OK,
+      place: {
+        place_id: request.placeId,
+        name: 'KLCC',
+        geometry: toFakeGeometry({ location: { lat: 3.1579, lng: 101.7116 } })
+      }
+    }));
+
+    const place = await service.getPlaceDetails('klcc');
+
+    expect(fake.calls.getDetails[0]).toMatchObject({ placeId: 'klcc' });
+    expect(place.geometry.location.lat()).toBe(3.1579);
+  });
+
+  test.each([
+    [PlacesServiceStatus.NOT_FOUND, 'Place not found'],
+    [PlacesServiceStatus.REQUEST_DENIED, 'Place Details API request denied'],
+    [PlacesServiceStatus.UNKNOWN_ERROR, 'Place details API error: UNKNOWN_ERROR']
+  ])('rejects %s responses', async (status, message) => {
+    fake.respondTo('getDetails', { status, place: null });
+
+    await expect(service.getPlaceDetails('klcc')).rejects.toThrow(message);
+    await expect(service.getPlaceDetails('klcc')).rejects.toMatchObject({ code: status, status });
+  });
+
+  test('rejects OK responses that carry no geometry', async () => {
+    fake.respondTo('getDetails', { status: PlacesServiceStatus.OK, place: { name: 'No geometry' } });
+
+    await expect(service.getPlaceDetails('klcc')).rejects.toThrow('missing geometry');
+  });
+});
+
+describe('maps', () => {
+  test('creates maps and markers on the fake SDK', async () => {
+    document.body.innerHTML = '<div id="map"></div>';
+
+    const map = await service.createMap('map', { lat: 3.139, lng: 101.6869 });
+    const marker = service.createMarker(map, { lat: 3.1579, lng: 101.7116 }, 'KLCC');
+
+    expect(fake.calls.maps).toEqual([map]);
+    expect(marker.getMap()).toBe(map);
+    expect(marker.getPosition().toJSON()).toEqual({ lat: 3.1579, lng: 101.7116 });
+  });
+});
+
+describe('caching', () => {
+  const searchCallCount = () => fake.calls.getPlacePredictions.filter(r => !r.types.includes('country')).length;
+
+  test('serves repeated queries from the predictions cache regardless of case and spacing', async () => {
+    respondByType(fake, { primary: { status: PlacesServiceStatus.OK, predictions: predictions('p', 8) } });
+
+    await service.searchPlaces('KLCC  tower');
+    const cached = await service.searchPlaces('  klcc tower ');
+
+    expect(cached).toHaveLength(8);
+    expect(searchCallCount()).toBe(1);
+    expect(service.getStatus().cache.predictions).toMatchObject({ hits: 1, misses: 1, size: 1 });
+  });
+
+  test('keys predictions by search options and ignores session ids', () => {
+    expect(buildSearchCacheKey('KLCC', { country: 'my', sessionId: 'a' }))
+      .toBe(buildSearchCacheKey('klcc', { sessionId: 'b', country: 'my' }));
+    expect(buildSearchCacheKey('klcc', { country: 'my' })).not.toBe(buildSearchCacheKey('klcc', { country: 'sg' }));
+  });
+
+  test('does not cache failed searches', async () => {
+    respondByType(fake, { primary: { status: PlacesServiceStatus.OVER_QUERY_LIMIT, predictions: null } });
+
+    await expect(service.searchPlaces('klcc')).rejects.toThrow('OVER_QUERY_LIMIT');
+    await expect(service.searchPlaces('klcc')).rejects.toThrow('OVER_QUERY_LIMIT');
+
+    expect(searchCallCount()).toBe(2);
+  });
+
+  test('caches details by place_id until invalidated', async () => {
+    fake.respondTo('getDetails', (request) => ({
+      status: PlacesServiceStatus.OK,
+      place: { place_id: request.placeId, geometry: toFakeGeometry({ location: { lat: 1, lng: 2 } }) }
+    }));
+
+    await service.getPlaceDetails('klcc');
+    await service.getPlaceDetails('klcc');
+    expect(fake.calls.getDetails).toHaveLength(1);
+
+    expect(service.invalidateCache({ placeId: 'klcc' })).toBe(1);
+    await service.getPlaceDetails('klcc');
+    expect(fake.calls.getDetails).toHaveLength(2);
+  });
+
+  test('invalidates predictions for a query across options', async () => {
+    respondByType(fake, { primary: { status: PlacesServiceStatus.OK, predictions: predictions('p', 8) } });
+    await service.searchPlaces('klcc');
+    await service.searchPlaces('klcc', { country: 'my' });
+    await service.searchPlaces('batu');
+
+    expect(service.invalidateCache({ query: 'KLCC' })).toBe(2);
+    expect(service.invalidateCache()).toBe(1);
+  });
+});
+
+describe('autocomplete sessions', () => {
+  const respondWithDetails = () => fake.respondTo('getDetails', (request) => ({
+    status: PlacesServiceStatus.OK,
+    place: {
+      place_id: request.placeId,
+      name: request.placeId,
+      geometry: toFakeGeometry({ location: { lat: 3.1, lng: 101.7 } })
+    }
+  }));
+
+  test('reuses one token for every prediction of a session and hands it to details', async () => {
+    respondByType(fake, {
+      primary: { status: PlacesServiceStatus.OK, predictions: predictions('p', 3) },
+      supplementary: predictions('s', 3)
+    });
+    respondWithDetails();
+
+    await service.searchPlaces('kl', { sessionId: 'typing-1' });
+    await service.searchPlaces('klcc', { sessionId: 'typing-1' });
+    await service.getPlaceDetails('p_0', { sessionId: 'typing-1' });
+
+    const searchCalls = fake.calls.getPlacePredictions.filter(r => !r.types.includes('country'));
+    const [token] = searchCalls.map(r => r.sessionToken);
+    expect(searchCalls).toHaveLength(4);
+    searchCalls.forEach(request => expect(request.sessionToken).toBe(token));
+    expect(fake.calls.getDetails[0].sessionToken).toBe(token);
+    expect(service.getStatus().sessions).toMatchObject({ tokensCreated: 1, sessionsRetired: 1, activeSessions: 0 });
+  });
+
+  test('starts a fresh token once a session has been retired', async () => {
+    respondByType(fake, { primary: { status: PlacesServiceStatus.OK, predictions: predictions('p', 3) } });
+
+    await service.searchPlaces('kl', { sessionId: 'typing-1' });
+    service.endAutocompleteSession('typing-1');
+    await service.searchPlaces('ipoh', { sessionId: 'typing-1' });
+
+    const tokens = new Set(fake.calls.getPlacePredictions
+      .filter(r => !r.types.includes('country'))
+      .map(r => r.sessionToken));
+    expect(tokens.size).toBe(2);
+  });
+
+  test('sends no token with details requests made outside a session', async () => {
+    respondWithDetails();
+
+    await service.getPlaceDetails('klcc');
+
+    expect(fake.calls.getDetails[0]).not.toHaveProperty('sessionToken');
+  });
+});
+
+describe('textSearch', () => {
+  const place = (id, lat = 3.1, lng = 101.7) => ({
+    place_id: id,
+    name: id,
+    geometry: toFakeGeometry({ location: { lat, lng } })
+  });
+
+  beforeEach(() => {
+    service = new GoogleMapsService({ loader: fake.loader, paginationConfig: { pageTokenDelayMs: 0, maxOpenSearches: 5, cursorTtlMs: 60000 } });
+  });
+
+  test('follows next-page tokens through opaque cursors', async () => {
+    fake.respondTo('textSearch', (request) => ({
+      status: PlacesServiceStatus.OK,
+      results: Array.from({ length: 20 }, (_, i) => place(`page${request.page}_${i}`)),
+      hasNextPage: request.page < 3
+    }));
+
+    const first = await service.textSearch('clinic petaling jaya');
+    const second = await service.textSearch('clinic petaling jaya', { cursor: first.nextCursor });
+    const third = await service.textSearch('clinic petaling jaya', { cursor: second.nextCursor });
+
+    expect(first.results).toHaveLength(20);
+    expect(typeof first.nextCursor).toBe('string');
+    expect(second.results[0].place_id).toBe('page2_0');
+    expect(third.nextCursor).toBeNull();
+    expect(fake.calls.textSearch.map(r => r.page)).toEqual([1, 2, 3]);
+    await expect(service.textSearch('clinic', { cursor: first.nextCursor })).rejects.toThrow('expired');
+  });
+
+  test('biases by area and applies strict bounds to the results', async () => {
+    const bounds = { north: 3.2, south: 3.0, east: 101.8, west: 101.6 };
+    fake.respondTo('textSearch', {
+      status: PlacesServiceStatus.OK,
+      results: [place('inside', 3.1, 101.7), place('outside', 5.4, 100.3)]
+    });
+
+    const { results, nextCursor } = await service.textSearch('clinic', { locationBias: { bounds }, country: 'my', strictBounds: true });
+
+    expect(fake.calls.textSearch[0]).toMatchObject({ query: 'clinic', bounds, region: 'my' });
+    expect(results.map(r => r.place_id)).toEqual(['inside']);
+    expect(nextCursor).toBeNull();
+  });
+
+  test('rejects failed searches', async () => {
+    fake.respondTo('textSearch', { status: PlacesServiceStatus.OVER_QUERY_LIMIT, results: [] });
+
+    await expect(service.textSearch('clinic')).rejects.toThrow('OVER_QUERY_LIMIT');
+  });
+});
+
+describe('nearbySearch', () => {
+  beforeEach(() => {
+    service = new GoogleMapsService({ loader: fake.loader, paginationConfig: { pageTokenDelayMs: 0, maxOpenSearches: 5, cursorTtlMs: 60000 } });
+  });
+
+  test('searches by type around a center and pages through cursors', async () => {
+    fake.respondTo('nearbySearch', (request) => ({
+      status: PlacesServiceStatus.OK,
+      results: [{ place_id: `cafe_${request.page}`, name: 'Cafe', geometry: toFakeGeometry({ location: { lat: 3.15, lng: 101.71 } }) }],
+      hasNextPage: request.page === 1
+    }));
+
+    const first = await service.nearbySearch({ location: { lat: 3.1579, lng: 101.7116 }, radius: 1000, type: 'cafe' });
+    const second = await service.nearbySearch({}, { cursor: first.nextCursor });
+
+    expect(fake.calls.nearbySearch[0]).toMatchObject({ location: { lat: 3.1579, lng: 101.7116 }, radius: 1000, type: 'cafe' });
+    expect(fake.calls.nearbySearch[0]).not.toHaveProperty('keyword');
+    expect(second.results[0].place_id).toBe('cafe_2');
+    expect(second.nextCursor).toBeNull();
+  });
+
+  test('validates the center and radius before calling the SDK', async () => {
+    await expect(service.nearbySearch({ radius: 1000 })).rejects.toThrow('location is required');
+    await expect(service.nearbySearch({ location: { lat: 3, lng: 101 }, radius: 60000 })).rejects.toThrow('radius');
+    expect(fake.calls.nearbySearch).toHaveLength(0);
+  });
+
+  test('draws a radius circle on the map', async () => {
+    document.body.innerHTML = '<div id="map"></div>';
+    const map = await service.createMap('map', { lat: 3.139, lng: 101.6869 });
+
+    const circle = service.createCircle(map, { lat: 3.1579, lng: 101.7116 }, 2000);
+
+    expect(fake.calls.circles).toEqual([circle]);
+    expect(circle.getRadius()).toBe(2000);
+    expect(circle.getCenter().toJSON()).toEqual({ lat: 3.1579, lng: 101.7116 });
+    expect(circle.getMap()).toBe(map);
+  });
+});
+
+describe('directions', () => {
+  const path = [{ lat: 3.1579, lng: 101.7116 }, { lat: 3.1488, lng: 101.7133 }, { lat: 3.1428, lng: 101.6958 }];
+
+  test('routes between place ids and coordinates and serializes the result', async () => {
+    const route = fakeDirectionsRoute(path, { summary: 'Jalan Ampang' });
+    route.legs[0].steps[0].instructions = 'Turn <b>left</b><div>Destination on the right</div>';
+    fake.respondTo('route', { status: DirectionsStatus.OK, result: { routes: [route, route, route, route] } });
+
+    const routes = await service.getDirections({
+      origin: { place_id: 'klcc', location: path[0] },
+      destination: { name: 'Somewhere', location: path[2] },
+      travelMode: 'WALKING'
+    });
+
+    expect(fake.calls.route[0]).toEqual({
+      origin: { placeId: 'klcc' },
+      destination: path[2],
+      travelMode: 'WALKING',
+      provideRouteAlternatives: true
+    });
+    expect(routes).toHaveLength(3);
+    expect(routes[0]).toMatchObject({
+      summary: 'Jalan Ampang',
+      distance: { text: '1.0 km', value: 1000 },
+      duration: { text: '2 mins', value: 120 },
+      start_location: path[0],
+      end_location: path[2],
+      bounds: { north: 3.1579, south: 3.1428, east: 101.7133, west: 101.6958 }
+    });
+    expect(routes[0].steps[0].instructions).toBe('Turn left · Destination on the right');
+    expect(JSON.parse(JSON.stringify(routes[0]))).toEqual(routes[0]);
+  });
+
+  test('resolves no routes for ZERO_RESULTS and rejects unknown endpoints', async () => {
+    const endpoints = { origin: { location: path[0] }, destination: { location: path[2] } };
+
+    await expect(service.getDirections(endpoints)).resolves.toEqual([]);
+
+    fake.respondTo('route', { status: DirectionsStatus.NOT_FOUND, result: null });
+    await expect(service.getDirections(endpoints)).rejects.toThrow('could not be found');
+    await expect(service.getDirections({ origin: endpoints.origin })).rejects.toThrow('Origin and destination are required');
+  });
+
+  test('draws a route from its encoded polyline with the geometry library', async () => {
+    document.body.innerHTML = '<div id="map"></div>';
+    const map = await service.createMap('map', path[0]);
+    fake.respondTo('route', { status: DirectionsStatus.OK, result: { routes: [fakeDirectionsRoute(path)] } });
+    const [route] = await service.getDirections({ origin: { location: path[0] }, destination: { location: path[2] } });
+
+    const line = service.createPolyline(map, route.polyline);
+
+    expect(fake.calls.polylines).toEqual([line]);
+    expect(line.getPath().map(point => point.toJSON())).toEqual(path);
+    expect(line.getMap()).toBe(map);
+  });
+});
+
+describe('getTravelTimes', () => {
+  const origin = { location: { lat: 3.139, lng: 101.6869 } };
+  const places = (count) => Array.from({ length: count }, (_, i) => ({ place_id: `p${i}` }));
+
+  // Element i is i minutes / i km away; place ids containing "x" are unreachable
+  const respondWithMatrix = () => fake.respondTo('getDistanceMatrix', (request) => ({
+    status: DistanceMatrixStatus.OK,
+    response: {
+      rows: [{
+        elements: request.destinations.map(({ placeId }) => {
+          const i = Number(placeId.slice(1));
+          return placeId.includes('x')
+            ? { status: DistanceMatrixElementStatus.ZERO_RESULTS }
+            : {
+                status: DistanceMatrixElementStatus.OK,
+                distance: { text: `${i} km`, value: i * 1000 },
+                duration: { text: `${i} mins`, value: i * 60 }
+              };
+        })
+      }]
+    }
+  }));
+
+  test('measures every destination in one request and aligns the results', async () => {
+    respondWithMatrix();
+
+    const times = await service.getTravelTimes({ origin, destinations: [...places(3), { place_id: 'px' }], travelMode: 'WALKING' });
+
+    expect(fake.calls.getDistanceMatrix).toHaveLength(1);
+    expect(fake.calls.getDistanceMatrix[0]).toEqual({
+      origins: [origin.location],
+      destinations: [{ placeId: 'p0' }, { placeId: 'p1' }, { placeId: 'p2' }, { placeId: 'px' }],
+      travelMode: 'WALKING'
+    });
+    expect(times[2]).toEqual({ distance: { text: '2 km', value: 2000 }, duration: { text: '2 mins', value: 120 } });
+    expect(times[3]).toBeNull();
+  });
+
+  test('only requests destinations missing from the cache', async () => {
+    respondWithMatrix();
+    await service.getTravelTimes({ origin, destinations: places(2) });
+
+    // A few meters of GPS jitter still hits the cache for the known places
+    const nearbyOrigin = { location: { lat: 3.13901, lng: 101.68691 } };
+    const times = await service.getTravelTimes({ origin: nearbyOrigin, destinations: places(3) });
+
+    expect(fake.calls.getDistanceMatrix).toHaveLength(2);
+    expect(fake.calls.getDistanceMatrix[1].destinations).toEqual([{ placeId: 'p2' }]);
+    expect(times.map(time => time.duration.value)).toEqual([0, 60, 120]);
+
+    await service.getTravelTimes({ origin, destinations: places(3), travelMode: 'TRANSIT' });
+    expect(fake.calls.getDistanceMatrix).toHaveLength(3);
+  });
+
+  test('splits large result sets into Distance Matrix sized batches', async () => {
+    respondWithMatrix();
+
+    const times = await service.getTravelTimes({ origin, destinations: places(30) });
+
+    expect(fake.calls.getDistanceMatrix.map(request => request.destinations.length)).toEqual([25, 5]);
+    expect(times[29].distance.value).toBe(29000);
+  });
+
+  test('rejects failed requests without caching them', async () => {
+    fake.respondTo('getDistanceMatrix', { status: DistanceMatrixStatus.OVER_QUERY_LIMIT, response: null });
+
+    await expect(service.getTravelTimes({ origin, destinations: places(1) })).rejects.toThrow('OVER_QUERY_LIMIT');
+    expect(service.getStatus().cache.travelTimes.size).toBe(0);
+    await expect(service.getTravelTimes({ destinations: places(1) })).rejects.toThrow('An origin is required');
+  });
+});
+
+describe('usage metering', () => {
+  beforeEach(() => {
+    service = new GoogleMapsService({
+      loader: fake.loader,
+      usageMeter: new UsageMeter({ storage: null, maxPerDay: 3 })
+    });
+  });
+
+  test('records billable calls but not cache hits', async () => {
+    respondByType(fake, { primary: { status: PlacesServiceStatus.OK, predictions: predictions('p', 8) } });
+
+    await service.searchPlaces('klcc');
+    await service.searchPlaces('klcc');
+
+    // Start-up validation request + one search
+    expect(service.usageMeter.getSnapshot().skus).toEqual([
+      expect.objectContaining({ sku: 'autocomplete', count: 2 })
+    ]);
+  });
+
+  test('blocks requests once a cap is reached, without calling the SDK', async () => {
+    fake.respondTo('getDetails', (request) => ({
+      status: PlacesServiceStatus.OK,
+      place: { place_id: request.placeId, geometry: toFakeGeometry({ location: { lat: 1, lng: 2 } }) }
+    }));
+    await service.getPlaceDetails('a');
+    await service.getPlaceDetails('b');
+
+    await expect(service.getPlaceDetails('c')).rejects.toMatchObject({ code: 'USAGE_CAP_REACHED' });
+    expect(fake.calls.getDetails).toHaveLength(2);
+  });
+});
+
+describe('Places API (New)', () => {
+  const klcc = {
+    displayName: 'Petronas Twin Towers',
+    formattedAddress: 'Kuala Lumpur City Centre, 50088 Kuala Lumpur, Malaysia',
+    shortFormattedAddress: 'KLCC, Kuala Lumpur',
+    location: { lat: 3.1579, lng: 101.7116 },
+    viewport: { southwest: { lat: 3.15, lng: 101.70 }, northeast: { lat: 3.16, lng: 101.72 } },
+    types: ['tourist_attraction'],
+    rating: 4.7,
+    userRatingCount: 120000,
+    photos: [{
+      widthPx: 800,
+      heightPx: 600,
+      authorAttributions: [{ displayName: 'A <Photographer>', uri: 'https://maps.google.com/maps/contrib/1' }],
+      getURI: ({ maxWidth }) => `https://photos.example/klcc?w=${maxWidth}`
+    }],
+    editorialSummary: 'not in the field mask'
+  };
+
+  beforeEach(() => {
+    service = new GoogleMapsService({ loader: fake.loader, placesApi: 'new' });
+  });
+
+  test('rejects unknown API versions', () => {
+    expect(() => new GoogleMapsService({ loader: fake.loader, placesApi: 'v2' })).toThrow("Unknown Places API version 'v2'");
+  });
+
+  test('initializes without the legacy validation request', async () => {
+    await service.initialize();
+
+    expect(service.isReady()).toBeTruthy();
+    expect(service.getStatus()).toMatchObject({ placesApi: 'new', hasAutocompleteService: true });
+    expect(fake.calls.getPlacePredictions).toHaveLength(0);
+  });
+
+  test('converts suggestions into the legacy prediction shape', async () => {
+    fake.respondTo('fetchAutocompleteSuggestions', {
+      suggestions: [fakeSuggestion('klcc', 'KLCC'), fakeSuggestion('pav', 'Pavilion')]
+    });
+
+    const results = await service.searchPlaces('kl', { country: 'my', locationBias: { center: { lat: 3.1, lng: 101.6 }, radius: 5000 } });
+
+    expect(fake.calls.fetchAutocompleteSuggestions[0]).toMatchObject({
+      input: 'kl',
+      includedRegionCodes: ['my'],
+      locationBias: { center: { lat: 3.1, lng: 101.6 }, radius: 5000 }
+    });
+    expect(fake.calls.getPlacePredictions).toHaveLength(0);
+    expect(results[0]).toEqual({
+      place_id: 'klcc',
+      description: 'KLCC, Kuala Lumpur, Malaysia',
+      matched_substrings: [{ offset: 0, length: 3 }],
+      structured_formatting: {
+        main_text: 'KLCC',
+        main_text_matched_substrings: [],
+        secondary_text: 'Kuala Lumpur, Malaysia'
+      },
+      types: ['establishment']
+    });
+  });
+
+  test('fetches details with the field mask and returns the legacy place shape', async () => {
+    fake.respondTo('fetchFields', { place: klcc });
+
+    const place = await service.getPlaceDetails('klcc');
+
+    expect(fake.calls.fetchFields[0].fields).toEqual(expect.arrayContaining(['displayName', 'location', 'photos']));
+    expect(fake.calls.getDetails).toHaveLength(0);
+    expect(place).toMatchObject({
+      place_id: 'klcc',
+      name: 'Petronas Twin Towers',
+      formatted_address: 'Kuala Lumpur City Centre, 50088 Kuala Lumpur, Malaysia',
+      vicinity: 'KLCC, Kuala Lumpur',
+      types: ['tourist_attraction'],
+      rating: 4.7,
+      user_ratings_total: 120000
+    });
+    expect(place).not.toHaveProperty('editorialSummary');
+    expect(place.geometry.location.lat()).toBe(3.1579);
+    expect(place.geometry.viewport.getNorthEast().lng()).toBe(101.72);
+    expect(place.photos[0]).toMatchObject({
+      width: 800,
+      height: 600,
+      html_attributions: ['<a href="https://maps.google.com/maps/contrib/1">A &lt;Photographer&gt;</a>']
+    });
+    expect(place.photos[0].getUrl({ maxWidth: 400 })).toBe('https://photos.example/klcc?w=400');
+  });
+
+  test('fetches the details of a suggestion within its autocomplete session', async () => {
+    fake.respondTo('fetchAutocompleteSuggestions', { suggestions: [fakeSuggestion('klcc', 'KLCC')] });
+    fake.respondTo('fetchFields', { place: klcc });
+
+    await service.searchPlaces('klcc', { sessionId: 's1' });
+    await service.getPlaceDetails('klcc', { sessionId: 's1' });
+
+    const sessionToken = fake.calls.fetchAutocompleteSuggestions[0].sessionToken;
+    expect(fake.calls.fetchFields[0].sessionToken).toBe(sessionToken);
+    expect(service.sessions.isActive('s1')).toBe(false);
+  });
+
+  test.each([
+    ['RESOURCE_EXHAUSTED', 'OVER_QUERY_LIMIT'],
+    ['PERMISSION_DENIED', 'REQUEST_DENIED']
+  ])('rejects %s failures as typed %s errors', async (rpcCode, code) => {
+    fake.respondTo('fetchAutocompleteSuggestions', { error: new MapsRequestError(rpcCode) });
+    fake.respondTo('fetchFields', { error: new MapsRequestError(rpcCode) });
+
+    await expect(service.searchPlaces('klcc')).rejects.toMatchObject({ code });
+    await expect(service.getPlaceDetails('klcc')).rejects.toMatchObject({ code });
+  });
+
+  test('rejects places without a location', async () => {
+    fake.respondTo('fetchFields', { place: { displayName: 'Nowhere' } });
+
+    await expect(service.getPlaceDetails('nowhere')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+});
+
+describe('getPhotoUrl', () => {
+  const placeWithPhotos = (request) => ({
+    status: PlacesServiceStatus.OK,
+    place: {
+      place_id: request.placeId,
+      geometry: toFakeGeometry({ location: { lat: 3.1579, lng: 101.7116 } }),
+      photos: [
+        { width: 800, height: 600, html_attributions: [], getUrl: ({ maxWidth }) => `https://photos.example/${request.placeId}/0?w=${maxWidth}` }
+      ]
+    }
+  });
+
+  test('resolves a reference from cached details and caches the sized URL', async () => {
+    fake.respondTo('getDetails', placeWithPhotos);
+    await service.getPlaceDetails('klcc');
+
+    const photo = { place_id: 'klcc', index: 0 };
+    expect(await service.getPhotoUrl(photo, { maxWidth: 160 })).toBe('https://photos.example/klcc/0?w=160');
+    expect(await service.getPhotoUrl(photo, { maxWidth: 160 })).toBe('https://photos.example/klcc/0?w=160');
+    expect(await service.getPhotoUrl(photo, { maxWidth: 1200 })).toBe('https://photos.example/klcc/0?w=1200');
+
+    expect(fake.calls.getDetails).toHaveLength(1);
+    expect(service.getStatus().cache.photoUrls.size).toBe(2);
+  });
+
+  test('fetches details again when the reference outlived the details cache', async () => {
+    fake.respondTo('getDetails', placeWithPhotos);
+
+    expect(await service.getPhotoUrl({ place_id: 'batu', index: 0 })).toBe('https://photos.example/batu/0?w=400');
+    expect(fake.calls.getDetails).toHaveLength(1);
+  });
+
+  test('rejects references to photos the place no longer has', async () => {
+    fake.respondTo('getDetails', placeWithPhotos);
+
+    await expect(service.getPhotoUrl({ place_id: 'klcc', index: 3 })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    await expect(service.getPhotoUrl({ index: 0 })).rejects.toMatchObject({ code: 'INVALID_REQUEST' });
+  });
+});
+
+describe('getExtendedPlaceDetails', () => {
+  test('caches the extended payload apart from the selection details', async () => {
+    fake.respondTo('getDetails', { status: PlacesServiceStatus.OK, place: { website: 'https://klcc.example' } });
+
+    await service.getExtendedPlaceDetails('klcc');
+    const details = await service.getExtendedPlaceDetails('klcc');
+
+    expect(fake.calls.getDetails).toHaveLength(1);
+    expect(details).toMatchObject({ place_id: 'klcc', website: 'https://klcc.example', opening_hours: null, reviews: [] });
+    expect(service.detailsCache.get('klcc')).toBeUndefined();
+  });
+
+  test('converts Places API (New) fields to the same payload', async () => {
+    service = new GoogleMapsService({ loader: fake.loader, placesApi: 'new' });
+    fake.respondTo('fetchFields', {
+      place: {
+        regularOpeningHours: {
+          periods: [{ open: { day: 1, hour: 9, minute: 30 }, close: { day: 1, hour: 22, minute: 0 } }],
+          weekdayDescriptions: ['Monday: 9:30 AM – 10:00 PM']
+        },
+        utcOffsetMinutes: 480,
+        nationalPhoneNumber: '03-2331 8080',
+        websiteURI: 'https://klcc.example',
+        priceLevel: 'PRICE_LEVEL_EXPENSIVE',
+        reviews: [{
+          authorAttribution: { displayName: 'Mei', uri: 'https://maps.google.com/contrib/2' },
+          rating: 4,
+          text: 'Busy on weekends',
+          relativePublishTimeDescription: '2 months ago',
+          publishTime: new Date('2025-01-01T00:00:00Z')
+        }],
+        businessStatus: 'CLOSED_TEMPORARILY',
+        googleMapsURI: 'https://maps.google.com/?cid=1'
+      }
+    });
+
+    const details = await service.getExtendedPlaceDetails('klcc');
+
+    expect(fake.calls.fetchFields[0].fields).toEqual(expect.arrayContaining(['regularOpeningHours', 'reviews']));
+    expect(details).toEqual({
+      place_id: 'klcc',
+      opening_hours: {
+        periods: [{ open: { day: 1, time: '0930' }, close: { day: 1, time: '2200' } }],
+        weekday_text: ['Monday: 9:30 AM – 10:00 PM']
+      },
+      utc_offset_minutes: 480,
+      formatted_phone_number: '03-2331 8080',
+      international_phone_number: null,
+      website: 'https://klcc.example',
+      price_level: 3,
+      reviews: [{
+        author_name: 'Mei',
+        author_url: 'https://maps.google.com/contrib/2',
+        rating: 4,
+        text: 'Busy on weekends',
+        relative_time_description: '2 months ago',
+        time: 1735689600
+      }],
+      business_status: 'CLOSED_TEMPORARILY',
+      url: 'https://maps.google.com/?cid=1'
+    });
+  });
+});
@@ -0,0 +1,141 @@
+// This file is part of the Google Places Redux Saga project.
+// It adapts Places API (New) to the shapes the rest of the app was written against.
+// AutocompleteSuggestion predictions become AutocompletePrediction-style objects and a fetched
+// Place becomes a PlaceResult-style object, so createPlace (models/place.js), the slices and the components
+// work the same whichever API googleMapsService is configured to use.
+
+// FormattableText matches ({ startOffset, endOffset }) -> legacy matched_substrings
+const toMatchedSubstrings = (formattableText) =>
+  (formattableText?.matches || []).map(({ startOffset, endOffset }) => ({
+    offset: startOffset,
+    length: endOffset - startOffset
+  }));
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Legacy AutocompletionRequest area fields (see buildAutocompleteAreaFields) -> AutocompleteRequest
+// fields. componentRestrictions.country becomes includedRegionCodes; bounds and circles carry over.
+export function toSuggestionAreaFields({ componentRestrictions, locationBias, locationRestriction } = {}) {
+  const fields = {};
+
+  if (componentRestrictions?.country) {
+    fields.includedRegionCodes = [].concat(componentRestrictions.country);
+  }
+  if (locationRestriction) {
+    fields.locationRestriction = locationRestriction;
+  } else if (locationBias) {
+    fields.locationBias = locationBias;
+  }
+  return fields;
+}
+
+// PlacePrediction -> AutocompletePrediction shape
+export function toLegacyPrediction(placePrediction) {
+  const description = placePrediction.text?.text || '';
+
+  return {
+    place_id: placePrediction.placeId,
+    description,
+    matched_substrings: toMatchedSubstrings(placePrediction.text),
+    structured_formatting: {
+      main_text: placePrediction.mainText?.text || description,
+      main_text_matched_substrings: toMatchedSubstrings(placePrediction.mainText),
+      secondary_text: placePrediction.secondaryText?.text || ''
+    },
+    types: placePrediction.types || [],
+    ...(Number.isFinite(placePrediction.distanceMeters) && { distance_meters: placePrediction.distanceMeters })
+  };
+}
+
+// Photo -> PlacePhoto shape: author attributions become the html_attributions links Google used to send
+export function toLegacyPhoto(photo) {
+  return {
+    width: photo.widthPx,
+    height: photo.heightPx,
+    html_attributions: (photo.authorAttributions || []).map(({ displayName, uri }) => (uri
+      ? `<a href="${escapeHtml(uri)}">${escapeHtml(displayName || uri)}</a>`
+      : escapeHtml(displayName || ''))),
+    getUrl: (options) => photo.getURI(options)
+  };
+}
+
+// Place (after fetchFields with PLACE_DETAILS_FIELD_MASK) -> PlaceResult shape. Fields the place
+// does not have are left out, as the legacy API does.
+export function toLegacyPlace(place) {
+  const result = {
+    place_id: place.id,
+    name: place.displayName || '',
+    formatted_address: place.formattedAddress || '',
+    types: place.types || [],
+    photos: (place.photos || []).map(toLegacyPhoto)
+  };
+
+  if (place.shortFormattedAddress) {
+    result.vicinity = place.shortFormattedAddress;
+  }
+  if (Number.isFinite(place.rating)) {
+    result.rating = place.rating;
+  }
+  if (Number.isFinite(place.userRatingCount)) {
+    result.user_ratings_total = place.userRatingCount;
+  }
+  if (place.location) {
+    result.geometry = {
+      location: place.location,
+      ...(place.viewport && { viewport: place.viewport })
+    };
+  }
+  return result;
+}
+
+// PriceLevel enum -> the legacy 0 (free) .. 4 (very expensive) scale
+const PRICE_LEVELS = {
+  FREE: 0,
+  INEXPENSIVE: 1,
+  MODERATE: 2,
+  EXPENSIVE: 3,
+  VERY_EXPENSIVE: 4
+};
+
+const toLegacyPeriodPoint = (point) => point && {
+  day: point.day,
+  hours: point.hour,
+  minutes: point.minute,
+  time: `${String(point.hour).padStart(2, '0')}${String(point.minute).padStart(2, '0')}`
+};
+
+// Place (after fetchFields with EXTENDED_DETAILS_FIELD_MASK) -> the legacy extended details fields
+export function toLegacyPlaceExtras(place) {
+  const hours = place.regularOpeningHours;
+  const priceLevel = String(place.priceLevel || '').replace(/^PRICE_LEVEL_/, '');
+
+  return {
+    place_id: place.id,
+    opening_hours: hours && {
+      periods: (hours.periods || []).map(period => ({
+        open: toLegacyPeriodPoint(period.open),
+        close: toLegacyPeriodPoint(period.close) || null
+      })),
+      weekday_text: hours.weekdayDescriptions || []
+    },
+    utc_offset_minutes: place.utcOffsetMinutes,
+    formatted_phone_number: place.nationalPhoneNumber,
+    international_phone_number: place.internationalPhoneNumber,
+    website: place.websiteURI,
+    price_level: PRICE_LEVELS[priceLevel],
+    reviews: (place.reviews || []).map(review => ({
+      author_name: review.authorAttribution?.displayName || '',
+      author_url: review.authorAttribution?.uri,
+      rating: review.rating,
+      text: review.text || '',
+      relative_time_description: review.relativePublishTimeDescription || '',
+      time: review.publishTime ? Math.floor(new Date(review.publishTime).getTime() / 1000) : undefined
+    })),
+    business_status: place.businessStatus,
+    url: place.googleMapsURI
+  };
+}
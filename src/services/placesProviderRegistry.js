@@ -0,0 +1,175 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the places-provider contract and the registry the sagas resolve providers through.
+// A provider is any object that implements the methods listed in PROVIDER_METHODS; the Google
+// implementation (googleMapsService) is registered as the default adapter under the name 'google'.
+// The active provider can be chosen per environment with REACT_APP_PLACES_PROVIDER, or swapped at
+// runtime (e.g. for tests) with registerPlacesProvider + setActivePlacesProvider.
+// Without a Google Maps API key the bundled 'demo' provider is active, so the app stays usable.
+import { googleMapsService } from './googleMapsService';
+import { demoPlacesProvider } from './providers/demoPlacesProvider';
+import { nominatimProvider } from './providers/nominatimProvider';
+
+/**
+ * @typedef {Object} LatLngLiteral
+ * @property {number} lat
+ * @property {number} lng
+ */
+
+/**
+ * @typedef {Object} BoundsLiteral
+ * @property {number} north
+ * @property {number} south
+ * @property {number} east
+ * @property {number} west
+ */
+
+/**
+ * Provider-neutral search options (see selectSearchOptions in searchSettingsSlice).
+ * @typedef {Object} SearchOptions
+ * @property {string} [sessionId] Autocomplete session the request belongs to.
+ * @property {{ bounds: BoundsLiteral } | { center: LatLngLiteral, radius: number }} [locationBias]
+ *   Area results should be ranked towards.
+ * @property {string} [country] ISO 3166-1 alpha-2 code results are restricted to.
+ * @property {boolean} [strictBounds] Drop results outside locationBias instead of ranking them lower.
+ */
+
+/**
+ * @typedef {Object} PlacesProvider
+ * @property {(query: string, options?: SearchOptions) => Promise<Object[]>} searchPlaces
+ *   Autocomplete predictions for a free-text query.
+ * @property {(placeId: string, options?: Object) => Promise<Object>} getPlaceDetails
+ *   Full place for an id; must include geometry.location.
+ * @property {(address: string, options?: Object) => Promise<Object[]>} geocode
+ *   Places matching an address string.
+ * @property {(location: LatLngLiteral, options?: Object) => Promise<Object[]>} reverseGeocode
+ *   Places at (or nearest to) a coordinate, best match first.
+ * @property {(query: string, options?: SearchOptions & { cursor?: string }) => Promise<{ results: Object[], nextCursor: string|null }>} [textSearch]
+ *   Optional paginated full-text search; pass nextCursor back as options.cursor for the next page.
+ *   Without it "See all results" falls back to a single page of searchPlaces.
+ * @property {(params: { location: LatLngLiteral, radius: number, type?: string, keyword?: string }, options?: { cursor?: string }) => Promise<{ results: Object[], nextCursor: string|null }>} [nearbySearch]
+ *   Optional "what's around here" search of places within radius meters of location.
+ * @property {(elementId: string, options?: Object) => Promise<Object>} [createMap]
+ *   Optional map rendering; providers without it fall back to getMapProvider().
+ * @property {(map: Object, position: LatLngLiteral, title?: string) => Object} [createMarker]
+ * @property {(map: Object, center: LatLngLiteral, radius: number) => Object} [createCircle]
+ *   Optional radius overlay; maps without it simply skip drawing the circle.
+ * @property {(params: { origin: Object, destination: Object, travelMode?: string }) => Promise<Object[]>} [getDirections]
+ *   Optional routing between two endpoints (place with place_id / location, or an address);
+ *   resolves serialized routes (see serializeDirectionsRoute), best first.
+ * @property {(map: Object, encodedPath: string) => Object} [createPolyline]
+ *   Optional route overlay from an encoded polyline.
+ * @property {(params: { origin: Object, destinations: Object[], travelMode?: string }) => Promise<Array<{ distance: { text: string, value: number }, duration: { text: string, value: number } }|null>>} [getTravelTimes]
+ *   Optional travel time and distance from one origin to each destination (aligned, null when
+ *   unreachable); used for the travel-time column of the suggestions.
+ * @property {(placeId: string) => Promise<Object>} [getExtendedPlaceDetails]
+ *   Optional opening hours, contact data and reviews for the details panel, serialized (see
+ *   serializePlaceExtras); providers without it show no extended details.
+ * @property {(photo: { place_id: string, index: number }, size?: { maxWidth?: number, maxHeight?: number }) => Promise<string>} [getPhotoUrl]
+ *   Optional sized image URL for a serialized photo reference (see utils/photos.js); providers
+ *   without it show no photos.
+ */
+
+export const PROVIDER_METHODS = ['searchPlaces', 'getPlaceDetails', 'geocode', 'reverseGeocode'];
+
+export const MAP_PROVIDER_METHODS = ['createMap', 'createMarker'];
+
+export const DEFAULT_PROVIDER_NAME = 'google';
+export const DEMO_PROVIDER_NAME = 'demo';
+export const NOMINATIM_PROVIDER_NAME = 'nominatim';
+
+const hasGoogleApiKey = Boolean(process.env.REACT_APP_GOOGLE_MAPS_API_KEY);
+
+const providers = new Map();
+let activeProviderName = process.env.REACT_APP_PLACES_PROVIDER ||
+  (hasGoogleApiKey ? DEFAULT_PROVIDER_NAME : DEMO_PROVIDER_NAME);
+
+// Returns the names of contract methods the candidate does not implement
+export function getMissingProviderMethods(provider) {
+  if (!provider || typeof provider !== 'object') {
+    return [...PROVIDER_METHODS];
+  }
+  return PROVIDER_METHODS.filter(method => typeof provider[method] !== 'function');
+}
+
+export function registerPlacesProvider(name, provider) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Places provider name must be a non-empty string');
+  }
+
+  const missing = getMissingProviderMethods(provider);
+  if (missing.length > 0) {
+    throw new Error(`Places provider '${name}' is missing required methods: ${missing.join(', ')}`);
+  }
+
+  providers.set(name, provider);
+  return provider;
+}
+
+export function unregisterPlacesProvider(name) {
+  if (name === DEFAULT_PROVIDER_NAME || name === DEMO_PROVIDER_NAME) {
+    throw new Error(`The built-in '${name}' places provider cannot be unregistered`);
+  }
+  providers.delete(name);
+  if (activeProviderName === name) {
+    activeProviderName = getFallbackProviderName();
+  }
+}
+
+export function hasPlacesProvider(name) {
+  return providers.has(name);
+}
+
+export function getRegisteredProviderNames() {
+  return Array.from(providers.keys());
+}
+
+export function setActivePlacesProvider(name) {
+  if (!providers.has(name)) {
+    throw new Error(`Unknown places provider '${name}'. Registered: ${getRegisteredProviderNames().join(', ')}`);
+  }
+  activeProviderName = name;
+}
+
+function getFallbackProviderName() {
+  return hasGoogleApiKey ? DEFAULT_PROVIDER_NAME : DEMO_PROVIDER_NAME;
+}
+
+export function getActivePlacesProviderName() {
+  return providers.has(activeProviderName) ? activeProviderName : getFallbackProviderName();
+}
+
+export function isDemoMode() {
+  return getActivePlacesProviderName() === DEMO_PROVIDER_NAME;
+}
+
+// Resolve a provider by name, falling back to the active one
+export function getPlacesProvider(name) {
+  const resolvedName = name || getActivePlacesProviderName();
+  const provider = providers.get(resolvedName);
+
+  if (!provider) {
+    throw new Error(`Places provider '${resolvedName}' is not registered`);
+  }
+  return provider;
+}
+
+const supportsMaps = (provider) =>
+  Boolean(provider) && MAP_PROVIDER_METHODS.every(method => typeof provider[method] === 'function');
+
+// Provider used for map rendering: the active one when it can draw maps, otherwise
+// Google when a key is configured, otherwise the offline demo map
+export function getMapProvider() {
+  const active = providers.get(getActivePlacesProviderName());
+  if (supportsMaps(active)) {
+    return active;
+  }
+  return providers.get(getFallbackProviderName());
+}
+
+registerPlacesProvider(DEFAULT_PROVIDER_NAME, googleMapsService);
+registerPlacesProvider(DEMO_PROVIDER_NAME, demoPlacesProvider);
+
+// Self-hosted OpenStreetMap search is only offered when an endpoint is configured
+if (nominatimProvider.isReady()) {
+  registerPlacesProvider(NOMINATIM_PROVIDER_NAME, nominatimProvider);
+}
@@ -0,0 +1,57 @@
+import {
+  registerPlacesProvider,
+  unregisterPlacesProvider,
+  setActivePlacesProvider,
+  getPlacesProvider,
+  getActivePlacesProviderName,
+  getMissingProviderMethods,
+  getMapProvider,
+  isDemoMode,
+  DEFAULT_PROVIDER_NAME,
+  DEMO_PROVIDER_NAME
+} from './placesProviderRegistry';
+
+const createFakeProvider = () => ({
+  searchPlaces: jest.fn(() => Promise.resolve([])),
+  getPlaceDetails: jest.fn(() => Promise.resolve(null)),
+  geocode: jest.fn(() => Promise.resolve([])),
+  reverseGeocode: jest.fn(() => Promise.resolve([]))
+});
+
+afterEach(() => {
+  unregisterPlacesProvider('fake');
+});
+
+test('registers the Google adapter alongside the demo provider', () => {
+  expect(getMissingProviderMethods(getPlacesProvider(DEFAULT_PROVIDER_NAME))).toEqual([]);
+  expect(getMissingProviderMethods(getPlacesProvider(DEMO_PROVIDER_NAME))).toEqual([]);
+});
+
+test('falls back to demo mode when no API key is configured', () => {
+  expect(getActivePlacesProviderName()).toBe(DEMO_PROVIDER_NAME);
+  expect(isDemoMode()).toBe(true);
+  expect(getMapProvider()).toBe(getPlacesProvider(DEMO_PROVIDER_NAME));
+});
+
+test('rejects providers that do not implement the contract', () => {
+  expect(() => registerPlacesProvider('fake', { searchPlaces: () => {} }))
+    .toThrow(/getPlaceDetails, geocode, reverseGeocode/);
+});
+
+test('resolves the active provider after switching', () => {
+  const fake = createFakeProvider();
+  registerPlacesProvider('fake', fake);
+  setActivePlacesProvider('fake');
+
+  expect(getPlacesProvider()).toBe(fake);
+
+  // Search-only providers still get a map from the fallback
+  expect(getMapProvider()).toBe(getPlacesProvider(DEMO_PROVIDER_NAME));
+
+  unregisterPlacesProvider('fake');
+  expect(getActivePlacesProviderName()).toBe(DEMO_PROVIDER_NAME);
+});
+
+test('refuses to activate an unknown provider', () => {
+  expect(() => setActivePlacesProvider('missing')).toThrow(/Unknown places provider/);
+});
@@ -0,0 +1,458 @@
+// This file is part of the Google Places Redux Saga project.
+// It renders a lightweight, network-free map used in demo mode (no Google Maps API key).
+// DemoMap and DemoMarker mirror the small subset of google.maps.Map / google.maps.Marker
+// that the hooks and components use (setCenter, getCenter, setZoom, getZoom, getBounds,
+// fitBounds, addListener, setMap, setAnimation), plus DemoCircle for radius overlays, so useGoogleMaps and MapContainer work unchanged on top of them.
+
+import { createLogger } from '../../utils/logger';
+
+const log = createLogger('map');
+
+const TILE_SIZE = 256;
+const MIN_ZOOM = 3;
+const MAX_ZOOM = 18;
+
+// Web Mercator projection into "world pixels" at the given zoom
+function project({ lat, lng }, zoom) {
+  const scale = TILE_SIZE * Math.pow(2, zoom);
+  const sinLat = Math.min(Math.max(Math.sin((lat * Math.PI) / 180), -0.9999), 0.9999);
+  return {
+    x: ((lng + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale
+  };
+}
+
+function unproject({ x, y }, zoom) {
+  const scale = TILE_SIZE * Math.pow(2, zoom);
+  const lng = (x / scale) * 360 - 180;
+  const n = Math.PI - (2 * Math.PI * y) / scale;
+  const lat = (180 / Math.PI) * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n)));
+  return { lat, lng };
+}
+
+// Accept both { lat, lng } literals and LatLng-like objects with lat()/lng()
+function toLiteral(position) {
+  if (!position) return null;
+  const lat = typeof position.lat === 'function' ? position.lat() : position.lat;
+  const lng = typeof position.lng === 'function' ? position.lng() : position.lng;
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+}
+
+// LatLng-like value handed to listeners and returned from getCenter()
+export function createDemoLatLng({ lat, lng }) {
+  return {
+    lat: () => lat,
+    lng: () => lng,
+    toJSON: () => ({ lat, lng }),
+    toString: () => `(${lat}, ${lng})`
+  };
+}
+
+export class DemoMap {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.center = toLiteral(options.center) || { lat: 3.139, lng: 101.6869 };
+    this.zoom = Number.isFinite(options.zoom) ? options.zoom : 13;
+    this.markers = new Set();
+    this.overlays = new Set(); // DemoCircle instances
+    this.listeners = {};
+    this.backgroundPlaces = options.backgroundPlaces || [];
+
+    this._render();
+  }
+
+  // ----- google.maps.Map compatible surface -----
+
+  getCenter() {
+    return createDemoLatLng(this.center);
+  }
+
+  setCenter(center) {
+    const literal = toLiteral(center);
+    if (!literal) return;
+    this.center = literal;
+    this._update();
+    this._emit('center_changed');
+    this._emit('idle');
+  }
+
+  panTo(center) {
+    this.setCenter(center);
+  }
+
+  getZoom() {
+    return this.zoom;
+  }
+
+  setZoom(zoom) {
+    if (!Number.isFinite(zoom)) return;
+    this.zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, Math.round(zoom)));
+    this._update();
+    this._emit('zoom_changed');
+    this._emit('idle');
+  }
+
+  getDiv() {
+    return this.element;
+  }
+
+  // Centers on the bounds at the closest zoom that shows all of them
+  fitBounds(bounds) {
+    const literal = typeof bounds?.toJSON === 'function' ? bounds.toJSON() : bounds;
+    if (!literal || ![literal.north, literal.south, literal.east, literal.west].every(Number.isFinite)) {
+      return;
+    }
+
+    const { width, height } = this._size();
+    let zoom = MAX_ZOOM - 2; // Don't zoom all the way in on a single point
+    while (zoom > MIN_ZOOM) {
+      const northWest = project({ lat: literal.north, lng: literal.west }, zoom);
+      const southEast = project({ lat: literal.south, lng: literal.east }, zoom);
+      if (southEast.x - northWest.x <= width && southEast.y - northWest.y <= height) {
+        break;
+      }
+      zoom -= 1;
+    }
+
+    this.center = { lat: (literal.north + literal.south) / 2, lng: (literal.east + literal.west) / 2 };
+    this.zoom = zoom;
+    this._update();
+    this._emit('center_changed');
+    this._emit('zoom_changed');
+    this._emit('idle');
+  }
+
+  // LatLngBounds-like view of the visible area
+  getBounds() {
+    const { width, height } = this._size();
+    const northWest = this.pixelToLatLng(0, 0);
+    const southEast = this.pixelToLatLng(width, height);
+    const literal = { north: northWest.lat, south: southEast.lat, east: southEast.lng, west: northWest.lng };
+    return {
+      getNorthEast: () => createDemoLatLng({ lat: literal.north, lng: literal.east }),
+      getSouthWest: () => createDemoLatLng({ lat: literal.south, lng: literal.west }),
+      toJSON: () => ({ ...literal })
+    };
+  }
+
+  addListener(eventName, handler) {
+    if (!this.listeners[eventName]) {
+      this.listeners[eventName] = new Set();
+    }
+    this.listeners[eventName].add(handler);
+    return { remove: () => this.listeners[eventName]?.delete(handler) };
+  }
+
+  // Converts a container pixel offset to coordinates
+  pixelToLatLng(x, y) {
+    const { width, height } = this._size();
+    const centerPx = project(this.center, this.zoom);
+    return unproject({ x: centerPx.x + x - width / 2, y: centerPx.y + y - height / 2 }, this.zoom);
+  }
+
+  latLngToPixel(position) {
+    const { width, height } = this._size();
+    const centerPx = project(this.center, this.zoom);
+    const point = project(position, this.zoom);
+    return { x: point.x - centerPx.x + width / 2, y: point.y - centerPx.y + height / 2 };
+  }
+
+  // ----- internals -----
+
+  _emit(eventName, event) {
+    (this.listeners[eventName] || []).forEach(handler => {
+      try {
+        handler(event);
+      } catch (error) {
+        log.warn(`⚠️ DemoMap: '${eventName}' listener failed:`, error);
+      }
+    });
+  }
+
+  _size() {
+    return {
+      width: this.element.clientWidth || 800,
+      height: this.element.clientHeight || 600
+    };
+  }
+
+  _render() {
+    this.element.innerHTML = '';
+    this.element.style.position = this.element.style.position || 'relative';
+    this.element.style.overflow = 'hidden';
+
+    this.canvas = document.createElement('div');
+    this.canvas.setAttribute('data-testid', 'demo-map');
+    Object.assign(this.canvas.style, {
+      position: 'absolute',
+      inset: '0',
+      backgroundColor: '#e8eef3',
+      backgroundImage: 'linear-gradient(#d3dde6 1px, transparent 1px), linear-gradient(90deg, #d3dde6 1px, transparent 1px)',
+      cursor: 'grab',
+      touchAction: 'none'
+    });
+
+    this.backgroundLayer = document.createElement('div');
+    this.markerLayer = document.createElement('div');
+    [this.backgroundLayer, this.markerLayer].forEach(layer => {
+      Object.assign(layer.style, { position: 'absolute', inset: '0', pointerEvents: 'none' });
+      this.canvas.appendChild(layer);
+    });
+
+    const badge = document.createElement('div');
+    badge.textContent = 'Demo map · offline dataset';
+    Object.assign(badge.style, {
+      position: 'absolute', left: '8px', bottom: '8px', padding: '2px 8px', fontSize: '11px',
+      background: 'rgba(255,255,255,0.85)', borderRadius: '9999px', color: '#4b5563'
+    });
+    this.canvas.appendChild(badge);
+
+    this._renderZoomControls();
+    this._attachPointerHandlers();
+    this.element.appendChild(this.canvas);
+    this._update();
+  }
+
+  _renderZoomControls() {
+    const controls = document.createElement('div');
+    Object.assign(controls.style, {
+      position: 'absolute', right: '8px', bottom: '8px', display: 'flex', flexDirection: 'column', gap: '4px'
+    });
+
+    [['+', 1], ['−', -1]].forEach(([label, delta]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.setAttribute('aria-label', delta > 0 ? 'Zoom in' : 'Zoom out');
+      Object.assign(button.style, {
+        width: '28px', height: '28px', background: '#fff', border: '1px solid #d1d5db', borderRadius: '4px'
+      });
+      button.addEventListener('click', (event) => {
+        event.stopPropagation();
+        this.setZoom(this.zoom + delta);
+      });
+      controls.appendChild(button);
+    });
+
+    this.canvas.appendChild(controls);
+  }
+
+  _attachPointerHandlers() {
+    let dragStart = null;
+
+    this.canvas.addEventListener('pointerdown', (event) => {
+      dragStart = { x: event.clientX, y: event.clientY, center: project(this.center, this.zoom), moved: false };
+      this.canvas.style.cursor = 'grabbing';
+    });
+
+    this.canvas.addEventListener('pointermove', (event) => {
+      if (!dragStart) return;
+      const dx = event.clientX - dragStart.x;
+      const dy = event.clientY - dragStart.y;
+      if (Math.abs(dx) + Math.abs(dy) > 3) {
+        dragStart.moved = true;
+      }
+      this.center = unproject({ x: dragStart.center.x - dx, y: dragStart.center.y - dy }, this.zoom);
+      this._update();
+    });
+
+    const endDrag = (event) => {
+      if (!dragStart) return;
+      const wasDrag = dragStart.moved;
+      dragStart = null;
+      this.canvas.style.cursor = 'grab';
+
+      if (wasDrag) {
+        this._emit('center_changed');
+        this._emit('idle');
+      } else if (event.type === 'pointerup') {
+        const rect = this.element.getBoundingClientRect();
+        const latLng = this.pixelToLatLng(event.clientX - rect.left, event.clientY - rect.top);
+        this._emit('click', { latLng: createDemoLatLng(latLng) });
+      }
+    };
+
+    this.canvas.addEventListener('pointerup', endDrag);
+    this.canvas.addEventListener('pointerleave', endDrag);
+    this.canvas.addEventListener('wheel', (event) => {
+      event.preventDefault();
+      this.setZoom(this.zoom + (event.deltaY < 0 ? 1 : -1));
+    }, { passive: false });
+  }
+
+  _update() {
+    if (!this.canvas) return;
+
+    // Shift the grid so panning feels anchored to the ground
+    const centerPx = project(this.center, this.zoom);
+    this.canvas.style.backgroundSize = '64px 64px';
+    this.canvas.style.backgroundPosition = `${-centerPx.x % 64}px ${-centerPx.y % 64}px`;
+
+    this.backgroundLayer.innerHTML = '';
+    this.backgroundPlaces.forEach(place => {
+      const position = toLiteral(place.geometry?.location);
+      if (!position) return;
+      const { x, y } = this.latLngToPixel(position);
+      const dot = document.createElement('div');
+      dot.title = place.name;
+      Object.assign(dot.style, {
+        position: 'absolute', left: `${x - 3}px`, top: `${y - 3}px`, width: '6px', height: '6px',
+        borderRadius: '9999px', background: '#9ca3af'
+      });
+      this.backgroundLayer.appendChild(dot);
+    });
+
+    this.overlays.forEach(overlay => overlay._position());
+    this.markers.forEach(marker => marker._position());
+  }
+}
+
+const METERS_PER_DEGREE_LAT = 111320;
+
+// google.maps.Circle stand-in: a translucent disc sized in meters
+export class DemoCircle {
+  constructor({ map, center, radius }) {
+    this.center = toLiteral(center);
+    this.radius = radius;
+    this.map = null;
+
+    this.element = document.createElement('div');
+    this.element.setAttribute('data-testid', 'demo-circle');
+    Object.assign(this.element.style, {
+      position: 'absolute', borderRadius: '9999px', border: '2px solid rgba(37, 99, 235, 0.6)',
+      background: 'rgba(59, 130, 246, 0.1)', transform: 'translate(-50%, -50%)', pointerEvents: 'none'
+    });
+
+    if (map) {
+      this.setMap(map);
+    }
+  }
+
+  getCenter() {
+    return this.center ? createDemoLatLng(this.center) : null;
+  }
+
+  setCenter(center) {
+    this.center = toLiteral(center);
+    this._position();
+  }
+
+  getRadius() {
+    return this.radius;
+  }
+
+  setRadius(radius) {
+    this.radius = radius;
+    this._position();
+  }
+
+  getMap() {
+    return this.map;
+  }
+
+  setMap(map) {
+    if (this.map) {
+      this.map.overlays.delete(this);
+      this.element.remove();
+    }
+
+    this.map = map || null;
+
+    if (this.map) {
+      this.map.overlays.add(this);
+      // Below the pins
+      this.map.markerLayer.insertBefore(this.element, this.map.markerLayer.firstChild);
+      this._position();
+    }
+  }
+
+  _position() {
+    if (!this.map || !this.center || !Number.isFinite(this.radius)) return;
+    const centerPx = this.map.latLngToPixel(this.center);
+    const edgePx = this.map.latLngToPixel({ lat: this.center.lat + this.radius / METERS_PER_DEGREE_LAT, lng: this.center.lng });
+    const diameter = 2 * Math.abs(centerPx.y - edgePx.y);
+    Object.assign(this.element.style, {
+      left: `${centerPx.x}px`, top: `${centerPx.y}px`, width: `${diameter}px`, height: `${diameter}px`
+    });
+  }
+}
+
+export class DemoMarker {
+  constructor({ position, map, title }) {
+    this.position = toLiteral(position);
+    this.title = title || 'Location';
+    this.map = null;
+
+    this.listeners = {};
+
+    this.element = document.createElement('div');
+    this.element.title = this.title;
+    this.element.textContent = '📍';
+    Object.assign(this.element.style, {
+      position: 'absolute', fontSize: '28px', lineHeight: '28px', transform: 'translate(-50%, -100%)',
+      transition: 'transform 0.2s ease-out'
+    });
+
+    if (map) {
+      this.setMap(map);
+    }
+  }
+
+  getPosition() {
+    return this.position ? createDemoLatLng(this.position) : null;
+  }
+
+  setPosition(position) {
+    this.position = toLiteral(position);
+    this._position();
+  }
+
+  getTitle() {
+    return this.title;
+  }
+
+  // Only 'click' is emitted; the pin swallows the pointer so the map doesn't pan or click
+  addListener(eventName, handler) {
+    if (!this.listeners[eventName]) {
+      this.listeners[eventName] = new Set();
+      if (eventName === 'click') {
+        Object.assign(this.element.style, { pointerEvents: 'auto', cursor: 'pointer' });
+        this.element.addEventListener('pointerdown', event => event.stopPropagation());
+        this.element.addEventListener('click', () => {
+          this.listeners.click.forEach(listener => listener({ latLng: this.getPosition() }));
+        });
+      }
+    }
+    this.listeners[eventName].add(handler);
+    return { remove: () => this.listeners[eventName]?.delete(handler) };
+  }
+
+  setMap(map) {
+    if (this.map) {
+      this.map.markers.delete(this);
+      this.element.remove();
+    }
+
+    this.map = map || null;
+
+    if (this.map) {
+      this.map.markers.add(this);
+      this.map.markerLayer.appendChild(this.element);
+      this._position();
+    }
+  }
+
+  // Any truthy animation bounces once; null stops it
+  setAnimation(animation) {
+    this.element.style.transform = animation
+      ? 'translate(-50%, -130%)'
+      : 'translate(-50%, -100%)';
+  }
+
+  _position() {
+    if (!this.map || !this.position) return;
+    const { x, y } = this.map.latLngToPixel(this.position);
+    this.element.style.left = `${x}px`;
+    this.element.style.top = `${y}px`;
+  }
+}
@@ -0,0 +1,247 @@
+// This file is part of the Google Places Redux Saga project.
+// It implements the places-provider contract on top of the bundled dataset in src/data/demoPlaces.json.
+// Demo mode is used when REACT_APP_GOOGLE_MAPS_API_KEY is missing (or REACT_APP_PLACES_PROVIDER=demo),
+// so new contributors and offline CI get working autocomplete, details and a non-Google map.
+import demoDataset from '../../data/demoPlaces.json';
+import {
+  haversineDistanceMeters,
+  isWithinBounds,
+  locationBiasCenter,
+  locationBiasToBounds
+} from '../../utils/helpers';
+import { DemoMap, DemoMarker, DemoCircle } from './demoMap';
+import { PLACES_ERROR_CODES, PlacesError, InvalidRequestError, NotFoundError } from '../errors';
+import { createLogger } from '../../utils/logger';
+
+const log = createLogger('provider');
+
+const MAX_RESULTS = 10;
+// Small pages so "See all results" paginates even on the 20-place dataset
+const TEXT_SEARCH_PAGE_SIZE = 8;
+const MAX_OPEN_SEARCHES = 20;
+const NEARBY_PAGE_SIZE = 20;
+
+const normalize = (text) => (text || '').toString().toLowerCase().trim();
+
+// Deep copy so callers can never mutate the bundled dataset
+const clonePlace = (place) => JSON.parse(JSON.stringify(place));
+
+// Shape a dataset entry like an AutocompletePrediction
+function toPrediction(place) {
+  return {
+    place_id: place.place_id,
+    description: `${place.name}, ${place.formatted_address}`,
+    structured_formatting: {
+      main_text: place.name,
+      secondary_text: place.formatted_address
+    },
+    types: [...(place.types || [])]
+  };
+}
+
+// Higher is better; 0 means no match
+function scorePlace(place, terms) {
+  const name = normalize(place.name);
+  const haystack = [name, normalize(place.formatted_address), normalize(place.description), ...(place.types || []).map(normalize)].join(' ');
+
+  let score = 0;
+  for (const term of terms) {
+    if (!haystack.includes(term)) {
+      return 0;
+    }
+    if (name.startsWith(term)) {
+      score += 3;
+    } else if (name.includes(term)) {
+      score += 2;
+    } else {
+      score += 1;
+    }
+  }
+  return score;
+}
+
+class DemoPlacesProvider {
+  constructor(dataset = demoDataset) {
+    this.name = 'demo';
+    this.places = dataset.places || [];
+    this.defaultCenter = dataset.defaultCenter;
+    // Every bundled place is in one country, so a country restriction is all-or-nothing
+    this.country = dataset.country || null;
+    this.placesById = new Map(this.places.map(place => [place.place_id, place]));
+
+    // cursor -> { query, options, offset } for paginated text search
+    this.openSearches = new Map();
+    this.cursorSequence = 0;
+    log.debug(`🧪 DemoPlacesProvider: Loaded ${this.places.length} demo places`);
+  }
+
+  // Search options (locationBias / country / strictBounds) behave like Google's:
+  // bias breaks ties by distance, strict bounds drops results outside the area
+  _match(query, { locationBias, country, strictBounds } = {}, limit = MAX_RESULTS) {
+    const terms = normalize(query).split(/[\s,]+/).filter(Boolean);
+    if (terms.length === 0) {
+      return [];
+    }
+    if (country && this.country && country.toLowerCase() !== this.country) {
+      return [];
+    }
+
+    const center = locationBiasCenter(locationBias);
+    const bounds = strictBounds ? locationBiasToBounds(locationBias) : null;
+    const distanceTo = (place) => (center ? haversineDistanceMeters(center, place.geometry.location) : 0);
+
+    return this.places
+      .filter(place => !bounds || isWithinBounds(place.geometry.location, bounds))
+      .map(place => ({ place, score: scorePlace(place, terms), distance: distanceTo(place) }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score || a.distance - b.distance || a.place.name.localeCompare(b.place.name))
+      .slice(0, limit)
+      .map(entry => entry.place);
+  }
+
+  async searchPlaces(query, options = {}) {
+    if (!query || typeof query !== 'string' || query.trim().length < 2) {
+      return [];
+    }
+    return this._match(query, options).map(toPrediction);
+  }
+
+  // Full places (with geometry) one page at a time; pass nextCursor back as options.cursor
+  async textSearch(query, { cursor, ...options } = {}) {
+    let search;
+    if (cursor) {
+      search = this.openSearches.get(cursor);
+      if (!search) {
+        log.debug(`⏳ DemoPlacesProvider: Search cursor ${cursor} has expired`);
+        throw new PlacesError(PLACES_ERROR_CODES.INVALID_REQUEST, 'These search results have expired. Please search again.', {
+          userMessage: 'These search results have expired. Please search again.'
+        });
+      }
+      this.openSearches.delete(cursor);
+    } else {
+      if (!query || typeof query !== 'string' || query.trim().length < 2) {
+        return { results: [], nextCursor: null };
+      }
+      search = { query: query.trim(), options, offset: 0 };
+    }
+
+    const matches = this._match(search.query, search.options, Infinity);
+    const results = matches.slice(search.offset, search.offset + TEXT_SEARCH_PAGE_SIZE).map(clonePlace);
+
+    let nextCursor = null;
+    if (search.offset + TEXT_SEARCH_PAGE_SIZE < matches.length) {
+      this.cursorSequence += 1;
+      nextCursor = `demo_${this.cursorSequence}`;
+      this.openSearches.set(nextCursor, { ...search, offset: search.offset + TEXT_SEARCH_PAGE_SIZE });
+      if (this.openSearches.size > MAX_OPEN_SEARCHES) {
+        this.openSearches.delete(this.openSearches.keys().next().value);
+      }
+    }
+    return { results, nextCursor };
+  }
+
+  // Dataset places of `type` (and/or matching `keyword`) within `radius` meters, nearest first
+  async nearbySearch({ location, radius, type, keyword } = {}) {
+    if (!location || !Number.isFinite(location.lat) || !Number.isFinite(location.lng)) {
+      throw new InvalidRequestError('A { lat, lng } location is required for nearbySearch');
+    }
+    if (!Number.isFinite(radius) || radius <= 0) {
+      throw new InvalidRequestError('nearbySearch radius must be a positive number of meters');
+    }
+
+    const terms = normalize(keyword).split(/[\s,]+/).filter(Boolean);
+    const results = this.places
+      .filter(place => !type || (place.types || []).includes(type))
+      .filter(place => terms.length === 0 || scorePlace(place, terms) > 0)
+      .map(place => ({ place, distance: haversineDistanceMeters(location, place.geometry.location) }))
+      .filter(entry => entry.distance <= radius)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, NEARBY_PAGE_SIZE)
+      .map(({ place, distance }) => ({ ...clonePlace(place), distance_meters: Math.round(distance) }));
+
+    return { results, nextCursor: null };
+  }
+
+  async getPlaceDetails(placeId) {
+    if (!placeId) {
+      throw new InvalidRequestError('Place ID is required for getPlaceDetails');
+    }
+
+    const place = this.placesById.get(placeId);
+    if (!place) {
+      throw new NotFoundError('Place not found');
+    }
+    return clonePlace(place);
+  }
+
+  async geocode(address) {
+    if (!address || typeof address !== 'string' || !address.trim()) {
+      throw new InvalidRequestError('Address is required for geocode');
+    }
+    return this._match(address).map(clonePlace);
+  }
+
+  async reverseGeocode(location) {
+    if (!location || !Number.isFinite(location.lat) || !Number.isFinite(location.lng)) {
+      throw new InvalidRequestError('A { lat, lng } location is required for reverseGeocode');
+    }
+
+    return this.places
+      .map(place => ({ place, distance: haversineDistanceMeters(location, place.geometry.location) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, 5)
+      .map(({ place, distance }) => ({ ...clonePlace(place), distance_meters: Math.round(distance) }));
+  }
+
+  // ----- Map rendering (non-Google) -----
+
+  async createMap(elementId, options = {}) {
+    const element = document.getElementById(elementId);
+    if (!element) {
+      throw new Error(`Element with id '${elementId}' not found`);
+    }
+
+    // Accept both a bare center literal and a { center, zoom } options object
+    const center = options.center || (Number.isFinite(options.lat) ? options : this.defaultCenter);
+
+    return new DemoMap(element, {
+      center,
+      zoom: options.zoom,
+      backgroundPlaces: this.places
+    });
+  }
+
+  createMarker(map, position, title) {
+    if (!map || !position) {
+      throw new InvalidRequestError('Map and position are required');
+    }
+    return new DemoMarker({ map, position, title });
+  }
+
+  createCircle(map, center, radius) {
+    if (!map || !center) {
+      throw new InvalidRequestError('Map and center are required');
+    }
+    return new DemoCircle({ map, center, radius });
+  }
+
+  isReady() {
+    return true;
+  }
+
+  getStatus() {
+    return {
+      provider: this.name,
+      isReady: true,
+      placeCount: this.places.length
+    };
+  }
+
+  reset() {
+    this.openSearches.clear();
+  }
+}
+
+export const demoPlacesProvider = new DemoPlacesProvider();
+
+export default DemoPlacesProvider;
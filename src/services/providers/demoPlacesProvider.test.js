@@ -0,0 +1,85 @@
+import { demoPlacesProvider } from './demoPlacesProvider';
+
+test('returns autocomplete-shaped predictions ranked by name match', async () => {
+  const predictions = await demoPlacesProvider.searchPlaces('batu');
+
+  expect(predictions[0]).toMatchObject({
+    place_id: 'ChIJfzzsckm4zDERlJw0qQY2dn4',
+    structured_formatting: { main_text: 'Batu Caves' }
+  });
+  expect(predictions[0].geometry).toBeUndefined();
+});
+
+test('honours country restriction, proximity bias and strict bounds', async () => {
+  const penang = { lat: 5.4141, lng: 100.3288 };
+
+  expect(await demoPlacesProvider.searchPlaces('malaysia', { country: 'sg' })).toEqual([]);
+
+  const biased = await demoPlacesProvider.searchPlaces('tourist', { locationBias: { center: penang, radius: 20000 } });
+  const strict = await demoPlacesProvider.searchPlaces('tourist', {
+    locationBias: { center: penang, radius: 20000 },
+    strictBounds: true
+  });
+
+  expect(biased[0].structured_formatting.main_text).toBe('Penang Hill');
+  expect(biased.length).toBeGreaterThan(1);
+  expect(strict.map(prediction => prediction.structured_formatting.main_text)).toEqual(['Penang Hill']);
+});
+
+test('pages text search results through cursors', async () => {
+  const first = await demoPlacesProvider.textSearch('malaysia');
+  const second = await demoPlacesProvider.textSearch('malaysia', { cursor: first.nextCursor });
+
+  expect(first.results).toHaveLength(8);
+  expect(first.results[0].geometry.location).toBeDefined();
+  expect(second.results.map(p => p.place_id)).not.toContain(first.results[0].place_id);
+  await expect(demoPlacesProvider.textSearch('malaysia', { cursor: first.nextCursor })).rejects.toThrow('expired');
+});
+
+test('finds places of a type within the radius, nearest first', async () => {
+  const { results, nextCursor } = await demoPlacesProvider.nearbySearch({
+    location: { lat: 3.1579, lng: 101.7116 },
+    radius: 1500,
+    type: 'tourist_attraction'
+  });
+
+  expect(results.map(p => p.name)).toEqual(['Petronas Twin Towers', 'KLCC Park', 'Menara KL Tower']);
+  expect(results[2].distance_meters).toBeLessThanOrEqual(1500);
+  expect(nextCursor).toBeNull();
+  await expect(demoPlacesProvider.nearbySearch({ radius: 1000 })).rejects.toThrow('location is required');
+});
+
+test('ignores queries shorter than two characters', async () => {
+  await expect(demoPlacesProvider.searchPlaces('b')).resolves.toEqual([]);
+});
+
+test('resolves details with geometry and rejects unknown ids', async () => {
+  const details = await demoPlacesProvider.getPlaceDetails('demo_kl_sentral');
+  expect(details.geometry.location).toEqual({ lat: 3.1342, lng: 101.6865 });
+
+  // Returned objects are copies of the bundled dataset
+  details.geometry.location.lat = 0;
+  const again = await demoPlacesProvider.getPlaceDetails('demo_kl_sentral');
+  expect(again.geometry.location.lat).toBe(3.1342);
+
+  await expect(demoPlacesProvider.getPlaceDetails('nope')).rejects.toThrow('Place not found');
+});
+
+test('reverse geocodes to the nearest landmark first', async () => {
+  const [nearest] = await demoPlacesProvider.reverseGeocode({ lat: 3.158, lng: 101.7115 });
+  expect(nearest.name).toBe('Petronas Twin Towers');
+  expect(nearest.distance_meters).toBeLessThan(50);
+});
+
+test('renders a non-Google map with markers', async () => {
+  document.body.innerHTML = '<div id="demo-map-root"></div>';
+
+  const map = await demoPlacesProvider.createMap('demo-map-root', { center: { lat: 3.139, lng: 101.6869 }, zoom: 12 });
+  const marker = demoPlacesProvider.createMarker(map, { lat: 3.1579, lng: 101.7116 }, 'Towers');
+
+  expect(map.getCenter().lat()).toBe(3.139);
+  expect(document.querySelector('[title="Towers"]')).not.toBeNull();
+
+  marker.setMap(null);
+  expect(document.querySelector('[title="Towers"]')).toBeNull();
+});
@@ -0,0 +1,377 @@
+// This file is part of the Google Places Redux Saga project.
+// It implements the places-provider contract against a Nominatim- or Photon-compatible HTTP API,
+// so search and geocoding can be served from a self-hosted OpenStreetMap instance instead of Google.
+// Every result is mapped into the serialized place shape used by placesSlice
+// (place_id, name, formatted_address, types, geometry.location/viewport), plus the
+// description/structured_formatting fields the autocomplete list renders.
+//
+// Search options map onto countrycodes/viewbox/bounded (Nominatim) or lat/lon/bbox (Photon).
+//
+// Configure with REACT_APP_NOMINATIM_URL (and REACT_APP_NOMINATIM_FLAVOR=photon for Photon),
+// then select it with REACT_APP_PLACES_PROVIDER=nominatim.
+import { locationBiasCenter, locationBiasToBounds } from '../../utils/helpers';
+import {
+  PLACES_ERROR_CODES,
+  PlacesError,
+  InvalidRequestError,
+  NotFoundError,
+  NetworkError,
+  fromServiceStatus
+} from '../errors';
+import { createLogger } from '../../utils/logger';
+
+const log = createLogger('provider');
+
+export const NOMINATIM_FLAVORS = {
+  NOMINATIM: 'nominatim',
+  PHOTON: 'photon'
+};
+
+const DEFAULT_LIMIT = 10;
+const DEFAULT_TIMEOUT_MS = 8000;
+const MAX_REMEMBERED_PLACES = 200;
+
+// HTTP failures in PlacesServiceStatus terms, so they map onto the same error codes as Google
+const httpStatusToServiceStatus = (httpStatus) => {
+  if (httpStatus === 429) return PLACES_ERROR_CODES.OVER_QUERY_LIMIT;
+  if (httpStatus === 401 || httpStatus === 403) return PLACES_ERROR_CODES.REQUEST_DENIED;
+  if (httpStatus === 404) return PLACES_ERROR_CODES.NOT_FOUND;
+  if (httpStatus >= 400 && httpStatus < 500) return PLACES_ERROR_CODES.INVALID_REQUEST;
+  return PLACES_ERROR_CODES.UNKNOWN_ERROR;
+};
+
+const OSM_TYPE_CODES = { node: 'N', way: 'W', relation: 'R', N: 'N', W: 'W', R: 'R' };
+
+// Rough OSM tag -> Google place type mapping, enough for icons and filtering
+const OSM_VALUE_TYPES = {
+  restaurant: ['restaurant', 'food'],
+  fast_food: ['restaurant', 'food'],
+  cafe: ['cafe', 'food'],
+  fuel: ['gas_station'],
+  hospital: ['hospital', 'health'],
+  clinic: ['doctor', 'health'],
+  doctors: ['doctor', 'health'],
+  school: ['school'],
+  university: ['university'],
+  bank: ['bank'],
+  mall: ['shopping_mall'],
+  place_of_worship: ['place_of_worship'],
+  attraction: ['tourist_attraction'],
+  museum: ['museum', 'tourist_attraction'],
+  park: ['park'],
+  station: ['transit_station'],
+  aerodrome: ['airport'],
+  hotel: ['lodging']
+};
+
+const OSM_PLACE_TYPES = {
+  country: ['country', 'political'],
+  state: ['administrative_area_level_1', 'political'],
+  city: ['locality', 'political'],
+  town: ['locality', 'political'],
+  village: ['locality', 'political'],
+  suburb: ['sublocality', 'political'],
+  neighbourhood: ['neighborhood', 'political'],
+  postcode: ['postal_code']
+};
+
+// Stable, provider-prefixed id that can be turned back into an OSM lookup
+export function toOsmPlaceId(osmType, osmId) {
+  const code = OSM_TYPE_CODES[osmType];
+  if (!code || osmId === undefined || osmId === null) {
+    return null;
+  }
+  return `osm:${code}${osmId}`;
+}
+
+export function parseOsmPlaceId(placeId) {
+  const match = /^osm:([NWR])(\d+)$/.exec(placeId || '');
+  return match ? `${match[1]}${match[2]}` : null;
+}
+
+export function mapOsmTypes(category, value) {
+  if (category === 'place' || category === 'boundary') {
+    return OSM_PLACE_TYPES[value] ? [...OSM_PLACE_TYPES[value]] : ['political'];
+  }
+  const mapped = OSM_VALUE_TYPES[value] || (value ? [value] : []);
+  return [...mapped, 'point_of_interest', 'establishment'];
+}
+
+function withPredictionFields(place) {
+  const secondary = place.formatted_address && place.formatted_address.startsWith(place.name)
+    ? place.formatted_address.slice(place.name.length).replace(/^,\s*/, '')
+    : place.formatted_address;
+
+  return {
+    ...place,
+    description: place.formatted_address || place.name,
+    structured_formatting: {
+      main_text: place.name,
+      secondary_text: secondary || ''
+    }
+  };
+}
+
+// Nominatim jsonv2 result -> serialized place
+export function mapNominatimResult(result) {
+  if (!result) return null;
+
+  const lat = parseFloat(result.lat);
+  const lng = parseFloat(result.lon);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    return null;
+  }
+
+  const geometry = { location: { lat, lng } };
+  if (Array.isArray(result.boundingbox) && result.boundingbox.length === 4) {
+    const [south, north, west, east] = result.boundingbox.map(parseFloat);
+    if ([south, north, west, east].every(Number.isFinite)) {
+      geometry.viewport = {
+        northeast: { lat: north, lng: east },
+        southwest: { lat: south, lng: west }
+      };
+    }
+  }
+
+  const displayName = result.display_name || '';
+  const name = result.name || displayName.split(',')[0] || 'Unnamed place';
+
+  return withPredictionFields({
+    place_id: toOsmPlaceId(result.osm_type, result.osm_id) || `nominatim:${result.place_id}`,
+    name,
+    formatted_address: displayName,
+    types: mapOsmTypes(result.category, result.type),
+    geometry
+  });
+}
+
+// Photon GeoJSON feature -> serialized place
+export function mapPhotonFeature(feature) {
+  const coordinates = feature?.geometry?.coordinates;
+  if (!Array.isArray(coordinates) || coordinates.length < 2) {
+    return null;
+  }
+
+  const [lng, lat] = coordinates;
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    return null;
+  }
+
+  const props = feature.properties || {};
+  const geometry = { location: { lat, lng } };
+
+  // Photon extent is [minLon, maxLat, maxLon, minLat]
+  if (Array.isArray(props.extent) && props.extent.length === 4) {
+    const [west, north, east, south] = props.extent;
+    geometry.viewport = {
+      northeast: { lat: north, lng: east },
+      southwest: { lat: south, lng: west }
+    };
+  }
+
+  const street = [props.housenumber, props.street].filter(Boolean).join(' ');
+  const locality = [props.postcode, props.city || props.district].filter(Boolean).join(' ');
+  const name = props.name || street || props.city || 'Unnamed place';
+  const formattedAddress = [name !== street ? props.name : null, street, locality, props.state, props.country]
+    .filter(Boolean)
+    .join(', ');
+
+  return withPredictionFields({
+    place_id: toOsmPlaceId(props.osm_type, props.osm_id) || `photon:${lat},${lng}`,
+    name,
+    formatted_address: formattedAddress,
+    types: mapOsmTypes(props.osm_key, props.osm_value),
+    geometry
+  });
+}
+
+class NominatimProvider {
+  constructor({
+    baseUrl = process.env.REACT_APP_NOMINATIM_URL,
+    flavor = process.env.REACT_APP_NOMINATIM_FLAVOR || NOMINATIM_FLAVORS.NOMINATIM,
+    language = 'en',
+    limit = DEFAULT_LIMIT,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    fetchImpl
+  } = {}) {
+    this.name = 'nominatim';
+    this.baseUrl = baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+    this.flavor = flavor;
+    this.language = language;
+    this.limit = limit;
+    this.timeoutMs = timeoutMs;
+    this.fetchImpl = fetchImpl || ((...args) => fetch(...args));
+
+    // Photon has no lookup endpoint, so details are answered from recent results
+    this.recentPlaces = new Map();
+  }
+
+  isPhoton() {
+    return this.flavor === NOMINATIM_FLAVORS.PHOTON;
+  }
+
+  async _request(path, params) {
+    if (!this.baseUrl) {
+      throw new PlacesError(PLACES_ERROR_CODES.SERVICE_UNAVAILABLE, 'Nominatim base URL not configured. Set REACT_APP_NOMINATIM_URL.');
+    }
+
+    const query = new URLSearchParams(params).toString();
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), this.timeoutMs) : null;
+
+    try {
+      log.debug(`🌐 Nominatim: GET ${path}`);
+      const response = await this.fetchImpl(`${this.baseUrl}${path}?${query}`, {
+        headers: { Accept: 'application/json', 'Accept-Language': this.language },
+        signal: controller?.signal
+      });
+
+      if (!response.ok) {
+        log.warn(`⚠️ Nominatim: ${path} failed with status ${response.status}`);
+        throw fromServiceStatus(httpStatusToServiceStatus(response.status), `Nominatim request failed with status ${response.status}`);
+      }
+      return await response.json();
+    } catch (error) {
+      if (error instanceof PlacesError) {
+        throw error;
+      }
+      log.warn(`⚠️ Nominatim: ${path} did not answer:`, error);
+      if (error.name === 'AbortError') {
+        throw new NetworkError(`Nominatim request timeout after ${this.timeoutMs}ms`, { cause: error });
+      }
+      // fetch() only rejects when the server could not be reached
+      throw new NetworkError(error.message, { cause: error });
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+  }
+
+  _remember(places) {
+    places.forEach(place => {
+      this.recentPlaces.delete(place.place_id);
+      this.recentPlaces.set(place.place_id, place);
+    });
+    while (this.recentPlaces.size > MAX_REMEMBERED_PLACES) {
+      this.recentPlaces.delete(this.recentPlaces.keys().next().value);
+    }
+    return places;
+  }
+
+  async _search(text, { locationBias, country, strictBounds } = {}) {
+    const bounds = locationBiasToBounds(locationBias);
+
+    if (this.isPhoton()) {
+      const params = { q: text, limit: this.limit, lang: this.language };
+      const center = locationBiasCenter(locationBias);
+      if (center) {
+        params.lat = center.lat;
+        params.lon = center.lng;
+      }
+      if (strictBounds && bounds) {
+        params.bbox = [bounds.west, bounds.south, bounds.east, bounds.north].join(',');
+      }
+
+      const body = await this._request('/api', params);
+      // Photon has no country parameter, so restrict on the returned country code
+      const features = (body?.features || []).filter(feature =>
+        !country || (feature?.properties?.countrycode || '').toLowerCase() === country.toLowerCase()
+      );
+      return this._remember(features.map(mapPhotonFeature).filter(Boolean));
+    }
+
+    const params = {
+      q: text,
+      format: 'jsonv2',
+      addressdetails: 1,
+      limit: this.limit
+    };
+    if (country) {
+      params.countrycodes = country.toLowerCase();
+    }
+    if (bounds) {
+      params.viewbox = [bounds.west, bounds.north, bounds.east, bounds.south].join(',');
+      if (strictBounds) {
+        params.bounded = 1;
+      }
+    }
+
+    const body = await this._request('/search', params);
+    return this._remember((Array.isArray(body) ? body : []).map(mapNominatimResult).filter(Boolean));
+  }
+
+  async searchPlaces(query, options = {}) {
+    if (!query || typeof query !== 'string' || query.trim().length < 2) {
+      return [];
+    }
+    return this._search(query.trim(), options);
+  }
+
+  async getPlaceDetails(placeId) {
+    if (!placeId) {
+      throw new InvalidRequestError('Place ID is required for getPlaceDetails');
+    }
+
+    const osmIds = parseOsmPlaceId(placeId);
+    if (this.isPhoton() || !osmIds) {
+      const remembered = this.recentPlaces.get(placeId);
+      if (!remembered) {
+        throw new NotFoundError('Place not found');
+      }
+      return { ...remembered };
+    }
+
+    const body = await this._request('/lookup', { osm_ids: osmIds, format: 'jsonv2', addressdetails: 1 });
+    const place = mapNominatimResult(Array.isArray(body) ? body[0] : null);
+    if (!place) {
+      throw new NotFoundError('Place not found');
+    }
+    this._remember([place]);
+    return place;
+  }
+
+  async geocode(address) {
+    if (!address || typeof address !== 'string' || !address.trim()) {
+      throw new InvalidRequestError('Address is required for geocode');
+    }
+    return this._search(address.trim());
+  }
+
+  async reverseGeocode(location) {
+    if (!location || !Number.isFinite(location.lat) || !Number.isFinite(location.lng)) {
+      throw new InvalidRequestError('A { lat, lng } location is required for reverseGeocode');
+    }
+
+    if (this.isPhoton()) {
+      const body = await this._request('/reverse', { lat: location.lat, lon: location.lng, lang: this.language });
+      return this._remember((body?.features || []).map(mapPhotonFeature).filter(Boolean));
+    }
+
+    const body = await this._request('/reverse', { lat: location.lat, lon: location.lng, format: 'jsonv2' });
+    if (!body || body.error) {
+      return [];
+    }
+    const place = mapNominatimResult(body);
+    return place ? this._remember([place]) : [];
+  }
+
+  isReady() {
+    return Boolean(this.baseUrl);
+  }
+
+  getStatus() {
+    return {
+      provider: this.name,
+      flavor: this.flavor,
+      baseUrl: this.baseUrl,
+      isReady: this.isReady()
+    };
+  }
+
+  reset() {
+    this.recentPlaces.clear();
+  }
+}
+
+export const nominatimProvider = new NominatimProvider();
+
+export default NominatimProvider;
@@ -0,0 +1,121 @@
+import NominatimProvider, { NOMINATIM_FLAVORS, parseOsmPlaceId } from './nominatimProvider';
+import { createFakeFetch } from '../../test-utils/fakeFetch';
+
+const klccResult = {
+  place_id: 98765,
+  osm_type: 'way',
+  osm_id: 27447318,
+  lat: '3.1579',
+  lon: '101.7116',
+  boundingbox: ['3.1570', '3.1590', '101.7100', '101.7130'],
+  display_name: 'Petronas Twin Towers, Jalan Ampang, Kuala Lumpur, Malaysia',
+  name: 'Petronas Twin Towers',
+  category: 'tourism',
+  type: 'attraction'
+};
+
+test('maps Nominatim search results into the serialized place shape', async () => {
+  const server = createFakeFetch({ 'GET /search': () => ({ body: [klccResult] }) });
+  const provider = new NominatimProvider({ baseUrl: 'http://localhost:8088/', fetchImpl: server.fetchImpl });
+
+  const [place] = await provider.searchPlaces('  petronas ');
+
+  expect(server.requests[0]).toMatchObject({
+    method: 'GET',
+    pathname: '/search',
+    params: expect.objectContaining({ q: 'petronas', format: 'jsonv2', limit: '10' })
+  });
+  expect(place).toEqual({
+    place_id: 'osm:W27447318',
+    name: 'Petronas Twin Towers',
+    formatted_address: 'Petronas Twin Towers, Jalan Ampang, Kuala Lumpur, Malaysia',
+    types: ['tourist_attraction', 'point_of_interest', 'establishment'],
+    geometry: {
+      location: { lat: 3.1579, lng: 101.7116 },
+      viewport: {
+        northeast: { lat: 3.159, lng: 101.713 },
+        southwest: { lat: 3.157, lng: 101.71 }
+      }
+    },
+    description: 'Petronas Twin Towers, Jalan Ampang, Kuala Lumpur, Malaysia',
+    structured_formatting: {
+      main_text: 'Petronas Twin Towers',
+      secondary_text: 'Jalan Ampang, Kuala Lumpur, Malaysia'
+    }
+  });
+});
+
+test('passes country restriction and viewport bias to Nominatim', async () => {
+  const server = createFakeFetch({ 'GET /search': () => ({ body: [klccResult] }) });
+  const provider = new NominatimProvider({ baseUrl: 'http://localhost:8088', fetchImpl: server.fetchImpl });
+  const bounds = { north: 3.2, south: 3.1, east: 101.8, west: 101.6 };
+
+  await provider.searchPlaces('petronas', { country: 'MY', locationBias: { bounds } });
+  await provider.searchPlaces('petronas', { locationBias: { bounds }, strictBounds: true });
+
+  expect(server.requests[0].params).toMatchObject({ countrycodes: 'my', viewbox: '101.6,3.2,101.8,3.1' });
+  expect(server.requests[0].params).not.toHaveProperty('bounded');
+  expect(server.requests[1].params).toMatchObject({ bounded: '1' });
+});
+
+test('looks up details by OSM id', async () => {
+  const server = createFakeFetch({ 'GET /lookup': () => ({ body: [klccResult] }) });
+  const provider = new NominatimProvider({ baseUrl: 'http://localhost:8088', fetchImpl: server.fetchImpl });
+
+  const place = await provider.getPlaceDetails('osm:W27447318');
+
+  expect(parseOsmPlaceId('osm:W27447318')).toBe('W27447318');
+  expect(server.requests[0].params.osm_ids).toBe('W27447318');
+  expect(place.geometry.location).toEqual({ lat: 3.1579, lng: 101.7116 });
+});
+
+test('reverse geocodes and treats "Unable to geocode" as no result', async () => {
+  const server = createFakeFetch({
+    'GET /reverse': ({ params }) => ({ body: params.lat === '0' ? { error: 'Unable to geocode' } : klccResult })
+  });
+  const provider = new NominatimProvider({ baseUrl: 'http://localhost:8088', fetchImpl: server.fetchImpl });
+
+  await expect(provider.reverseGeocode({ lat: 0, lng: 0 })).resolves.toEqual([]);
+  const [place] = await provider.reverseGeocode({ lat: 3.1579, lng: 101.7116 });
+  expect(place.name).toBe('Petronas Twin Towers');
+});
+
+test('supports the Photon flavor and answers details from recent results', async () => {
+  const server = createFakeFetch({
+    'GET /api': () => ({ body: {
+      type: 'FeatureCollection',
+      features: [{
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [101.684, 3.2371] },
+        properties: {
+          osm_type: 'N', osm_id: 42, osm_key: 'place', osm_value: 'village',
+          name: 'Batu Caves', postcode: '68100', state: 'Selangor', country: 'Malaysia'
+        }
+      }]
+    } })
+  });
+  const provider = new NominatimProvider({
+    baseUrl: 'http://localhost:2322',
+    flavor: NOMINATIM_FLAVORS.PHOTON,
+    fetchImpl: server.fetchImpl
+  });
+
+  const [place] = await provider.searchPlaces('batu');
+  expect(place).toMatchObject({
+    place_id: 'osm:N42',
+    formatted_address: 'Batu Caves, 68100, Selangor, Malaysia',
+    types: ['locality', 'political'],
+    geometry: { location: { lat: 3.2371, lng: 101.684 } }
+  });
+
+  await expect(provider.getPlaceDetails('osm:N42')).resolves.toMatchObject({ name: 'Batu Caves' });
+  expect(server.requests).toHaveLength(1);
+});
+
+test('surfaces HTTP failures and missing configuration', async () => {
+  const server = createFakeFetch({});
+  const provider = new NominatimProvider({ baseUrl: 'http://localhost:8088', fetchImpl: server.fetchImpl });
+
+  await expect(provider.searchPlaces('klcc')).rejects.toThrow('status 404');
+  await expect(new NominatimProvider({ baseUrl: '' }).searchPlaces('klcc')).rejects.toThrow('REACT_APP_NOMINATIM_URL');
+});
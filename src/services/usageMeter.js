@@ -0,0 +1,245 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the client-side API usage meter: googleMapsService records every billable call
+// (autocomplete, details, map loads, directions, ...) here before making it. The meter keeps
+// today's per-SKU counts, estimates their cost from USAGE_CONFIG.skuPrices, blocks calls with a
+// UsageCapError once the optional per-minute / per-day caps are reached, and persists its
+// counters in localStorage so a reload does not reset the day. The saved record is shared by all
+// open tabs, so the meter reads it again before each change and the caps count every tab's calls.
+//
+// Components read it through useUsageMeter (useSyncExternalStore); it is not Redux state
+// because calls are counted inside the service, below the sagas. While anyone is subscribed, a
+// timer moves the minute window and the day along, so the figures age without new calls.
+import { USAGE_CONFIG } from '../utils/constants';
+import { UsageCapError } from './errors';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('usage');
+
+const STORAGE_VERSION = 1;
+const MINUTE_MS = 60 * 1000;
+
+// Local calendar day, so "today" matches the user's clock
+const toDayKey = (timestamp) => {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const nextMidnight = (timestamp) => {
+  const date = new Date(timestamp);
+  date.setHours(24, 0, 0, 0);
+  return date.getTime();
+};
+
+const defaultStorage = () => {
+  try {
+    return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+  } catch (error) {
+    return null; // Storage disabled (e.g. privacy mode)
+  }
+};
+
+export class UsageMeter {
+  constructor({
+    skuPrices = USAGE_CONFIG.skuPrices,
+    maxPerMinute = USAGE_CONFIG.maxPerMinute,
+    maxPerDay = USAGE_CONFIG.maxPerDay,
+    storage = defaultStorage(),
+    storageKey = USAGE_CONFIG.storageKey,
+    now = () => Date.now()
+  } = {}) {
+    this.skuPrices = skuPrices;
+    this.maxPerMinute = maxPerMinute;
+    this.maxPerDay = maxPerDay;
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.now = now;
+    this.listeners = new Set();
+
+    // Bound so they can be handed to useSyncExternalStore as-is
+    this.subscribe = this.subscribe.bind(this);
+    this.getSnapshot = this.getSnapshot.bind(this);
+
+    this.usage = this._load() || this._emptyUsage();
+    this._roll();
+    this.snapshot = null;
+    this.rollTimer = null;
+  }
+
+  _emptyUsage() {
+    return {
+      day: toDayKey(this.now()),
+      counts: {},
+      blocked: 0,
+      recent: [] // Timestamps of units recorded in the last minute, oldest first
+    };
+  }
+
+  _load() {
+    if (!this.storage) return null;
+    try {
+      const saved = JSON.parse(this.storage.getItem(this.storageKey));
+      if (saved?.version !== STORAGE_VERSION || typeof saved.counts !== 'object') {
+        return null;
+      }
+      return {
+        day: saved.day,
+        counts: { ...saved.counts },
+        blocked: saved.blocked || 0,
+        recent: Array.isArray(saved.recent) ? saved.recent : []
+      };
+    } catch (error) {
+      log.warn('⚠️ UsageMeter: Ignoring unreadable saved usage:', error);
+      return null;
+    }
+  }
+
+  _save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify({ version: STORAGE_VERSION, ...this.usage }));
+    } catch (error) {
+      log.warn('⚠️ UsageMeter: Could not save usage:', error);
+    }
+  }
+
+  // Picks up what other tabs saved since this one last wrote. Returns whether anything changed.
+  _reload() {
+    const saved = this._load();
+    if (!saved || JSON.stringify(saved) === JSON.stringify(this.usage)) {
+      return false;
+    }
+    this.usage = saved;
+    return true;
+  }
+
+  _changed() {
+    this.snapshot = null;
+    this._save();
+    this._scheduleRoll();
+    this.listeners.forEach(listener => listener());
+  }
+
+  // Starts a new day's counters and drops timestamps that left the minute window.
+  // Returns whether anything changed.
+  _roll() {
+    const now = this.now();
+    let changed = false;
+    if (this.usage.day !== toDayKey(now)) {
+      this.usage = this._emptyUsage();
+      changed = true;
+    }
+    const recent = this.usage.recent.filter(at => now - at < MINUTE_MS);
+    if (recent.length !== this.usage.recent.length) {
+      this.usage.recent = recent;
+      changed = true;
+    }
+    return changed;
+  }
+
+  // While subscribed, wakes up when the oldest call leaves the minute window or the day ends
+  _scheduleRoll() {
+    clearTimeout(this.rollTimer);
+    this.rollTimer = null;
+    if (this.listeners.size === 0) {
+      return;
+    }
+
+    const now = this.now();
+    const [oldest] = this.usage.recent; // Recorded in order
+    const windowMovesAt = oldest !== undefined ? oldest + MINUTE_MS : Infinity;
+    this.rollTimer = setTimeout(() => {
+      this.rollTimer = null;
+      const reloaded = this._reload();
+      if (this._roll() || reloaded) {
+        this._changed();
+      } else {
+        this._scheduleRoll();
+      }
+    }, Math.max(0, Math.min(windowMovesAt, nextMidnight(now)) - now));
+  }
+
+  _totalToday() {
+    return Object.values(this.usage.counts).reduce((sum, count) => sum + count, 0);
+  }
+
+  // Counts `units` calls of `sku`, or throws UsageCapError (and counts nothing) if that would
+  // exceed a cap. Call it right before the request it meters.
+  record(sku, units = 1) {
+    this._reload();
+    this._roll();
+
+    const exceeded = (this.maxPerMinute > 0 && this.usage.recent.length + units > this.maxPerMinute)
+      ? { cap: 'perMinute', limit: this.maxPerMinute, period: 'per minute' }
+      : (this.maxPerDay > 0 && this._totalToday() + units > this.maxPerDay)
+        ? { cap: 'perDay', limit: this.maxPerDay, period: 'today' }
+        : null;
+
+    if (exceeded) {
+      this.usage.blocked += 1;
+      this._changed();
+      log.warn(`🛑 UsageMeter: Blocked ${sku}, cap of ${exceeded.limit} calls ${exceeded.period} reached`);
+      throw new UsageCapError(`Usage cap reached: ${exceeded.limit} calls ${exceeded.period}`, {
+        cap: exceeded.cap,
+        limit: exceeded.limit,
+        userMessage: `API usage cap reached (${exceeded.limit} calls ${exceeded.period}). Requests are paused to protect your budget.`
+      });
+    }
+
+    const now = this.now();
+    this.usage.counts[sku] = (this.usage.counts[sku] || 0) + units;
+    for (let i = 0; i < units; i += 1) {
+      this.usage.recent.push(now);
+    }
+    this._changed();
+  }
+
+  // Immutable view of today's usage; the same object until something changes. Only reads:
+  // the window and the day are moved by record() and the roll timer.
+  getSnapshot() {
+    if (this.snapshot) {
+      return this.snapshot;
+    }
+
+    const skus = Object.keys(this.usage.counts).sort().map(sku => ({
+      sku,
+      count: this.usage.counts[sku],
+      cost: (this.usage.counts[sku] * (this.skuPrices[sku] || 0)) / 1000
+    }));
+
+    this.snapshot = {
+      day: this.usage.day,
+      skus,
+      totalCalls: this._totalToday(),
+      estimatedCost: skus.reduce((sum, item) => sum + item.cost, 0),
+      callsLastMinute: this.usage.recent.length,
+      blockedCalls: this.usage.blocked,
+      maxPerMinute: this.maxPerMinute,
+      maxPerDay: this.maxPerDay
+    };
+    return this.snapshot;
+  }
+
+  // The first subscriber catches up on time that passed unwatched (and on other tabs' calls) and
+  // starts the roll timer
+  subscribe(listener) {
+    this.listeners.add(listener);
+    const reloaded = this._reload();
+    if (this._roll() || reloaded) {
+      this._changed();
+    } else {
+      this._scheduleRoll();
+    }
+    return () => {
+      this.listeners.delete(listener);
+      this._scheduleRoll();
+    };
+  }
+
+  reset() {
+    this.usage = this._emptyUsage();
+    this._changed();
+  }
+}
+
+export const usageMeter = new UsageMeter();
@@ -0,0 +1,152 @@
+import { UsageMeter } from './usageMeter';
+import { UsageCapError } from './errors';
+import { createMemoryStorage } from '../test-utils/memoryStorage';
+
+let clock;
+let storage;
+
+const createMeter = (options = {}) => new UsageMeter({
+  skuPrices: { autocomplete: 2.83, details: 17, distanceMatrix: 5 },
+  maxPerMinute: 0,
+  maxPerDay: 0,
+  storage,
+  now: () => clock,
+  ...options
+});
+
+beforeEach(() => {
+  clock = new Date(2024, 4, 10, 12, 0, 0).getTime();
+  storage = createMemoryStorage();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('counts calls per SKU and estimates their cost', () => {
+  const meter = createMeter();
+
+  meter.record('autocomplete');
+  meter.record('autocomplete');
+  meter.record('details');
+  meter.record('distanceMatrix', 10);
+
+  const usage = meter.getSnapshot();
+  expect(usage.skus).toEqual([
+    { sku: 'autocomplete', count: 2, cost: 2 * 2.83 / 1000 },
+    { sku: 'details', count: 1, cost: 17 / 1000 },
+    { sku: 'distanceMatrix', count: 10, cost: 50 / 1000 }
+  ]);
+  expect(usage.totalCalls).toBe(13);
+  expect(usage.estimatedCost).toBeCloseTo(0.07266, 6);
+});
+
+test('keeps the same snapshot until something is recorded and notifies subscribers', () => {
+  const meter = createMeter();
+  const listener = jest.fn();
+  const unsubscribe = meter.subscribe(listener);
+
+  const before = meter.getSnapshot();
+  expect(meter.getSnapshot()).toBe(before);
+
+  meter.record('details');
+  expect(listener).toHaveBeenCalledTimes(1);
+  expect(meter.getSnapshot()).not.toBe(before);
+
+  unsubscribe();
+  meter.record('details');
+  expect(listener).toHaveBeenCalledTimes(1);
+});
+
+test('drops calls from the minute window on their own and rolls the day at midnight', () => {
+  jest.useFakeTimers();
+  jest.setSystemTime(clock);
+  const meter = createMeter({ now: () => Date.now() });
+  const listener = jest.fn();
+  const unsubscribe = meter.subscribe(listener);
+  const advance = (ms) => jest.advanceTimersByTime(ms);
+
+  meter.record('details');
+  advance(30 * 1000);
+  meter.record('details');
+  listener.mockClear();
+
+  advance(31 * 1000);
+  expect(listener).toHaveBeenCalledTimes(1);
+  expect(meter.getSnapshot()).toMatchObject({ callsLastMinute: 1, totalCalls: 2 });
+
+  advance(12 * 60 * 60 * 1000); // past midnight
+  expect(listener).toHaveBeenCalledTimes(3);
+  expect(meter.getSnapshot()).toMatchObject({ day: '2024-05-11', callsLastMinute: 0, totalCalls: 0 });
+  expect(JSON.parse(storage.getItem('seeplace.apiUsage'))).toMatchObject({ day: '2024-05-11', counts: {} });
+
+  unsubscribe();
+  expect(jest.getTimerCount()).toBe(0);
+});
+
+test('blocks calls over the per-minute cap until the window slides', () => {
+  const meter = createMeter({ maxPerMinute: 2 });
+  meter.record('autocomplete');
+  clock += 30 * 1000;
+  meter.record('autocomplete');
+
+  expect(() => meter.record('details')).toThrow(UsageCapError);
+  expect(meter.getSnapshot()).toMatchObject({ totalCalls: 2, blockedCalls: 1 });
+
+  clock += 31 * 1000; // the first call left the window
+  expect(() => meter.record('details')).not.toThrow();
+});
+
+test('blocks calls over the daily cap and starts over the next day', () => {
+  const meter = createMeter({ maxPerDay: 3 });
+  meter.record('distanceMatrix', 3);
+
+  let error;
+  try {
+    meter.record('autocomplete');
+  } catch (e) {
+    error = e;
+  }
+  expect(error).toMatchObject({ code: 'USAGE_CAP_REACHED', cap: 'perDay', limit: 3, retryable: false });
+
+  clock += 24 * 60 * 60 * 1000;
+  meter.record('autocomplete');
+  expect(meter.getSnapshot()).toMatchObject({ totalCalls: 1, blockedCalls: 0 });
+});
+
+test('counts the calls of every tab sharing the saved usage against the caps', () => {
+  const firstTab = createMeter({ maxPerDay: 5 });
+  const secondTab = createMeter({ maxPerDay: 5 });
+
+  firstTab.record('autocomplete', 2);
+  secondTab.record('details', 3);
+  const listener = jest.fn();
+  firstTab.subscribe(listener)();
+
+  expect(listener).toHaveBeenCalledTimes(1);
+  expect(firstTab.getSnapshot().skus.map(({ sku, count }) => [sku, count])).toEqual([['autocomplete', 2], ['details', 3]]);
+  expect(() => firstTab.record('autocomplete')).toThrow(UsageCapError);
+  expect(() => secondTab.record('details')).toThrow(UsageCapError);
+  expect(createMeter().getSnapshot()).toMatchObject({ totalCalls: 5, blockedCalls: 2 });
+});
+
+test('persists counters across reloads of the same day', () => {
+  createMeter().record('details');
+  createMeter().record('details');
+
+  expect(createMeter().getSnapshot().skus).toEqual([{ sku: 'details', count: 2, cost: 34 / 1000 }]);
+
+  clock += 24 * 60 * 60 * 1000;
+  expect(createMeter().getSnapshot().totalCalls).toBe(0);
+});
+
+test('ignores unreadable saved usage and resets on demand', () => {
+  storage.setItem('seeplace.apiUsage', '{not json');
+  const meter = createMeter();
+  meter.record('details');
+
+  meter.reset();
+
+  expect(meter.getSnapshot().totalCalls).toBe(0);
+  expect(JSON.parse(storage.getItem('seeplace.apiUsage')).counts).toEqual({});
+});
@@ -1,29 +1,47 @@
 // UPDATED: src/store/index.js
 // Proper Redux store configuration to handle serialization issues
-import { configureStore } from '@reduxjs/toolkit';
+import { configureStore, combineReducers } from '@reduxjs/toolkit';
 import createSagaMiddleware from 'redux-saga';
 import placesReducer from './slices/placesSlice';
 import uiReducer from './slices/uiSlice';
-// import favoritesReducer from './slices/favoritesSlice'; // Uncomment if you have this
+import searchSettingsReducer from './slices/searchSettingsSlice';
+import searchResultsReducer from './slices/searchResultsSlice';
+import nearbyReducer from './slices/nearbySlice';
+import droppedPinReducer from './slices/droppedPinSlice';
+import directionsReducer from './slices/directionsSlice';
+import placeDetailsReducer from './slices/placeDetailsSlice';
+import favoritesReducer from './slices/favoritesSlice';
 import rootSaga from './sagas/rootSaga'; // Or replace with: import placesSaga from './sagas/placesSaga';
+import { statePersistence, withRehydration } from './persistence';
+import { tabSync } from './tabSync';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('store');
 
 // Create saga middleware with enhanced error handling
 const sagaMiddleware = createSagaMiddleware({
   onError: (error, { sagaStack }) => {
-    console.error('🚨 Saga Error:', error.message);
+    log.error('🚨 Saga Error:', error.message);
     if (process.env.NODE_ENV === 'development') {
-      console.error('📍 Saga Stack:', sagaStack);
+      log.error('📍 Saga Stack:', sagaStack);
     }
   }
 });
 
 // 🔧 CONFIGURE STORE with proper serialization settings
 const store = configureStore({
-  reducer: {
+  // 💾 Search history and a few preferences are restored from storage (see persistence.js)
+  reducer: withRehydration(combineReducers({
     places: placesReducer,
     ui: uiReducer,
-    // favorites: favoritesReducer, // Uncomment if you have favorites feature
-  },
+    searchSettings: searchSettingsReducer,
+    searchResults: searchResultsReducer,
+    nearby: nearbyReducer,
+    droppedPin: droppedPinReducer,
+    directions: directionsReducer,
+    placeDetails: placeDetailsReducer,
+    favorites: favoritesReducer
+  })),
   
   middleware: (getDefaultMiddleware) =>
     getDefaultMiddleware({
@@ -72,7 +90,7 @@ const store = configureStore({
           
           // 🚨 DEVELOPMENT WARNING: Help identify non-serializable values
           if (process.env.NODE_ENV === 'development') {
-            console.warn('🚨 Non-serializable value detected:', {
+            log.warn('🚨 Non-serializable value detected:', {
               type: typeof value,
               constructor: value.constructor?.name,
               isFunction: typeof value === 'function',
@@ -82,7 +100,7 @@ const store = configureStore({
             
             // Provide helpful debugging info for Google Maps objects
             if (value && typeof value.lat === 'function' && typeof value.lng === 'function') {
-              console.warn('💡 This looks like a Google Maps LatLng object. Convert it to:', {
+              log.warn('💡 This looks like a Google Maps LatLng object. Convert it to:', {
                 lat: value.lat(),
                 lng: value.lng()
               });
@@ -100,7 +118,7 @@ const store = configureStore({
       immutableCheck: {
         // Ignore paths that Redux Saga might temporarily mutate
         ignoredPaths: [
-          'places.suggestions',
+          'places.entities',
           'places.searchHistory'
         ],
         // Warn instead of error for easier development
@@ -112,7 +130,7 @@ const store = configureStore({
         serializableCheck: false,
         immutableCheck: false
       })
-    }).concat(sagaMiddleware),
+    }).concat(sagaMiddleware, tabSync.middleware),
   
   // 🎯 Enhanced Redux DevTools configuration
   devTools: process.env.NODE_ENV !== 'production' && {
@@ -175,12 +193,12 @@ const store = configureStore({
       const sanitizedState = { ...state };
       
       // Truncate large arrays for DevTools display
-      if (state.places?.suggestions?.length > 3) {
+      if (state.places?.entities?.ids.length > 3) {
         sanitizedState.places = {
           ...state.places,
-          suggestions: {
-            length: state.places.suggestions.length,
-            sample: state.places.suggestions.slice(0, 2),
+          entities: {
+            length: state.places.entities.ids.length,
+            sample: state.places.entities.ids.slice(0, 2).map(id => state.places.entities.entities[id]),
             note: '[Truncated for DevTools]'
           }
         };
@@ -213,22 +231,6 @@ const store = configureStore({
       dispatch: true,
       test: true
     }
-  },
-  
-  // Clean initial state
-  preloadedState: {
-    ui: {
-      loading: false,
-      error: null,
-      searchLoading: false,
-      mapLoading: false
-    },
-    places: {
-      suggestions: [],
-      searchHistory: [],
-      selectedPlace: null,
-      markers: []
-    }
   }
 });
 
@@ -236,9 +238,23 @@ const store = configureStore({
 try {
   sagaMiddleware.run(rootSaga); // Or replace with placesSaga if you don't have rootSaga
 } catch (error) {
-  console.error('🚨 Failed to start saga:', error);
+  log.error('🚨 Failed to start saga:', error);
 }
 
+// 💾 Restore persisted state, then keep it saved. Other open tabs receive history and favorites
+// changes, and only the leading tab writes storage.
+statePersistence.setWriteGate(() => tabSync.isLeader());
+tabSync.onLeadershipChange(isLeader => {
+  if (isLeader) {
+    statePersistence.flush();
+  }
+});
+statePersistence.start(store)
+  .catch(error => {
+    log.error('🚨 Failed to start state persistence:', error);
+  })
+  .then(() => tabSync.start(store));
+
 // 🔧 DEVELOPMENT MONITORING
 if (process.env.NODE_ENV === 'development') {
   // Monitor state changes for serialization issues
@@ -257,18 +273,18 @@ if (process.env.NODE_ENV === 'development') {
       
       // Quick sanity check
       if (!parsed.places || !parsed.ui) {
-        console.warn('🚨 State structure issue detected');
+        log.warn('🚨 State structure issue detected');
       }
       
     } catch (error) {
-      console.error('🚨 State serialization failed:', error.message);
+      log.error('🚨 State serialization failed:', error.message);
       
       // Try to identify which part of state is causing issues
       Object.keys(state).forEach(key => {
         try {
           JSON.stringify(state[key]);
         } catch (nestedError) {
-          console.error(`🚨 Serialization failed in state.${key}:`, nestedError.message);
+          log.error(`🚨 Serialization failed in state.${key}:`, nestedError.message);
           
           // For places state, check deeper
           if (key === 'places' && state[key]) {
@@ -276,8 +292,8 @@ if (process.env.NODE_ENV === 'development') {
               try {
                 JSON.stringify(state[key][placesKey]);
               } catch (deepError) {
-                console.error(`🚨 Serialization failed in state.places.${placesKey}:`, deepError.message);
-                console.log(`🔍 Problematic data:`, state[key][placesKey]);
+                log.error(`🚨 Serialization failed in state.places.${placesKey}:`, deepError.message);
+                log.debug(`🔍 Problematic data:`, state[key][placesKey]);
               }
             });
           }
@@ -289,8 +305,8 @@ if (process.env.NODE_ENV === 'development') {
   });
   
   // Log store initialization
-  console.log('✅ Redux store initialized with serialization fixes');
-  console.log('🔍 Initial state:', store.getState());
+  log.debug('✅ Redux store initialized with serialization fixes');
+  log.debug('🔍 Initial state:', store.getState());
 }
 
 export default store;
\ No newline at end of file
@@ -0,0 +1,342 @@
+// This file is part of the Google Places Redux Saga project.
+// It saves chosen parts of the Redux state (PERSISTED_SLICES) across reloads. The saved copy is a
+// versioned envelope, { version, savedAt, state }, in localStorage or IndexedDB:
+//   - on start it is read, migrated to PERSISTENCE_CONFIG.version, validated key by key and
+//     dispatched as persist/REHYDRATE, which withRehydration merges into the slices;
+//   - afterwards, changes to persisted keys are written at most once per throttleMs;
+//   - a corrupt copy is discarded, and a write over quota is retried with a smaller history.
+// Storage problems are logged and never reach the UI: the app keeps working, just unpersisted.
+// With several tabs open only one writes (setWriteGate; see tabSync.js).
+import { createAction } from '@reduxjs/toolkit';
+import { PERSISTENCE_CONFIG, SEARCH_HISTORY_LIMIT } from '../utils/constants';
+import placesReducer, { restoreSearchHistory, selectSearchHistory } from './slices/placesSlice';
+import { createPlace, isValidLatLng } from '../models/place';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('store');
+
+export const rehydrateState = createAction('persist/REHYDRATE');
+
+// History entries must still be selectable: an id, the query and a pinned place. Saved places
+// come back through the Place model like any other payload; null when the entry is unusable.
+const toHistoryItem = (item) => {
+  if (!item || typeof item.id !== 'string' || typeof item.query !== 'string') {
+    return null;
+  }
+  const place = createPlace(item.place);
+  return isValidLatLng(place?.geometry?.location) ? { ...item, place } : null;
+};
+
+// What is persisted, per slice and key:
+//   - validate(value) returns the value to restore, or undefined to keep the slice's initial value;
+//   - select(state), optional, reads the value to save (default: state[slice][key]);
+//   - restore(sliceState, value), optional, puts it back (default: sets the key).
+// The history is saved with its places inline, as selectSearchHistory shows it, and normalized
+// again by the places slice on restore.
+export const PERSISTED_SLICES = {
+  places: {
+    searchHistory: {
+      validate: (value) => (Array.isArray(value) ? value.map(toHistoryItem).filter(Boolean).slice(0, SEARCH_HISTORY_LIMIT) : undefined),
+      select: selectSearchHistory,
+      restore: (places, history) => placesReducer(places, restoreSearchHistory(history))
+    }
+  },
+  searchResults: {
+    openNowOnly: {
+      validate: (value) => (typeof value === 'boolean' ? value : undefined)
+    }
+  }
+};
+
+// version -> migration from the state saved at version - 1. Add one whenever persisted data
+// changes shape.
+export const MIGRATIONS = {
+  // Version 1 saved history places as the places slice used to serialize them, with any extra
+  // fields the provider sent copied along; version 2 saves Places (models/place).
+  2: (state) => {
+    const history = state.places?.searchHistory;
+    if (!Array.isArray(history)) {
+      return state;
+    }
+    return {
+      ...state,
+      places: { ...state.places, searchHistory: history.map(item => ({ ...item, place: createPlace(item?.place) })) }
+    };
+  }
+};
+
+// Persisted keys of `state`, as { slice: { key: value } }
+export function pickPersistedState(state, slices = PERSISTED_SLICES) {
+  const picked = {};
+  Object.entries(slices).forEach(([slice, keys]) => {
+    if (!state[slice]) return;
+    picked[slice] = {};
+    Object.entries(keys).forEach(([key, { select }]) => {
+      picked[slice][key] = select ? select(state) : state[slice][key];
+    });
+  });
+  return picked;
+}
+
+// Validated subset of a migrated saved state; unknown slices and keys are dropped
+export function sanitizePersistedState(saved, slices = PERSISTED_SLICES) {
+  const sanitized = {};
+  Object.entries(slices).forEach(([slice, keys]) => {
+    Object.entries(keys).forEach(([key, { validate }]) => {
+      const value = saved?.[slice] ? validate(saved[slice][key]) : undefined;
+      if (value !== undefined) {
+        sanitized[slice] = { ...sanitized[slice], [key]: value };
+      }
+    });
+  });
+  return sanitized;
+}
+
+// Runs the migrations from `fromVersion` up to `toVersion` in order; throws if one is missing
+export function migratePersistedState(state, fromVersion, toVersion, migrations = MIGRATIONS) {
+  let migrated = state;
+  for (let version = fromVersion + 1; version <= toVersion; version += 1) {
+    if (typeof migrations[version] !== 'function') {
+      throw new Error(`No migration to persisted state version ${version}`);
+    }
+    migrated = migrations[version](migrated);
+    log.info(`🔄 Persistence: Migrated saved state to version ${version}`);
+  }
+  return migrated;
+}
+
+// Root reducer wrapper: persist/REHYDRATE merges the saved keys into their slices
+export const withRehydration = (reducer, slices = PERSISTED_SLICES) => (state, action) => {
+  const next = reducer(state, action);
+  if (action.type !== rehydrateState.type || !action.payload) {
+    return next;
+  }
+
+  const merged = { ...next };
+  Object.entries(action.payload).forEach(([slice, values]) => {
+    if (!merged[slice]) return;
+    Object.entries(values).forEach(([key, value]) => {
+      const restore = slices[slice]?.[key]?.restore;
+      merged[slice] = restore ? restore(merged[slice], value) : { ...merged[slice], [key]: value };
+    });
+  });
+  return merged;
+};
+
+const isQuotaError = (error) => error?.name === 'QuotaExceededError'
+  || error?.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+  || error?.code === 22
+  || error?.code === 1014;
+
+// Smaller copy of a persisted state for a retry over quota (half the history), or null when
+// there is nothing left to drop
+export function shrinkPersistedState(state) {
+  const history = state.places?.searchHistory;
+  if (!Array.isArray(history) || history.length === 0) {
+    return null;
+  }
+  return {
+    ...state,
+    places: { ...state.places, searchHistory: history.slice(0, Math.floor(history.length / 2)) }
+  };
+}
+
+// Storage adapters share one promise-based interface: getItem / setItem / removeItem of strings
+
+export function createWebStorage(storage) {
+  return {
+    getItem: async (key) => storage.getItem(key),
+    setItem: async (key, value) => storage.setItem(key, value),
+    removeItem: async (key) => storage.removeItem(key)
+  };
+}
+
+export function createIndexedDbStorage({ indexedDB, dbName = 'seeplace', storeName = 'state' }) {
+  let opening = null;
+  const openDb = () => {
+    opening = opening || new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return opening;
+  };
+
+  const run = async (mode, operation) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || request.error);
+    });
+  };
+
+  return {
+    getItem: async (key) => (await run('readonly', store => store.get(key))) ?? null,
+    setItem: (key, value) => run('readwrite', store => store.put(value, key)),
+    removeItem: (key) => run('readwrite', store => store.delete(key))
+  };
+}
+
+// The configured backend, or null when the browser offers no usable storage
+export function createDefaultStorage(backend = PERSISTENCE_CONFIG.backend) {
+  try {
+    if (typeof window === 'undefined') return null;
+    if (backend === 'indexedDB' && window.indexedDB) {
+      return createIndexedDbStorage({ indexedDB: window.indexedDB });
+    }
+    return window.localStorage ? createWebStorage(window.localStorage) : null;
+  } catch (error) {
+    return null; // Storage disabled (e.g. privacy mode)
+  }
+}
+
+export class StatePersistence {
+  constructor({
+    storage = createDefaultStorage(),
+    storageKey = PERSISTENCE_CONFIG.storageKey,
+    version = PERSISTENCE_CONFIG.version,
+    throttleMs = PERSISTENCE_CONFIG.throttleMs,
+    slices = PERSISTED_SLICES,
+    migrations = MIGRATIONS
+  } = {}) {
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.version = version;
+    this.throttleMs = throttleMs;
+    this.slices = slices;
+    this.migrations = migrations;
+
+    this.canWrite = () => true;
+    this.store = null;
+    this.unsubscribe = null;
+    this.timer = null;
+    this.lastWriteAt = 0;
+    this.lastSaved = null;
+    this.handlePageHide = () => this.flush();
+  }
+
+  // gate() -> whether this instance may write now. Re-check with flush() when it starts allowing.
+  setWriteGate(gate) {
+    this.canWrite = gate || (() => true);
+  }
+
+  // Saved state, migrated and validated; null when there is none or it cannot be used
+  async load() {
+    if (!this.storage) return null;
+
+    let raw;
+    try {
+      raw = await this.storage.getItem(this.storageKey);
+    } catch (error) {
+      log.warn('⚠️ Persistence: Could not read saved state:', error);
+      return null;
+    }
+    if (raw === null || raw === undefined) return null;
+
+    try {
+      const saved = JSON.parse(raw);
+      if (!Number.isInteger(saved?.version) || !saved.state || typeof saved.state !== 'object') {
+        throw new Error('Unrecognized saved state');
+      }
+      if (saved.version > this.version) {
+        // Written by a newer build; it will be replaced on the next save
+        log.warn(`⚠️ Persistence: Ignoring saved state from newer version ${saved.version}`);
+        return null;
+      }
+      const migrated = migratePersistedState(saved.state, saved.version, this.version, this.migrations);
+      return sanitizePersistedState(migrated, this.slices);
+    } catch (error) {
+      log.warn('⚠️ Persistence: Discarding unreadable saved state:', error);
+      await this.clear();
+      return null;
+    }
+  }
+
+  // Rehydrates the store, then saves persisted keys whenever they change
+  async start(store) {
+    this.store = store;
+    const saved = await this.load();
+    if (saved && Object.keys(saved).length > 0) {
+      store.dispatch(rehydrateState(saved));
+      log.debug('💾 Persistence: Restored saved state:', Object.keys(saved));
+    }
+
+    // Only now: saving earlier would overwrite the stored copy with initial state
+    this.lastSaved = pickPersistedState(store.getState(), this.slices);
+    this.unsubscribe = store.subscribe(() => this._onChange());
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', this.handlePageHide);
+    }
+  }
+
+  stop() {
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('pagehide', this.handlePageHide);
+    }
+  }
+
+  _hasChanged(picked) {
+    return Object.entries(picked).some(([slice, values]) =>
+      Object.entries(values).some(([key, value]) => this.lastSaved?.[slice]?.[key] !== value));
+  }
+
+  _onChange() {
+    if (this.timer || !this.canWrite() || !this._hasChanged(pickPersistedState(this.store.getState(), this.slices))) {
+      return;
+    }
+    const wait = Math.max(0, this.lastWriteAt + this.throttleMs - Date.now());
+    this.timer = setTimeout(() => this.flush(), wait);
+  }
+
+  // Writes the current persisted keys now (pending throttled writes included)
+  async flush() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.store || !this.storage || !this.canWrite()) return;
+
+    const picked = pickPersistedState(this.store.getState(), this.slices);
+    this.lastSaved = picked;
+    this.lastWriteAt = Date.now();
+    await this._write(picked);
+  }
+
+  async _write(state) {
+    let current = state;
+    while (current) {
+      try {
+        await this.storage.setItem(this.storageKey, JSON.stringify({ version: this.version, savedAt: Date.now(), state: current }));
+        if (current !== state) {
+          log.warn('⚠️ Persistence: Storage is full, saved a shorter search history');
+        }
+        return;
+      } catch (error) {
+        if (!isQuotaError(error)) {
+          log.warn('⚠️ Persistence: Could not save state:', error);
+          return;
+        }
+        current = shrinkPersistedState(current);
+      }
+    }
+    log.warn('⚠️ Persistence: Storage is full, state not saved');
+  }
+
+  async clear() {
+    try {
+      await this.storage?.removeItem(this.storageKey);
+    } catch (error) {
+      log.warn('⚠️ Persistence: Could not clear saved state:', error);
+    }
+  }
+}
+
+export const statePersistence = new StatePersistence();
+
+export default StatePersistence;
@@ -0,0 +1,203 @@
+import { configureStore, combineReducers } from '@reduxjs/toolkit';
+import {
+  StatePersistence,
+  withRehydration,
+  rehydrateState,
+  migratePersistedState,
+  createWebStorage,
+  MIGRATIONS
+} from './persistence';
+import placesReducer, { addToSearchHistory, clearSearchHistory, selectSearchHistory } from './slices/placesSlice';
+import searchResultsReducer, { setOpenNowFilter } from './slices/searchResultsSlice';
+import { createMemoryStorage } from '../test-utils/memoryStorage';
+import { PERSISTENCE_CONFIG } from '../utils/constants';
+
+const STORAGE_KEY = 'test.state';
+
+// The localStorage adapter over an in-memory store, with its methods spied on
+const memoryStorage = (options) => {
+  const backing = createMemoryStorage(options);
+  const storage = { ...createWebStorage(backing), items: backing.items };
+  ['getItem', 'setItem', 'removeItem'].forEach(method => jest.spyOn(storage, method));
+  return storage;
+};
+
+const createStore = () => configureStore({
+  reducer: withRehydration(combineReducers({ places: placesReducer, searchResults: searchResultsReducer }))
+});
+
+const historyItem = (placeId, extra = {}) => ({
+  id: `id-${placeId}`,
+  query: placeId,
+  place: { place_id: placeId, name: placeId, types: [], geometry: { location: { lat: 3.15, lng: 101.71 } }, photos: [] },
+  timestamp: '2025-01-06T08:00:00.000Z',
+  ...extra
+});
+
+const saved = (storage) => JSON.parse(storage.items.get(STORAGE_KEY));
+
+let storage;
+let persistence;
+
+const createPersistence = (options = {}) => new StatePersistence({ storage, storageKey: STORAGE_KEY, version: 1, throttleMs: 1000, ...options });
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  storage = memoryStorage();
+  persistence = createPersistence();
+});
+
+afterEach(() => {
+  persistence.stop();
+  jest.useRealTimers();
+});
+
+test('restores saved history, dropping entries that can no longer be selected', async () => {
+  storage.items.set(STORAGE_KEY, JSON.stringify({
+    version: 1,
+    state: {
+      places: { searchHistory: [historyItem('klcc'), historyItem('broken', { place: { place_id: 'broken' } }), null], suggestions: ['ignored'] },
+      searchResults: { openNowOnly: true },
+      ui: { error: 'ignored' }
+    }
+  }));
+  const store = createStore();
+
+  await persistence.start(store);
+
+  expect(selectSearchHistory(store.getState())).toEqual([historyItem('klcc')]);
+  expect(store.getState().places.entities.ids).toEqual(['klcc']);
+  expect(store.getState().searchResults.openNowOnly).toBe(true);
+});
+
+test('saves changes to persisted keys at most once per throttle window', async () => {
+  const store = createStore();
+  await persistence.start(store);
+
+  store.dispatch(addToSearchHistory({ query: 'klcc', place: historyItem('klcc').place, timestamp: '2025-01-06T08:00:00.000Z' }));
+  store.dispatch(addToSearchHistory({ query: 'batu', place: historyItem('batu').place, timestamp: '2025-01-06T08:00:01.000Z' }));
+  jest.runOnlyPendingTimers();
+
+  store.dispatch(setOpenNowFilter(true));
+  expect(storage.setItem).toHaveBeenCalledTimes(1);
+  jest.advanceTimersByTime(1000);
+  await Promise.resolve();
+
+  expect(storage.setItem).toHaveBeenCalledTimes(2);
+  expect(saved(storage)).toMatchObject({
+    version: 1,
+    state: { searchResults: { openNowOnly: true } }
+  });
+  expect(saved(storage).state.places.searchHistory.map(item => item.query)).toEqual(['batu', 'klcc']);
+});
+
+test('does not write until something persisted changes', async () => {
+  const store = createStore();
+  await persistence.start(store);
+
+  store.dispatch({ type: 'places/clearSuggestions' });
+  jest.runOnlyPendingTimers();
+
+  expect(storage.setItem).not.toHaveBeenCalled();
+});
+
+test('migrates older saved state up to the current version', async () => {
+  storage.items.set(STORAGE_KEY, JSON.stringify({ version: 1, state: { places: { history: [historyItem('klcc')] } } }));
+  const migrations = {
+    2: (state) => ({ places: { searchHistory: state.places.history } }),
+    3: (state) => ({ ...state, searchResults: { openNowOnly: false } })
+  };
+  persistence = createPersistence({ version: 3, migrations });
+  const store = createStore();
+
+  await persistence.start(store);
+
+  expect(selectSearchHistory(store.getState())).toEqual([historyItem('klcc')]);
+  expect(() => migratePersistedState({}, 1, 3, { 3: migrations[3] })).toThrow('No migration to persisted state version 2');
+});
+
+test('turns history places saved before the Place model into Places', async () => {
+  const savedPlace = {
+    place_id: 'klcc',
+    name: 'klcc',
+    types: [],
+    photos: [],
+    geometry: { location: { lat: 3.15, lng: 101.71 } },
+    icon: 'https://example.com/icon.png',
+    reference: 'klcc-ref'
+  };
+  storage.items.set(STORAGE_KEY, JSON.stringify({
+    version: 1,
+    state: { places: { searchHistory: [historyItem('klcc', { place: savedPlace }), historyItem('gone', { place: { name: 'No id' } })] } }
+  }));
+  persistence = createPersistence({ version: PERSISTENCE_CONFIG.version, migrations: MIGRATIONS });
+  const store = createStore();
+
+  await persistence.start(store);
+
+  expect(selectSearchHistory(store.getState())).toEqual([historyItem('klcc')]);
+});
+
+test('discards corrupt or unmigratable saved state and starts empty', async () => {
+  storage.items.set(STORAGE_KEY, '{"version": 1, "state": {"places"');
+  const store = createStore();
+
+  await persistence.start(store);
+
+  expect(storage.removeItem).toHaveBeenCalledWith(STORAGE_KEY);
+  expect(store.getState().places.searchHistory).toEqual([]);
+
+  storage.items.set(STORAGE_KEY, JSON.stringify({ version: 1, state: {} }));
+  await expect(createPersistence({ version: 3 }).load()).resolves.toBeNull();
+  expect(storage.items.has(STORAGE_KEY)).toBe(false);
+});
+
+test('ignores state saved by a newer version', async () => {
+  storage.items.set(STORAGE_KEY, JSON.stringify({ version: 5, state: { places: { searchHistory: [historyItem('klcc')] } } }));
+
+  await expect(persistence.load()).resolves.toBeNull();
+  expect(storage.items.has(STORAGE_KEY)).toBe(true);
+});
+
+test('saves a shorter history when storage is over quota', async () => {
+  const history = Array.from({ length: 8 }, (_, index) => historyItem(`place-${index}`));
+  const oneItemBytes = JSON.stringify(history[0]).length;
+  storage = memoryStorage({ quotaBytes: oneItemBytes * 3 });
+  persistence = createPersistence();
+  const store = createStore();
+  await persistence.start(store);
+
+  store.dispatch(rehydrateState({ places: { searchHistory: history } }));
+  await persistence.flush();
+
+  expect(saved(storage).state.places.searchHistory).toEqual(history.slice(0, 2));
+});
+
+test('keeps working when storage fails outright', async () => {
+  storage.getItem.mockRejectedValue(new Error('SecurityError'));
+  storage.setItem.mockRejectedValue(new Error('SecurityError'));
+  const store = createStore();
+
+  await persistence.start(store);
+  store.dispatch(clearSearchHistory());
+  store.dispatch(setOpenNowFilter(true));
+  await persistence.flush();
+
+  expect(store.getState().searchResults.openNowOnly).toBe(true);
+});
+
+test('writes only while the write gate allows it, catching up when it opens', async () => {
+  let leader = false;
+  persistence.setWriteGate(() => leader);
+  const store = createStore();
+  await persistence.start(store);
+
+  store.dispatch(setOpenNowFilter(true));
+  jest.runOnlyPendingTimers();
+  await persistence.flush();
+  expect(storage.setItem).not.toHaveBeenCalled();
+
+  leader = true;
+  await persistence.flush();
+  expect(saved(storage).state.searchResults.openNowOnly).toBe(true);
+});
@@ -0,0 +1,94 @@
+// This file is part of the Google Places Redux Saga project.
+// It handles the side effects of directions: fetching routes whenever the endpoints or travel
+// mode change (takeLatest drops a route request the user has already superseded) and the
+// debounced autocomplete behind the origin / destination fields.
+import { call, put, select, takeLatest, debounce, all } from 'redux-saga/effects';
+import {
+  openDirections,
+  setDirectionsEndpoint,
+  swapDirectionsEndpoints,
+  setTravelMode,
+  directionsRequest,
+  directionsSuccess,
+  directionsFailure,
+  directionsEndpointSearch,
+  directionsEndpointSuggestions,
+  selectDirections
+} from '../slices/directionsSlice';
+import { selectSearchOptions } from '../slices/searchSettingsSlice';
+import { createPlaces } from '../../models/place';
+import { getPlacesProvider } from '../../services/placesProviderRegistry';
+import { PLACES_ERROR_CODES } from '../../services/errors';
+import { createLogger } from '../../utils/logger';
+
+const log = createLogger('saga');
+
+const ENDPOINT_SUGGESTION_LIMIT = 5;
+
+export function* fetchDirectionsSaga() {
+  const { isOpen, origin, destination, travelMode } = yield select(selectDirections);
+  if (!isOpen || !origin || !destination) {
+    return;
+  }
+
+  try {
+    const provider = yield call(getPlacesProvider);
+    if (typeof provider.getDirections !== 'function') {
+      yield put(directionsFailure('Directions are not available with the current places provider.'));
+      return;
+    }
+
+    log.debug(`🧭 Saga: Directions ${origin.name} → ${destination.name} (${travelMode})`);
+    const routes = yield call([provider, 'getDirections'], { origin, destination, travelMode });
+
+    if (!routes || routes.length === 0) {
+      yield put(directionsFailure('No route found between these places.'));
+      return;
+    }
+    yield put(directionsSuccess(routes));
+    log.debug(`✅ Saga: Found ${routes.length} route(s)`);
+  } catch (error) {
+    log.error('❌ Saga: Directions failed:', error);
+    yield put(directionsFailure(error?.code === PLACES_ERROR_CODES.NOT_FOUND
+      ? 'The origin or destination could not be found.'
+      : 'Could not get directions. Please try again.'));
+  }
+}
+
+export function* endpointSearchSaga(action) {
+  const { field, query = '' } = action.payload || {};
+  if (!field || query.trim().length < 2) {
+    yield put(directionsEndpointSuggestions({ field, query, suggestions: [] }));
+    return;
+  }
+
+  try {
+    const provider = yield call(getPlacesProvider);
+    const searchOptions = yield select(selectSearchOptions);
+    const places = yield call([provider, 'searchPlaces'], query.trim(), searchOptions);
+
+    yield put(directionsEndpointSuggestions({
+      field,
+      query,
+      suggestions: createPlaces(places).slice(0, ENDPOINT_SUGGESTION_LIMIT)
+    }));
+  } catch (error) {
+    log.warn('⚠️ Saga: Endpoint suggestions failed:', error);
+    yield put(directionsEndpointSuggestions({ field, query, suggestions: [] }));
+  }
+}
+
+function* directionsSaga() {
+  yield all([
+    takeLatest([
+      openDirections.type,
+      setDirectionsEndpoint.type,
+      swapDirectionsEndpoints.type,
+      setTravelMode.type,
+      directionsRequest.type
+    ], fetchDirectionsSaga),
+    debounce(300, directionsEndpointSearch.type, endpointSearchSaga)
+  ]);
+}
+
+export default directionsSaga;
@@ -0,0 +1,126 @@
+import { fetchDirectionsSaga, endpointSearchSaga } from './directionsSaga';
+import directionsReducer, {
+  openDirections,
+  setDirectionsEndpoint,
+  setTravelMode,
+  directionsSuccess,
+  directionsFailure,
+  directionsEndpointSearch,
+  directionsEndpointSuggestions
+} from '../slices/directionsSlice';
+import { GoogleMapsService } from '../../services/googleMapsService';
+import { demoPlacesProvider } from '../../services/providers/demoPlacesProvider';
+import {
+  registerPlacesProvider,
+  setActivePlacesProvider,
+  unregisterPlacesProvider
+} from '../../services/placesProviderRegistry';
+import {
+  createFakeGoogleMaps,
+  fakeDirectionsRoute,
+  fakePrediction,
+  DirectionsStatus,
+  PlacesServiceStatus
+} from '../../test-utils/fakeGoogleMaps';
+import { recordSaga } from '../../test-utils/recordSaga';
+
+const klcc = { place_id: 'klcc', name: 'KLCC', formatted_address: 'Kuala Lumpur', geometry: { location: { lat: 3.1579, lng: 101.7116 } } };
+const sentral = { place_id: 'sentral', name: 'KL Sentral', geometry: { location: { lat: 3.1342, lng: 101.6865 } } };
+
+const directionsState = (...actions) => ({
+  directions: actions.reduce(directionsReducer, directionsReducer(undefined, { type: '@@init' }))
+});
+
+let fake;
+
+beforeEach(() => {
+  fake = createFakeGoogleMaps();
+  registerPlacesProvider('fake-google', new GoogleMapsService({ loader: fake.loader }));
+  setActivePlacesProvider('fake-google');
+});
+
+afterEach(() => {
+  unregisterPlacesProvider('fake-google');
+});
+
+describe('directionsSlice', () => {
+  test('normalizes endpoints and marks routes stale when they change', () => {
+    const { directions } = directionsState(
+      openDirections({ destination: klcc }),
+      setDirectionsEndpoint('origin', sentral)
+    );
+
+    expect(directions.destination).toEqual({
+      place_id: 'klcc',
+      name: 'KLCC',
+      address: 'Kuala Lumpur',
+      location: { lat: 3.1579, lng: 101.7116 }
+    });
+    expect(directions.status).toBe('loading');
+
+    const cleared = directionsReducer(directions, setDirectionsEndpoint('origin', null));
+    expect(cleared).toMatchObject({ origin: null, status: 'idle', routes: [] });
+  });
+
+  test('drops endpoint suggestions for a query that has since changed', () => {
+    const state = directionsState(
+      openDirections(),
+      directionsEndpointSearch({ field: 'origin', query: 'kl' }),
+      directionsEndpointSearch({ field: 'origin', query: 'klcc' }),
+      directionsEndpointSuggestions({ field: 'origin', query: 'kl', suggestions: [sentral] })
+    );
+
+    expect(state.directions.endpointSearch.suggestions).toEqual([]);
+  });
+});
+
+describe('fetchDirectionsSaga', () => {
+  test('requests routes for the chosen endpoints and travel mode', async () => {
+    fake.respondTo('route', {
+      status: DirectionsStatus.OK,
+      result: { routes: [fakeDirectionsRoute([{ lat: 3.1342, lng: 101.6865 }, { lat: 3.1579, lng: 101.7116 }])] }
+    });
+    const state = directionsState(
+      openDirections({ origin: sentral, destination: klcc }),
+      setTravelMode('TRANSIT')
+    );
+
+    const [success] = await recordSaga(fetchDirectionsSaga, setTravelMode('TRANSIT'), state);
+
+    expect(fake.calls.route[0]).toMatchObject({ origin: { placeId: 'sentral' }, destination: { placeId: 'klcc' }, travelMode: 'TRANSIT' });
+    expect(success.type).toBe(directionsSuccess.type);
+    expect(success.payload[0].steps).toHaveLength(1);
+  });
+
+  test('waits until both endpoints are set', async () => {
+    const dispatched = await recordSaga(fetchDirectionsSaga, openDirections(), directionsState(openDirections({ destination: klcc })));
+
+    expect(dispatched).toEqual([]);
+    expect(fake.calls.route).toHaveLength(0);
+  });
+
+  test('reports when no route exists or the provider cannot route', async () => {
+    const state = directionsState(openDirections({ origin: sentral, destination: klcc }));
+
+    expect(await recordSaga(fetchDirectionsSaga, openDirections(), state))
+      .toEqual([directionsFailure('No route found between these places.')]);
+
+    setActivePlacesProvider('demo');
+    expect(await recordSaga(fetchDirectionsSaga, openDirections(), state))
+      .toEqual([directionsFailure('Directions are not available with the current places provider.')]);
+    expect(demoPlacesProvider.getDirections).toBeUndefined();
+  });
+});
+
+test('endpointSearchSaga serializes a few suggestions for the field', async () => {
+  fake.respondTo('getPlacePredictions', {
+    status: PlacesServiceStatus.OK,
+    predictions: Array.from({ length: 8 }, (_, i) => fakePrediction(`p${i}`, `Sentral ${i}`))
+  });
+
+  const [answer] = await recordSaga(endpointSearchSaga, directionsEndpointSearch({ field: 'origin', query: 'sentral' }));
+
+  expect(answer.type).toBe(directionsEndpointSuggestions.type);
+  expect(answer.payload).toMatchObject({ field: 'origin', query: 'sentral' });
+  expect(answer.payload.suggestions).toHaveLength(5);
+});
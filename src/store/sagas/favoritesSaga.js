@@ -0,0 +1,73 @@
+// This file is part of the Google Places Redux Saga project.
+// It handles the side effects of favorites: loading the list from the REST backend, and
+// persisting each star toggle after the slice has applied it optimistically (rolled back when
+// the request fails). One change per place is in flight at a time.
+import { call, put, select, takeEvery, takeLeading } from 'redux-saga/effects';
+import {
+  loadFavoritesRequest,
+  loadFavoritesSuccess,
+  loadFavoritesFailure,
+  toggleFavorite,
+  addFavorite,
+  removeFavorite,
+  favoriteSyncSuccess,
+  favoriteSyncFailure,
+  selectIsFavorite,
+  selectFavoritePending
+} from '../slices/favoritesSlice';
+import { favoritesService, toFavorite } from '../../services/favoritesService';
+import { serializeApiError } from '../../services/apiService';
+import { createLogger } from '../../utils/logger';
+
+const log = createLogger('saga');
+
+export function* loadFavoritesSaga() {
+  try {
+    const favorites = yield call([favoritesService, 'list']);
+    log.debug(`⭐ Saga: Loaded ${favorites.length} favorites`);
+    yield put(loadFavoritesSuccess(favorites));
+  } catch (error) {
+    log.error('❌ Saga: Loading favorites failed:', error);
+    yield put(loadFavoritesFailure(serializeApiError(error)));
+  }
+}
+
+export function* toggleFavoriteSaga(action) {
+  const placeId = action.payload?.place_id;
+  if (!placeId) {
+    return;
+  }
+
+  const pending = yield select(selectFavoritePending, placeId);
+  if (pending) {
+    log.debug(`⏳ Saga: Favorite change for ${placeId} already in flight`);
+    return;
+  }
+
+  const isFavorite = yield select(selectIsFavorite, placeId);
+  try {
+    if (isFavorite) {
+      yield put(removeFavorite(placeId));
+      yield call([favoritesService, 'remove'], placeId);
+      yield put(favoriteSyncSuccess({ placeId, favorite: null }));
+    } else {
+      const now = yield call(Date.now);
+      const favorite = toFavorite(action.payload, new Date(now).toISOString());
+      if (!favorite) {
+        log.warn(`⚠️ Saga: Not starring ${placeId}, it is not a valid place`);
+        return;
+      }
+      yield put(addFavorite(favorite));
+      const stored = yield call([favoritesService, 'add'], favorite);
+      yield put(favoriteSyncSuccess({ placeId, favorite: stored }));
+    }
+  } catch (error) {
+    log.error(`❌ Saga: Favorite ${isFavorite ? 'removal' : 'save'} failed, rolling back:`, error);
+    yield put(favoriteSyncFailure({ placeId, error: serializeApiError(error) }));
+  }
+}
+
+export default function* favoritesSaga() {
+  yield takeLeading(loadFavoritesRequest.type, loadFavoritesSaga);
+  yield takeEvery(toggleFavorite.type, toggleFavoriteSaga);
+}
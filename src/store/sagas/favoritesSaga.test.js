@@ -0,0 +1,215 @@
+import { runSaga } from 'redux-saga';
+import { loadFavoritesSaga, toggleFavoriteSaga } from './favoritesSaga';
+import favoritesReducer, {
+  loadFavoritesSuccess,
+  toggleFavorite,
+  addFavorite,
+  removeFavorite,
+  favoriteSyncSuccess,
+  favoriteSyncFailure
+} from '../slices/favoritesSlice';
+import ApiService from '../../services/apiService';
+import { favoritesService, toFavorite, favoritePlace } from '../../services/favoritesService';
+import { createFakeFetch } from '../../test-utils/fakeFetch';
+
+// Runs the saga against a real favorites reducer, so optimistic updates and rollbacks show in state
+async function runWithFavorites(saga, action, ...initialActions) {
+  let state = {
+    favorites: initialActions.reduce(favoritesReducer, favoritesReducer(undefined, { type: '@@init' }))
+  };
+  const dispatched = [];
+  await runSaga({
+    dispatch: (a) => {
+      dispatched.push(a);
+      state = { favorites: favoritesReducer(state.favorites, a) };
+    },
+    getState: () => state
+  }, saga, action).toPromise();
+  return { dispatched, state: state.favorites };
+}
+
+// An in-memory favorites store behind the backend's REST routes
+const createFavoritesBackend = ({ failWith = null } = {}) => {
+  const stored = new Map();
+  const placeIdOf = ({ pathname }) => decodeURIComponent(pathname.split('/favorites/')[1]);
+  const server = createFakeFetch(failWith
+    ? () => ({ status: failWith, body: { message: 'Backend unavailable' } })
+    : {
+      'GET /api/favorites': () => ({ body: [...stored.values()] }),
+      'PUT /api/favorites/*': (request) => {
+        stored.set(placeIdOf(request), { ...request.body, addedAt: '2025-01-06T00:00:00.000Z' });
+        return { body: stored.get(placeIdOf(request)) };
+      },
+      'DELETE /api/favorites/*': (request) => {
+        stored.delete(placeIdOf(request));
+        return { status: 204 };
+      }
+    });
+  return { ...server, stored };
+};
+
+const routesCalled = ({ requests }) => requests.map(({ method, pathname }) => `${method} ${pathname}`);
+
+const klcc = {
+  place_id: 'klcc',
+  name: 'Petronas Twin Towers',
+  formatted_address: 'Kuala Lumpur City Centre, Kuala Lumpur',
+  types: ['tourist_attraction'],
+  geometry: { location: { lat: 3.1579, lng: 101.7116 }, viewport: null },
+  photos: []
+};
+
+const suggestion = {
+  place_id: 'batu',
+  description: 'Batu Caves, Selangor, Malaysia',
+  structured_formatting: { main_text: 'Batu Caves', secondary_text: 'Selangor, Malaysia' },
+  types: ['tourist_attraction']
+};
+
+let server;
+let defaultApi;
+
+beforeEach(() => {
+  server = createFavoritesBackend();
+  defaultApi = favoritesService.api;
+  favoritesService.api = new ApiService({ baseUrl: 'http://localhost:8080/api', fetchImpl: server.fetchImpl });
+  jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2025-01-06T08:00:00.000Z'));
+});
+
+afterEach(() => {
+  favoritesService.api = defaultApi;
+  jest.restoreAllMocks();
+});
+
+describe('toFavorite', () => {
+  test('makes a Place of a place or a prediction and stamps when it was added', () => {
+    expect(toFavorite(klcc, '2025-01-06T08:00:00.000Z')).toEqual({
+      place_id: 'klcc',
+      name: 'Petronas Twin Towers',
+      formatted_address: 'Kuala Lumpur City Centre, Kuala Lumpur',
+      types: ['tourist_attraction'],
+      geometry: { location: { lat: 3.1579, lng: 101.7116 } },
+      photos: [],
+      addedAt: '2025-01-06T08:00:00.000Z'
+    });
+    expect(toFavorite(suggestion)).toMatchObject({ name: 'Batu Caves', formatted_address: 'Selangor, Malaysia' });
+    expect(toFavorite(suggestion).geometry).toBeUndefined();
+    expect(toFavorite({ name: 'No id' })).toBeNull();
+  });
+
+  test('checks stored favorites like any other payload', () => {
+    const stored = { ...klcc, geometry: { location: { lat: '3.1579', lng: '101.7116' } }, rating: 'great', addedAt: '2025-01-01T00:00:00.000Z' };
+
+    expect(toFavorite(stored)).toMatchObject({
+      geometry: { location: { lat: 3.1579, lng: 101.7116 } },
+      addedAt: '2025-01-01T00:00:00.000Z'
+    });
+    expect(toFavorite(stored).rating).toBeUndefined();
+    expect(favoritePlace(toFavorite(stored)).addedAt).toBeUndefined();
+  });
+});
+
+describe('toggleFavoriteSaga', () => {
+  test('stars a place at once and keeps the stored version', async () => {
+    const { dispatched, state } = await runWithFavorites(toggleFavoriteSaga, toggleFavorite(klcc));
+
+    expect(dispatched.map(action => action.type)).toEqual([addFavorite.type, favoriteSyncSuccess.type]);
+    expect(routesCalled(server)).toEqual(['PUT /api/favorites/klcc']);
+    expect(state.items).toEqual([expect.objectContaining({ place_id: 'klcc', addedAt: '2025-01-06T00:00:00.000Z' })]);
+    expect(state.pending).toEqual({});
+  });
+
+  test('unstars a favorite', async () => {
+    const { dispatched, state } = await runWithFavorites(
+      toggleFavoriteSaga,
+      toggleFavorite(klcc),
+      loadFavoritesSuccess([toFavorite(suggestion), toFavorite(klcc)])
+    );
+
+    expect(dispatched.map(action => action.type)).toEqual([removeFavorite.type, favoriteSyncSuccess.type]);
+    expect(routesCalled(server)).toEqual(['DELETE /api/favorites/klcc']);
+    expect(state.items.map(item => item.place_id)).toEqual(['batu']);
+  });
+
+  test('rolls an add back when the request fails', async () => {
+    favoritesService.api = new ApiService({ baseUrl: 'http://localhost:8080/api', fetchImpl: createFavoritesBackend({ failWith: 503 }).fetchImpl });
+
+    const { state } = await runWithFavorites(toggleFavoriteSaga, toggleFavorite(suggestion));
+
+    expect(state.items).toEqual([]);
+    expect(state.pending).toEqual({});
+    expect(state.syncError).toEqual({
+      code: 'HTTP_ERROR',
+      message: 'Backend unavailable',
+      status: 503,
+      retryable: true,
+      operation: 'add',
+      placeId: 'batu'
+    });
+  });
+
+  test('puts a removed favorite back in its place when the request fails', async () => {
+    const offline = new ApiService({ baseUrl: 'http://localhost:8080/api', fetchImpl: jest.fn().mockRejectedValue(new TypeError('Failed to fetch')) });
+    favoritesService.api = offline;
+    const addedAt = '2025-01-05T00:00:00.000Z';
+    const favorites = [toFavorite(suggestion, addedAt), toFavorite(klcc, addedAt), toFavorite({ ...klcc, place_id: 'menara' }, addedAt)];
+
+    const { dispatched, state } = await runWithFavorites(toggleFavoriteSaga, toggleFavorite(klcc), loadFavoritesSuccess(favorites));
+
+    expect(dispatched[1]).toEqual(favoriteSyncFailure({
+      placeId: 'klcc',
+      error: expect.objectContaining({ code: 'NETWORK_ERROR' })
+    }));
+    expect(state.items).toEqual(favorites);
+    expect(state.syncError).toMatchObject({ operation: 'remove', placeId: 'klcc' });
+  });
+
+  test('leaves a place it cannot make a favorite of alone', async () => {
+    const { dispatched, state } = await runWithFavorites(toggleFavoriteSaga, toggleFavorite({ place_id: 42, name: 'Not a place' }));
+
+    expect(dispatched).toEqual([]);
+    expect(routesCalled(server)).toEqual([]);
+    expect(state.items).toEqual([]);
+  });
+
+  test('ignores toggles while a change for the place is in flight', async () => {
+    const { dispatched } = await runWithFavorites(toggleFavoriteSaga, toggleFavorite(klcc), addFavorite(toFavorite(klcc)));
+
+    expect(dispatched).toEqual([]);
+    expect(routesCalled(server)).toEqual([]);
+  });
+});
+
+describe('loadFavoritesSaga', () => {
+  test('loads the stored favorites', async () => {
+    server.stored.set('klcc', toFavorite(klcc, '2025-01-01T00:00:00.000Z'));
+
+    const { state } = await runWithFavorites(loadFavoritesSaga);
+
+    expect(state.status).toBe('succeeded');
+    expect(state.items).toEqual([toFavorite(klcc, '2025-01-01T00:00:00.000Z')]);
+  });
+
+  test('keeps changes still in flight over the loaded list', () => {
+    const state = [
+      loadFavoritesSuccess([toFavorite(klcc, '2025-01-01T00:00:00.000Z')]),
+      removeFavorite('klcc'),
+      addFavorite(toFavorite(suggestion, '2025-01-06T08:00:00.000Z')),
+      loadFavoritesSuccess([
+        toFavorite(klcc, '2025-01-01T00:00:00.000Z'),
+        toFavorite({ ...klcc, place_id: 'menara' }, '2025-01-02T00:00:00.000Z')
+      ])
+    ].reduce(favoritesReducer, undefined);
+
+    expect(state.items.map(item => item.place_id)).toEqual(['batu', 'menara']);
+  });
+
+  test('reports a failed load', async () => {
+    favoritesService.api = new ApiService({ baseUrl: 'http://localhost:8080/api', fetchImpl: createFavoritesBackend({ failWith: 500 }).fetchImpl });
+
+    const { state } = await runWithFavorites(loadFavoritesSaga);
+
+    expect(state.status).toBe('failed');
+    expect(state.error).toMatchObject({ code: 'HTTP_ERROR', status: 500 });
+  });
+});
@@ -0,0 +1,53 @@
+// This file is part of the Google Places Redux Saga project.
+// It handles the side effects of the details panel: fetching extended place details on request,
+// unless state.placeDetails already holds a fresh copy for that place.
+import { call, put, select, takeEvery } from 'redux-saga/effects';
+import {
+  placeDetailsRequest,
+  placeDetailsSuccess,
+  placeDetailsFailure,
+  selectPlaceDetailsEntry
+} from '../slices/placeDetailsSlice';
+import { EXTENDED_DETAILS_CONFIG } from '../../utils/constants';
+import { createPlaceExtras } from '../../models/place';
+import { getPlacesProvider } from '../../services/placesProviderRegistry';
+import { PLACES_ERROR_CODES, serializePlacesError } from '../../services/errors';
+import { createLogger } from '../../utils/logger';
+
+const log = createLogger('saga');
+
+export function* fetchPlaceDetailsSaga(action) {
+  const placeId = action.payload;
+  if (!placeId) {
+    return;
+  }
+
+  const now = yield call(Date.now);
+  const cached = yield select(selectPlaceDetailsEntry, placeId);
+  if (cached && now - cached.fetchedAt < EXTENDED_DETAILS_CONFIG.ttlMs) {
+    yield put(placeDetailsSuccess({ placeId, ...cached }));
+    return;
+  }
+
+  try {
+    const provider = yield call(getPlacesProvider);
+    if (typeof provider.getExtendedPlaceDetails !== 'function') {
+      yield put(placeDetailsFailure({
+        placeId,
+        error: { code: PLACES_ERROR_CODES.SERVICE_UNAVAILABLE, message: 'More details are not available with the current places provider.', retryable: false }
+      }));
+      return;
+    }
+
+    log.debug(`📋 Saga: Fetching extended details for ${placeId}`);
+    const details = yield call([provider, 'getExtendedPlaceDetails'], placeId);
+    yield put(placeDetailsSuccess({ placeId, details: createPlaceExtras(placeId, details), fetchedAt: now }));
+  } catch (error) {
+    log.error('❌ Saga: Extended details failed:', error);
+    yield put(placeDetailsFailure({ placeId, error: serializePlacesError(error) }));
+  }
+}
+
+export default function* placeDetailsSaga() {
+  yield takeEvery(placeDetailsRequest.type, fetchPlaceDetailsSaga);
+}
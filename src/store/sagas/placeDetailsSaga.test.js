@@ -0,0 +1,127 @@
+import { fetchPlaceDetailsSaga } from './placeDetailsSaga';
+import placeDetailsReducer, {
+  placeDetailsRequest,
+  placeDetailsSuccess,
+  placeDetailsFailure
+} from '../slices/placeDetailsSlice';
+import { GoogleMapsService } from '../../services/googleMapsService';
+import {
+  registerPlacesProvider,
+  setActivePlacesProvider,
+  unregisterPlacesProvider
+} from '../../services/placesProviderRegistry';
+import { createFakeGoogleMaps, PlacesServiceStatus } from '../../test-utils/fakeGoogleMaps';
+import { EXTENDED_DETAILS_CONFIG } from '../../utils/constants';
+import { recordSaga } from '../../test-utils/recordSaga';
+
+const placeDetailsState = (...actions) => ({
+  placeDetails: actions.reduce(placeDetailsReducer, placeDetailsReducer(undefined, { type: '@@init' }))
+});
+
+const klccExtras = {
+  opening_hours: {
+    periods: [{ open: { day: 1, time: '0900', hours: 9, minutes: 0 }, close: { day: 1, time: '2200', hours: 22, minutes: 0 } }],
+    weekday_text: ['Monday: 9:00 AM – 10:00 PM'],
+    isOpen: () => true
+  },
+  utc_offset_minutes: 480,
+  formatted_phone_number: '03-2331 8080',
+  international_phone_number: '+60 3-2331 8080',
+  website: 'https://www.petronastwintowers.com.my/',
+  price_level: 2,
+  reviews: [{ author_name: 'Ali', rating: 5, text: 'Stunning at night', relative_time_description: 'a week ago', time: 1700000000 }],
+  business_status: 'OPERATIONAL',
+  url: 'https://maps.google.com/?cid=1'
+};
+
+let fake;
+let service;
+
+beforeEach(() => {
+  fake = createFakeGoogleMaps();
+  service = new GoogleMapsService({ loader: fake.loader });
+  registerPlacesProvider('fake-google', service);
+  setActivePlacesProvider('fake-google');
+});
+
+afterEach(() => {
+  unregisterPlacesProvider('fake-google');
+  jest.restoreAllMocks();
+});
+
+describe('fetchPlaceDetailsSaga', () => {
+  test('fetches the extended fields and stores them serialized', async () => {
+    fake.respondTo('getDetails', { status: PlacesServiceStatus.OK, place: klccExtras });
+
+    const dispatched = await recordSaga(fetchPlaceDetailsSaga, placeDetailsRequest('klcc'), placeDetailsState());
+
+    expect(fake.calls.getDetails[0].fields).toEqual(expect.arrayContaining(['opening_hours', 'reviews', 'website']));
+    const { details } = dispatched[0].payload;
+    expect(dispatched[0].type).toBe(placeDetailsSuccess.type);
+    expect(details).toMatchObject({
+      place_id: 'klcc',
+      opening_hours: {
+        periods: [{ open: { day: 1, time: '0900' }, close: { day: 1, time: '2200' } }],
+        weekday_text: ['Monday: 9:00 AM – 10:00 PM']
+      },
+      formatted_phone_number: '03-2331 8080',
+      price_level: 2,
+      reviews: [expect.objectContaining({ author_name: 'Ali', author_url: null, rating: 5 })]
+    });
+    expect(JSON.parse(JSON.stringify(details))).toEqual(details);
+  });
+
+  test('serves fresh details from the store without a request', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(10000);
+    const state = placeDetailsState(placeDetailsSuccess({ placeId: 'klcc', details: { place_id: 'klcc' }, fetchedAt: 9000 }));
+
+    const dispatched = await recordSaga(fetchPlaceDetailsSaga, placeDetailsRequest('klcc'), state);
+
+    expect(dispatched).toEqual([placeDetailsSuccess({ placeId: 'klcc', details: { place_id: 'klcc' }, fetchedAt: 9000 })]);
+    expect(fake.calls.getDetails).toHaveLength(0);
+  });
+
+  test('refetches stale details', async () => {
+    fake.respondTo('getDetails', { status: PlacesServiceStatus.OK, place: klccExtras });
+    jest.spyOn(Date, 'now').mockReturnValue(EXTENDED_DETAILS_CONFIG.ttlMs + 1);
+    const state = placeDetailsState(placeDetailsSuccess({ placeId: 'klcc', details: { place_id: 'klcc' }, fetchedAt: 0 }));
+
+    const dispatched = await recordSaga(fetchPlaceDetailsSaga, placeDetailsRequest('klcc'), state);
+
+    expect(fake.calls.getDetails).toHaveLength(1);
+    expect(dispatched[0].payload.fetchedAt).toBe(EXTENDED_DETAILS_CONFIG.ttlMs + 1);
+  });
+
+  test('stores a typed error per place', async () => {
+    fake.respondTo('getDetails', { status: PlacesServiceStatus.OVER_QUERY_LIMIT, place: null });
+
+    const dispatched = await recordSaga(fetchPlaceDetailsSaga, placeDetailsRequest('klcc'), placeDetailsState());
+
+    expect(dispatched).toEqual([placeDetailsFailure({
+      placeId: 'klcc',
+      error: { code: 'OVER_QUERY_LIMIT', message: 'API limit reached. Please try again later.', retryable: true }
+    })]);
+  });
+
+  test('reports providers without extended details', async () => {
+    setActivePlacesProvider('demo');
+
+    const dispatched = await recordSaga(fetchPlaceDetailsSaga, placeDetailsRequest('klcc'), placeDetailsState());
+
+    expect(dispatched[0].payload.error).toMatchObject({ code: 'SERVICE_UNAVAILABLE' });
+  });
+});
+
+describe('placeDetailsSlice', () => {
+  test('keeps only the most recently fetched places', () => {
+    const successes = Array.from({ length: EXTENDED_DETAILS_CONFIG.maxPlaces + 2 }, (_, i) =>
+      placeDetailsSuccess({ placeId: `p${i}`, details: { place_id: `p${i}` }, fetchedAt: i }));
+
+    const { placeDetails } = placeDetailsState(...successes);
+
+    expect(Object.keys(placeDetails.byId)).toHaveLength(EXTENDED_DETAILS_CONFIG.maxPlaces);
+    expect(placeDetails.byId.p0).toBeUndefined();
+    expect(placeDetails.requests.p0).toBeUndefined();
+    expect(placeDetails.byId[`p${EXTENDED_DETAILS_CONFIG.maxPlaces + 1}`]).toBeDefined();
+  });
+});
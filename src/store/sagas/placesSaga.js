@@ -1,151 +1,57 @@
 // FIXED: src/store/sagas/placesSaga.js
 // Complete fix for Redux serialization including photo objects
-import { call, put, takeEvery, debounce, all, delay } from 'redux-saga/effects';
+import { call, put, select, take, race, takeEvery, takeLatest, takeLeading, debounce, all, delay } from 'redux-saga/effects';
 import {
   searchPlacesRequest,
   searchPlacesSuccess,
   searchPlacesFailure,
   selectPlace,
-  addToSearchHistory
+  placesReceived,
+  addToSearchHistory,
+  clearSuggestions,
+  endAutocompleteSession,
+  setTravelTimeOrigin,
+  setTravelTimeMode,
+  travelTimesSuccess,
+  travelTimesFailure,
+  selectSuggestions,
+  selectSelectedPlace
 } from '../slices/placesSlice';
 import { setSearchLoading, setMapLoading, setError } from '../slices/uiSlice';
-import { googleMapsService } from '../../services/googleMapsService';
-
-// 🔧 CRITICAL: Helper function to serialize ALL Google Maps objects
-function serializeGoogleMapsGeometry(geometry) {
-  if (!geometry) return null;
-  
-  const serialized = {};
-  
-  // Serialize location
-  if (geometry.location) {
-    const loc = geometry.location;
-    serialized.location = {
-      lat: typeof loc.lat === 'function' ? loc.lat() : loc.lat,
-      lng: typeof loc.lng === 'function' ? loc.lng() : loc.lng
-    };
-  }
-  
-  // 🔥 CRITICAL FIX: Serialize viewport to prevent Redux errors
-  if (geometry.viewport) {
-    const viewport = geometry.viewport;
-    
-    // Extract bounds safely
-    if (viewport.getNorthEast && viewport.getSouthWest) {
-      const ne = viewport.getNorthEast();
-      const sw = viewport.getSouthWest();
-      
-      serialized.viewport = {
-        northeast: {
-          lat: typeof ne.lat === 'function' ? ne.lat() : ne.lat,
-          lng: typeof ne.lng === 'function' ? ne.lng() : ne.lng
-        },
-        southwest: {
-          lat: typeof sw.lat === 'function' ? sw.lat() : sw.lat,
-          lng: typeof sw.lng === 'function' ? sw.lng() : sw.lng
-        }
-      };
-    } else if (viewport.north !== undefined) {
-      // Handle different viewport format
-      serialized.viewport = {
-        northeast: { lat: viewport.north, lng: viewport.east },
-        southwest: { lat: viewport.south, lng: viewport.west }
-      };
-    }
-  }
-  
-  // Serialize bounds if present
-  if (geometry.bounds) {
-    const bounds = geometry.bounds;
-    if (bounds.getNorthEast && bounds.getSouthWest) {
-      const ne = bounds.getNorthEast();
-      const sw = bounds.getSouthWest();
-      
-      serialized.bounds = {
-        northeast: {
-          lat: typeof ne.lat === 'function' ? ne.lat() : ne.lat,
-          lng: typeof ne.lng === 'function' ? ne.lng() : ne.lng
-        },
-        southwest: {
-          lat: typeof sw.lat === 'function' ? sw.lat() : sw.lat,
-          lng: typeof sw.lng === 'function' ? sw.lng() : sw.lng
-        }
-      };
-    }
-  }
-  
-  return serialized;
-}
+import {
+  selectSearchOptions,
+  selectDefaultLocation,
+  userLocationReceived,
+  userLocationFailed
+} from '../slices/searchSettingsSlice';
+import {
+  textSearchRequest,
+  textSearchNextPage,
+  textSearchSuccess,
+  textSearchFailure
+} from '../slices/searchResultsSlice';
+import {
+  nearbySearchRequest,
+  nearbySearchSuccess,
+  nearbySearchFailure
+} from '../slices/nearbySlice';
+import { dropPin, droppedPinResolved, droppedPinFailed } from '../slices/droppedPinSlice';
+import { DROPPED_PIN_NEARBY_RADIUS_METERS, TRAVEL_TIME_ORIGINS } from '../../utils/constants';
+import { locationBiasCenter, haversineDistanceMeters } from '../../utils/helpers';
+import { createPlace, createPlaces } from '../../models/place';
+import { getPlacesProvider } from '../../services/placesProviderRegistry';
+import { PLACES_ERROR_CODES, PlacesError, NotFoundError, toPlacesError, serializePlacesError } from '../../services/errors';
+import { callWithRetry } from './retry';
+import { createLogger } from '../../utils/logger';
 
-// 🔧 Helper function to completely serialize place objects
-function serializePlaceObject(place) {
-  if (!place) return null;
-  
-  // Start with basic place data
-  const serialized = {
-    place_id: place.place_id,
-    name: place.name,
-    description: place.description,
-    formatted_address: place.formatted_address,
-    types: place.types || [],
-    rating: place.rating,
-    user_ratings_total: place.user_ratings_total
-  };
-  
-  // 🔥 CRITICAL FIX: Serialize photos to remove getUrl functions
-  if (place.photos && Array.isArray(place.photos)) {
-    serialized.photos = place.photos.slice(0, 3).map((photo, index) => {
-      if (photo && typeof photo === 'object') {
-        // Only store basic metadata, no functions
-        return {
-          id: `photo_${place.place_id || 'unknown'}_${index}`,
-          width: photo.width || 400,
-          height: photo.height || 300,
-          html_attributions: Array.isArray(photo.html_attributions) ? photo.html_attributions : []
-          // Removed: getUrl function, photo_reference (these are not serializable)
-        };
-      }
-      return null;
-    }).filter(Boolean);
-  } else {
-    serialized.photos = [];
-  }
-  
-  // Always serialize geometry completely
-  if (place.geometry) {
-    serialized.geometry = serializeGoogleMapsGeometry(place.geometry);
-  }
-  
-  // 🔧 Remove any remaining non-serializable properties
-  Object.keys(place).forEach(key => {
-    const value = place[key];
-    
-    // Skip already processed properties
-    if (['place_id', 'name', 'description', 'formatted_address', 'types', 'rating', 'user_ratings_total', 'photos', 'geometry'].includes(key)) {
-      return;
-    }
-    
-    // Only add serializable values
-    if (value !== null && value !== undefined) {
-      if (typeof value === 'function') {
-        console.warn(`⚠️ Skipping function property: ${key}`);
-      } else if (typeof value === 'object' && value.constructor && 
-                 !['Object', 'Array', 'Date', 'String', 'Number', 'Boolean'].includes(value.constructor.name)) {
-        console.warn(`⚠️ Skipping non-serializable object: ${key}`, value.constructor.name);
-      } else {
-        // Safe to include
-        serialized[key] = value;
-      }
-    }
-  });
-  
-  return serialized;
-}
+const log = createLogger('saga');
+
+const selectAutocompleteSessionId = (state) => state.places?.autocompleteSessionId || null;
 
 // 🎯 FIXED SELECT PLACE SAGA
-function* selectPlaceSaga(action) {
+export function* selectPlaceSaga(action) {
   try {
-    console.log('🎯 Saga: AUTO-PINNING workflow started');
+    log.debug('🎯 Saga: AUTO-PINNING workflow started');
     
     const payload = action.payload;
     let place, query;
@@ -159,81 +65,93 @@ function* selectPlaceSaga(action) {
         query = '';
       }
     } else {
-      console.warn('⚠️ Saga: Invalid payload format');
+      log.warn('⚠️ Saga: Invalid payload format');
       return;
     }
 
     if (!place) {
-      console.warn('⚠️ Saga: No place provided');
+      log.warn('⚠️ Saga: No place provided');
       return;
     }
 
-    console.log('📍 Saga: Processing place:', place.name || place.description);
+    log.debug('📍 Saga: Processing place:', place.name || place.description);
     
     yield put(setMapLoading(true));
     yield put(setError(null));
 
+    // The details request below closes the typing session the prediction came from
+    const sessionId = yield select(selectAutocompleteSessionId);
+
     let processedPlace = place;
+    let detailsError = null;
     
     // Get place details if needed
     if (place.place_id && (!place.geometry || !place.geometry.location)) {
-      console.log('📊 Saga: Fetching place details for geometry...');
+      log.debug('📊 Saga: Fetching place details for geometry...');
       
       try {
-        // 🔧 FIXED: More robust method call with validation
-        console.log('🔍 Saga: Available googleMapsService methods:', Object.getOwnPropertyNames(Object.getPrototypeOf(googleMapsService)));
+        // Resolve the provider through the registry so environments/tests can swap it
+        const provider = yield call(getPlacesProvider);
+        // Transient failures are retried; picking another place abandons this one
+        const { placeDetails, superseded } = yield race({
+          placeDetails: call(callWithRetry, 'details', [provider, 'getPlaceDetails'], place.place_id, { sessionId }),
+          superseded: take(selectPlace.type)
+        });
+        if (superseded) {
+          log.debug('⏭️ Saga: Place details superseded by a newer selection');
+          return;
+        }
         
-        // Check if the method exists before calling
-        if (typeof googleMapsService.getPlaceDetails === 'function') {
-          console.log('✅ Saga: getPlaceDetails method found, calling...');
-          const placeDetails = yield call([googleMapsService, 'getPlaceDetails'], place.place_id);
-          
-          if (placeDetails?.geometry?.location) {
-            // Merge with existing place data
-            processedPlace = {
-              ...place,
-              ...placeDetails,
-              description: place.description || placeDetails.formatted_address
-            };
-            
-            console.log('✅ Saga: Place details retrieved successfully:', {
-              lat: placeDetails.geometry.location.lat?.() || placeDetails.geometry.location.lat,
-              lng: placeDetails.geometry.location.lng?.() || placeDetails.geometry.location.lng
-            });
-          }
-        } else {
-          console.warn('⚠️ Saga: getPlaceDetails method not found on googleMapsService');
-          console.log('📋 Available methods:', Object.getOwnPropertyNames(googleMapsService));
+        if (placeDetails?.geometry?.location) {
+          // Merge with existing place data
+          processedPlace = {
+            ...place,
+            ...placeDetails,
+            description: place.description || placeDetails.formatted_address
+          };
           
-          // Try alternative approach - use the place data as-is
-          console.log('🔄 Saga: Using place data without additional details');
-          processedPlace = place;
+          log.debug('✅ Saga: Place details retrieved successfully:', {
+            lat: placeDetails.geometry.location.lat?.() || placeDetails.geometry.location.lat,
+            lng: placeDetails.geometry.location.lng?.() || placeDetails.geometry.location.lng
+          });
         }
       } catch (error) {
-        console.error('❌ Saga: Place details failed:', error);
-        console.log('🔄 Saga: Continuing with basic place data');
-        processedPlace = place; // Use basic place data
+        log.error('❌ Saga: Place details failed:', error);
+        log.debug('🔄 Saga: Continuing with basic place data');
+        // Kept for the report below: without geometry, this is why the place cannot be pinned
+        detailsError = error;
       }
     }
 
+    if (sessionId) {
+      yield put(endAutocompleteSession(sessionId));
+    }
+
+    // 🔥 CRITICAL: Convert to a validated Place (plain data, checked geometry, photo references)
+    const fullySerializedPlace = createPlace(processedPlace);
+
     // Validate geometry data
-    if (!processedPlace.geometry?.location) {
-      console.warn('⚠️ Saga: No geometry data for auto-pinning');
-      yield put(setError('Selected place has no location data'));
+    if (!fullySerializedPlace?.geometry?.location) {
+      log.warn('⚠️ Saga: No geometry data for auto-pinning');
+      yield put(setError(serializePlacesError(detailsError
+        ? toPlacesError(detailsError)
+        : new NotFoundError('Selected place has no geometry', { userMessage: 'Selected place has no location data' }))));
       yield put(setMapLoading(false));
       return;
     }
 
-    // 🔥 CRITICAL: FULLY serialize the place object including photos
-    const fullySerializedPlace = serializePlaceObject(processedPlace);
-
-    console.log('📍 Saga: Final serialized place ready:', {
+    log.debug('📍 Saga: Final serialized place ready:', {
       name: fullySerializedPlace.name,
       location: fullySerializedPlace.geometry?.location,
       hasViewport: !!fullySerializedPlace.geometry?.viewport,
       photoCount: fullySerializedPlace.photos?.length || 0
     });
 
+    // The fetched details complete the stored place, so the selection and the map get its geometry
+    if (processedPlace !== place) {
+      yield put(placesReceived([fullySerializedPlace]));
+    }
+
     // Add to search history with fully serialized data
     if (query && fullySerializedPlace) {
       yield put(addToSearchHistory({
@@ -241,26 +159,15 @@ function* selectPlaceSaga(action) {
         place: fullySerializedPlace, // Now completely serialized including photos
         timestamp: new Date().toISOString()
       }));
-      console.log('📚 Saga: Added to search history');
+      log.debug('📚 Saga: Added to search history');
     }
 
     yield delay(200);
-    console.log('✅ Saga: AUTO-PINNING data prepared successfully');
+    log.debug('✅ Saga: AUTO-PINNING data prepared successfully');
     
   } catch (error) {
-    console.error('❌ Saga: Auto-pinning workflow failed:', error);
-    
-    let userMessage = 'Failed to select place. Please try again.';
-    
-    if (error.message.includes('API key')) {
-      userMessage = 'Google Maps API key issue. Please check configuration.';
-    } else if (error.message.includes('quota') || error.message.includes('limit')) {
-      userMessage = 'API limit reached. Please try again later.';
-    } else if (error.message.includes('network')) {
-      userMessage = 'Network error. Please check your connection.';
-    }
-    
-    yield put(setError(userMessage));
+    log.error('❌ Saga: Auto-pinning workflow failed:', error);
+    yield put(setError(serializePlacesError(error)));
     
   } finally {
     yield put(setMapLoading(false));
@@ -268,7 +175,7 @@ function* selectPlaceSaga(action) {
 }
 
 // 🔍 FIXED SEARCH SAGA
-function* debouncedSearchSaga(action) {
+export function* debouncedSearchSaga(action) {
   try {
     const { query } = action.payload;
     
@@ -277,50 +184,311 @@ function* debouncedSearchSaga(action) {
       return;
     }
     
-    console.log(`🔍 Saga: Searching for "${query.trim()}"`);
+    log.debug(`🔍 Saga: Searching for "${query.trim()}"`);
     yield put(setSearchLoading(true));
     yield put(setError(null));
     
-    const places = yield call([googleMapsService, 'searchPlaces'], query.trim());
+    // Location bias / country restriction / strict bounds from the search settings
+    const searchOptions = yield select(selectSearchOptions);
+    const sessionId = yield select(selectAutocompleteSessionId);
+    const provider = yield call(getPlacesProvider);
+    // debounce() does not cancel a running search, so a newer query (or clearing) abandons this one
+    const { places, superseded } = yield race({
+      places: call(callWithRetry, 'search', [provider, 'searchPlaces'], query.trim(), { ...searchOptions, sessionId }),
+      superseded: take([searchPlacesRequest.type, clearSuggestions.type])
+    });
+    if (superseded) {
+      log.debug(`⏭️ Saga: Search for "${query.trim()}" superseded`);
+      return;
+    }
     
     if (Array.isArray(places)) {
-      // 🔥 Serialize all search results completely including photos
-      const serializedPlaces = places.map(place => serializePlaceObject(place));
+      // 🔥 Validated Places only; payloads that cannot be one are left out
+      const serializedPlaces = createPlaces(places);
       
       yield put(searchPlacesSuccess(serializedPlaces));
-      console.log(`✅ Saga: Found ${serializedPlaces.length} places`);
+      log.debug(`✅ Saga: Found ${serializedPlaces.length} places`);
     } else {
       yield put(searchPlacesSuccess([]));
     }
     
   } catch (error) {
-    console.error('❌ Saga: Search failed:', error);
-    
-    let userMessage = 'Search failed. Please try again.';
-    if (error.message.includes('quota')) {
-      userMessage = 'Search quota exceeded. Please try again later.';
-    } else if (error.message.includes('network')) {
-      userMessage = 'Network error. Please check your connection.';
-    }
-    
-    yield put(searchPlacesFailure(userMessage));
-    yield put(setError(userMessage));
+    log.error('❌ Saga: Search failed:', error);
+
+    const uiError = serializePlacesError(error);
+    yield put(searchPlacesFailure(uiError.message));
+    yield put(setError(uiError));
     
   } finally {
     yield put(setSearchLoading(false));
   }
 }
 
+// 🎟️ Release the provider-side token when a session ends without a selection (clear / Escape).
+// After a details call the provider has already retired it, so this is a no-op there.
+export function* endAutocompleteSessionSaga(action) {
+  const { sessionId } = action.payload;
+  if (!sessionId) {
+    return;
+  }
+
+  try {
+    const provider = yield call(getPlacesProvider);
+    if (typeof provider.endAutocompleteSession === 'function') {
+      yield call([provider, 'endAutocompleteSession'], sessionId);
+    }
+  } catch (error) {
+    log.warn('⚠️ Saga: Could not end autocomplete session:', error);
+  }
+}
+
+// ui error for a feature the active provider does not offer
+const unsupported = (message) =>
+  serializePlacesError(new PlacesError(PLACES_ERROR_CODES.SERVICE_UNAVAILABLE, message, { userMessage: message }));
+
+// 📑 "See all results": first page of a paginated text search
+export function* textSearchSaga(action) {
+  const query = (action.payload?.query || '').trim();
+  if (query.length < 2) {
+    yield put(textSearchSuccess({ results: [], nextCursor: null }));
+    return;
+  }
+
+  try {
+    log.debug(`📑 Saga: Text search for "${query}"`);
+    const searchOptions = yield select(selectSearchOptions);
+    const provider = yield call(getPlacesProvider);
+
+    let page;
+    if (typeof provider.textSearch === 'function') {
+      page = yield call([provider, 'textSearch'], query, searchOptions);
+    } else {
+      // Providers without text search still get one page of predictions
+      const places = yield call([provider, 'searchPlaces'], query, searchOptions);
+      page = { results: places || [], nextCursor: null };
+    }
+
+    yield put(textSearchSuccess({
+      results: createPlaces(page.results),
+      nextCursor: page.nextCursor || null
+    }));
+    log.debug(`✅ Saga: Text search returned ${page.results?.length || 0} places`);
+  } catch (error) {
+    log.error('❌ Saga: Text search failed:', error);
+    yield put(textSearchFailure(serializePlacesError(error)));
+  }
+}
+
+export function* textSearchNextPageSaga() {
+  const { query, nextCursor } = yield select(state => state.searchResults);
+  if (!nextCursor) {
+    return;
+  }
+
+  try {
+    const provider = yield call(getPlacesProvider);
+    const page = yield call([provider, 'textSearch'], query, { cursor: nextCursor });
+
+    // A new search may have started while this page was loading
+    const current = yield select(state => state.searchResults);
+    if (current.query !== query) {
+      return;
+    }
+
+    yield put(textSearchSuccess({
+      results: createPlaces(page.results),
+      nextCursor: page.nextCursor || null,
+      append: true
+    }));
+  } catch (error) {
+    log.error('❌ Saga: Loading more results failed:', error);
+    yield put(textSearchFailure(serializePlacesError(error)));
+  }
+}
+
+// 🧭 "What's around here": nearby search around the requested point, else the map center
+export function* nearbySearchSaga(action) {
+  try {
+    const nearby = yield select(state => state.nearby);
+    const viewport = yield select(state => state.searchSettings?.viewport);
+    const defaultLocation = yield select(selectDefaultLocation);
+
+    const center = action.payload?.center ||
+      locationBiasCenter(viewport ? { bounds: viewport } : null) ||
+      defaultLocation.center;
+
+    const provider = yield call(getPlacesProvider);
+    if (typeof provider.nearbySearch !== 'function') {
+      yield put(nearbySearchFailure(unsupported('Nearby search is not available with the current places provider.')));
+      return;
+    }
+
+    log.debug(`🧭 Saga: Nearby search (${nearby.category || 'any'}) within ${nearby.radius}m of`, center);
+    const page = yield call([provider, 'nearbySearch'], {
+      location: center,
+      radius: nearby.radius,
+      type: nearby.category || undefined
+    });
+
+    // Google ranks by prominence and omits distances, so they are measured here for the list
+    const results = createPlaces(page.results).map(place => {
+      const location = place.geometry?.location;
+      if (location) {
+        place.distance_meters = Math.round(haversineDistanceMeters(center, location));
+      }
+      return place;
+    });
+    yield put(nearbySearchSuccess({ center, results }));
+    log.debug(`✅ Saga: Found ${results.length} places nearby`);
+  } catch (error) {
+    log.error('❌ Saga: Nearby search failed:', error);
+    yield put(nearbySearchFailure(serializePlacesError(error)));
+  }
+}
+
+// ⏱️ Travel time from the chosen origin to every suggestion, in one batched provider call
+export function* travelTimesSaga() {
+  const { travelTimeOrigin, travelTimeMode } = yield select(state => state.places);
+  const suggestions = yield select(selectSuggestions);
+  if (travelTimeOrigin === TRAVEL_TIME_ORIGINS.NONE || !suggestions || suggestions.length === 0) {
+    return;
+  }
+
+  let origin = null;
+  if (travelTimeOrigin === TRAVEL_TIME_ORIGINS.USER_LOCATION) {
+    const userLocation = yield select(state => state.searchSettings?.userLocation);
+    origin = userLocation ? { location: { lat: userLocation.lat, lng: userLocation.lng } } : null;
+  } else {
+    const selectedPlace = yield select(selectSelectedPlace);
+    origin = selectedPlace?.geometry?.location ? selectedPlace : null;
+  }
+
+  if (!origin) {
+    const message = travelTimeOrigin === TRAVEL_TIME_ORIGINS.USER_LOCATION
+      ? 'Share your location to see travel times.'
+      : 'Pin a place to see travel times from it.';
+    yield put(travelTimesFailure(serializePlacesError(new PlacesError(PLACES_ERROR_CODES.INVALID_REQUEST, message, { userMessage: message }))));
+    return;
+  }
+
+  try {
+    const provider = yield call(getPlacesProvider);
+    if (typeof provider.getTravelTimes !== 'function') {
+      yield put(travelTimesFailure(unsupported('Travel times are not available with the current places provider.')));
+      return;
+    }
+
+    const times = yield call([provider, 'getTravelTimes'], {
+      origin,
+      destinations: suggestions,
+      travelMode: travelTimeMode
+    });
+
+    const byPlaceId = {};
+    suggestions.forEach((place, index) => {
+      if (place.place_id) {
+        byPlaceId[place.place_id] = times[index] ?? null;
+      }
+    });
+    yield put(travelTimesSuccess(byPlaceId));
+  } catch (error) {
+    log.error('❌ Saga: Travel times failed:', error);
+    yield put(travelTimesFailure(serializePlacesError(error)));
+  }
+}
+
+// Closest place to a dropped pin; nearby search is optional, so failures only cost the suggestion
+export function* findNearestPlace(provider, location) {
+  if (typeof provider.nearbySearch !== 'function') {
+    return null;
+  }
+
+  try {
+    const page = yield call([provider, 'nearbySearch'], { location, radius: DROPPED_PIN_NEARBY_RADIUS_METERS });
+    let nearest = null;
+    createPlaces(page.results).forEach(place => {
+      const placeLocation = place.geometry?.location;
+      if (!placeLocation) return;
+
+      place.distance_meters = Math.round(haversineDistanceMeters(location, placeLocation));
+      if (!nearest || place.distance_meters < nearest.distance_meters) {
+        nearest = place;
+      }
+    });
+    return nearest;
+  } catch (error) {
+    log.warn('⚠️ Saga: Nearest place lookup failed:', error);
+    return null;
+  }
+}
+
+// 📌 Dropped pin: street address at the clicked point plus the nearest place
+export function* reverseGeocodeSaga(action) {
+  const location = action.payload;
+  if (!location || !Number.isFinite(location.lat) || !Number.isFinite(location.lng)) {
+    return; // Already rejected by the reducer
+  }
+
+  try {
+    const provider = yield call(getPlacesProvider);
+    log.debug('📌 Saga: Reverse geocoding dropped pin at', location);
+
+    const [geocoded, nearestPlace] = yield all([
+      call([provider, 'reverseGeocode'], location),
+      call(findNearestPlace, provider, location)
+    ]);
+
+    // Plus codes are not addresses anyone wants in their history
+    const match = (geocoded || []).find(result => !(result.types || []).includes('plus_code')) || null;
+    const address = match && createPlace(match);
+    if (address) {
+      address.name = address.name || (address.formatted_address || '').split(',')[0].trim() || 'Dropped pin';
+      if (!address.geometry?.location) {
+        address.geometry = { ...address.geometry, location: { lat: location.lat, lng: location.lng } };
+      }
+    }
+
+    if (!address && !nearestPlace) {
+      yield put(droppedPinFailed('No address found at this spot.'));
+      return;
+    }
+    yield put(droppedPinResolved({ address, nearestPlace }));
+  } catch (error) {
+    log.error('❌ Saga: Reverse geocoding failed:', error);
+    yield put(droppedPinFailed('Could not look up this spot. Please try again.'));
+  }
+}
+
 // Root saga
 function* placesSaga() {
   try {
     yield all([
       debounce(500, searchPlacesRequest.type, debouncedSearchSaga),
-      takeEvery(selectPlace.type, selectPlaceSaga)
+      takeEvery(selectPlace.type, selectPlaceSaga),
+      takeEvery(endAutocompleteSession.type, endAutocompleteSessionSaga),
+      takeLatest(textSearchRequest.type, textSearchSaga),
+      // Ignore repeated "Load more" clicks while a page is in flight
+      takeLeading(textSearchNextPage.type, textSearchNextPageSaga),
+      // Moving the center or changing the category supersedes the previous search
+      takeLatest(nearbySearchRequest.type, nearbySearchSaga),
+      // A new pin replaces the card, so the previous lookup is dropped
+      takeLatest(dropPin.type, reverseGeocodeSaga),
+      // New suggestions, origin or mode supersede the travel times in flight
+      takeLatest([
+        searchPlacesSuccess.type,
+        setTravelTimeOrigin.type,
+        setTravelTimeMode.type,
+        userLocationReceived.type,
+        userLocationFailed.type
+      ], travelTimesSaga)
     ]);
   } catch (error) {
-    console.error('❌ Places Saga crashed:', error);
-    yield put(setError('Application error. Please refresh the page.'));
+    log.error('❌ Places Saga crashed:', error);
+    yield put(setError({
+      code: PLACES_ERROR_CODES.UNKNOWN_ERROR,
+      message: 'Application error. Please refresh the page.',
+      retryable: false
+    }));
   }
 }
 
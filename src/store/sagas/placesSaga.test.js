@@ -0,0 +1,427 @@
+import { runSaga, stdChannel } from 'redux-saga';
+import { selectPlaceSaga, debouncedSearchSaga, textSearchSaga, textSearchNextPageSaga, nearbySearchSaga, reverseGeocodeSaga, travelTimesSaga } from './placesSaga';
+import placesReducer, {
+  searchPlacesRequest,
+  searchPlacesSuccess,
+  searchPlacesFailure,
+  selectPlace,
+  placesReceived,
+  addToSearchHistory,
+  endAutocompleteSession,
+  travelTimesSuccess,
+  travelTimesFailure,
+  setTravelTimeOrigin
+} from '../slices/placesSlice';
+import { setMapLoading, setSearchLoading, setError, retryScheduled, retryCleared } from '../slices/uiSlice';
+import { textSearchRequest, textSearchNextPage, textSearchSuccess, textSearchFailure } from '../slices/searchResultsSlice';
+import { nearbySearchRequest, nearbySearchSuccess, nearbySearchFailure } from '../slices/nearbySlice';
+import { dropPin, droppedPinResolved, droppedPinFailed } from '../slices/droppedPinSlice';
+import { GoogleMapsService } from '../../services/googleMapsService';
+import {
+  registerPlacesProvider,
+  setActivePlacesProvider,
+  unregisterPlacesProvider
+} from '../../services/placesProviderRegistry';
+import {
+  createFakeGoogleMaps,
+  fakePrediction,
+  toFakeGeometry,
+  PlacesServiceStatus,
+  DistanceMatrixStatus
+} from '../../test-utils/fakeGoogleMaps';
+import { recordSaga } from '../../test-utils/recordSaga';
+
+let fake;
+
+beforeEach(() => {
+  fake = createFakeGoogleMaps();
+  registerPlacesProvider('fake-google', new GoogleMapsService({
+    loader: fake.loader,
+    paginationConfig: { pageTokenDelayMs: 0, maxOpenSearches: 5, cursorTtlMs: 60000 }
+  }));
+  setActivePlacesProvider('fake-google');
+});
+
+afterEach(() => {
+  unregisterPlacesProvider('fake-google');
+  jest.restoreAllMocks();
+});
+
+describe('debouncedSearchSaga', () => {
+  test('serializes provider results into searchPlacesSuccess', async () => {
+    fake.respondTo('getPlacePredictions', {
+      status: PlacesServiceStatus.OK,
+      predictions: Array.from({ length: 8 }, (_, i) => fakePrediction(`p_${i}`, `Place ${i}`))
+    });
+
+    const dispatched = await recordSaga(debouncedSearchSaga, searchPlacesRequest({ query: ' klcc ' }));
+
+    const success = dispatched.find(a => a.type === searchPlacesSuccess.type);
+    expect(success.payload).toHaveLength(8);
+    expect(success.payload[0]).toMatchObject({ place_id: 'p_0', structured_formatting: { main_text: 'Place 0' } });
+    expect(dispatched).toContainEqual(setSearchLoading(true));
+    expect(dispatched[dispatched.length - 1]).toEqual(setSearchLoading(false));
+  });
+
+  test('searches within the active autocomplete session', async () => {
+    fake.respondTo('getPlacePredictions', { status: PlacesServiceStatus.OK, predictions: [] });
+
+    await recordSaga(debouncedSearchSaga, searchPlacesRequest({ query: 'klcc' }), {
+      places: { autocompleteSessionId: 'typing-1' }
+    });
+
+    const searchCalls = fake.calls.getPlacePredictions.filter(r => !r.types.includes('country'));
+    expect(searchCalls[0].sessionToken).toBeDefined();
+  });
+
+  test('short-circuits queries under two characters', async () => {
+    const dispatched = await recordSaga(debouncedSearchSaga, searchPlacesRequest({ query: 'k' }));
+
+    expect(dispatched).toEqual([searchPlacesSuccess([]), setSearchLoading(false)]);
+    expect(fake.calls.load).toBe(0);
+  });
+
+  test.each([
+    [PlacesServiceStatus.OVER_QUERY_LIMIT, true],
+    [PlacesServiceStatus.REQUEST_DENIED, false],
+    [PlacesServiceStatus.INVALID_REQUEST, false],
+    [PlacesServiceStatus.UNKNOWN_ERROR, true]
+  ])('stores %s failures in ui.error by code', async (status, retryable) => {
+    jest.spyOn(Math, 'random').mockReturnValue(0); // no backoff wait between retries
+    fake.respondTo('getPlacePredictions', (request) => (request.types.includes('country')
+      ? { status: PlacesServiceStatus.OK, predictions: [] }
+      : { status, predictions: null }));
+
+    const dispatched = await recordSaga(debouncedSearchSaga, searchPlacesRequest({ query: 'klcc' }));
+
+    const errorAction = dispatched.filter(a => a.type === setError.type).pop();
+    expect(errorAction.payload).toEqual({ code: status, message: expect.any(String), retryable });
+    expect(dispatched).toContainEqual(searchPlacesFailure(errorAction.payload.message));
+    const searchCalls = fake.calls.getPlacePredictions.filter(r => !r.types.includes('country'));
+    expect(searchCalls).toHaveLength(retryable ? 3 : 1);
+  });
+
+  test('retries a transient failure and reports the attempt in ui state', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    let searches = 0;
+    fake.respondTo('getPlacePredictions', (request) => {
+      if (request.types.includes('country')) return { status: PlacesServiceStatus.OK, predictions: [] };
+      searches += 1;
+      return searches === 1
+        ? { status: PlacesServiceStatus.OVER_QUERY_LIMIT, predictions: null }
+        : { status: PlacesServiceStatus.OK, predictions: [fakePrediction('klcc', 'KLCC')] };
+    });
+
+    const dispatched = await recordSaga(debouncedSearchSaga, searchPlacesRequest({ query: 'klcc' }));
+
+    expect(dispatched).toContainEqual(retryScheduled({ operation: 'search', attempt: 2, maxAttempts: 3, code: 'OVER_QUERY_LIMIT' }));
+    expect(dispatched).toContainEqual(retryCleared('search'));
+    expect(dispatched.find(a => a.type === searchPlacesSuccess.type).payload).toHaveLength(1);
+    expect(dispatched.some(a => a.type === setError.type && a.payload)).toBe(false);
+  });
+
+  test('abandons a search when a newer query arrives', async () => {
+    const channel = stdChannel();
+    const dispatched = [];
+    fake.respondTo('getPlacePredictions', (request) => {
+      if (!request.types.includes('country')) {
+        channel.put(searchPlacesRequest({ query: 'klcc tower' }));
+      }
+      return { status: PlacesServiceStatus.OVER_QUERY_LIMIT, predictions: null };
+    });
+
+    await runSaga(
+      { channel, dispatch: (a) => dispatched.push(a), getState: () => ({}) },
+      debouncedSearchSaga,
+      searchPlacesRequest({ query: 'klcc' })
+    ).toPromise();
+
+    expect(fake.calls.getPlacePredictions.filter(r => !r.types.includes('country'))).toHaveLength(1);
+    expect(dispatched.some(a => a.type === searchPlacesSuccess.type || a.type === searchPlacesFailure.type)).toBe(false);
+    expect(dispatched[dispatched.length - 1]).toEqual(setSearchLoading(false));
+  });
+
+  test('reports loader failures with their own code', async () => {
+    fake = createFakeGoogleMaps({ loadError: new Error('ApiNotActivatedMapError') });
+    registerPlacesProvider('fake-google', new GoogleMapsService({ loader: fake.loader }));
+    setActivePlacesProvider('fake-google');
+
+    const dispatched = await recordSaga(debouncedSearchSaga, searchPlacesRequest({ query: 'klcc' }));
+
+    expect(dispatched).toContainEqual(setError({
+      code: 'API_NOT_ACTIVATED',
+      message: 'Maps JavaScript API not enabled. Please enable it in Google Cloud Console.',
+      retryable: false
+    }));
+  });
+});
+
+describe('selectPlaceSaga (auto-pinning)', () => {
+  test('fetches details for predictions and records a serialized history entry', async () => {
+    fake.respondTo('getDetails', (request) => ({
+      status: PlacesServiceStatus.OK,
+      place: {
+        place_id: request.placeId,
+        name: 'Petronas Twin Towers',
+        formatted_address: 'KLCC, Kuala Lumpur',
+        geometry: toFakeGeometry({
+          location: { lat: 3.1579, lng: 101.7116 },
+          viewport: { northeast: { lat: 3.16, lng: 101.72 }, southwest: { lat: 3.15, lng: 101.70 } }
+        })
+      }
+    }));
+
+    const prediction = fakePrediction('klcc', 'Petronas Twin Towers');
+    const dispatched = await recordSaga(selectPlaceSaga, selectPlace({ place: prediction, query: 'petronas' }));
+
+    expect(fake.calls.getDetails[0].placeId).toBe('klcc');
+    const history = dispatched.find(a => a.type === addToSearchHistory.type);
+    expect(history.payload.query).toBe('petronas');
+    expect(history.payload.place.geometry).toEqual({
+      location: { lat: 3.1579, lng: 101.7116 },
+      viewport: { northeast: { lat: 3.16, lng: 101.72 }, southwest: { lat: 3.15, lng: 101.70 } }
+    });
+    expect(JSON.parse(JSON.stringify(history.payload.place))).toEqual(history.payload.place);
+    // The stored prediction is completed with the fetched details
+    expect(dispatched).toContainEqual(placesReceived([history.payload.place]));
+    expect(dispatched[dispatched.length - 1]).toEqual(setMapLoading(false));
+  });
+
+  test('hands the session token to the details call and then ends the session', async () => {
+    fake.respondTo('getPlacePredictions', { status: PlacesServiceStatus.OK, predictions: [] });
+    fake.respondTo('getDetails', (request) => ({
+      status: PlacesServiceStatus.OK,
+      place: { place_id: request.placeId, name: 'KLCC', geometry: toFakeGeometry({ location: { lat: 3.1, lng: 101.7 } }) }
+    }));
+    const state = { places: { autocompleteSessionId: 'typing-1' } };
+
+    await recordSaga(debouncedSearchSaga, searchPlacesRequest({ query: 'klcc' }), state);
+    const dispatched = await recordSaga(selectPlaceSaga, selectPlace({ place: fakePrediction('klcc', 'KLCC'), query: 'klcc' }), state);
+
+    const [searchCall] = fake.calls.getPlacePredictions.filter(r => !r.types.includes('country'));
+    expect(fake.calls.getDetails[0].sessionToken).toBe(searchCall.sessionToken);
+    expect(dispatched).toContainEqual(endAutocompleteSession('typing-1'));
+  });
+
+  test('skips the details call when the place already has geometry', async () => {
+    const place = { place_id: 'x', name: 'X', geometry: { location: { lat: 1, lng: 2 } } };
+
+    await recordSaga(selectPlaceSaga, selectPlace({ place, query: 'x' }));
+
+    expect(fake.calls.getDetails).toHaveLength(0);
+  });
+
+  test('retries details after a transient failure instead of giving up', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    fake.respondTo('getDetails', (request) => (fake.calls.getDetails.length === 1
+      ? { status: PlacesServiceStatus.UNKNOWN_ERROR, place: null }
+      : {
+          status: PlacesServiceStatus.OK,
+          place: { place_id: request.placeId, name: 'KLCC', geometry: toFakeGeometry({ location: { lat: 3.1, lng: 101.7 } }) }
+        }));
+
+    const dispatched = await recordSaga(selectPlaceSaga, selectPlace({ place: fakePrediction('klcc', 'KLCC'), query: 'klcc' }));
+
+    expect(fake.calls.getDetails).toHaveLength(2);
+    expect(dispatched).toContainEqual(retryScheduled({ operation: 'details', attempt: 2, maxAttempts: 3, code: 'UNKNOWN_ERROR' }));
+    expect(dispatched.some(a => a.type === addToSearchHistory.type)).toBe(true);
+  });
+
+  test('reports the details failure when no geometry is available', async () => {
+    fake.respondTo('getDetails', { status: PlacesServiceStatus.REQUEST_DENIED, place: null });
+
+    const dispatched = await recordSaga(selectPlaceSaga, selectPlace({ place: fakePrediction('klcc', 'KLCC'), query: 'klcc' }));
+
+    expect(dispatched).toContainEqual(setError({
+      code: 'REQUEST_DENIED',
+      message: expect.stringContaining('refused'),
+      retryable: false
+    }));
+    expect(dispatched.some(a => a.type === addToSearchHistory.type)).toBe(false);
+  });
+
+  test('reports a missing location when the details have none the Place model accepts', async () => {
+    fake.respondTo('getDetails', (request) => ({
+      status: PlacesServiceStatus.OK,
+      place: { place_id: request.placeId, name: 'Gone', geometry: toFakeGeometry({ location: { lat: 123, lng: 95 } }) }
+    }));
+
+    const dispatched = await recordSaga(selectPlaceSaga, selectPlace({ place: fakePrediction('gone', 'Gone'), query: 'gone' }));
+
+    expect(dispatched).toContainEqual(setError({
+      code: 'NOT_FOUND',
+      message: 'Selected place has no location data',
+      retryable: false
+    }));
+    expect(dispatched.some(a => a.type === addToSearchHistory.type)).toBe(false);
+  });
+});
+
+describe('text search ("See all results")', () => {
+  test('serializes the first page and appends the next one', async () => {
+    fake.respondTo('textSearch', (request) => ({
+      status: PlacesServiceStatus.OK,
+      results: [{
+        place_id: `clinic_${request.page}`,
+        name: `Clinic ${request.page}`,
+        geometry: toFakeGeometry({ location: { lat: 3.1, lng: 101.6 } })
+      }],
+      hasNextPage: request.page === 1
+    }));
+
+    const [firstPage] = await recordSaga(textSearchSaga, textSearchRequest({ query: 'clinic petaling jaya' }));
+    expect(firstPage.type).toBe(textSearchSuccess.type);
+    expect(firstPage.payload.results[0].geometry.location).toEqual({ lat: 3.1, lng: 101.6 });
+
+    const state = { searchResults: { query: 'clinic petaling jaya', nextCursor: firstPage.payload.nextCursor } };
+    const [secondPage] = await recordSaga(textSearchNextPageSaga, textSearchNextPage(), state);
+    expect(secondPage.payload).toMatchObject({ append: true, nextCursor: null });
+    expect(secondPage.payload.results[0].place_id).toBe('clinic_2');
+  });
+
+  test('stores failures by code', async () => {
+    fake.respondTo('textSearch', { status: PlacesServiceStatus.OVER_QUERY_LIMIT, results: [] });
+
+    expect(await recordSaga(textSearchSaga, textSearchRequest({ query: 'clinic' }))).toEqual([textSearchFailure({
+      code: 'OVER_QUERY_LIMIT',
+      message: 'API limit reached. Please try again later.',
+      retryable: true
+    })]);
+  });
+});
+
+describe('nearby search', () => {
+  const nearbyState = (viewport = null) => ({
+    nearby: { radius: 1000, category: 'cafe' },
+    searchSettings: { viewport }
+  });
+
+  test('searches around the map center and measures distances', async () => {
+    fake.respondTo('nearbySearch', {
+      status: PlacesServiceStatus.OK,
+      results: [{ place_id: 'cafe', name: 'Cafe', geometry: toFakeGeometry({ location: { lat: 3.11, lng: 101.6 } }) }]
+    });
+
+    const state = nearbyState({ north: 3.2, south: 3.0, east: 101.7, west: 101.5 });
+    const [success] = await recordSaga(nearbySearchSaga, nearbySearchRequest(), state);
+
+    expect(fake.calls.nearbySearch[0]).toMatchObject({ location: { lat: 3.1, lng: 101.6 }, radius: 1000, type: 'cafe' });
+    expect(success.type).toBe(nearbySearchSuccess.type);
+    expect(success.payload.center).toEqual({ lat: 3.1, lng: 101.6 });
+    expect(success.payload.results[0].distance_meters).toBe(1112);
+  });
+
+  test('prefers a picked point over the map center', async () => {
+    await recordSaga(nearbySearchSaga, nearbySearchRequest({ center: { lat: 1.29, lng: 103.85 } }), nearbyState());
+
+    expect(fake.calls.nearbySearch[0].location).toEqual({ lat: 1.29, lng: 103.85 });
+  });
+
+  test('stores failures by code', async () => {
+    fake.respondTo('nearbySearch', { status: PlacesServiceStatus.REQUEST_DENIED, results: [] });
+
+    const [failure] = await recordSaga(nearbySearchSaga, nearbySearchRequest(), nearbyState());
+
+    expect(failure).toEqual(nearbySearchFailure(expect.objectContaining({ code: 'REQUEST_DENIED', retryable: false })));
+  });
+});
+
+describe('dropped pin (reverse geocoding)', () => {
+  const point = { lat: 3.1579, lng: 101.7116 };
+  const geocodeResult = (types, formatted_address) => ({
+    place_id: `geo_${types[0]}`,
+    formatted_address,
+    types,
+    geometry: toFakeGeometry({ location: { lat: 3.158, lng: 101.7115 } })
+  });
+
+  test('resolves the street address and the nearest place', async () => {
+    fake.respondTo('geocode', {
+      status: PlacesServiceStatus.OK,
+      results: [
+        geocodeResult(['plus_code'], '5PV6+5M Kuala Lumpur'),
+        geocodeResult(['street_address'], 'Jalan Ampang, Kuala Lumpur City Centre, Kuala Lumpur')
+      ]
+    });
+    fake.respondTo('nearbySearch', {
+      status: PlacesServiceStatus.OK,
+      results: [
+        { place_id: 'park', name: 'KLCC Park', geometry: toFakeGeometry({ location: { lat: 3.1554, lng: 101.7146 } }) },
+        { place_id: 'towers', name: 'Petronas Twin Towers', geometry: toFakeGeometry({ location: { lat: 3.1579, lng: 101.7117 } }) }
+      ]
+    });
+
+    const [resolved] = await recordSaga(reverseGeocodeSaga, dropPin(point));
+
+    expect(fake.calls.geocode[0]).toEqual({ location: point });
+    expect(resolved.type).toBe(droppedPinResolved.type);
+    expect(resolved.payload.address).toMatchObject({
+      place_id: 'geo_street_address',
+      name: 'Jalan Ampang',
+      geometry: { location: { lat: 3.158, lng: 101.7115 } }
+    });
+    expect(resolved.payload.nearestPlace).toMatchObject({ place_id: 'towers', distance_meters: 11 });
+  });
+
+  test('still offers the address when the nearby lookup fails', async () => {
+    fake.respondTo('geocode', { status: PlacesServiceStatus.OK, results: [geocodeResult(['route'], 'Jalan Ampang, Kuala Lumpur')] });
+    fake.respondTo('nearbySearch', { status: PlacesServiceStatus.OVER_QUERY_LIMIT, results: [] });
+
+    const [resolved] = await recordSaga(reverseGeocodeSaga, dropPin(point));
+
+    expect(resolved.payload.address.place_id).toBe('geo_route');
+    expect(resolved.payload.nearestPlace).toBeNull();
+  });
+
+  test('fails when nothing is found at the point', async () => {
+    const dispatched = await recordSaga(reverseGeocodeSaga, dropPin(point));
+
+    expect(dispatched).toEqual([droppedPinFailed('No address found at this spot.')]);
+  });
+});
+
+describe('travel times for suggestions', () => {
+  const suggestions = [fakePrediction('a', 'A'), fakePrediction('b', 'B')];
+  const klcc = { place_id: 'klcc', name: 'KLCC', geometry: { location: { lat: 3.1579, lng: 101.7116 } } };
+  // Places state with `suggestions` listed, measuring from `origin`
+  const placesState = (origin, ...actions) => [...actions, searchPlacesSuccess(suggestions), setTravelTimeOrigin(origin)]
+    .reduce(placesReducer, undefined);
+
+  test('measures every suggestion from the pinned place in one request', async () => {
+    fake.respondTo('getDistanceMatrix', {
+      status: DistanceMatrixStatus.OK,
+      response: {
+        rows: [{
+          elements: [
+            { status: 'OK', distance: { text: '1.2 km', value: 1200 }, duration: { text: '5 mins', value: 300 } },
+            { status: 'NOT_FOUND' }
+          ]
+        }]
+      }
+    });
+    const state = { places: placesState('selectedPlace', selectPlace(klcc)) };
+
+    const [success] = await recordSaga(travelTimesSaga, searchPlacesSuccess(suggestions), state);
+
+    expect(fake.calls.getDistanceMatrix).toHaveLength(1);
+    expect(fake.calls.getDistanceMatrix[0].origins).toEqual([{ placeId: 'klcc' }]);
+    expect(success).toEqual(travelTimesSuccess({
+      a: { distance: { text: '1.2 km', value: 1200 }, duration: { text: '5 mins', value: 300 } },
+      b: null
+    }));
+  });
+
+  test('does nothing when travel times are off', async () => {
+    const state = { places: placesState('none') };
+
+    expect(await recordSaga(travelTimesSaga, searchPlacesSuccess(suggestions), state)).toEqual([]);
+    expect(fake.calls.getDistanceMatrix).toHaveLength(0);
+  });
+
+  test('asks for a location when measuring from the user without one', async () => {
+    const state = { places: placesState('userLocation'), searchSettings: { userLocation: null } };
+
+    expect(await recordSaga(travelTimesSaga, searchPlacesSuccess(suggestions), state))
+      .toEqual([travelTimesFailure({ code: 'INVALID_REQUEST', message: 'Share your location to see travel times.', retryable: false })]);
+  });
+});
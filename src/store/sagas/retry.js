@@ -0,0 +1,51 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the retry helper the sagas wrap provider calls in: transient failures (see
+// `retryable` in services/errors.js) are retried with jittered exponential backoff up to the
+// operation's RETRY_POLICIES entry, and the upcoming attempt is published to ui.retrying so the
+// spinner can say "retrying". Cancelling the calling task (takeLatest, race) cancels the backoff.
+import { call, put, delay } from 'redux-saga/effects';
+import { RETRY_POLICIES } from '../../utils/constants';
+import { toPlacesError } from '../../services/errors';
+import { retryScheduled, retryCleared } from '../slices/uiSlice';
+import { createLogger } from '../../utils/logger';
+
+const log = createLogger('saga');
+
+// Wait before attempt `attempt + 1`, after `attempt` failures
+export const backoffDelay = (attempt, { baseDelayMs, maxDelayMs }, random = Math.random) =>
+  Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1)));
+
+// Like call(fn, ...args), retried per RETRY_POLICIES[operation]. Rethrows the last error once
+// attempts run out, and non-retryable errors immediately.
+export function* callWithRetry(operation, fn, ...args) {
+  const policy = RETRY_POLICIES[operation];
+  let retried = false;
+
+  try {
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        return yield call(fn, ...args);
+      } catch (error) {
+        const placesError = toPlacesError(error);
+        if (!placesError.retryable || attempt >= policy.maxAttempts) {
+          throw error;
+        }
+
+        const waitMs = backoffDelay(attempt, policy);
+        log.warn(`🔁 Retry: ${operation} failed with ${placesError.code}, attempt ${attempt + 1}/${policy.maxAttempts} in ${waitMs}ms`);
+        retried = true;
+        yield put(retryScheduled({
+          operation,
+          attempt: attempt + 1,
+          maxAttempts: policy.maxAttempts,
+          code: placesError.code
+        }));
+        yield delay(waitMs);
+      }
+    }
+  } finally {
+    if (retried) {
+      yield put(retryCleared(operation));
+    }
+  }
+}
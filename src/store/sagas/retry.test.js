@@ -0,0 +1,81 @@
+import { backoffDelay, callWithRetry } from './retry';
+import { retryScheduled, retryCleared } from '../slices/uiSlice';
+import { QuotaExceededError, RequestDeniedError } from '../../services/errors';
+import { recordSagaOutcome } from '../../test-utils/recordSaga';
+
+// Rejects with each error in turn, then resolves `value`
+const failingWith = (errors, value = 'ok') => {
+  const fn = jest.fn(async () => {
+    if (fn.mock.calls.length <= errors.length) {
+      throw errors[fn.mock.calls.length - 1];
+    }
+    return value;
+  });
+  return fn;
+};
+
+beforeEach(() => {
+  jest.spyOn(Math, 'random').mockReturnValue(0);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('backoffDelay', () => {
+  const policy = { baseDelayMs: 400, maxDelayMs: 3000 };
+
+  test('doubles the ceiling per attempt up to the maximum', () => {
+    expect([1, 2, 3, 4, 5].map(attempt => backoffDelay(attempt, policy, () => 1)))
+      .toEqual([400, 800, 1600, 3000, 3000]);
+  });
+
+  test('picks a random wait below the ceiling', () => {
+    expect(backoffDelay(2, policy, () => 0.5)).toBe(400);
+    expect(backoffDelay(2, policy, () => 0)).toBe(0);
+  });
+});
+
+describe('callWithRetry', () => {
+  test('retries transient failures and publishes the upcoming attempt', async () => {
+    const fn = failingWith([new QuotaExceededError('busy'), new QuotaExceededError('busy')], ['klcc']);
+
+    const { result, dispatched } = await recordSagaOutcome(callWithRetry, 'search', fn, 'klcc');
+
+    expect(result).toEqual(['klcc']);
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(dispatched).toEqual([
+      retryScheduled({ operation: 'search', attempt: 2, maxAttempts: 3, code: 'OVER_QUERY_LIMIT' }),
+      retryScheduled({ operation: 'search', attempt: 3, maxAttempts: 3, code: 'OVER_QUERY_LIMIT' }),
+      retryCleared('search')
+    ]);
+  });
+
+  test('gives up after the last attempt with the last error', async () => {
+    const errors = [1, 2, 3].map(n => new QuotaExceededError(`busy ${n}`));
+
+    const { result } = await recordSagaOutcome(callWithRetry, 'details', failingWith(errors), 'klcc');
+
+    expect(result.error).toBe(errors[2]);
+  });
+
+  test('does not retry errors that will fail again', async () => {
+    const fn = failingWith([new RequestDeniedError('denied')]);
+
+    const { result, dispatched } = await recordSagaOutcome(callWithRetry, 'search', fn);
+
+    expect(result.error.code).toBe('REQUEST_DENIED');
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(dispatched).toEqual([]);
+  });
+
+  test('does not retry bugs', async () => {
+    const fn = failingWith([new TypeError("Cannot read properties of undefined (reading 'lat')")]);
+
+    const { result, dispatched } = await recordSagaOutcome(callWithRetry, 'search', fn);
+
+    expect(result.error).toBeInstanceOf(TypeError);
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(dispatched).toEqual([]);
+  });
+});
@@ -5,9 +5,17 @@
 // The `placesSaga` handles the asynchronous operations related to places, such as fetching search results and managing map markers.
 import { all, fork } from 'redux-saga/effects';
 import placesSaga from './placesSaga';
+import searchSettingsSaga from './searchSettingsSaga';
+import directionsSaga from './directionsSaga';
+import placeDetailsSaga from './placeDetailsSaga';
+import favoritesSaga from './favoritesSaga';
 
 export default function* rootSaga() {
   yield all([
-    fork(placesSaga)
+    fork(placesSaga),
+    fork(searchSettingsSaga),
+    fork(directionsSaga),
+    fork(placeDetailsSaga),
+    fork(favoritesSaga)
   ]);
 }
\ No newline at end of file
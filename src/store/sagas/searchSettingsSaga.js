@@ -0,0 +1,53 @@
+// This file is part of the Google Places Redux Saga project.
+// It handles the side effects of the search settings: asking the browser for the user's
+// position when "Near me" bias is requested. takeLatest drops a pending request when the
+// user asks again.
+import { call, put, takeLatest } from 'redux-saga/effects';
+import {
+  requestUserLocation,
+  userLocationReceived,
+  userLocationFailed
+} from '../slices/searchSettingsSlice';
+import { createLogger } from '../../utils/logger';
+
+const log = createLogger('saga');
+
+const GEOLOCATION_TIMEOUT_MS = 10000;
+
+// Promise wrapper around navigator.geolocation; rejects with a 'denied' / 'unavailable' reason
+export function getCurrentPosition(geolocation = typeof navigator !== 'undefined' ? navigator.geolocation : null) {
+  return new Promise((resolve, reject) => {
+    if (!geolocation) {
+      reject(new Error('unavailable'));
+      return;
+    }
+
+    geolocation.getCurrentPosition(
+      (position) => resolve({
+        lat: position.coords.latitude,
+        lng: position.coords.longitude,
+        accuracy: position.coords.accuracy
+      }),
+      (error) => reject(new Error(error && error.code === 1 ? 'denied' : 'unavailable')),
+      { enableHighAccuracy: false, timeout: GEOLOCATION_TIMEOUT_MS, maximumAge: 5 * 60 * 1000 }
+    );
+  });
+}
+
+export function* requestUserLocationSaga() {
+  try {
+    log.debug('📡 Saga: Requesting user location for search bias');
+    const position = yield call(getCurrentPosition);
+    yield put(userLocationReceived(position));
+    log.debug('✅ Saga: User location received');
+  } catch (error) {
+    log.warn('⚠️ Saga: User location unavailable:', error.message);
+    yield put(userLocationFailed(error.message));
+  }
+}
+
+function* searchSettingsSaga() {
+  yield takeLatest(requestUserLocation.type, requestUserLocationSaga);
+}
+
+export default searchSettingsSaga;
@@ -0,0 +1,167 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the Redux slice for directions: an origin and destination picked from autocomplete,
+// history, the selected place or the user's location, a travel mode, and the serialized routes
+// returned for them (encoded polyline, distance, duration and plain-text steps).
+// Changing either endpoint or the travel mode marks the routes stale; directionsSaga refetches.
+import { createSlice } from '@reduxjs/toolkit';
+import { DEFAULT_TRAVEL_MODE, TRAVEL_MODES } from '../../utils/constants';
+import { isValidLatLng } from '../../models/place';
+import { createLogger } from '../../utils/logger';
+
+const log = createLogger('store');
+
+// Any place-like object -> { place_id, name, address, location }
+export const toDirectionsEndpoint = (place) => {
+  if (!place) return null;
+  const location = place.location || place.geometry?.location || null;
+  const hasLocation = isValidLatLng(location);
+  if (!place.place_id && !hasLocation) return null;
+
+  return {
+    place_id: place.place_id || null,
+    name: place.name || place.structured_formatting?.main_text || place.description || 'Selected location',
+    address: place.formatted_address || place.address || place.structured_formatting?.secondary_text || '',
+    location: hasLocation ? { lat: location.lat, lng: location.lng } : null
+  };
+};
+
+const initialState = {
+  isOpen: false,
+  origin: null, // Endpoint (see toDirectionsEndpoint)
+  destination: null,
+  travelMode: DEFAULT_TRAVEL_MODE,
+  routes: [], // Serialized routes, best first
+  selectedRouteIndex: 0,
+  status: 'idle', // idle | loading | succeeded | failed
+  error: null,
+  // Autocomplete for the endpoint fields; one field is typed into at a time
+  endpointSearch: { field: null, query: '', suggestions: [] }
+};
+
+const ENDPOINT_FIELDS = ['origin', 'destination'];
+
+// Routes no longer match the endpoints; loading when the saga has enough to refetch
+const markRoutesStale = (state) => {
+  state.routes = [];
+  state.selectedRouteIndex = 0;
+  state.error = null;
+  state.status = state.origin && state.destination ? 'loading' : 'idle';
+};
+
+const directionsSlice = createSlice({
+  name: 'directions',
+  initialState,
+  reducers: {
+    // Optional { origin, destination } places to start from
+    openDirections: {
+      reducer: (state, action) => {
+        const { origin, destination } = action.payload;
+        state.isOpen = true;
+        if (origin) state.origin = origin;
+        if (destination) state.destination = destination;
+        markRoutesStale(state);
+      },
+      prepare: ({ origin = null, destination = null } = {}) => ({
+        payload: { origin: toDirectionsEndpoint(origin), destination: toDirectionsEndpoint(destination) }
+      })
+    },
+
+    setDirectionsEndpoint: {
+      reducer: (state, action) => {
+        const { field, endpoint } = action.payload;
+        if (!ENDPOINT_FIELDS.includes(field)) {
+          log.warn('⚠️ directionsSlice: Unknown endpoint field:', field);
+          return;
+        }
+        state[field] = endpoint;
+        state.endpointSearch = initialState.endpointSearch;
+        markRoutesStale(state);
+      },
+      prepare: (field, place) => ({ payload: { field, endpoint: toDirectionsEndpoint(place) } })
+    },
+
+    swapDirectionsEndpoints: (state) => {
+      [state.origin, state.destination] = [state.destination, state.origin];
+      markRoutesStale(state);
+    },
+
+    setTravelMode: (state, action) => {
+      if (!TRAVEL_MODES.some(item => item.mode === action.payload)) {
+        log.warn('⚠️ directionsSlice: Unknown travel mode:', action.payload);
+        return;
+      }
+      state.travelMode = action.payload;
+      markRoutesStale(state);
+    },
+
+    // Retry with the current endpoints
+    directionsRequest: (state) => {
+      markRoutesStale(state);
+    },
+
+    directionsSuccess: (state, action) => {
+      state.routes = action.payload || [];
+      state.selectedRouteIndex = 0;
+      state.status = 'succeeded';
+      state.error = null;
+    },
+
+    directionsFailure: (state, action) => {
+      state.routes = [];
+      state.status = 'failed';
+      state.error = action.payload;
+    },
+
+    selectRoute: (state, action) => {
+      const index = Number(action.payload);
+      if (Number.isInteger(index) && index >= 0 && index < state.routes.length) {
+        state.selectedRouteIndex = index;
+      }
+    },
+
+    // { field, query }; directionsSaga debounces the lookup
+    directionsEndpointSearch: (state, action) => {
+      const { field = null, query = '' } = action.payload || {};
+      state.endpointSearch = {
+        field,
+        query,
+        suggestions: field === state.endpointSearch.field ? state.endpointSearch.suggestions : []
+      };
+    },
+
+    directionsEndpointSuggestions: (state, action) => {
+      const { field, query, suggestions = [] } = action.payload || {};
+      // Answers for a query the user has since changed are dropped
+      if (field === state.endpointSearch.field && query === state.endpointSearch.query) {
+        state.endpointSearch.suggestions = suggestions;
+      }
+    },
+
+    closeDirections: (state) => ({
+      ...initialState,
+      travelMode: state.travelMode
+    })
+  }
+});
+
+export const {
+  openDirections,
+  setDirectionsEndpoint,
+  swapDirectionsEndpoints,
+  setTravelMode,
+  directionsRequest,
+  directionsSuccess,
+  directionsFailure,
+  selectRoute,
+  directionsEndpointSearch,
+  directionsEndpointSuggestions,
+  closeDirections
+} = directionsSlice.actions;
+
+// 🔍 Selectors
+export const selectDirections = (state) => state.directions;
+
+export const selectActiveRoute = (state) =>
+  state.directions?.routes[state.directions.selectedRouteIndex] || null;
+
+export default directionsSlice.reducer;
@@ -0,0 +1,67 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the Redux slice for the dropped pin: clicking (or long-pressing) the map drops a
+// pin, the saga reverse-geocodes the point, and the card on the map offers the resolved address
+// and the nearest place. Choosing one goes through selectPlace, which also clears the pin.
+import { createSlice } from '@reduxjs/toolkit';
+import { selectPlace } from './placesSlice';
+import { isValidLatLng } from '../../models/place';
+import { createLogger } from '../../utils/logger';
+
+const log = createLogger('store');
+
+const initialState = {
+  location: null, // { lat, lng } that was clicked
+  address: null, // Place for the street address at the point
+  nearestPlace: null, // Place closest to the point, with distance_meters
+  status: 'idle', // idle | loading | succeeded | failed
+  error: null
+};
+
+const droppedPinSlice = createSlice({
+  name: 'droppedPin',
+  initialState,
+  reducers: {
+    dropPin: (state, action) => {
+      if (!isValidLatLng(action.payload)) {
+        log.warn('⚠️ droppedPinSlice: Ignoring invalid coordinates:', action.payload);
+        return;
+      }
+      return {
+        ...initialState,
+        location: { lat: action.payload.lat, lng: action.payload.lng },
+        status: 'loading'
+      };
+    },
+
+    droppedPinResolved: (state, action) => {
+      const { address = null, nearestPlace = null } = action.payload || {};
+      state.address = address;
+      state.nearestPlace = nearestPlace;
+      state.status = 'succeeded';
+      state.error = null;
+    },
+
+    droppedPinFailed: (state, action) => {
+      state.status = 'failed';
+      state.error = action.payload;
+    },
+
+    clearDroppedPin: () => initialState
+  },
+  extraReducers: (builder) => {
+    // The chosen place takes over the map, so the pin and its card go away
+    builder.addCase(selectPlace, () => initialState);
+  }
+});
+
+export const {
+  dropPin,
+  droppedPinResolved,
+  droppedPinFailed,
+  clearDroppedPin
+} = droppedPinSlice.actions;
+
+// 🔍 Selectors
+export const selectDroppedPin = (state) => state.droppedPin;
+
+export default droppedPinSlice.reducer;
@@ -0,0 +1,160 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the Redux slice for favorite places, kept on the REST backend by favoritesSaga.
+// Adding and removing are optimistic: the list changes at once, the place is marked pending while
+// the request runs, and a failed request rolls the change back from what `pending` remembered.
+// The list is kept ordered by addedAt, so tabs applying each other's changes (store/tabSync.js)
+// agree on it whatever order the changes arrive in.
+import { createSlice } from '@reduxjs/toolkit';
+
+const initialState = {
+  // Places plus addedAt (see toFavorite in favoritesService), most recently added first
+  items: [],
+  // Loading the list: idle | loading | succeeded | failed
+  status: 'idle',
+  error: null,
+  // place_id -> { operation: 'add' | 'remove', previous (the removed favorite), tabId (the other
+  // tab making the request, null for this one) }
+  pending: {},
+  // Last failed add / remove: { ...serialized error, operation, placeId }
+  syncError: null
+};
+
+const placeIndex = (state, placeId) => state.items.findIndex(item => item.place_id === placeId);
+
+// Most recently added first; ties broken by place_id
+const compareFavorites = (a, b) => {
+  if (a.addedAt !== b.addedAt) {
+    return a.addedAt > b.addedAt ? -1 : 1;
+  }
+  return a.place_id < b.place_id ? -1 : a.place_id > b.place_id ? 1 : 0;
+};
+
+const favoritesSlice = createSlice({
+  name: 'favorites',
+  initialState,
+  reducers: {
+    loadFavoritesRequest: (state) => {
+      state.status = 'loading';
+      state.error = null;
+    },
+
+    loadFavoritesSuccess: (state, action) => {
+      const pending = Object.entries(state.pending);
+      // Changes still in flight win over the list they were made against
+      const added = pending
+        .filter(([, change]) => change.operation === 'add')
+        .map(([placeId]) => state.items.find(item => item.place_id === placeId))
+        .filter(Boolean);
+      const removedIds = new Set(pending.filter(([, change]) => change.operation === 'remove').map(([placeId]) => placeId));
+      const addedIds = new Set(added.map(item => item.place_id));
+
+      state.items = [
+        ...added,
+        ...action.payload.filter(item => !addedIds.has(item.place_id) && !removedIds.has(item.place_id))
+      ].sort(compareFavorites);
+      state.status = 'succeeded';
+    },
+
+    loadFavoritesFailure: (state, action) => {
+      state.status = 'failed';
+      state.error = action.payload;
+    },
+
+    // Handled by favoritesSaga, which turns it into addFavorite or removeFavorite
+    toggleFavorite: {
+      reducer: () => {},
+      prepare: (place) => ({ payload: place })
+    },
+
+    addFavorite: (state, action) => {
+      const favorite = action.payload;
+      if (placeIndex(state, favorite.place_id) !== -1) return;
+
+      state.items.push(favorite);
+      state.items.sort(compareFavorites);
+      state.pending[favorite.place_id] = { operation: 'add', previous: null, tabId: action.meta?.fromTab || null };
+      state.syncError = null;
+    },
+
+    removeFavorite: {
+      reducer: (state, action) => {
+        const placeId = action.payload;
+        const index = placeIndex(state, placeId);
+        if (index === -1) return;
+
+        const [previous] = state.items.splice(index, 1);
+        state.pending[placeId] = { operation: 'remove', previous, tabId: action.meta?.fromTab || null };
+        state.syncError = null;
+      },
+      prepare: (placeId) => ({ payload: placeId })
+    },
+
+    // favorite: the stored version the server sent back, when it sent one
+    favoriteSyncSuccess: (state, action) => {
+      const { placeId, favorite } = action.payload;
+      delete state.pending[placeId];
+
+      const index = placeIndex(state, placeId);
+      if (favorite && index !== -1) {
+        state.items[index] = favorite;
+        state.items.sort(compareFavorites);
+      }
+    },
+
+    favoriteSyncFailure: (state, action) => {
+      const { placeId, error } = action.payload;
+      const change = state.pending[placeId];
+      if (!change) return;
+      delete state.pending[placeId];
+
+      // Roll back the optimistic change
+      if (change.operation === 'add') {
+        state.items = state.items.filter(item => item.place_id !== placeId);
+      } else if (placeIndex(state, placeId) === -1) {
+        state.items.push(change.previous);
+        state.items.sort(compareFavorites);
+      }
+      state.syncError = { ...error, operation: change.operation, placeId };
+    },
+
+    // Another tab closed before its requests finished, so no outcome will arrive for them. Their
+    // changes stay as made, like a success would leave them; the next load corrects any that failed.
+    releaseTabFavorites: {
+      reducer: (state, action) => {
+        Object.keys(state.pending).forEach(placeId => {
+          if (state.pending[placeId].tabId === action.payload) {
+            delete state.pending[placeId];
+          }
+        });
+      },
+      prepare: (tabId) => ({ payload: tabId })
+    },
+
+    dismissFavoritesError: (state) => {
+      state.syncError = null;
+    }
+  }
+});
+
+export const {
+  loadFavoritesRequest,
+  loadFavoritesSuccess,
+  loadFavoritesFailure,
+  toggleFavorite,
+  addFavorite,
+  removeFavorite,
+  favoriteSyncSuccess,
+  favoriteSyncFailure,
+  releaseTabFavorites,
+  dismissFavoritesError
+} = favoritesSlice.actions;
+
+const NO_FAVORITES = [];
+
+export const selectFavorites = (state) => state.favorites?.items || NO_FAVORITES;
+export const selectFavoritesState = (state) => state.favorites;
+export const selectIsFavorite = (state, placeId) =>
+  Boolean(placeId) && (state.favorites?.items || NO_FAVORITES).some(item => item.place_id === placeId);
+export const selectFavoritePending = (state, placeId) => Boolean(state.favorites?.pending[placeId]);
+
+export default favoritesSlice.reducer;
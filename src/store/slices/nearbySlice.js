@@ -0,0 +1,103 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the Redux slice for "What's around here": a nearby search around the map center,
+// a clicked point or the pinned place. Results are stored as Places (see models/place), like
+// the suggestions; useGoogleMaps pins them and draws the search radius.
+import { createSlice } from '@reduxjs/toolkit';
+import { DEFAULT_NEARBY_RADIUS_METERS, NEARBY_CATEGORIES } from '../../utils/constants';
+import { isValidLatLng } from '../../models/place';
+
+const initialState = {
+  isActive: false,
+  isPickingPoint: false, // Next map click becomes the search center
+  center: null, // { lat, lng } of the last search
+  radius: DEFAULT_NEARBY_RADIUS_METERS,
+  category: '', // Place type from NEARBY_CATEGORIES, '' for any
+  results: [],
+  status: 'idle', // idle | loading | succeeded | failed
+  error: null // { code, message, retryable } (see serializePlacesError)
+};
+
+const nearbySlice = createSlice({
+  name: 'nearby',
+  initialState,
+  reducers: {
+    // Optional { center, radius, category }; the saga falls back to the map center
+    nearbySearchRequest: (state, action) => {
+      const { center, radius, category } = action.payload || {};
+      if (isValidLatLng(center)) {
+        state.center = { lat: center.lat, lng: center.lng };
+      }
+      if (Number.isFinite(radius) && radius > 0) {
+        state.radius = radius;
+      }
+      if (typeof category === 'string' && NEARBY_CATEGORIES.some(item => item.type === category)) {
+        state.category = category;
+      }
+      state.isActive = true;
+      state.isPickingPoint = false;
+      state.status = 'loading';
+      state.error = null;
+    },
+
+    nearbySearchSuccess: (state, action) => {
+      const { center, results = [] } = action.payload || {};
+      // Keep the same object when unchanged so the map doesn't redraw the radius
+      const sameCenter = state.center && isValidLatLng(center) &&
+        state.center.lat === center.lat && state.center.lng === center.lng;
+      if (isValidLatLng(center) && !sameCenter) {
+        state.center = { lat: center.lat, lng: center.lng };
+      }
+      state.results = results;
+      state.status = 'succeeded';
+    },
+
+    nearbySearchFailure: (state, action) => {
+      state.results = [];
+      state.status = 'failed';
+      state.error = action.payload;
+    },
+
+    setNearbyRadius: (state, action) => {
+      if (Number.isFinite(action.payload) && action.payload > 0) {
+        state.radius = action.payload;
+      }
+    },
+
+    setNearbyCategory: (state, action) => {
+      if (NEARBY_CATEGORIES.some(item => item.type === action.payload)) {
+        state.category = action.payload;
+      }
+    },
+
+    startNearbyPointPick: (state) => {
+      state.isPickingPoint = true;
+    },
+
+    cancelNearbyPointPick: (state) => {
+      state.isPickingPoint = false;
+    },
+
+    // Keeps the chosen radius/category for the next search
+    clearNearbySearch: (state) => ({
+      ...initialState,
+      radius: state.radius,
+      category: state.category
+    })
+  }
+});
+
+export const {
+  nearbySearchRequest,
+  nearbySearchSuccess,
+  nearbySearchFailure,
+  setNearbyRadius,
+  setNearbyCategory,
+  startNearbyPointPick,
+  cancelNearbyPointPick,
+  clearNearbySearch
+} = nearbySlice.actions;
+
+// 🔍 Selectors
+export const selectNearby = (state) => state.nearby;
+
+export default nearbySlice.reducer;
@@ -0,0 +1,69 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the Redux slice for extended place details (opening hours, contact data, reviews,
+// business status), fetched on demand for the details panel. They are kept per place_id, apart
+// from the lightweight selectedPlace, so reselecting a place does not refetch them while fresh.
+import { createSlice } from '@reduxjs/toolkit';
+import { EXTENDED_DETAILS_CONFIG } from '../../utils/constants';
+
+const initialState = {
+  // place_id -> { details (see createPlaceExtras in models/place), fetchedAt }
+  byId: {},
+  // place_id -> { status: loading | succeeded | failed, error }
+  requests: {}
+};
+
+const placeDetailsSlice = createSlice({
+  name: 'placeDetails',
+  initialState,
+  reducers: {
+    placeDetailsRequest: {
+      reducer: (state, action) => {
+        state.requests[action.payload] = { status: 'loading', error: null };
+      },
+      prepare: (placeId) => ({ payload: placeId })
+    },
+
+    placeDetailsSuccess: (state, action) => {
+      const { placeId, details, fetchedAt } = action.payload;
+      state.byId[placeId] = { details, fetchedAt };
+      state.requests[placeId] = { status: 'succeeded', error: null };
+
+      // Keep the most recently fetched places only
+      const placeIds = Object.keys(state.byId);
+      if (placeIds.length > EXTENDED_DETAILS_CONFIG.maxPlaces) {
+        placeIds
+          .sort((a, b) => state.byId[a].fetchedAt - state.byId[b].fetchedAt)
+          .slice(0, placeIds.length - EXTENDED_DETAILS_CONFIG.maxPlaces)
+          .forEach(id => {
+            delete state.byId[id];
+            delete state.requests[id];
+          });
+      }
+    },
+
+    placeDetailsFailure: (state, action) => {
+      const { placeId, error } = action.payload;
+      state.requests[placeId] = { status: 'failed', error };
+    },
+
+    clearPlaceDetails: () => initialState
+  }
+});
+
+export const {
+  placeDetailsRequest,
+  placeDetailsSuccess,
+  placeDetailsFailure,
+  clearPlaceDetails
+} = placeDetailsSlice.actions;
+
+const IDLE_REQUEST = { status: 'idle', error: null };
+const NO_DETAILS = {};
+
+export const selectPlaceDetailsById = (state) => state.placeDetails?.byId || NO_DETAILS;
+
+export const selectPlaceDetailsEntry = (state, placeId) => state.placeDetails?.byId[placeId] || null;
+export const selectPlaceDetailsRequest = (state, placeId) =>
+  state.placeDetails?.requests[placeId] || IDLE_REQUEST;
+
+export default placeDetailsSlice.reducer;
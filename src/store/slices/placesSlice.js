@@ -1,148 +1,84 @@
 // FIXED: src/store/slices/placesSlice.js
 // Complete fix for non-serializable data including photos
-import { createSlice } from '@reduxjs/toolkit';
+// Places are normalized: each place is stored once in `entities`, keyed by place_id, and the
+// suggestions, the history and the selection refer to it by id. Details fetched for a place
+// therefore show up everywhere it appears. Places nothing refers to any more are dropped.
+// Components read denormalized views through the memoized selectors at the bottom.
+import { createSlice, createEntityAdapter, createSelector, nanoid } from '@reduxjs/toolkit';
+import { TRAVEL_TIME_ORIGINS, TRAVEL_MODES, DEFAULT_TRAVEL_MODE, SEARCH_HISTORY_LIMIT } from '../../utils/constants';
+import { placeDetailsSuccess } from './placeDetailsSlice';
+import { createLogger } from '../../utils/logger';
+
+const log = createLogger('store');
+
+const placesAdapter = createEntityAdapter({ selectId: place => place.place_id });
 
 const initialState = {
-  suggestions: [],
-  searchHistory: [],
-  selectedPlace: null,
-  markers: [] // Only store serializable marker data
+  entities: placesAdapter.getInitialState(), // place_id -> serialized place
+  suggestionIds: [],
+  searchHistory: [], // { id, query, placeId, timestamp }, newest first
+  historyClearedAt: null, // ISO time of the last clear, from this tab or another
+  selectedPlaceId: null,
+  markers: [], // Only store serializable marker data
+  autocompleteSessionId: null, // Serializable handle; the token itself lives in the provider
+  // ⏱️ Travel time next to each suggestion, measured from the chosen origin
+  travelTimeOrigin: TRAVEL_TIME_ORIGINS.NONE,
+  travelTimeMode: DEFAULT_TRAVEL_MODE,
+  travelTimes: {}, // place_id -> { distance, duration } ({ text, value } each), null if unreachable
+  travelTimesStatus: 'idle', // idle | loading | succeeded | failed
+  travelTimesError: null // { code, message, retryable } (see serializePlacesError)
 };
 
-// 🔧 Helper function to serialize geometry completely
-function serializeGeometry(geometry) {
-  if (!geometry) return null;
-  
-  const serialized = {};
-  
-  // Serialize location
-  if (geometry.location) {
-    const loc = geometry.location;
-    serialized.location = {
-      lat: typeof loc.lat === 'function' ? loc.lat() : loc.lat,
-      lng: typeof loc.lng === 'function' ? loc.lng() : loc.lng
-    };
-  }
-  
-  // 🔥 CRITICAL: Serialize viewport to prevent Redux errors
-  if (geometry.viewport) {
-    const viewport = geometry.viewport;
-    try {
-      if (viewport.getNorthEast && viewport.getSouthWest) {
-        const ne = viewport.getNorthEast();
-        const sw = viewport.getSouthWest();
-        
-        serialized.viewport = {
-          northeast: {
-            lat: typeof ne.lat === 'function' ? ne.lat() : ne.lat,
-            lng: typeof ne.lng === 'function' ? ne.lng() : ne.lng
-          },
-          southwest: {
-            lat: typeof sw.lat === 'function' ? sw.lat() : sw.lat,
-            lng: typeof sw.lng === 'function' ? sw.lng() : sw.lng
-          }
-        };
-      } else if (typeof viewport === 'object' && viewport.north !== undefined) {
-        // Handle plain object viewport
-        serialized.viewport = {
-          northeast: { lat: viewport.north, lng: viewport.east },
-          southwest: { lat: viewport.south, lng: viewport.west }
-        };
-      }
-    } catch (error) {
-      console.warn('⚠️ Could not serialize viewport:', error);
-      // Don't include viewport if serialization fails
-    }
-  }
-  
-  // Serialize bounds if present
-  if (geometry.bounds) {
-    const bounds = geometry.bounds;
-    try {
-      if (bounds.getNorthEast && bounds.getSouthWest) {
-        const ne = bounds.getNorthEast();
-        const sw = bounds.getSouthWest();
-        
-        serialized.bounds = {
-          northeast: {
-            lat: typeof ne.lat === 'function' ? ne.lat() : ne.lat,
-            lng: typeof ne.lng === 'function' ? ne.lng() : ne.lng
-          },
-          southwest: {
-            lat: typeof sw.lat === 'function' ? sw.lat() : sw.lat,
-            lng: typeof sw.lng === 'function' ? sw.lng() : sw.lng
-          }
-        };
-      }
-    } catch (error) {
-      console.warn('⚠️ Could not serialize bounds:', error);
-    }
-  }
-  
-  return serialized;
-}
-
-// 🔧 Helper function to serialize place object completely
-function serializePlace(place) {
-  if (!place) return null;
-  
-  // Start with basic place data
-  const serialized = {
-    place_id: place.place_id,
-    name: place.name,
-    description: place.description,
-    formatted_address: place.formatted_address,
-    types: place.types || [],
-    rating: place.rating,
-    user_ratings_total: place.user_ratings_total
-  };
-  
-  // 🔥 CRITICAL FIX: Serialize photos to remove getUrl functions
-  if (place.photos && Array.isArray(place.photos)) {
-    serialized.photos = place.photos.slice(0, 3).map((photo, index) => {
-      if (photo && typeof photo === 'object') {
-        // Only store basic photo data, remove functions
-        return {
-          id: `photo_${place.place_id || 'unknown'}_${index}`,
-          width: photo.width || 400,
-          height: photo.height || 300,
-          html_attributions: Array.isArray(photo.html_attributions) ? photo.html_attributions : []
-          // Removed getUrl function and photo_reference as they're not serializable
-        };
-      }
-      return null;
-    }).filter(Boolean);
-  } else {
-    serialized.photos = [];
+// Extended details (placeDetailsSlice) that also belong on the place itself
+const PLACE_DETAIL_FIELDS = ['opening_hours', 'utc_offset_minutes', 'business_status'];
+
+// Newest first; ties (same millisecond in two tabs) are broken by id so every tab agrees
+const compareHistoryItems = (a, b) => {
+  if (a.timestamp !== b.timestamp) {
+    return a.timestamp > b.timestamp ? -1 : 1;
   }
-  
-  // Serialize geometry completely
-  if (place.geometry) {
-    serialized.geometry = serializeGeometry(place.geometry);
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+};
+
+// New suggestions or a new origin/mode: the saga measures again when an origin is chosen
+const resetTravelTimes = (state) => {
+  state.travelTimes = {};
+  state.travelTimesError = null;
+  state.travelTimesStatus = state.travelTimeOrigin !== TRAVEL_TIME_ORIGINS.NONE && state.suggestionIds.length > 0
+    ? 'loading'
+    : 'idle';
+};
+
+// Stores a Place (see models/place; sagas build them before dispatching), or enriches the stored
+// one: a prediction arriving after the full place must not blank out its geometry, photos or
+// rating. Returns the place_id, or null if the place has none.
+const upsertPlace = (state, place) => {
+  if (!place?.place_id) {
+    log.warn('⚠️ placesSlice: Ignoring place without place_id:', place);
+    return null;
   }
-  
-  // Handle any additional properties safely
-  Object.keys(place).forEach(key => {
-    // Skip already processed properties
-    if (['place_id', 'name', 'description', 'formatted_address', 'types', 'rating', 'user_ratings_total', 'photos', 'geometry'].includes(key)) {
-      return;
-    }
-    
-    const value = place[key];
-    if (value !== null && value !== undefined) {
-      if (typeof value === 'function') {
-        console.warn(`⚠️ Skipping function property: ${key}`);
-      } else if (typeof value === 'object' && value.constructor && 
-                 !['Object', 'Array', 'Date', 'String', 'Number', 'Boolean'].includes(value.constructor.name)) {
-        console.warn(`⚠️ Skipping non-serializable object: ${key}`, value.constructor.name);
-      } else {
-        serialized[key] = value;
-      }
+
+  const existing = state.entities.entities[place.place_id];
+  const changes = {};
+  Object.entries(place).forEach(([key, value]) => {
+    const keepsExisting = value === undefined || value === null
+      || (Array.isArray(value) && value.length === 0 && existing?.[key]?.length > 0);
+    if (!existing || !keepsExisting) {
+      changes[key] = value;
     }
   });
-  
-  return serialized;
-}
+  placesAdapter.upsertOne(state.entities, changes);
+  return place.place_id;
+};
+
+// Drops the places that neither the suggestions, the history nor the selection refer to
+const pruneEntities = (state) => {
+  const referenced = new Set([...state.suggestionIds, ...state.searchHistory.map(item => item.placeId), state.selectedPlaceId]);
+  const unreferenced = state.entities.ids.filter(id => !referenced.has(id));
+  if (unreferenced.length > 0) {
+    placesAdapter.removeMany(state.entities, unreferenced);
+  }
+};
 
 const placesSlice = createSlice({
   name: 'places',
@@ -153,13 +89,15 @@ const placesSlice = createSlice({
     },
     
     searchPlacesSuccess: (state, action) => {
-      // Ensure all suggestions are serialized
-      const serializedSuggestions = action.payload.map(place => serializePlace(place));
-      state.suggestions = serializedSuggestions;
+      state.suggestionIds = action.payload.map(place => upsertPlace(state, place)).filter(Boolean);
+      pruneEntities(state);
+      resetTravelTimes(state);
     },
     
     searchPlacesFailure: (state, action) => {
-      state.suggestions = [];
+      state.suggestionIds = [];
+      pruneEntities(state);
+      resetTravelTimes(state);
     },
     
     selectPlace: (state, action) => {
@@ -167,8 +105,10 @@ const placesSlice = createSlice({
       
       // Handle null/clear selection
       if (!payload) {
-        state.selectedPlace = null;
-        state.suggestions = [];
+        state.selectedPlaceId = null;
+        state.suggestionIds = [];
+        pruneEntities(state);
+        resetTravelTimes(state);
         return;
       }
       
@@ -176,78 +116,123 @@ const placesSlice = createSlice({
       if (payload && typeof payload === 'object') {
         place = payload.place || payload;
       } else {
-        console.warn('⚠️ Invalid selectPlace payload:', payload);
+        log.warn('⚠️ Invalid selectPlace payload:', payload);
         return;
       }
       
       // 🔥 CRITICAL: Completely serialize the place including photos
-      const serializedPlace = serializePlace(place);
+      state.selectedPlaceId = upsertPlace(state, place);
       
-      if (serializedPlace) {
-        state.selectedPlace = serializedPlace;
-        console.log('✅ placesSlice: Stored fully serialized place:', {
-          name: serializedPlace.name,
-          hasLocation: !!serializedPlace.geometry?.location,
-          hasViewport: !!serializedPlace.geometry?.viewport,
-          photoCount: serializedPlace.photos?.length || 0
+      if (state.selectedPlaceId) {
+        const selected = state.entities.entities[state.selectedPlaceId];
+        log.debug('✅ placesSlice: Stored fully serialized place:', {
+          name: selected.name,
+          hasLocation: !!selected.geometry?.location,
+          hasViewport: !!selected.geometry?.viewport,
+          photoCount: selected.photos?.length || 0
         });
-      } else {
-        console.warn('⚠️ Failed to serialize place:', place);
-        state.selectedPlace = null;
       }
       
-      state.suggestions = [];
+      state.suggestionIds = [];
+      pruneEntities(state);
+      resetTravelTimes(state);
     },
-    
-    addToSearchHistory: (state, action) => {
-      const { query, place, timestamp } = action.payload;
-      
-      if (!query || !place) {
-        console.warn('⚠️ Invalid search history data:', { query, place });
-        return;
-      }
-      
-      // 🔥 CRITICAL: Fully serialize place before storing in history including photos
-      const serializedPlace = serializePlace(place);
-      
-      if (!serializedPlace) {
-        console.warn('⚠️ Failed to serialize place for history:', place);
-        return;
-      }
-      
-      const historyItem = {
-        id: Date.now().toString(),
-        query: query.trim(),
-        place: serializedPlace, // Completely serialized including photos
-        timestamp: timestamp || new Date().toISOString()
-      };
-      
-      // Remove existing entry for same place
-      const existingIndex = state.searchHistory.findIndex(
-        item => item.place.place_id === serializedPlace.place_id
-      );
-      
-      if (existingIndex >= 0) {
-        state.searchHistory.splice(existingIndex, 1);
-      }
-      
-      // Add to beginning of history
-      state.searchHistory.unshift(historyItem);
-      
-      // Keep history manageable (max 20 items)
-      if (state.searchHistory.length > 20) {
-        state.searchHistory = state.searchHistory.slice(0, 20);
-      }
-      
-      console.log('✅ placesSlice: Added serialized place to history:', {
-        name: serializedPlace.name,
-        historyLength: state.searchHistory.length,
-        photoCount: serializedPlace.photos?.length || 0
+
+    // Details for places already in view (e.g. the geometry fetched for a selected prediction)
+    placesReceived: (state, action) => {
+      (action.payload || []).forEach(place => {
+        if (place?.place_id && state.entities.entities[place.place_id]) {
+          upsertPlace(state, place);
+        }
       });
     },
     
-    clearSearchHistory: (state) => {
+    // id and timestamp are fixed when the action is created, so every tab that applies it (see
+    // store/tabSync.js) ends up with the same entry in the same position. The action carries the
+    // whole place, since the other tabs may not have it yet.
+    addToSearchHistory: {
+      reducer: (state, action) => {
+        const { id, query, place, timestamp } = action.payload;
+
+        if (!query || !place?.place_id) {
+          log.warn('⚠️ Invalid search history data:', { query, place });
+          return;
+        }
+
+        // Made before the history was last cleared (possibly in another tab)
+        if (state.historyClearedAt && timestamp <= state.historyClearedAt) {
+          return;
+        }
+
+        const historyItem = {
+          id,
+          query: query.trim(),
+          placeId: place.place_id,
+          timestamp
+        };
+
+        // One entry per place: the most recent selection wins, whichever order they arrive in
+        const existingIndex = state.searchHistory.findIndex(item => item.placeId === historyItem.placeId);
+
+        if (existingIndex >= 0) {
+          if (compareHistoryItems(state.searchHistory[existingIndex], historyItem) < 0) {
+            return;
+          }
+          state.searchHistory.splice(existingIndex, 1);
+        }
+
+        // 🔥 CRITICAL: Fully serialize place before storing it, including photos
+        upsertPlace(state, place);
+
+        // Newest first
+        const insertAt = state.searchHistory.findIndex(item => compareHistoryItems(historyItem, item) < 0);
+        state.searchHistory.splice(insertAt === -1 ? state.searchHistory.length : insertAt, 0, historyItem);
+
+        // Keep history manageable
+        if (state.searchHistory.length > SEARCH_HISTORY_LIMIT) {
+          state.searchHistory = state.searchHistory.slice(0, SEARCH_HISTORY_LIMIT);
+          pruneEntities(state);
+        }
+
+        log.debug('✅ placesSlice: Added place to history:', {
+          name: place.name,
+          historyLength: state.searchHistory.length
+        });
+      },
+      prepare: (payload) => ({
+        payload: {
+          ...payload,
+          id: payload?.id || nanoid(),
+          timestamp: payload?.timestamp || new Date().toISOString()
+        }
+      })
+    },
+
+    // Clears entries made up to `clearedAt`; entries from other tabs made after it survive
+    clearSearchHistory: {
+      reducer: (state, action) => {
+        const clearedAt = action.payload;
+        state.searchHistory = state.searchHistory.filter(item => item.timestamp > clearedAt);
+        if (!state.historyClearedAt || clearedAt > state.historyClearedAt) {
+          state.historyClearedAt = clearedAt;
+        }
+        pruneEntities(state);
+      },
+      prepare: (clearedAt) => ({ payload: clearedAt || new Date().toISOString() })
+    },
+
+    // Saved or another tab's history ({ id, query, place, timestamp } each), replacing this one;
+    // dispatched for persist/REHYDRATE by store/persistence.js
+    restoreSearchHistory: (state, action) => {
       state.searchHistory = [];
+      (action.payload || []).forEach(({ id, query, place, timestamp }) => {
+        const placeId = upsertPlace(state, place);
+        if (placeId) {
+          state.searchHistory.push({ id, query, placeId, timestamp });
+        }
+      });
+      state.searchHistory.sort(compareHistoryItems);
+      pruneEntities(state);
     },
     
     addMarkerData: (state, action) => {
@@ -264,7 +249,7 @@ const placesSlice = createSlice({
           title: title || 'Marker'
         });
       } else {
-        console.warn('⚠️ Invalid marker position:', position);
+        log.warn('⚠️ Invalid marker position:', position);
       }
     },
     
@@ -273,8 +258,74 @@ const placesSlice = createSlice({
     },
     
     clearSuggestions: (state) => {
-      state.suggestions = [];
+      state.suggestionIds = [];
+      pruneEntities(state);
+      resetTravelTimes(state);
+    },
+
+    setTravelTimeOrigin: (state, action) => {
+      if (!Object.values(TRAVEL_TIME_ORIGINS).includes(action.payload)) {
+        log.warn('⚠️ placesSlice: Unknown travel time origin:', action.payload);
+        return;
+      }
+      state.travelTimeOrigin = action.payload;
+      resetTravelTimes(state);
+    },
+
+    setTravelTimeMode: (state, action) => {
+      if (!TRAVEL_MODES.some(item => item.mode === action.payload)) {
+        log.warn('⚠️ placesSlice: Unknown travel mode:', action.payload);
+        return;
+      }
+      state.travelTimeMode = action.payload;
+      resetTravelTimes(state);
+    },
+
+    travelTimesSuccess: (state, action) => {
+      state.travelTimes = action.payload || {};
+      state.travelTimesStatus = 'succeeded';
+      state.travelTimesError = null;
+    },
+
+    travelTimesFailure: (state, action) => {
+      state.travelTimes = {};
+      state.travelTimesStatus = 'failed';
+      state.travelTimesError = action.payload;
+    },
+
+    // 🎟️ One autocomplete session per typing session (started on first keystroke)
+    startAutocompleteSession: {
+      reducer: (state, action) => {
+        state.autocompleteSessionId = action.payload.sessionId;
+      },
+      prepare: () => ({ payload: { sessionId: nanoid() } })
+    },
+
+    // Retired after selection, clear or Escape; the saga releases the provider token
+    endAutocompleteSession: {
+      reducer: (state, action) => {
+        const { sessionId } = action.payload;
+        if (!sessionId || state.autocompleteSessionId === sessionId) {
+          state.autocompleteSessionId = null;
+        }
+      },
+      prepare: (sessionId = null) => ({ payload: { sessionId } })
     }
+  },
+  extraReducers: (builder) => {
+    // Hours and status from the details panel also show on the suggestion and history entries
+    builder.addCase(placeDetailsSuccess, (state, action) => {
+      const { placeId, details } = action.payload;
+      if (!details || !state.entities.entities[placeId]) return;
+
+      const changes = {};
+      PLACE_DETAIL_FIELDS.forEach(field => {
+        if (details[field] !== null && details[field] !== undefined) {
+          changes[field] = details[field];
+        }
+      });
+      placesAdapter.updateOne(state.entities, { id: placeId, changes });
+    });
   }
 });
 
@@ -283,11 +334,57 @@ export const {
   searchPlacesSuccess,
   searchPlacesFailure,
   selectPlace,
+  placesReceived,
   addToSearchHistory,
   clearSearchHistory,
+  restoreSearchHistory,
   addMarkerData,
   clearMarkers,
-  clearSuggestions
+  clearSuggestions,
+  startAutocompleteSession,
+  endAutocompleteSession,
+  setTravelTimeOrigin,
+  setTravelTimeMode,
+  travelTimesSuccess,
+  travelTimesFailure
 } = placesSlice.actions;
 
+// Denormalized views. Each is memoized, so components only re-render when their own places change.
+const NO_PLACES = [];
+
+export const {
+  selectById: selectPlaceById,
+  selectEntities: selectPlaceEntities
+} = placesAdapter.getSelectors(state => state.places.entities);
+
+// A new entity map (any place stored or dropped) recomputes the views; when their own entries
+// are unchanged they keep returning the previous array
+const sameEntries = (a, b) => a.length === b.length && a.every((entry, index) => {
+  const other = b[index];
+  return entry === other || (entry.place && entry.id === other.id && entry.query === other.query
+    && entry.timestamp === other.timestamp && entry.place === other.place);
+});
+const viewOptions = { memoizeOptions: { resultEqualityCheck: sameEntries } };
+
+const selectSuggestionIds = (state) => state.places.suggestionIds;
+const selectHistoryItems = (state) => state.places.searchHistory;
+
+export const selectSuggestions = createSelector(
+  [selectSuggestionIds, selectPlaceEntities],
+  (ids, entities) => (ids.length === 0 ? NO_PLACES : ids.map(id => entities[id]).filter(Boolean)),
+  viewOptions
+);
+
+// { id, query, place, timestamp } per entry, newest first
+export const selectSearchHistory = createSelector(
+  [selectHistoryItems, selectPlaceEntities],
+  (items, entities) => (items.length === 0 ? NO_PLACES : items
+    .filter(item => entities[item.placeId])
+    .map(({ placeId, ...item }) => ({ ...item, place: entities[placeId] }))),
+  viewOptions
+);
+
+export const selectSelectedPlace = (state) =>
+  (state.places.selectedPlaceId ? selectPlaceById(state, state.places.selectedPlaceId) || null : null);
+
 export default placesSlice.reducer;
\ No newline at end of file
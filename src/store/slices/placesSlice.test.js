@@ -0,0 +1,107 @@
+import reducer, {
+  searchPlacesSuccess,
+  selectPlace,
+  placesReceived,
+  addToSearchHistory,
+  clearSearchHistory,
+  clearSuggestions,
+  restoreSearchHistory,
+  selectSuggestions,
+  selectSearchHistory,
+  selectSelectedPlace
+} from './placesSlice';
+import { placeDetailsSuccess } from './placeDetailsSlice';
+import { createPlace } from '../../models/place';
+
+const withPlaces = (...actions) => ({ places: actions.reduce(reducer, undefined) });
+
+const prediction = (placeId, name) => createPlace({ place_id: placeId, name, description: `${name}, Kuala Lumpur`, types: ['establishment'] });
+
+const klcc = createPlace({
+  place_id: 'klcc',
+  name: 'Petronas Twin Towers',
+  formatted_address: 'KLCC, Kuala Lumpur',
+  types: ['tourist_attraction'],
+  rating: 4.7,
+  geometry: { location: { lat: 3.1579, lng: 101.7116 } },
+  photos: [{ width: 800, height: 600, html_attributions: [] }]
+});
+
+const searchedAt = (query, place, timestamp) => addToSearchHistory({ id: `id-${query}`, query, place, timestamp });
+
+test('stores a place once for the suggestions, the history and the selection', () => {
+  const state = withPlaces(
+    searchedAt('towers', klcc, '2025-01-06T08:00:00.000Z'),
+    searchPlacesSuccess([prediction('klcc', 'Petronas Twin Towers'), prediction('batu', 'Batu Caves')]),
+    selectPlace({ place: prediction('klcc', 'Petronas Twin Towers'), query: 'petronas' })
+  );
+
+  expect(state.places.entities.ids).toEqual(['klcc']);
+  expect(state.places.searchHistory).toEqual([
+    { id: 'id-towers', query: 'towers', placeId: 'klcc', timestamp: '2025-01-06T08:00:00.000Z' }
+  ]);
+  expect(selectSelectedPlace(state)).toBe(selectSearchHistory(state)[0].place);
+});
+
+test('keeps what is known about a place when a prediction for it arrives', () => {
+  const state = withPlaces(selectPlace(klcc), searchPlacesSuccess([prediction('klcc', 'Petronas Twin Towers')]));
+
+  expect(selectSuggestions(state)[0]).toMatchObject({
+    description: 'Petronas Twin Towers, Kuala Lumpur',
+    types: ['establishment'],
+    rating: 4.7,
+    geometry: { location: { lat: 3.1579, lng: 101.7116 } },
+    photos: [expect.objectContaining({ place_id: 'klcc', index: 0 })]
+  });
+});
+
+test('enriches every view of a place with details fetched for it', () => {
+  const hours = { periods: [{ open: { day: 1, time: '0900' }, close: { day: 1, time: '1700' } }], weekday_text: [] };
+  const state = withPlaces(
+    searchedAt('klcc', prediction('klcc', 'Petronas Twin Towers'), '2025-01-06T08:00:00.000Z'),
+    selectPlace(prediction('klcc', 'Petronas Twin Towers')),
+    placesReceived([klcc, prediction('unknown', 'Not in view')]),
+    placeDetailsSuccess({ placeId: 'klcc', details: { opening_hours: hours, utc_offset_minutes: 480, website: 'https://example.com' }, fetchedAt: 1 })
+  );
+
+  expect(selectSelectedPlace(state).geometry.location).toEqual({ lat: 3.1579, lng: 101.7116 });
+  expect(selectSearchHistory(state)[0].place).toMatchObject({ opening_hours: hours, utc_offset_minutes: 480 });
+  expect(selectSearchHistory(state)[0].place.website).toBeUndefined();
+  expect(state.places.entities.ids).toEqual(['klcc']);
+});
+
+test('drops places nothing refers to any more', () => {
+  const state = withPlaces(
+    searchedAt('klcc', klcc, '2025-01-06T08:00:00.000Z'),
+    searchPlacesSuccess([prediction('batu', 'Batu Caves'), prediction('merdeka', 'Merdeka 118')]),
+    clearSuggestions(),
+    clearSearchHistory('2025-01-06T09:00:00.000Z')
+  );
+
+  expect(state.places.entities.ids).toEqual([]);
+  expect(selectSearchHistory(state)).toEqual([]);
+});
+
+test('keeps returning the same views while their places are unchanged', () => {
+  const state = withPlaces(searchedAt('klcc', klcc, '2025-01-06T08:00:00.000Z'));
+  const history = selectSearchHistory(state);
+
+  const searched = { places: reducer(state.places, searchPlacesSuccess([prediction('batu', 'Batu Caves')])) };
+
+  expect(selectSearchHistory(searched)).toBe(history);
+});
+
+test('restores a saved history with its places inline', () => {
+  const saved = [
+    { id: 'id-old', query: 'batu', place: { ...klcc, place_id: 'batu', name: 'Batu Caves' }, timestamp: '2025-01-05T08:00:00.000Z' },
+    { id: 'id-new', query: 'klcc', place: klcc, timestamp: '2025-01-06T08:00:00.000Z' }
+  ];
+
+  const state = withPlaces(searchPlacesSuccess([prediction('merdeka', 'Merdeka 118')]), restoreSearchHistory(saved));
+
+  expect(selectSearchHistory(state).map(item => [item.query, item.place.name])).toEqual([
+    ['klcc', 'Petronas Twin Towers'],
+    ['batu', 'Batu Caves']
+  ]);
+  expect(selectSuggestions(state).map(place => place.place_id)).toEqual(['merdeka']);
+});
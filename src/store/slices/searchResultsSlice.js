@@ -0,0 +1,88 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the Redux slice for "See all results": a paginated full-text search whose
+// results are listed in the sidebar and pinned on the map. Only the serializable cursor
+// for the next page is stored; the provider keeps the pagination handle behind it.
+import { createSlice } from '@reduxjs/toolkit';
+
+const initialState = {
+  isOpen: false,
+  query: '',
+  results: [], // Places (see models/place), all pages so far
+  nextCursor: null,
+  pagesLoaded: 0,
+  status: 'idle', // idle | loading | loadingMore | succeeded | failed
+  error: null, // { code, message, retryable } (see serializePlacesError)
+  // "Open now" filter; applied when listing (see useTextSearch), so it survives new searches
+  openNowOnly: false
+};
+
+const searchResultsSlice = createSlice({
+  name: 'searchResults',
+  initialState,
+  reducers: {
+    textSearchRequest: (state, action) => {
+      const query = (action.payload?.query || '').trim();
+      return {
+        ...initialState,
+        isOpen: true,
+        query,
+        status: 'loading',
+        openNowOnly: state.openNowOnly
+      };
+    },
+
+    // Saga reads nextCursor; ignored when there is no next page
+    textSearchNextPage: (state) => {
+      if (state.nextCursor && state.status === 'succeeded') {
+        state.status = 'loadingMore';
+      }
+    },
+
+    textSearchSuccess: (state, action) => {
+      const { results = [], nextCursor = null, append = false } = action.payload || {};
+
+      // Pages can overlap when the underlying ranking shifts; keep the first occurrence
+      const seen = new Set(append ? state.results.map(place => place.place_id) : []);
+      const fresh = [];
+      results.forEach(place => {
+        if (place && !seen.has(place.place_id)) {
+          seen.add(place.place_id);
+          fresh.push(place);
+        }
+      });
+
+      state.results = append ? [...state.results, ...fresh] : fresh;
+      state.nextCursor = nextCursor;
+      state.pagesLoaded = append ? state.pagesLoaded + 1 : 1;
+      state.status = 'succeeded';
+      state.error = null;
+    },
+
+    textSearchFailure: (state, action) => {
+      state.status = 'failed';
+      state.error = action.payload;
+      // A failed page keeps what was already loaded, but the cursor is spent
+      state.nextCursor = null;
+    },
+
+    setOpenNowFilter: (state, action) => {
+      state.openNowOnly = Boolean(action.payload);
+    },
+
+    closeTextSearch: (state) => ({ ...initialState, openNowOnly: state.openNowOnly })
+  }
+});
+
+export const {
+  textSearchRequest,
+  textSearchNextPage,
+  textSearchSuccess,
+  textSearchFailure,
+  setOpenNowFilter,
+  closeTextSearch
+} = searchResultsSlice.actions;
+
+// 🔍 Selectors
+export const selectSearchResults = (state) => state.searchResults;
+
+export default searchResultsSlice.reducer;
@@ -0,0 +1,179 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the Redux slice for runtime search settings: where predictions are biased
+// (map viewport, the user's location or nowhere), an optional country restriction and
+// strict-bounds mode. The initial region comes from REACT_APP_DEFAULT_LOCATION.
+// selectSearchOptions turns the settings into the provider-neutral options accepted by
+// every places provider's searchPlaces(query, options).
+import { createSlice, createSelector } from '@reduxjs/toolkit';
+import {
+  REGION_PRESETS,
+  SEARCH_BIAS_MODES,
+  USER_LOCATION_BIAS_RADIUS_METERS
+} from '../../utils/constants';
+import { resolveDefaultLocation, roundBounds } from '../../utils/helpers';
+import { createLogger } from '../../utils/logger';
+
+const log = createLogger('store');
+
+const defaultLocation = resolveDefaultLocation(process.env.REACT_APP_DEFAULT_LOCATION);
+
+export const createInitialSearchSettings = (location = defaultLocation) => ({
+  defaultLocation: location,
+  biasMode: SEARCH_BIAS_MODES.VIEWPORT,
+  country: location.country,
+  strictBounds: false,
+  viewport: null, // { north, south, east, west } of the visible map
+  userLocation: null, // { lat, lng, accuracy }
+  userLocationStatus: 'idle', // idle | pending | granted | denied | unavailable
+  biasToUserLocation: false // Switch to "near me" once the pending position arrives
+});
+
+const isBoundsLiteral = (bounds) =>
+  Boolean(bounds) && ['north', 'south', 'east', 'west'].every(key => Number.isFinite(bounds[key]));
+
+const searchSettingsSlice = createSlice({
+  name: 'searchSettings',
+  initialState: createInitialSearchSettings(),
+  reducers: {
+    setBiasMode: (state, action) => {
+      if (!Object.values(SEARCH_BIAS_MODES).includes(action.payload)) {
+        log.warn('⚠️ searchSettingsSlice: Unknown bias mode:', action.payload);
+        return;
+      }
+      state.biasMode = action.payload;
+    },
+
+    // ISO 3166-1 alpha-2 code, or null for worldwide results
+    setCountryRestriction: (state, action) => {
+      const country = (action.payload || '').toString().trim().toLowerCase();
+      if (country && !/^[a-z]{2}$/.test(country)) {
+        log.warn('⚠️ searchSettingsSlice: Invalid country code:', action.payload);
+        return;
+      }
+      state.country = country || null;
+    },
+
+    setStrictBounds: (state, action) => {
+      state.strictBounds = Boolean(action.payload);
+    },
+
+    // Dispatched by useGoogleMaps whenever the map settles
+    setSearchViewport: (state, action) => {
+      if (!isBoundsLiteral(action.payload)) {
+        return;
+      }
+      const { north, south, east, west } = action.payload;
+      state.viewport = { north, south, east, west };
+    },
+
+    // Saga asks the browser for the position. Other features (e.g. travel times) can ask
+    // without changing the bias by passing { useForBias: false }.
+    requestUserLocation: {
+      reducer: (state, action) => {
+        state.userLocationStatus = 'pending';
+        state.biasToUserLocation = state.biasToUserLocation || action.payload.useForBias;
+      },
+      prepare: ({ useForBias = true } = {}) => ({ payload: { useForBias } })
+    },
+
+    userLocationReceived: (state, action) => {
+      const { lat, lng, accuracy = null } = action.payload || {};
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+        state.userLocationStatus = 'unavailable';
+        return;
+      }
+      state.userLocation = { lat, lng, accuracy };
+      state.userLocationStatus = 'granted';
+      if (state.biasToUserLocation) {
+        state.biasMode = SEARCH_BIAS_MODES.USER_LOCATION;
+        state.biasToUserLocation = false;
+      }
+    },
+
+    userLocationFailed: (state, action) => {
+      state.userLocationStatus = action.payload === 'denied' ? 'denied' : 'unavailable';
+      state.biasToUserLocation = false;
+      if (state.biasMode === SEARCH_BIAS_MODES.USER_LOCATION) {
+        state.biasMode = SEARCH_BIAS_MODES.VIEWPORT;
+      }
+    },
+
+    resetSearchSettings: (state) => ({
+      ...createInitialSearchSettings(state.defaultLocation),
+      viewport: state.viewport
+    })
+  }
+});
+
+export const {
+  setBiasMode,
+  setCountryRestriction,
+  setStrictBounds,
+  setSearchViewport,
+  requestUserLocation,
+  userLocationReceived,
+  userLocationFailed,
+  resetSearchSettings
+} = searchSettingsSlice.actions;
+
+// 🔍 Selectors
+export const selectSearchSettings = (state) => state.searchSettings;
+
+export const selectDefaultLocation = (state) =>
+  state.searchSettings?.defaultLocation || defaultLocation;
+
+// Options for provider.searchPlaces(query, options); empty when the slice is not mounted
+export const selectSearchOptions = createSelector(
+  [selectSearchSettings],
+  (settings) => {
+    if (!settings) {
+      return {};
+    }
+
+    const options = {};
+    if (settings.country) {
+      options.country = settings.country;
+    }
+
+    if (settings.biasMode === SEARCH_BIAS_MODES.VIEWPORT && settings.viewport) {
+      options.locationBias = { bounds: roundBounds(settings.viewport) };
+    } else if (settings.biasMode === SEARCH_BIAS_MODES.USER_LOCATION && settings.userLocation) {
+      options.locationBias = {
+        center: { lat: settings.userLocation.lat, lng: settings.userLocation.lng },
+        radius: USER_LOCATION_BIAS_RADIUS_METERS
+      };
+    }
+
+    // Strict bounds only makes sense when there is an area to restrict to
+    if (settings.strictBounds && options.locationBias) {
+      options.strictBounds = true;
+    }
+    return options;
+  }
+);
+
+export const countryLabel = (country) => {
+  const preset = REGION_PRESETS.find(item => item.country === country);
+  return preset ? preset.label : (country || '').toUpperCase();
+};
+
+export const selectSearchPlaceholder = createSelector(
+  [selectSearchSettings],
+  (settings) => {
+    if (!settings) {
+      return 'Search for places...';
+    }
+    if (settings.country) {
+      return `Search for places in ${countryLabel(settings.country)}...`;
+    }
+    if (settings.biasMode === SEARCH_BIAS_MODES.USER_LOCATION && settings.userLocation) {
+      return 'Search for places near you...';
+    }
+    if (settings.biasMode === SEARCH_BIAS_MODES.VIEWPORT && settings.strictBounds) {
+      return 'Search for places in this map area...';
+    }
+    return 'Search for places...';
+  }
+);
+
+export default searchSettingsSlice.reducer;
@@ -0,0 +1,74 @@
+import reducer, {
+  createInitialSearchSettings,
+  setBiasMode,
+  setCountryRestriction,
+  setStrictBounds,
+  setSearchViewport,
+  requestUserLocation,
+  userLocationReceived,
+  userLocationFailed,
+  selectSearchOptions,
+  selectSearchPlaceholder
+} from './searchSettingsSlice';
+import { resolveDefaultLocation } from '../../utils/helpers';
+
+const withSettings = (...actions) => ({
+  searchSettings: actions.reduce(reducer, createInitialSearchSettings(resolveDefaultLocation('Malaysia')))
+});
+
+const viewport = { north: 3.2345, south: 3.0012, east: 101.8001, west: 101.5999 };
+
+test('biases to the rounded viewport and restricts to the default country', () => {
+  const state = withSettings(setSearchViewport(viewport));
+
+  expect(selectSearchOptions(state)).toEqual({
+    country: 'my',
+    locationBias: { bounds: { north: 3.24, south: 3, east: 101.81, west: 101.59 } }
+  });
+  expect(selectSearchPlaceholder(state)).toBe('Search for places in Malaysia...');
+});
+
+test('biases to the user location once it is known', () => {
+  const state = withSettings(
+    setCountryRestriction(null),
+    requestUserLocation(),
+    userLocationReceived({ lat: 1.29, lng: 103.85, accuracy: 30 }),
+    setStrictBounds(true)
+  );
+
+  expect(selectSearchOptions(state)).toEqual({
+    locationBias: { center: { lat: 1.29, lng: 103.85 }, radius: 20000 },
+    strictBounds: true
+  });
+  expect(selectSearchPlaceholder(state)).toBe('Search for places near you...');
+});
+
+test('keeps the bias when the location was requested for something else', () => {
+  const state = withSettings(
+    requestUserLocation({ useForBias: false }),
+    userLocationReceived({ lat: 1.29, lng: 103.85, accuracy: 30 })
+  );
+
+  expect(state.searchSettings).toMatchObject({ biasMode: 'viewport', userLocationStatus: 'granted' });
+  expect(state.searchSettings.userLocation).toEqual({ lat: 1.29, lng: 103.85, accuracy: 30 });
+});
+
+test('drops strict bounds when there is no area to restrict to', () => {
+  const state = withSettings(setCountryRestriction(''), setBiasMode('none'), setStrictBounds(true));
+
+  expect(selectSearchOptions(state)).toEqual({});
+  expect(selectSearchPlaceholder(state)).toBe('Search for places...');
+});
+
+test('ignores invalid settings and falls back to the viewport when location fails', () => {
+  const state = withSettings(setCountryRestriction('Malaysia!'), setBiasMode('everywhere'), userLocationFailed('denied'));
+
+  expect(state.searchSettings).toMatchObject({ country: 'my', biasMode: 'viewport', userLocationStatus: 'denied' });
+});
+
+test('resolves REACT_APP_DEFAULT_LOCATION by name, ISO code or coordinates', () => {
+  expect(resolveDefaultLocation('singapore')).toMatchObject({ country: 'sg', label: 'Singapore' });
+  expect(resolveDefaultLocation('TH')).toMatchObject({ country: 'th' });
+  expect(resolveDefaultLocation('5.41, 100.33')).toEqual({ label: null, country: null, center: { lat: 5.41, lng: 100.33 } });
+  expect(resolveDefaultLocation(undefined)).toMatchObject({ country: 'my' });
+});
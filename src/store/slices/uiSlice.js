@@ -6,9 +6,12 @@ import { createSlice } from '@reduxjs/toolkit';
 
 const initialState = {
   loading: false,
-  error: null,
+  error: null, // { code, message, retryable } - see serializePlacesError in services/errors.js
+
   searchLoading: false,
-  mapLoading: false
+  mapLoading: false,
+  // Operations currently backing off, by name: { search: { attempt, maxAttempts, code } }
+  retrying: {}
 };
 
 const uiSlice = createSlice({
@@ -29,6 +32,14 @@ const uiSlice = createSlice({
     },
     clearError: (state) => {
       state.error = null;
+    },
+    // { operation, attempt, maxAttempts, code } - `attempt` is the one about to run
+    retryScheduled: (state, action) => {
+      const { operation, attempt, maxAttempts, code = null } = action.payload;
+      state.retrying[operation] = { attempt, maxAttempts, code };
+    },
+    retryCleared: (state, action) => {
+      delete state.retrying[action.payload];
     }
   }
 });
@@ -38,7 +49,11 @@ export const {
   setSearchLoading,
   setMapLoading,
   setError,
-  clearError
+  clearError,
+  retryScheduled,
+  retryCleared
 } = uiSlice.actions;
 
+export const selectRetrying = (state) => state.ui.retrying;
+
 export default uiSlice.reducer;
\ No newline at end of file
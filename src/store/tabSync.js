@@ -0,0 +1,253 @@
+// This file is part of the Google Places Redux Saga project.
+// It keeps open tabs in step. History and favorites actions dispatched in one tab
+// (SYNCED_ACTION_TYPES) are sent to the others over a BroadcastChannel, or through localStorage
+// storage events where BroadcastChannel is missing, and dispatched there too. The reducers merge
+// them deterministically (ids and timestamps are fixed when an action is created), so every tab
+// ends up with the same history and favorites whatever order the actions arrive in. When a tab
+// closes or goes quiet, the others release the favorite changes it still had in flight.
+//
+// Only one tab writes persisted state (see persistence.js): tabs send heartbeats, and the oldest
+// tab still heard from is the leader. A new tab announces itself and the leader answers with
+// its current persisted state, which is fresher than storage between throttled writes.
+import { nanoid } from '@reduxjs/toolkit';
+import { TAB_SYNC_CONFIG } from '../utils/constants';
+import { addToSearchHistory, clearSearchHistory } from './slices/placesSlice';
+import { addFavorite, removeFavorite, favoriteSyncSuccess, favoriteSyncFailure, releaseTabFavorites } from './slices/favoritesSlice';
+import { rehydrateState, pickPersistedState, sanitizePersistedState } from './persistence';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('store');
+
+// toggleFavorite is not synced: the saga in the tab that toggled makes the one request, and its
+// optimistic change and outcome are synced instead
+export const SYNCED_ACTION_TYPES = new Set([
+  addToSearchHistory.type,
+  clearSearchHistory.type,
+  addFavorite.type,
+  removeFavorite.type,
+  favoriteSyncSuccess.type,
+  favoriteSyncFailure.type
+]);
+
+const MESSAGES = {
+  HELLO: 'hello',
+  HEARTBEAT: 'heartbeat',
+  BYE: 'bye',
+  ACTION: 'action',
+  SNAPSHOT: 'snapshot'
+};
+
+// Transports share one interface: post(message), subscribe(handler) -> unsubscribe, close()
+
+export function createBroadcastTransport(channelName, BroadcastChannelImpl) {
+  const channel = new BroadcastChannelImpl(channelName);
+  return {
+    post: (message) => channel.postMessage(message),
+    subscribe: (handler) => {
+      const listener = (event) => handler(event.data);
+      channel.addEventListener('message', listener);
+      return () => channel.removeEventListener('message', listener);
+    },
+    close: () => channel.close()
+  };
+}
+
+// Each message is written to a localStorage key and removed again; other tabs (never the
+// writing one) receive the write as a storage event. The nonce makes repeated messages distinct.
+export function createStorageTransport(channelName, { storage, target }) {
+  return {
+    post: (message) => {
+      try {
+        storage.setItem(channelName, JSON.stringify({ message, nonce: nanoid() }));
+        storage.removeItem(channelName);
+      } catch (error) {
+        log.warn('⚠️ TabSync: Could not send message:', error);
+      }
+    },
+    subscribe: (handler) => {
+      const listener = (event) => {
+        if (event.key !== channelName || !event.newValue) return;
+        try {
+          handler(JSON.parse(event.newValue).message);
+        } catch (error) {
+          log.warn('⚠️ TabSync: Ignoring unreadable message:', error);
+        }
+      };
+      target.addEventListener('storage', listener);
+      return () => target.removeEventListener('storage', listener);
+    },
+    close: () => {}
+  };
+}
+
+// BroadcastChannel where available, else storage events; null when neither works
+export function createDefaultTransport(channelName = TAB_SYNC_CONFIG.channelName) {
+  try {
+    if (typeof window === 'undefined') return null;
+    if (typeof window.BroadcastChannel === 'function') {
+      return createBroadcastTransport(channelName, window.BroadcastChannel);
+    }
+    return window.localStorage ? createStorageTransport(channelName, { storage: window.localStorage, target: window }) : null;
+  } catch (error) {
+    return null; // Storage disabled (e.g. privacy mode)
+  }
+}
+
+export class TabSync {
+  // transport: undefined picks createDefaultTransport() on start; null runs as a lone tab
+  constructor({
+    transport,
+    tabId = nanoid(),
+    heartbeatMs = TAB_SYNC_CONFIG.heartbeatMs,
+    peerTimeoutMs = TAB_SYNC_CONFIG.peerTimeoutMs
+  } = {}) {
+    this.transportOption = transport;
+    this.transport = null;
+    this.tabId = tabId;
+    this.heartbeatMs = heartbeatMs;
+    this.peerTimeoutMs = peerTimeoutMs;
+
+    this.store = null;
+    this.startedAt = null;
+    this.peers = new Map(); // tabId -> { startedAt, lastSeen }
+    this.settled = false; // Heard the other tabs out for one heartbeat
+    this.leader = false;
+    this.listeners = new Set();
+    this.timer = null;
+    this.unsubscribe = null;
+    this.handlePageHide = () => this.stop();
+
+    // Sends local synced actions to the other tabs (after they reached the reducers here)
+    this.middleware = () => (next) => (action) => {
+      const result = next(action);
+      if (SYNCED_ACTION_TYPES.has(action.type) && !action.meta?.fromTab) {
+        this._post({ type: MESSAGES.ACTION, action });
+      }
+      return result;
+    };
+  }
+
+  start(store) {
+    this.store = store;
+    this.startedAt = Date.now();
+    this.transport = this.transportOption === undefined ? createDefaultTransport() : this.transportOption;
+
+    if (!this.transport) {
+      // Nobody to hear from: this tab is the only writer
+      this.settled = true;
+      this._evaluate();
+      return;
+    }
+
+    this.unsubscribe = this.transport.subscribe(message => this._receive(message));
+    this._post({ type: MESSAGES.HELLO });
+    this.timer = setInterval(() => this._tick(), this.heartbeatMs);
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', this.handlePageHide);
+    }
+  }
+
+  stop() {
+    if (this.transport) {
+      this._post({ type: MESSAGES.BYE });
+      if (this.unsubscribe) this.unsubscribe();
+      this.transport.close();
+    }
+    if (this.timer) clearInterval(this.timer);
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('pagehide', this.handlePageHide);
+    }
+    this.transport = null;
+    this.unsubscribe = null;
+    this.timer = null;
+    this.peers.clear();
+    this._setLeader(false);
+  }
+
+  isLeader() {
+    return this.leader;
+  }
+
+  // listener(isLeader); returns an unsubscribe function
+  onLeadershipChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _post(message) {
+    this.transport?.post({ ...message, tabId: this.tabId, startedAt: this.startedAt });
+  }
+
+  _receive(message) {
+    if (!message || !message.tabId || message.tabId === this.tabId) return;
+
+    if (message.type === MESSAGES.BYE) {
+      this._forgetPeer(message.tabId);
+      this._evaluate();
+      return;
+    }
+    this.peers.set(message.tabId, { startedAt: message.startedAt, lastSeen: Date.now() });
+
+    switch (message.type) {
+      case MESSAGES.HELLO:
+        // Let the newcomer know about this tab right away
+        this._post({ type: MESSAGES.HEARTBEAT });
+        if (this.leader) {
+          this._post({ type: MESSAGES.SNAPSHOT, to: message.tabId, state: pickPersistedState(this.store.getState()) });
+        }
+        break;
+
+      case MESSAGES.SNAPSHOT:
+        if (message.to === this.tabId) {
+          this.store.dispatch(rehydrateState(sanitizePersistedState(message.state)));
+        }
+        break;
+
+      case MESSAGES.ACTION:
+        if (SYNCED_ACTION_TYPES.has(message.action?.type)) {
+          this.store.dispatch({ ...message.action, meta: { ...message.action.meta, fromTab: message.tabId } });
+        }
+        break;
+
+      default:
+        break;
+    }
+    this._evaluate();
+  }
+
+  _tick() {
+    this._post({ type: MESSAGES.HEARTBEAT });
+
+    const now = Date.now();
+    this.peers.forEach((peer, peerId) => {
+      if (now - peer.lastSeen > this.peerTimeoutMs) {
+        this._forgetPeer(peerId);
+      }
+    });
+    this.settled = true;
+    this._evaluate();
+  }
+
+  _forgetPeer(peerId) {
+    this.peers.delete(peerId);
+    this.store.dispatch(releaseTabFavorites(peerId));
+  }
+
+  // Oldest tab leads; tabs opened in the same millisecond are ordered by id
+  _evaluate() {
+    const olderPeer = [...this.peers].some(([peerId, peer]) =>
+      peer.startedAt < this.startedAt || (peer.startedAt === this.startedAt && peerId < this.tabId));
+    this._setLeader(this.settled && !olderPeer);
+  }
+
+  _setLeader(leader) {
+    if (leader === this.leader) return;
+    this.leader = leader;
+    log.debug(leader ? '👑 TabSync: This tab now writes saved state' : '👥 TabSync: Another tab writes saved state');
+    this.listeners.forEach(listener => listener(leader));
+  }
+}
+
+export const tabSync = new TabSync();
+
+export default TabSync;
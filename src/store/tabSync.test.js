@@ -0,0 +1,190 @@
+import { configureStore, combineReducers } from '@reduxjs/toolkit';
+import { TabSync, createStorageTransport } from './tabSync';
+import { withRehydration } from './persistence';
+import placesReducer, { addToSearchHistory, clearSearchHistory, selectPlace, selectSelectedPlace } from './slices/placesSlice';
+import searchResultsReducer from './slices/searchResultsSlice';
+import favoritesReducer, { addFavorite, removeFavorite, favoriteSyncFailure } from './slices/favoritesSlice';
+
+// In-memory stand-in for a BroadcastChannel: every transport on the bus hears the others' posts
+const createBus = () => {
+  const handlers = new Set();
+  return () => {
+    let own = null;
+    return {
+      post: (message) => handlers.forEach(handler => handler !== own && handler(JSON.parse(JSON.stringify(message)))),
+      subscribe: (handler) => {
+        own = handler;
+        handlers.add(handler);
+        return () => handlers.delete(handler);
+      },
+      close: () => {}
+    };
+  };
+};
+
+const place = (placeId) => ({ place_id: placeId, name: placeId, geometry: { location: { lat: 3.15, lng: 101.71 } }, photos: [] });
+const favorite = (placeId, addedAt) => ({ place_id: placeId, name: placeId, formatted_address: '', types: [], photos: [], addedAt });
+
+const createTab = (transport, tabId) => {
+  const sync = new TabSync({ transport, tabId, heartbeatMs: 1000, peerTimeoutMs: 2500 });
+  const store = configureStore({
+    reducer: withRehydration(combineReducers({ places: placesReducer, searchResults: searchResultsReducer, favorites: favoritesReducer })),
+    middleware: (getDefaultMiddleware) => getDefaultMiddleware().concat(sync.middleware)
+  });
+  return { sync, store };
+};
+
+let tabs;
+let connect;
+
+// Opens a tab a millisecond after the previous one, so the first tab opened is the oldest
+const openTab = (tabId) => {
+  jest.advanceTimersByTime(1);
+  const tab = createTab(connect(), tabId);
+  tab.sync.start(tab.store);
+  tabs.push(tab);
+  return tab;
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(Date.parse('2025-01-06T08:00:00.000Z'));
+  connect = createBus();
+  tabs = [];
+});
+
+afterEach(() => {
+  tabs.forEach(tab => tab.sync.stop());
+  jest.useRealTimers();
+});
+
+describe('TabSync', () => {
+  test('replays history and favorites changes in the other tabs without echoing them back', () => {
+    const first = openTab('a');
+    const second = openTab('b');
+
+    first.store.dispatch(addToSearchHistory({ query: 'klcc', place: place('klcc') }));
+    second.store.dispatch(addFavorite(favorite('batu', '2025-01-06T07:00:00.000Z')));
+    first.store.dispatch(selectPlace(place('local-only')));
+
+    expect(second.store.getState().places.searchHistory).toEqual(first.store.getState().places.searchHistory);
+    expect(first.store.getState().places.searchHistory).toHaveLength(1);
+    expect(first.store.getState().favorites.items.map(item => item.place_id)).toEqual(['batu']);
+    expect(selectSelectedPlace(second.store.getState())).toBeNull();
+  });
+
+  test('lets the oldest tab write, and hands over when it closes or goes quiet', () => {
+    const first = openTab('a');
+    const second = openTab('b');
+    const third = openTab('c');
+    const changes = jest.fn();
+    second.sync.onLeadershipChange(changes);
+
+    expect(first.sync.isLeader()).toBe(false); // Still hearing the other tabs out
+    jest.advanceTimersByTime(1000);
+    expect(tabs.map(tab => tab.sync.isLeader())).toEqual([true, false, false]);
+
+    first.sync.stop();
+    expect(second.sync.isLeader()).toBe(true);
+    expect(changes).toHaveBeenCalledWith(true);
+
+    // Without a bye: the tab stops sending heartbeats (e.g. it crashed)
+    second.sync.transport.post = () => {};
+    jest.advanceTimersByTime(3000);
+    expect(third.sync.isLeader()).toBe(true);
+  });
+
+  test('releases the favorite changes a tab still had in flight when it closes or goes quiet', () => {
+    const first = openTab('a');
+    const second = openTab('b');
+    const third = openTab('c');
+
+    second.store.dispatch(addFavorite(favorite('batu', '2025-01-06T07:00:00.000Z')));
+    third.store.dispatch(removeFavorite('batu'));
+    first.store.dispatch(addFavorite(favorite('klcc', '2025-01-06T07:30:00.000Z')));
+    const pendingIn = (tab) => Object.keys(tab.store.getState().favorites.pending).sort();
+    expect(pendingIn(first)).toEqual(['batu', 'klcc']);
+
+    second.sync.stop();
+    expect(pendingIn(first)).toEqual(['batu', 'klcc']);
+
+    third.sync.transport.post = () => {};
+    jest.advanceTimersByTime(4000);
+    expect(pendingIn(first)).toEqual(['klcc']);
+    expect(first.store.getState().favorites.items.map(item => item.place_id)).toEqual(['klcc']);
+  });
+
+  test('runs as the writer when there is no channel to other tabs', () => {
+    const { sync, store } = createTab(null, 'alone');
+    sync.start(store);
+
+    expect(sync.isLeader()).toBe(true);
+    expect(() => store.dispatch(clearSearchHistory())).not.toThrow();
+  });
+
+  test('brings a new tab up to date with the leader', () => {
+    const first = openTab('a');
+    jest.advanceTimersByTime(1000);
+    first.store.dispatch(addToSearchHistory({ query: 'klcc', place: place('klcc') }));
+
+    const second = openTab('b');
+
+    expect(second.store.getState().places.searchHistory).toEqual(first.store.getState().places.searchHistory);
+  });
+
+  test('receives messages through storage events where BroadcastChannel is missing', () => {
+    const storage = { setItem: jest.fn(), removeItem: jest.fn() };
+    const target = new EventTarget();
+    const sender = createStorageTransport('test.sync', { storage, target });
+    const receiver = createStorageTransport('test.sync', { storage, target });
+    const handler = jest.fn();
+    receiver.subscribe(handler);
+
+    sender.post({ type: 'heartbeat', tabId: 'a' });
+    const storageEvent = new Event('storage');
+    Object.assign(storageEvent, { key: 'test.sync', newValue: storage.setItem.mock.calls[0][1] });
+    target.dispatchEvent(storageEvent);
+
+    expect(storage.removeItem).toHaveBeenCalledWith('test.sync');
+    expect(handler).toHaveBeenCalledWith({ type: 'heartbeat', tabId: 'a' });
+  });
+});
+
+describe('concurrent edits', () => {
+  const applyAll = (reducer, actions) => actions.reduce(reducer, undefined);
+
+  test('history converges whatever order the tabs apply each other\'s changes in', () => {
+    const klcc = addToSearchHistory({ query: 'klcc', place: place('klcc'), timestamp: '2025-01-06T08:00:01.000Z' });
+    const batu = addToSearchHistory({ query: 'batu', place: place('batu'), timestamp: '2025-01-06T08:00:01.000Z' });
+    const klccAgain = addToSearchHistory({ query: 'twin towers', place: place('klcc'), timestamp: '2025-01-06T08:00:02.000Z' });
+
+    const inOrder = applyAll(placesReducer, [klcc, batu, klccAgain]);
+    const reversed = applyAll(placesReducer, [klccAgain, batu, klcc]);
+
+    expect(reversed.searchHistory).toEqual(inOrder.searchHistory);
+    expect(inOrder.searchHistory.map(item => item.query)).toEqual(['twin towers', 'batu']);
+  });
+
+  test('a clear drops only what was searched before it, wherever it arrives', () => {
+    const before = addToSearchHistory({ query: 'klcc', place: place('klcc'), timestamp: '2025-01-06T08:00:00.000Z' });
+    const clear = clearSearchHistory('2025-01-06T08:00:01.000Z');
+    const after = addToSearchHistory({ query: 'batu', place: place('batu'), timestamp: '2025-01-06T08:00:02.000Z' });
+
+    const states = [[before, clear, after], [after, clear, before], [clear, before, after]]
+      .map(actions => applyAll(placesReducer, actions).searchHistory.map(item => item.query));
+
+    expect(states).toEqual([['batu'], ['batu'], ['batu']]);
+  });
+
+  test('favorites keep one order, including after a rolled back removal', () => {
+    const older = addFavorite(favorite('klcc', '2025-01-06T07:00:00.000Z'));
+    const newer = addFavorite(favorite('batu', '2025-01-06T07:30:00.000Z'));
+    const rolledBack = [removeFavorite('klcc'), favoriteSyncFailure({ placeId: 'klcc', error: { code: 'NETWORK_ERROR' } })];
+
+    const inOrder = applyAll(favoritesReducer, [older, newer, ...rolledBack]);
+    const reversed = applyAll(favoritesReducer, [newer, older, ...rolledBack]);
+
+    expect(reversed.items).toEqual(inOrder.items);
+    expect(inOrder.items.map(item => item.place_id)).toEqual(['batu', 'klcc']);
+  });
+});
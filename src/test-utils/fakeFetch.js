@@ -0,0 +1,57 @@
+// This file is part of the Google Places Redux Saga project.
+// It provides a fake fetch() for unit tests of the HTTP clients (apiService, nominatimProvider),
+// injected as their `fetchImpl` in place of a running backend:
+//
+//   const server = createFakeFetch({
+//     'GET /api/favorites': () => ({ body: [] }),
+//     'PUT /api/favorites/*': ({ body }) => ({ body: { ...body, addedAt: '2025-01-06T00:00:00.000Z' } })
+//   });
+//   const api = new ApiService({ baseUrl: 'http://localhost:8080/api', fetchImpl: server.fetchImpl });
+//
+// Routes are keyed by "METHOD /path"; a key ending in "/*" matches any path below it, and a
+// function in place of the table answers every request. A route gets the parsed request
+// ({ method, pathname, params, headers, body }) and returns { status = 200, body }: string
+// bodies are sent as they are, anything else as JSON. Unmatched requests get a 404.
+// Every request is recorded, in order, in server.requests.
+
+const findRoute = (routes, { method, pathname }) => {
+  const exact = routes[`${method} ${pathname}`];
+  if (exact) {
+    return exact;
+  }
+  const prefix = Object.keys(routes).find(key => key.endsWith('/*')
+    && `${method} ${pathname}`.startsWith(key.slice(0, -1)));
+  return prefix ? routes[prefix] : null;
+};
+
+export function createFakeFetch(routes = {}) {
+  const requests = [];
+
+  const fetchImpl = async (url, init = {}) => {
+    const { pathname, searchParams } = new URL(url);
+    const request = {
+      method: init.method || 'GET',
+      pathname,
+      params: Object.fromEntries(searchParams),
+      headers: init.headers,
+      body: init.body === undefined ? undefined : JSON.parse(init.body)
+    };
+    requests.push(request);
+
+    const route = typeof routes === 'function' ? routes : findRoute(routes, request);
+    const { status = 200, body = '' } = route
+      ? (await route(request)) || {}
+      : { status: 404, body: { message: 'No such route' } };
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      url,
+      text: async () => text,
+      json: async () => JSON.parse(text)
+    };
+  };
+
+  return { fetchImpl, requests };
+}
@@ -0,0 +1,502 @@
+// This file is part of the Google Places Redux Saga project.
+// It provides an in-memory fake of the google.maps namespace for unit tests.
+// The fake covers what the app touches (Map, Marker, Circle, Polyline, LatLng/LatLngBounds, event,
+// Animation, Geocoder, DirectionsService, DistanceMatrixService, geometry.encoding,
+// places.AutocompleteService/PlacesService/AutocompleteSessionToken/PlacesServiceStatus, and the
+// Places API (New) AutocompleteSuggestion/Place classes)
+// and comes with a loader that can be injected into GoogleMapsService in place of
+// @googlemaps/js-api-loader:
+//
+//   const fake = createFakeGoogleMaps();
+//   fake.respondTo('getPlacePredictions', (request) => ({ status: 'OK', predictions: [...] }));
+//   const service = new GoogleMapsService({ loader: fake.loader });
+//
+// Responses are delivered asynchronously (like the real SDK) and every request is recorded in
+// fake.calls so tests can assert on what was sent. The promise-based Places API (New) methods
+// (fetchAutocompleteSuggestions, fetchFields) reject when the response has an `error`.
+
+import { decodePolyline, encodePolyline } from '../utils/helpers';
+
+export const PlacesServiceStatus = {
+  OK: 'OK',
+  ZERO_RESULTS: 'ZERO_RESULTS',
+  OVER_QUERY_LIMIT: 'OVER_QUERY_LIMIT',
+  REQUEST_DENIED: 'REQUEST_DENIED',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  NOT_FOUND: 'NOT_FOUND',
+  UNKNOWN_ERROR: 'UNKNOWN_ERROR'
+};
+
+export const GeocoderStatus = { ...PlacesServiceStatus, ERROR: 'ERROR' };
+
+export const DirectionsStatus = { ...PlacesServiceStatus, MAX_WAYPOINTS_EXCEEDED: 'MAX_WAYPOINTS_EXCEEDED' };
+
+export const DistanceMatrixStatus = {
+  OK: 'OK',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  MAX_ELEMENTS_EXCEEDED: 'MAX_ELEMENTS_EXCEEDED',
+  OVER_QUERY_LIMIT: 'OVER_QUERY_LIMIT',
+  REQUEST_DENIED: 'REQUEST_DENIED',
+  UNKNOWN_ERROR: 'UNKNOWN_ERROR'
+};
+
+export const DistanceMatrixElementStatus = { OK: 'OK', NOT_FOUND: 'NOT_FOUND', ZERO_RESULTS: 'ZERO_RESULTS' };
+
+// What Places API (New) promises reject with; `code` is a google.rpc code such as RESOURCE_EXHAUSTED
+export class MapsRequestError extends Error {
+  constructor(code, message = `Request failed: ${code}`) {
+    super(message);
+    this.name = 'MapsRequestError';
+    this.code = code;
+  }
+}
+
+export const TravelMode = { DRIVING: 'DRIVING', WALKING: 'WALKING', BICYCLING: 'BICYCLING', TRANSIT: 'TRANSIT' };
+
+class FakeLatLng {
+  constructor(lat, lng) {
+    if (lat && typeof lat === 'object') {
+      this._lat = typeof lat.lat === 'function' ? lat.lat() : lat.lat;
+      this._lng = typeof lat.lng === 'function' ? lat.lng() : lat.lng;
+    } else {
+      this._lat = lat;
+      this._lng = lng;
+    }
+  }
+
+  lat() { return this._lat; }
+  lng() { return this._lng; }
+  toJSON() { return { lat: this._lat, lng: this._lng }; }
+  equals(other) { return !!other && other.lat() === this._lat && other.lng() === this._lng; }
+  toString() { return `(${this._lat}, ${this._lng})`; }
+}
+
+class FakeLatLngBounds {
+  constructor(sw, ne) {
+    this._sw = sw ? new FakeLatLng(sw) : null;
+    this._ne = ne ? new FakeLatLng(ne) : null;
+  }
+
+  getSouthWest() { return this._sw; }
+  getNorthEast() { return this._ne; }
+
+  extend(point) {
+    const p = new FakeLatLng(point);
+    if (!this._sw) {
+      this._sw = new FakeLatLng(p.lat(), p.lng());
+      this._ne = new FakeLatLng(p.lat(), p.lng());
+      return this;
+    }
+    this._sw = new FakeLatLng(Math.min(this._sw.lat(), p.lat()), Math.min(this._sw.lng(), p.lng()));
+    this._ne = new FakeLatLng(Math.max(this._ne.lat(), p.lat()), Math.max(this._ne.lng(), p.lng()));
+    return this;
+  }
+
+  contains(point) {
+    const p = new FakeLatLng(point);
+    return !!this._sw && p.lat() >= this._sw.lat() && p.lat() <= this._ne.lat() &&
+      p.lng() >= this._sw.lng() && p.lng() <= this._ne.lng();
+  }
+
+  toJSON() {
+    return this._sw
+      ? { south: this._sw.lat(), west: this._sw.lng(), north: this._ne.lat(), east: this._ne.lng() }
+      : null;
+  }
+}
+
+// Converts LatLng literals in fixtures into FakeLatLng so code exercising lat() works
+export function toFakeGeometry(geometry) {
+  if (!geometry) return geometry;
+  const converted = { ...geometry };
+  if (geometry.location) {
+    converted.location = new FakeLatLng(geometry.location);
+  }
+  if (geometry.viewport?.northeast) {
+    converted.viewport = new FakeLatLngBounds(geometry.viewport.southwest, geometry.viewport.northeast);
+  }
+  return converted;
+}
+
+export function createFakeGoogleMaps({ loadError = null } = {}) {
+  const calls = {
+    load: 0,
+    getPlacePredictions: [],
+    getDetails: [],
+    textSearch: [],
+    nearbySearch: [],
+    geocode: [],
+    route: [],
+    getDistanceMatrix: [],
+    fetchAutocompleteSuggestions: [],
+    fetchFields: [],
+    maps: [],
+    markers: [],
+    circles: [],
+    polylines: []
+  };
+
+  // Default responses: empty but successful
+  const defaultResponders = {
+    getPlacePredictions: () => ({ status: PlacesServiceStatus.ZERO_RESULTS, predictions: null }),
+    getDetails: () => ({ status: PlacesServiceStatus.NOT_FOUND, place: null }),
+    textSearch: () => ({ status: PlacesServiceStatus.ZERO_RESULTS, results: [] }),
+    nearbySearch: () => ({ status: PlacesServiceStatus.ZERO_RESULTS, results: [] }),
+    geocode: () => ({ status: GeocoderStatus.ZERO_RESULTS, results: [] }),
+    route: () => ({ status: DirectionsStatus.ZERO_RESULTS, result: null }),
+    getDistanceMatrix: (request) => ({
+      status: DistanceMatrixStatus.OK,
+      response: { rows: [{ elements: request.destinations.map(() => ({ status: DistanceMatrixElementStatus.ZERO_RESULTS })) }] }
+    }),
+    fetchAutocompleteSuggestions: () => ({ suggestions: [] }),
+    fetchFields: () => ({ error: new MapsRequestError('NOT_FOUND') })
+  };
+  let responders = { ...defaultResponders };
+
+  // Every response goes through a microtask, like the asynchronous real SDK
+  const respond = (method, request) => {
+    calls[method].push(request);
+    const responder = responders[method];
+    const response = typeof responder === 'function' ? responder(request, calls[method].length) : responder;
+    return Promise.resolve(response);
+  };
+
+  // Paged searches: a response with `hasNextPage: true` gets a pagination object whose
+  // nextPage() re-invokes the original callback, like PlacesSearchPagination. Responders
+  // see the page number as request.page (1-based).
+  const respondWithPages = (method, request, callback, page = 1) => {
+    respond(method, { ...request, page }).then(({ status, results, hasNextPage = false }) => {
+      const pagination = {
+        hasNextPage,
+        nextPage: () => respondWithPages(method, request, callback, page + 1)
+      };
+      callback(results ?? [], status, pagination);
+    });
+  };
+
+  class AutocompleteService {
+    getPlacePredictions(request, callback) {
+      respond('getPlacePredictions', request).then(({ status, predictions }) => callback(predictions ?? null, status));
+    }
+  }
+
+  class PlacesService {
+    constructor(attributionContainer) {
+      this.attributionContainer = attributionContainer;
+    }
+
+    getDetails(request, callback) {
+      respond('getDetails', request).then(({ status, place }) => callback(place ?? null, status));
+    }
+
+    textSearch(request, callback) {
+      respondWithPages('textSearch', request, callback);
+    }
+
+    nearbySearch(request, callback) {
+      respondWithPages('nearbySearch', request, callback);
+    }
+  }
+
+  // Places API (New). Place keeps only the fields that were asked for, like a real field mask;
+  // a place created by PlacePrediction.toPlace() sends its suggestion's session token along.
+  class Place {
+    constructor({ id }, sessionToken = null) {
+      this.id = id;
+      this._sessionToken = sessionToken;
+    }
+
+    async fetchFields({ fields }) {
+      const { error, place = {} } = await respond('fetchFields', { id: this.id, fields, sessionToken: this._sessionToken });
+      if (error) {
+        throw error;
+      }
+      fields.forEach(field => {
+        if (field === 'location' && place.location) {
+          this.location = new FakeLatLng(place.location);
+        } else if (field === 'viewport' && place.viewport?.northeast) {
+          this.viewport = new FakeLatLngBounds(place.viewport.southwest, place.viewport.northeast);
+        } else if (field !== 'id' && place[field] !== undefined) {
+          this[field] = place[field];
+        }
+      });
+      return { place: this };
+    }
+  }
+
+  class AutocompleteSuggestion {
+    static async fetchAutocompleteSuggestions(request) {
+      const { error, suggestions = [] } = await respond('fetchAutocompleteSuggestions', request);
+      if (error) {
+        throw error;
+      }
+      return {
+        suggestions: suggestions.map(({ placePrediction }) => ({
+          placePrediction: placePrediction && {
+            ...placePrediction,
+            toPlace: () => new Place({ id: placePrediction.placeId }, request.sessionToken)
+          }
+        }))
+      };
+    }
+  }
+
+  let sessionTokenCount = 0;
+  class AutocompleteSessionToken {
+    constructor() {
+      sessionTokenCount += 1;
+      this.id = `fake-session-${sessionTokenCount}`;
+    }
+  }
+
+  class Geocoder {
+    geocode(request, callback) {
+      respond('geocode', request).then(({ status, results }) => callback(results ?? [], status));
+    }
+  }
+
+  class DirectionsService {
+    route(request, callback) {
+      respond('route', request).then(({ status, result }) => callback(result ?? null, status));
+    }
+  }
+
+  class DistanceMatrixService {
+    getDistanceMatrix(request, callback) {
+      respond('getDistanceMatrix', request).then(({ status, response }) => callback(response ?? null, status));
+    }
+  }
+
+  const listeners = new Map();
+  const event = {
+    addListener(instance, eventName, handler) {
+      const key = instance;
+      if (!listeners.has(key)) listeners.set(key, []);
+      const entry = { eventName, handler };
+      listeners.get(key).push(entry);
+      return { remove: () => listeners.set(key, (listeners.get(key) || []).filter(e => e !== entry)) };
+    },
+    trigger(instance, eventName, ...args) {
+      (listeners.get(instance) || [])
+        .filter(entry => entry.eventName === eventName)
+        .forEach(entry => entry.handler(...args));
+    },
+    clearInstanceListeners(instance) {
+      listeners.delete(instance);
+    }
+  };
+
+  class MVCObject {
+    addListener(eventName, handler) {
+      return event.addListener(this, eventName, handler);
+    }
+  }
+
+  class FakeMap extends MVCObject {
+    constructor(element, options = {}) {
+      super();
+      this.element = element;
+      this.options = options;
+      this.center = options.center ? new FakeLatLng(options.center) : null;
+      this.zoom = options.zoom;
+      calls.maps.push(this);
+    }
+
+    getDiv() { return this.element; }
+    getCenter() { return this.center; }
+    setCenter(center) {
+      this.center = new FakeLatLng(center);
+      event.trigger(this, 'center_changed');
+    }
+    panTo(center) { this.setCenter(center); }
+    getZoom() { return this.zoom; }
+    setZoom(zoom) {
+      this.zoom = zoom;
+      event.trigger(this, 'zoom_changed');
+    }
+    fitBounds(bounds) {
+      this.bounds = bounds instanceof FakeLatLngBounds
+        ? bounds
+        : new FakeLatLngBounds({ lat: bounds.south, lng: bounds.west }, { lat: bounds.north, lng: bounds.east });
+      event.trigger(this, 'idle');
+    }
+    getBounds() { return this.bounds || null; }
+    setOptions(options) { Object.assign(this.options, options); }
+  }
+
+  class FakeMarker extends MVCObject {
+    constructor(options = {}) {
+      super();
+      this.options = options;
+      this.position = options.position ? new FakeLatLng(options.position) : null;
+      this.map = options.map || null;
+      this.title = options.title;
+      this.animation = options.animation ?? null;
+      calls.markers.push(this);
+    }
+
+    getPosition() { return this.position; }
+    setPosition(position) { this.position = new FakeLatLng(position); }
+    getMap() { return this.map; }
+    setMap(map) { this.map = map; }
+    getTitle() { return this.title; }
+    getAnimation() { return this.animation; }
+    setAnimation(animation) { this.animation = animation; }
+  }
+
+  class FakeCircle extends MVCObject {
+    constructor(options = {}) {
+      super();
+      this.options = options;
+      this.map = options.map || null;
+      this.center = options.center ? new FakeLatLng(options.center) : null;
+      this.radius = options.radius;
+      calls.circles.push(this);
+    }
+
+    getCenter() { return this.center; }
+    setCenter(center) { this.center = new FakeLatLng(center); }
+    getRadius() { return this.radius; }
+    setRadius(radius) { this.radius = radius; }
+    getMap() { return this.map; }
+    setMap(map) { this.map = map; }
+  }
+
+  class FakePolyline extends MVCObject {
+    constructor(options = {}) {
+      super();
+      this.options = options;
+      this.map = options.map || null;
+      this.path = (options.path || []).map(point => new FakeLatLng(point));
+      calls.polylines.push(this);
+    }
+
+    getPath() { return this.path; }
+    setPath(path) { this.path = path.map(point => new FakeLatLng(point)); }
+    getMap() { return this.map; }
+    setMap(map) { this.map = map; }
+  }
+
+  const google = {
+    maps: {
+      version: 'fake',
+      Map: FakeMap,
+      Marker: FakeMarker,
+      Circle: FakeCircle,
+      Polyline: FakePolyline,
+      LatLng: FakeLatLng,
+      LatLngBounds: FakeLatLngBounds,
+      Animation: { BOUNCE: 1, DROP: 2 },
+      event,
+      Geocoder,
+      GeocoderStatus,
+      DirectionsService,
+      DirectionsStatus,
+      DistanceMatrixService,
+      DistanceMatrixStatus,
+      DistanceMatrixElementStatus,
+      TravelMode,
+      geometry: {
+        encoding: {
+          decodePath: (encoded) => decodePolyline(encoded).map(point => new FakeLatLng(point)),
+          encodePath: (path) => encodePolyline(path.map(point => new FakeLatLng(point).toJSON()))
+        }
+      },
+      places: {
+        AutocompleteService,
+        PlacesService,
+        AutocompleteSessionToken,
+        PlacesServiceStatus,
+        AutocompleteSuggestion,
+        Place
+      }
+    }
+  };
+
+  const loader = {
+    load: () => {
+      calls.load += 1;
+      return loadError ? Promise.reject(loadError) : Promise.resolve(google);
+    }
+  };
+
+  return {
+    google,
+    loader,
+    calls,
+
+    // responder: a response object, or (request, callCount) => response
+    respondTo(method, responder) {
+      if (!(method in defaultResponders)) {
+        throw new Error(`Unknown fake google.maps method '${method}'`);
+      }
+      responders[method] = responder;
+    },
+
+    reset() {
+      responders = { ...defaultResponders };
+      Object.keys(calls).forEach(key => {
+        calls[key] = Array.isArray(calls[key]) ? [] : 0;
+      });
+      listeners.clear();
+    }
+  };
+}
+
+// Prediction fixture in AutocompletePrediction shape
+export function fakePrediction(placeId, mainText, secondaryText = 'Kuala Lumpur, Malaysia', types = ['establishment']) {
+  return {
+    place_id: placeId,
+    description: `${mainText}, ${secondaryText}`,
+    structured_formatting: { main_text: mainText, secondary_text: secondaryText },
+    types
+  };
+}
+
+// Suggestion fixture in Places API (New) shape, for fetchAutocompleteSuggestions responses
+export function fakeSuggestion(placeId, mainText, secondaryText = 'Kuala Lumpur, Malaysia', types = ['establishment']) {
+  const text = `${mainText}, ${secondaryText}`;
+  return {
+    placePrediction: {
+      placeId,
+      text: { text, matches: [{ startOffset: 0, endOffset: Math.min(3, mainText.length) }] },
+      mainText: { text: mainText, matches: [] },
+      secondaryText: { text: secondaryText, matches: [] },
+      types
+    }
+  };
+}
+
+// DirectionsRoute fixture: one leg through `path` ({ lat, lng } literals), one step per segment
+export function fakeDirectionsRoute(path, { summary = 'Jalan Ampang', travelMode = 'DRIVING', metersPerStep = 500, secondsPerStep = 60 } = {}) {
+  const latLngs = path.map(point => new FakeLatLng(point));
+  const bounds = latLngs.reduce((box, point) => box.extend(point), new FakeLatLngBounds());
+  const steps = latLngs.slice(1).map((end, index) => ({
+    instructions: `Head to <b>point ${index + 1}</b>`,
+    distance: { text: `${metersPerStep} m`, value: metersPerStep },
+    duration: { text: `${secondsPerStep / 60} min`, value: secondsPerStep },
+    travel_mode: travelMode,
+    start_location: latLngs[index],
+    end_location: end
+  }));
+  const totalMeters = metersPerStep * steps.length;
+  const totalSeconds = secondsPerStep * steps.length;
+
+  return {
+    summary,
+    bounds,
+    overview_path: latLngs,
+    overview_polyline: encodePolyline(path),
+    legs: [{
+      distance: { text: `${(totalMeters / 1000).toFixed(1)} km`, value: totalMeters },
+      duration: { text: `${Math.round(totalSeconds / 60)} mins`, value: totalSeconds },
+      start_address: 'Start, Kuala Lumpur',
+      end_address: 'End, Kuala Lumpur',
+      start_location: latLngs[0],
+      end_location: latLngs[latLngs.length - 1],
+      steps
+    }],
+    warnings: [],
+    copyrights: 'Map data ©2025'
+  };
+}
@@ -0,0 +1,27 @@
+// This file is part of the Google Places Redux Saga project.
+// It provides an in-memory stand-in for window.localStorage in unit tests:
+//
+//   const storage = createMemoryStorage();
+//   const meter = new UsageMeter({ storage });
+//   const persistence = new StatePersistence({ storage: createWebStorage(storage) });
+//
+// Values are kept as strings in storage.items, which tests may read and seed directly.
+// quotaBytes makes setItem throw a QuotaExceededError for longer values, like a full localStorage.
+
+export function createMemoryStorage({ quotaBytes = Infinity } = {}) {
+  const items = new Map();
+  return {
+    items,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      const text = String(value);
+      if (text.length > quotaBytes) {
+        throw Object.assign(new Error('The quota has been exceeded.'), { name: 'QuotaExceededError' });
+      }
+      items.set(key, text);
+    },
+    removeItem: (key) => {
+      items.delete(key);
+    }
+  };
+}
@@ -0,0 +1,25 @@
+// This file is part of the Google Places Redux Saga project.
+// It runs a saga to completion outside a store for unit tests, against a fixed state, and
+// collects the actions it puts:
+//
+//   const dispatched = await recordSaga(selectPlaceSaga, selectPlace(place), state);
+//   const { result, dispatched } = await recordSagaOutcome(callWithRetry, 'search', fn, 'klcc');
+//
+// recordSagaOutcome also returns what the saga returned, or { error } when it threw; it keeps
+// redux-saga from logging that error, since the test expects it.
+
+import { runSaga } from 'redux-saga';
+
+export async function recordSaga(saga, action, state = {}) {
+  const dispatched = [];
+  await runSaga({ dispatch: (a) => dispatched.push(a), getState: () => state }, saga, action).toPromise();
+  return dispatched;
+}
+
+export async function recordSagaOutcome(saga, ...args) {
+  const dispatched = [];
+  const result = await runSaga({ dispatch: (a) => dispatched.push(a), getState: () => ({}), onError: () => {} }, saga, ...args)
+    .toPromise()
+    .catch(error => ({ error }));
+  return { result, dispatched };
+}
@@ -0,0 +1,232 @@
+// This file is part of the Google Places Redux Saga project.
+// It holds application-wide constants shared by services, sagas and components.
+
+// Autocomplete / details caching in googleMapsService
+export const CACHE_CONFIG = {
+  predictions: {
+    maxSize: 100,
+    ttlMs: 5 * 60 * 1000 // predictions go stale quickly as businesses open/close
+  },
+  details: {
+    maxSize: 200,
+    ttlMs: 30 * 60 * 1000
+  },
+  travelTimes: {
+    maxSize: 300,
+    ttlMs: 10 * 60 * 1000 // traffic changes, so travel times expire sooner than details
+  },
+  photoUrls: {
+    maxSize: 200,
+    ttlMs: 30 * 60 * 1000 // resolved from cached details, so they live as long as details do
+  },
+  extendedDetails: {
+    maxSize: 50,
+    ttlMs: 15 * 60 * 1000 // opening hours and business status change during the day
+  }
+};
+
+// Place photos: how many references a place keeps, and the sizes URLs are resolved at
+export const PHOTO_CONFIG = {
+  maxPerPlace: 10, // Google returns at most 10 photos per place
+  thumbnailMaxWidth: 160,
+  lightboxMaxWidth: 1200,
+  lightboxMaxHeight: 900
+};
+
+// Which Google Places API googleMapsService uses for autocomplete and place details:
+// the legacy AutocompleteService / PlacesService.getDetails, or Places API (New)
+// (AutocompleteSuggestion / Place.fetchFields). Set REACT_APP_GOOGLE_PLACES_API=new to switch.
+export const PLACES_API_VERSIONS = {
+  LEGACY: 'legacy',
+  NEW: 'new'
+};
+
+export const PLACES_API = process.env.REACT_APP_GOOGLE_PLACES_API === PLACES_API_VERSIONS.NEW
+  ? PLACES_API_VERSIONS.NEW
+  : PLACES_API_VERSIONS.LEGACY;
+
+// Places API (New) bills Place Details by the most expensive field requested, so the mask only
+// names what the serialized place uses (the legacy request asks for the same data)
+export const PLACE_DETAILS_FIELD_MASK = [
+  'id',
+  'displayName',
+  'formattedAddress',
+  'shortFormattedAddress',
+  'location',
+  'viewport',
+  'types',
+  'photos',
+  'rating',
+  'userRatingCount'
+];
+
+// Extended details for the details panel, fetched on demand and cached apart from the selection.
+// Contact and atmosphere fields cost extra, which is why the selection does not request them.
+export const EXTENDED_DETAILS_FIELDS = [
+  'place_id',
+  'opening_hours',
+  'utc_offset_minutes',
+  'formatted_phone_number',
+  'international_phone_number',
+  'website',
+  'price_level',
+  'reviews',
+  'business_status',
+  'url'
+];
+
+export const EXTENDED_DETAILS_FIELD_MASK = [
+  'id',
+  'regularOpeningHours',
+  'utcOffsetMinutes',
+  'nationalPhoneNumber',
+  'internationalPhoneNumber',
+  'websiteURI',
+  'priceLevel',
+  'reviews',
+  'businessStatus',
+  'googleMapsURI'
+];
+
+// Extended details kept in Redux (state.placeDetails): most recent places, and how long they are fresh
+export const EXTENDED_DETAILS_CONFIG = {
+  maxPlaces: 20,
+  ttlMs: CACHE_CONFIG.extendedDetails.ttlMs
+};
+
+// Most recent selections kept in the search history
+export const SEARCH_HISTORY_LIMIT = 20;
+
+// Redux state saved across reloads (src/store/persistence.js). Bump `version` and add a migration
+// there whenever the shape of persisted data (e.g. the serialized place) changes.
+export const PERSISTENCE_CONFIG = {
+  storageKey: 'seeplace.state',
+  version: 2,
+  throttleMs: 1000,
+  // 'localStorage' or 'indexedDB' (falls back to localStorage where IndexedDB is unavailable)
+  backend: process.env.REACT_APP_PERSISTENCE_BACKEND === 'indexedDB' ? 'indexedDB' : 'localStorage'
+};
+
+// Keeping open tabs in step (src/store/tabSync.js). Tabs announce themselves every heartbeatMs;
+// one silent for peerTimeoutMs is considered closed, and the oldest remaining tab writes storage.
+export const TAB_SYNC_CONFIG = {
+  channelName: 'seeplace.sync',
+  heartbeatMs: 2000,
+  peerTimeoutMs: 5000
+};
+
+// REST backend the favorites are kept on (src/services/apiService.js). Without a base URL the
+// favorites feature stays hidden.
+export const API_CONFIG = {
+  baseUrl: process.env.REACT_APP_API_BASE_URL || '',
+  timeoutMs: 10000
+};
+
+// Regions that REACT_APP_DEFAULT_LOCATION and the search settings recognise by name or ISO code.
+// `country` is the ISO 3166-1 alpha-2 code used for componentRestrictions.
+export const REGION_PRESETS = [
+  { country: 'my', label: 'Malaysia', center: { lat: 3.139, lng: 101.6869 } },
+  { country: 'sg', label: 'Singapore', center: { lat: 1.2897, lng: 103.8501 } },
+  { country: 'id', label: 'Indonesia', center: { lat: -6.2088, lng: 106.8456 } },
+  { country: 'th', label: 'Thailand', center: { lat: 13.7563, lng: 100.5018 } },
+  { country: 'bn', label: 'Brunei', center: { lat: 4.9031, lng: 114.9398 } },
+  { country: 'ph', label: 'Philippines', center: { lat: 14.5995, lng: 120.9842 } },
+  { country: 'vn', label: 'Vietnam', center: { lat: 21.0278, lng: 105.8342 } }
+];
+
+export const DEFAULT_REGION_NAME = 'Malaysia';
+
+// How predictions are biased towards an area
+export const SEARCH_BIAS_MODES = {
+  VIEWPORT: 'viewport',
+  USER_LOCATION: 'userLocation',
+  NONE: 'none'
+};
+
+// Radius of the circle used when biasing to the user's position
+export const USER_LOCATION_BIAS_RADIUS_METERS = 20000;
+
+// Viewport bounds are rounded before they reach the provider so small pans keep the cache warm
+export const SEARCH_BOUNDS_PRECISION = 2;
+
+// Paginated PlacesService searches ("See all results")
+export const PAGINATION_CONFIG = {
+  // Google only accepts a next-page request a short while after the page token is issued
+  pageTokenDelayMs: 2000,
+  // Open searches whose next page can still be fetched, keyed by cursor
+  maxOpenSearches: 20,
+  cursorTtlMs: 5 * 60 * 1000
+};
+
+// Client-side API usage meter (src/services/usageMeter.js). Prices are USD per 1,000 billable
+// units (Google list prices at the lowest volume tier; the Distance Matrix bills per element).
+// Caps count units across all SKUs; 0 disables a cap.
+export const USAGE_CONFIG = {
+  storageKey: 'seeplace.apiUsage',
+  skuPrices: {
+    autocomplete: 2.83,
+    details: 17,
+    mapLoad: 7,
+    directions: 5,
+    textSearch: 32,
+    nearbySearch: 32,
+    geocode: 5,
+    distanceMatrix: 5,
+    photo: 7,
+    extendedDetails: 25 // Place Details with contact and atmosphere data
+  },
+  maxPerMinute: Number(process.env.REACT_APP_USAGE_MAX_PER_MINUTE) || 0,
+  maxPerDay: Number(process.env.REACT_APP_USAGE_MAX_PER_DAY) || 0
+};
+
+// Saga retry policies for transient failures (OVER_QUERY_LIMIT, UNKNOWN_ERROR, network, loader).
+// Attempt n waits a random 0..min(maxDelayMs, baseDelayMs * 2^(n-1)) ms ("full jitter"), so
+// clients that failed together do not retry together.
+export const RETRY_POLICIES = {
+  search: { maxAttempts: 3, baseDelayMs: 400, maxDelayMs: 3000 },
+  details: { maxAttempts: 3, baseDelayMs: 500, maxDelayMs: 4000 }
+};
+
+// "What's around here" categories; `type` is a Places API place type (empty = any type)
+export const NEARBY_CATEGORIES = [
+  { type: '', label: 'Anything', icon: '📍' },
+  { type: 'restaurant', label: 'Food', icon: '🍽️' },
+  { type: 'cafe', label: 'Cafés', icon: '☕' },
+  { type: 'tourist_attraction', label: 'Sights', icon: '🏛️' },
+  { type: 'shopping_mall', label: 'Shopping', icon: '🛍️' },
+  { type: 'hospital', label: 'Health', icon: '🏥' },
+  { type: 'gas_station', label: 'Fuel', icon: '⛽' },
+  { type: 'transit_station', label: 'Transit', icon: '🚉' },
+  { type: 'lodging', label: 'Hotels', icon: '🏨' }
+];
+
+export const NEARBY_RADIUS_OPTIONS_METERS = [500, 1000, 2000, 5000, 10000];
+export const DEFAULT_NEARBY_RADIUS_METERS = 2000;
+
+// A dropped pin offers the closest place within this distance besides the street address
+export const DROPPED_PIN_NEARBY_RADIUS_METERS = 150;
+
+// Directions travel modes; `mode` is a google.maps.TravelMode value
+export const TRAVEL_MODES = [
+  { mode: 'DRIVING', label: 'Drive', icon: '🚗' },
+  { mode: 'WALKING', label: 'Walk', icon: '🚶' },
+  { mode: 'TRANSIT', label: 'Transit', icon: '🚆' }
+];
+
+export const DEFAULT_TRAVEL_MODE = 'DRIVING';
+
+// Alternatives offered by the directions panel
+export const MAX_DIRECTIONS_ROUTES = 3;
+
+// Where suggestion travel times are measured from
+export const TRAVEL_TIME_ORIGINS = {
+  NONE: 'none',
+  USER_LOCATION: 'userLocation',
+  SELECTED_PLACE: 'selectedPlace'
+};
+
+// Distance Matrix accepts at most 25 destinations per request
+export const DISTANCE_MATRIX_MAX_DESTINATIONS = 25;
+
+// Origins are rounded (~11 m) before they key the travel-time cache, so GPS jitter still hits it
+export const TRAVEL_TIME_ORIGIN_PRECISION = 4;
@@ -0,0 +1,298 @@
+// This file is part of the Google Places Redux Saga project.
+// It collects small, framework-free helper functions shared by services, sagas and components.
+import { REGION_PRESETS, DEFAULT_REGION_NAME, SEARCH_BOUNDS_PRECISION } from './constants';
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance between two { lat, lng } literals, in meters
+export function haversineDistanceMeters(from, to) {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+const isLatLng = (value) => Boolean(value) && Number.isFinite(value.lat) && Number.isFinite(value.lng);
+
+// Resolves REACT_APP_DEFAULT_LOCATION ("Malaysia", "sg" or "3.139,101.6869") to
+// { label, country, center }. Coordinates carry no country restriction.
+export function resolveDefaultLocation(value, presets = REGION_PRESETS) {
+  const fallback = presets.find(preset => preset.label === DEFAULT_REGION_NAME) || presets[0];
+  const text = (value || '').toString().trim();
+
+  const coordinates = /^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/.exec(text);
+  if (coordinates) {
+    const center = { lat: parseFloat(coordinates[1]), lng: parseFloat(coordinates[2]) };
+    if (Math.abs(center.lat) <= 90 && Math.abs(center.lng) <= 180) {
+      return { label: null, country: null, center };
+    }
+  }
+
+  const needle = text.toLowerCase();
+  const preset = presets.find(item => item.country === needle || item.label.toLowerCase() === needle) || fallback;
+  return { label: preset.label, country: preset.country, center: { ...preset.center } };
+}
+
+// Bounding box literal ({ north, south, east, west }) enclosing a circle
+export function circleToBounds(center, radiusMeters) {
+  const latDelta = (radiusMeters / EARTH_RADIUS_METERS) * (180 / Math.PI);
+  const lngDelta = latDelta / Math.max(Math.cos(toRadians(center.lat)), 0.01);
+  return {
+    north: Math.min(90, center.lat + latDelta),
+    south: Math.max(-90, center.lat - latDelta),
+    east: center.lng + lngDelta,
+    west: center.lng - lngDelta
+  };
+}
+
+export function roundBounds(bounds, precision = SEARCH_BOUNDS_PRECISION) {
+  const factor = 10 ** precision;
+  // Round outwards so the rounded box never shrinks the visible area
+  return {
+    north: Math.ceil(bounds.north * factor) / factor,
+    south: Math.floor(bounds.south * factor) / factor,
+    east: Math.ceil(bounds.east * factor) / factor,
+    west: Math.floor(bounds.west * factor) / factor
+  };
+}
+
+export function isWithinBounds(location, bounds) {
+  if (!isLatLng(location) || !bounds) {
+    return false;
+  }
+  const withinLat = location.lat <= bounds.north && location.lat >= bounds.south;
+  // Boxes that cross the antimeridian have west > east
+  const withinLng = bounds.west <= bounds.east
+    ? location.lng >= bounds.west && location.lng <= bounds.east
+    : location.lng >= bounds.west || location.lng <= bounds.east;
+  return withinLat && withinLng;
+}
+
+// "850 m", "1.2 km", "12 km"
+export function formatDistance(meters) {
+  if (!Number.isFinite(meters)) return '';
+  return meters >= 1000 ? `${(meters / 1000).toFixed(meters >= 10000 ? 0 : 1)} km` : `${Math.round(meters)} m`;
+}
+
+// Turns a provider-neutral locationBias ({ bounds } or { center, radius }) into a bounding box
+export function locationBiasToBounds(locationBias) {
+  if (!locationBias) return null;
+  if (locationBias.bounds) return locationBias.bounds;
+  if (isLatLng(locationBias.center) && Number.isFinite(locationBias.radius)) {
+    return circleToBounds(locationBias.center, locationBias.radius);
+  }
+  return null;
+}
+
+// Centre point of a locationBias, used to rank results by proximity
+export function locationBiasCenter(locationBias) {
+  if (!locationBias) return null;
+  if (isLatLng(locationBias.center)) return locationBias.center;
+  const { bounds } = locationBias;
+  if (!bounds) return null;
+  const east = bounds.west <= bounds.east ? bounds.east : bounds.east + 360;
+  const lng = (bounds.west + east) / 2;
+  return { lat: (bounds.north + bounds.south) / 2, lng: lng > 180 ? lng - 360 : lng };
+}
+
+// Encoded polyline algorithm (https://developers.google.com/maps/documentation/utilities/polylinealgorithm).
+// The Maps geometry library does the same; these keep routes decodable without it.
+export function decodePolyline(encoded) {
+  const points = [];
+  if (typeof encoded !== 'string') return points;
+
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20 && index < encoded.length);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += nextValue();
+    lng += nextValue();
+    points.push({ lat: lat / 1e5, lng: lng / 1e5 });
+  }
+  return points;
+}
+
+export function encodePolyline(points) {
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    let output = '';
+    while (v >= 0x20) {
+      output += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    return output + String.fromCharCode(v + 63);
+  };
+
+  let prevLat = 0;
+  let prevLng = 0;
+  return (points || []).map(point => {
+    const lat = Math.round(point.lat * 1e5);
+    const lng = Math.round(point.lng * 1e5);
+    const chunk = encodeValue(lat - prevLat) + encodeValue(lng - prevLng);
+    prevLat = lat;
+    prevLng = lng;
+    return chunk;
+  }).join('');
+}
+
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&nbsp;': ' ' };
+
+// Plain text from the small HTML snippets Google returns (e.g. direction instructions).
+// Block-level breaks become " · " so "Turn left<div>Destination on the right</div>" stays readable.
+export function htmlToText(html) {
+  if (typeof html !== 'string') return '';
+  return html
+    .replace(/<\/?(div|br|p)\b[^>]*>/gi, ' · ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => HTML_ENTITIES[entity])
+    .split(' · ')
+    .map(part => part.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join(' · ');
+}
+
+// 🕒 Opening hours. Periods are { open: { day, time: 'HHMM' }, close: { day, time } | null } with
+// day 0 = Sunday, in the place's local time; utc_offset_minutes says how that time relates to UTC.
+// Everything below works in "minutes since Sunday 00:00" of the place's week.
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const toWeekMinutes = (point) => {
+  const hours = typeof point.time === 'string' ? Number(point.time.slice(0, 2)) : point.hours || 0;
+  const minutes = typeof point.time === 'string' ? Number(point.time.slice(2, 4)) : point.minutes || 0;
+  return point.day * MINUTES_PER_DAY + hours * 60 + minutes;
+};
+
+const formatClock = (weekMinutes) => {
+  const minutesOfDay = weekMinutes % MINUTES_PER_DAY;
+  return `${String(Math.floor(minutesOfDay / 60)).padStart(2, '0')}:${String(minutesOfDay % 60).padStart(2, '0')}`;
+};
+
+// PlaceOpeningHours (SDK object or already serialized) -> { open_now?, periods, weekday_text }
+export function serializeOpeningHours(hours) {
+  if (!hours || typeof hours !== 'object') return null;
+
+  const toPoint = (point) => (point && Number.isInteger(point.day) ? {
+    day: point.day,
+    time: typeof point.time === 'string'
+      ? point.time
+      : `${String(point.hours ?? 0).padStart(2, '0')}${String(point.minutes ?? 0).padStart(2, '0')}`
+  } : null);
+
+  return {
+    // open_now is only present on search results, which carry no periods
+    ...(typeof hours.open_now === 'boolean' && { open_now: hours.open_now }),
+    periods: (hours.periods || [])
+      .filter(period => period?.open)
+      .map(period => ({ open: toPoint(period.open), close: toPoint(period.close) })),
+    weekday_text: Array.isArray(hours.weekday_text) ? hours.weekday_text : []
+  };
+}
+
+// The place's local weekday and time for a moment, as minutes since its Sunday 00:00
+export function placeWeekMinutes(utcOffsetMinutes, now = new Date()) {
+  const local = new Date(now.getTime() + utcOffsetMinutes * 60 * 1000);
+  return local.getUTCDay() * MINUTES_PER_DAY + local.getUTCHours() * 60 + local.getUTCMinutes();
+}
+
+// Open / closed at `now` in the place's own timezone, and when that next changes:
+//   { isOpen, is24Hours, nextChange: { type: 'closes' | 'opens', day, time: 'HH:MM', minutesUntil, daysAhead } | null }
+// Overnight periods (close earlier in the week than open) wrap around; a period without a close,
+// or periods that chain all the way round the week, mean open 24 hours.
+// null when there are no periods or no UTC offset to place them in time.
+export function getOpeningStatus(openingHours, utcOffsetMinutes, now = new Date()) {
+  const periods = (openingHours?.periods || []).filter(period => period?.open);
+  if (periods.length === 0 || !Number.isFinite(utcOffsetMinutes)) return null;
+
+  if (periods.some(period => !period.close)) {
+    return { isOpen: true, is24Hours: true, nextChange: null };
+  }
+
+  const intervals = periods.map(period => {
+    const start = toWeekMinutes(period.open);
+    let end = toWeekMinutes(period.close);
+    if (end <= start) end += MINUTES_PER_WEEK;
+    return { start, end };
+  });
+
+  const nowMinutes = placeWeekMinutes(utcOffsetMinutes, now);
+  const nextChangeAt = (type, minutesUntil) => {
+    const at = (nowMinutes + minutesUntil) % MINUTES_PER_WEEK;
+    return {
+      type,
+      day: Math.floor(at / MINUTES_PER_DAY),
+      time: formatClock(at),
+      minutesUntil,
+      daysAhead: Math.floor(((nowMinutes % MINUTES_PER_DAY) + minutesUntil) / MINUTES_PER_DAY)
+    };
+  };
+
+  // Checking now and now + 1 week catches periods that wrapped past Saturday night
+  const containing = [nowMinutes, nowMinutes + MINUTES_PER_WEEK]
+    .map(time => ({ time, interval: intervals.find(({ start, end }) => time >= start && time < end) }))
+    .find(({ interval }) => interval);
+
+  if (containing) {
+    // Follow periods that start exactly when the previous one closes (e.g. split at midnight)
+    const startingAt = new Map(intervals.map(interval => [interval.start, interval]));
+    let closesAt = containing.interval.end;
+    for (let step = 0; step < intervals.length; step += 1) {
+      const next = startingAt.get(closesAt % MINUTES_PER_WEEK);
+      if (!next) break;
+      closesAt += next.end - next.start;
+      if (closesAt - containing.time >= MINUTES_PER_WEEK) {
+        return { isOpen: true, is24Hours: true, nextChange: null };
+      }
+    }
+    return { isOpen: true, is24Hours: false, nextChange: nextChangeAt('closes', closesAt - containing.time) };
+  }
+
+  const minutesUntilOpen = Math.min(...intervals.map(({ start }) =>
+    ((start - nowMinutes) % MINUTES_PER_WEEK + MINUTES_PER_WEEK) % MINUTES_PER_WEEK));
+  return { isOpen: false, is24Hours: false, nextChange: nextChangeAt('opens', minutesUntilOpen) };
+}
+
+// "Open 24 hours", "Open now · Closes at 22:00", "Closed · Opens at 09:00",
+// "Closed · Opens tomorrow 09:00", "Closed · Opens Mon 09:00"
+export function formatOpeningStatus(status) {
+  if (!status) return '';
+  if (status.is24Hours) return 'Open 24 hours';
+
+  const { nextChange } = status;
+  if (status.isOpen) {
+    if (!nextChange) return 'Open now';
+    return nextChange.minutesUntil < MINUTES_PER_DAY
+      ? `Open now · Closes at ${nextChange.time}`
+      : `Open now · Closes ${WEEKDAY_NAMES[nextChange.day]} ${nextChange.time}`;
+  }
+
+  if (!nextChange) return 'Closed';
+  if (nextChange.daysAhead === 0) return `Closed · Opens at ${nextChange.time}`;
+  if (nextChange.daysAhead === 1) return `Closed · Opens tomorrow ${nextChange.time}`;
+  return `Closed · Opens ${WEEKDAY_NAMES[nextChange.day]} ${nextChange.time}`;
+}
+
+// true / false when it can be told, null when the hours are unknown. Periods win; search results
+// only carry open_now, as of when they were fetched.
+export function isPlaceOpenNow(openingHours, utcOffsetMinutes, now = new Date()) {
+  const status = getOpeningStatus(openingHours, utcOffsetMinutes, now);
+  if (status) return status.isOpen;
+  return typeof openingHours?.open_now === 'boolean' ? openingHours.open_now : null;
+}
@@ -0,0 +1,142 @@
+import {
+  decodePolyline,
+  encodePolyline,
+  htmlToText,
+  serializeOpeningHours,
+  placeWeekMinutes,
+  getOpeningStatus,
+  formatOpeningStatus,
+  isPlaceOpenNow
+} from './helpers';
+
+describe('encoded polylines', () => {
+  // Example from Google's polyline algorithm documentation
+  const encoded = '_p~iF~ps|U_ulLnnqC_mqNvxq`@';
+  const points = [
+    { lat: 38.5, lng: -120.2 },
+    { lat: 40.7, lng: -120.95 },
+    { lat: 43.252, lng: -126.453 }
+  ];
+
+  test('decodes and encodes the reference polyline', () => {
+    expect(decodePolyline(encoded)).toEqual(points);
+    expect(encodePolyline(points)).toBe(encoded);
+  });
+
+  test('treats missing input as an empty path', () => {
+    expect(decodePolyline(undefined)).toEqual([]);
+    expect(encodePolyline(null)).toBe('');
+  });
+});
+
+test('htmlToText strips tags and keeps block breaks readable', () => {
+  expect(htmlToText('Turn <b>left</b> onto <b>Jalan&nbsp;Ampang</b><div style="font-size:0.9em">Destination will be on the right</div>'))
+    .toBe('Turn left onto Jalan Ampang · Destination will be on the right');
+  expect(htmlToText('Take exit &amp; merge')).toBe('Take exit & merge');
+  expect(htmlToText(null)).toBe('');
+});
+
+describe('opening hours', () => {
+  const KL = 480; // UTC+8
+  const period = (openDay, openTime, closeDay, closeTime) => ({
+    open: { day: openDay, time: openTime },
+    close: closeDay === null ? null : { day: closeDay, time: closeTime }
+  });
+  // Mon-Fri 09:00-22:00
+  const weekdays = { periods: [1, 2, 3, 4, 5].map(day => period(day, '0900', day, '2200')) };
+  // 2025-01-06 is a Monday; place-local Kuala Lumpur time = UTC + 8h
+  const klTime = (isoLocal) => new Date(new Date(`${isoLocal}Z`).getTime() - KL * 60 * 1000);
+  const label = (hours, when, offset = KL) => formatOpeningStatus(getOpeningStatus(hours, offset, when));
+
+  test('computes the place-local weekday and time from the UTC offset', () => {
+    expect(placeWeekMinutes(KL, klTime('2025-01-06T10:30:00'))).toBe(1 * 1440 + 10 * 60 + 30);
+    // Half-hour offsets (India, UTC+5:30) cross midnight on their own schedule
+    expect(placeWeekMinutes(330, new Date('2025-01-05T19:00:00Z'))).toBe(1 * 1440 + 30);
+  });
+
+  test('reports open places with their closing time', () => {
+    expect(getOpeningStatus(weekdays, KL, klTime('2025-01-06T10:00:00'))).toEqual({
+      isOpen: true,
+      is24Hours: false,
+      nextChange: { type: 'closes', day: 1, time: '22:00', minutesUntil: 720, daysAhead: 0 }
+    });
+    expect(label(weekdays, klTime('2025-01-06T10:00:00'))).toBe('Open now · Closes at 22:00');
+  });
+
+  test('reports when a closed place opens: later today, tomorrow or another day', () => {
+    expect(label(weekdays, klTime('2025-01-06T07:15:00'))).toBe('Closed · Opens at 09:00');
+    expect(label(weekdays, klTime('2025-01-06T22:00:00'))).toBe('Closed · Opens tomorrow 09:00');
+    expect(label(weekdays, klTime('2025-01-10T23:00:00'))).toBe('Closed · Opens Mon 09:00');
+    expect(label(weekdays, klTime('2025-01-11T12:00:00'))).toBe('Closed · Opens Mon 09:00');
+  });
+
+  test('evaluates in the place timezone, not the browser one', () => {
+    const instant = new Date('2025-01-06T02:00:00Z'); // Mon 10:00 in KL, Sun 21:00 in New York
+
+    expect(isPlaceOpenNow(weekdays, KL, instant)).toBe(true);
+    expect(isPlaceOpenNow(weekdays, -300, instant)).toBe(false);
+    expect(label(weekdays, instant, -300)).toBe('Closed · Opens tomorrow 09:00');
+  });
+
+  test('handles periods that run past midnight', () => {
+    // Fri 20:00 - Sat 03:00
+    const bar = { periods: [period(5, '2000', 6, '0300')] };
+
+    expect(label(bar, klTime('2025-01-10T23:30:00'))).toBe('Open now · Closes at 03:00');
+    expect(label(bar, klTime('2025-01-11T02:59:00'))).toBe('Open now · Closes at 03:00');
+    expect(label(bar, klTime('2025-01-11T03:00:00'))).toBe('Closed · Opens Fri 20:00');
+  });
+
+  test('handles periods that wrap from Saturday night into Sunday', () => {
+    const lateSaturday = { periods: [period(6, '2200', 0, '0200')] };
+
+    expect(isPlaceOpenNow(lateSaturday, KL, klTime('2025-01-11T23:00:00'))).toBe(true);
+    expect(label(lateSaturday, klTime('2025-01-12T01:00:00'))).toBe('Open now · Closes at 02:00');
+    expect(isPlaceOpenNow(lateSaturday, KL, klTime('2025-01-12T02:00:00'))).toBe(false);
+  });
+
+  test('follows periods split at midnight to the real closing time', () => {
+    const split = { periods: [period(1, '1800', 2, '0000'), period(2, '0000', 2, '0200')] };
+
+    expect(label(split, klTime('2025-01-06T23:00:00'))).toBe('Open now · Closes at 02:00');
+  });
+
+  test('recognises 24-hour places', () => {
+    const alwaysOpen = { periods: [period(0, '0000', null)] };
+    const everyDay = { periods: [0, 1, 2, 3, 4, 5, 6].map(day => period(day, '0000', (day + 1) % 7, '0000')) };
+
+    expect(getOpeningStatus(alwaysOpen, KL, klTime('2025-01-08T04:00:00'))).toEqual({ isOpen: true, is24Hours: true, nextChange: null });
+    expect(label(everyDay, klTime('2025-01-08T04:00:00'))).toBe('Open 24 hours');
+  });
+
+  test('says when a place next closes on another day', () => {
+    // Mon 09:00 - Wed 18:00
+    const longShift = { periods: [period(1, '0900', 3, '1800')] };
+
+    expect(label(longShift, klTime('2025-01-06T10:00:00'))).toBe('Open now · Closes Wed 18:00');
+  });
+
+  test('is unknown without periods or a UTC offset, unless open_now was given', () => {
+    expect(getOpeningStatus(weekdays, null)).toBeNull();
+    expect(getOpeningStatus({ periods: [] }, KL)).toBeNull();
+    expect(isPlaceOpenNow(weekdays, undefined)).toBeNull();
+    expect(isPlaceOpenNow({ open_now: false, periods: [] }, undefined)).toBe(false);
+    expect(formatOpeningStatus(null)).toBe('');
+  });
+
+  test('serializes SDK opening hours to plain data', () => {
+    const sdkHours = {
+      open_now: true,
+      periods: [{ open: { day: 1, hours: 9, minutes: 5, time: undefined }, close: { day: 1, time: '1730' } }],
+      weekday_text: ['Monday: 9:05 AM – 5:30 PM'],
+      isOpen: () => true
+    };
+
+    expect(serializeOpeningHours(sdkHours)).toEqual({
+      open_now: true,
+      periods: [{ open: { day: 1, time: '0905' }, close: { day: 1, time: '1730' } }],
+      weekday_text: ['Monday: 9:05 AM – 5:30 PM']
+    });
+    expect(serializeOpeningHours(null)).toBeNull();
+  });
+});
@@ -0,0 +1,227 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines the app-wide logger. Modules create a namespaced logger once
+// (`const log = createLogger('saga')`) and call log.debug / info / warn / error instead of console.
+//
+//   - Levels: debug < info < warn < error < silent. Entries below the level are dropped.
+//   - Namespaces: only the enabled ones log ('*' = all), e.g. REACT_APP_LOG_NAMESPACES=service,saga
+//   - Sinks: where entries go - the console, an in-memory ring buffer, a remote endpoint, or any
+//     object with write(entry)
+//   - Redaction: API keys, tokens and secret-looking fields are masked before any sink sees them
+//
+// Production and test builds are silent unless REACT_APP_LOG_LEVEL says otherwise; development
+// logs everything. configureLogger() changes any of this at runtime.
+
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+// Namespaces used across the app, for reference in REACT_APP_LOG_NAMESPACES
+export const LOG_NAMESPACES = ['service', 'provider', 'usage', 'api', 'saga', 'store', 'map', 'ui'];
+
+const REDACTED = '[redacted]';
+const MAX_REDACT_DEPTH = 4;
+
+// Google API keys, and credentials passed as URL parameters
+const SECRET_PATTERNS = [
+  [/AIza[0-9A-Za-z_-]{35}/g, REDACTED],
+  [/([?&](?:key|api_key|token|access_token|sessiontoken)=)[^&\s#]+/gi, `$1${REDACTED}`]
+];
+const SECRET_FIELD = /(api_?key|apikey|token|secret|password|authorization)/i;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const redactString = (text) =>
+  SECRET_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+
+// Masks secrets in strings, Error messages and plain objects / arrays. Other objects (SDK
+// instances, DOM nodes) are passed through untouched.
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    const message = redactString(value.message);
+    if (message === value.message) {
+      return value;
+    }
+    const copy = new Error(message);
+    copy.name = value.name;
+    copy.code = value.code;
+    copy.stack = value.stack && redactString(value.stack);
+    return copy;
+  }
+  if (depth >= MAX_REDACT_DEPTH) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      SECRET_FIELD.test(key) && item != null ? REDACTED : redact(item, depth + 1)
+    ]));
+  }
+  return value;
+}
+
+// 🖥️ Browser console, keeping the emoji-prefixed messages as they are
+export const consoleSink = {
+  write({ level, namespace, message, args }) {
+    const method = level === 'debug' ? 'log' : level;
+    console[method](`[${namespace}] ${message}`, ...args);
+  }
+};
+
+// 🧠 Last `size` entries in memory, e.g. to attach to a bug report
+export function createMemorySink({ size = 200 } = {}) {
+  const entries = [];
+  return {
+    write(entry) {
+      entries.push(entry);
+      if (entries.length > size) {
+        entries.shift();
+      }
+    },
+    entries: () => entries.slice(),
+    clear: () => {
+      entries.length = 0;
+    }
+  };
+}
+
+// 📡 Batched POSTs of { entries: [...] } to `url`, for entries at `minLevel` or above.
+// Delivery failures are dropped quietly: logging must never break the app or log itself.
+export function createRemoteSink({
+  url,
+  minLevel = 'warn',
+  batchSize = 20,
+  flushIntervalMs = 5000,
+  fetchImpl = (...args) => fetch(...args)
+} = {}) {
+  let queue = [];
+  let timer = null;
+
+  const flush = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (queue.length === 0) {
+      return Promise.resolve();
+    }
+    const entries = queue.map(({ args, ...entry }) => ({
+      ...entry,
+      args: args.map(arg => (arg instanceof Error ? { name: arg.name, message: arg.message, code: arg.code } : arg))
+    }));
+    queue = [];
+    return Promise.resolve()
+      .then(() => fetchImpl(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ entries }),
+        keepalive: true
+      }))
+      .catch(() => {});
+  };
+
+  return {
+    write(entry) {
+      if (LOG_LEVELS[entry.level] < LOG_LEVELS[minLevel]) {
+        return;
+      }
+      queue.push(entry);
+      if (queue.length >= batchSize) {
+        flush();
+      } else if (!timer) {
+        timer = setTimeout(flush, flushIntervalMs);
+      }
+    },
+    flush
+  };
+}
+
+const parseNamespaces = (value) => {
+  const names = (value || '*').split(',').map(name => name.trim()).filter(Boolean);
+  return names.length > 0 ? names : ['*'];
+};
+
+const defaultLevel = () => {
+  const configured = (process.env.REACT_APP_LOG_LEVEL || '').toLowerCase();
+  if (LOG_LEVELS[configured] !== undefined) {
+    return configured;
+  }
+  return process.env.NODE_ENV === 'production' || process.env.NODE_ENV === 'test' ? 'silent' : 'debug';
+};
+
+const defaultConfig = () => ({
+  level: defaultLevel(),
+  namespaces: parseNamespaces(process.env.REACT_APP_LOG_NAMESPACES),
+  sinks: [consoleSink]
+});
+
+let config = defaultConfig();
+
+// Partial update: configureLogger({ level: 'warn' }), configureLogger({ namespaces: 'saga,map' }),
+// configureLogger({ sinks: [consoleSink, memorySink] })
+export function configureLogger({ level, namespaces, sinks } = {}) {
+  if (level !== undefined) {
+    if (LOG_LEVELS[level] === undefined) {
+      throw new Error(`Unknown log level '${level}'. Use one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+    }
+    config.level = level;
+  }
+  if (namespaces !== undefined) {
+    config.namespaces = Array.isArray(namespaces) ? namespaces : parseNamespaces(namespaces);
+  }
+  if (sinks !== undefined) {
+    config.sinks = sinks;
+  }
+  return getLoggerConfig();
+}
+
+export function resetLoggerConfig() {
+  config = defaultConfig();
+}
+
+export const getLoggerConfig = () => ({ ...config, namespaces: [...config.namespaces], sinks: [...config.sinks] });
+
+export function isLogEnabled(namespace, level) {
+  return LOG_LEVELS[level] >= LOG_LEVELS[config.level] &&
+    (config.namespaces.includes('*') || config.namespaces.includes(namespace));
+}
+
+function write(namespace, level, message, args) {
+  if (!isLogEnabled(namespace, level)) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    namespace,
+    message: redactString(String(message)),
+    args: args.map(arg => redact(arg))
+  };
+  config.sinks.forEach(sink => {
+    try {
+      sink.write(entry);
+    } catch (sinkError) {
+      // A broken sink must not take the others (or the caller) down with it
+    }
+  });
+}
+
+export function createLogger(namespace) {
+  return {
+    debug: (message, ...args) => write(namespace, 'debug', message, args),
+    info: (message, ...args) => write(namespace, 'info', message, args),
+    warn: (message, ...args) => write(namespace, 'warn', message, args),
+    error: (message, ...args) => write(namespace, 'error', message, args)
+  };
+}
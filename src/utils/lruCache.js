@@ -0,0 +1,107 @@
+// This file is part of the Google Places Redux Saga project.
+// It defines a small least-recently-used cache with per-entry time-to-live.
+// Map keeps insertion order, so re-inserting on read moves an entry to the "recent" end and
+// the first key is always the eviction candidate. Hit/miss counters feed the service status.
+
+export class LruCache {
+  constructor({ maxSize = 100, ttlMs = 5 * 60 * 1000, now = () => Date.now() } = {}) {
+    if (!Number.isInteger(maxSize) || maxSize < 1) {
+      throw new Error('LruCache maxSize must be a positive integer');
+    }
+    this.maxSize = maxSize;
+    this.ttlMs = ttlMs;
+    this.now = now;
+    this.entries = new Map();
+    this.resetStats();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  _isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= this.now();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.stats.misses += 1;
+      return undefined;
+    }
+
+    if (this._isExpired(entry)) {
+      this.entries.delete(key);
+      this.stats.expirations += 1;
+      this.stats.misses += 1;
+      return undefined;
+    }
+
+    // Refresh recency
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits += 1;
+    return entry.value;
+  }
+
+  // Like get(), but without touching recency or stats
+  has(key) {
+    const entry = this.entries.get(key);
+    return Boolean(entry) && !this._isExpired(entry);
+  }
+
+  set(key, value, ttlMs = this.ttlMs) {
+    if (this.entries.has(key)) {
+      this.entries.delete(key);
+    }
+
+    this.entries.set(key, {
+      value,
+      expiresAt: Number.isFinite(ttlMs) && ttlMs > 0 ? this.now() + ttlMs : null
+    });
+
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions += 1;
+    }
+    return this;
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  // Removes every entry whose key matches the predicate; returns how many were removed
+  deleteWhere(predicate) {
+    let removed = 0;
+    Array.from(this.entries.keys()).forEach(key => {
+      if (predicate(key)) {
+        this.entries.delete(key);
+        removed += 1;
+      }
+    });
+    return removed;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  resetStats() {
+    this.stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      size: this.entries.size,
+      maxSize: this.maxSize,
+      ttlMs: this.ttlMs,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0
+    };
+  }
+}
+
+export default LruCache;
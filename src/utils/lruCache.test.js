@@ -0,0 +1,42 @@
+import { LruCache } from './lruCache';
+
+const createClock = (start = 0) => {
+  let time = start;
+  return { now: () => time, advance: (ms) => { time += ms; } };
+};
+
+test('evicts the least recently used entry when full', () => {
+  const cache = new LruCache({ maxSize: 2, ttlMs: 0 });
+  cache.set('a', 1).set('b', 2);
+  cache.get('a'); // "b" is now least recently used
+  cache.set('c', 3);
+
+  expect(cache.has('a')).toBe(true);
+  expect(cache.has('b')).toBe(false);
+  expect(cache.getStats()).toMatchObject({ size: 2, evictions: 1 });
+});
+
+test('expires entries after their TTL and counts the miss', () => {
+  const clock = createClock();
+  const cache = new LruCache({ maxSize: 5, ttlMs: 1000, now: clock.now });
+  cache.set('a', 'value');
+  cache.set('b', 'custom', 5000);
+
+  clock.advance(1000);
+
+  expect(cache.get('a')).toBeUndefined();
+  expect(cache.get('b')).toBe('custom');
+  expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1, expirations: 1, hitRate: 0.5 });
+});
+
+test('deleteWhere removes matching keys only', () => {
+  const cache = new LruCache({ maxSize: 5 });
+  cache.set('klcc|{}', 1).set('klcc|{"country":"my"}', 2).set('batu|{}', 3);
+
+  expect(cache.deleteWhere(key => key.startsWith('klcc|'))).toBe(2);
+  expect(cache.size).toBe(1);
+});
+
+test('rejects invalid sizes', () => {
+  expect(() => new LruCache({ maxSize: 0 })).toThrow('positive integer');
+});
@@ -0,0 +1,78 @@
+// This file is part of the Google Places Redux Saga project.
+// It holds the place photo helpers shared by the serializers and the photo components.
+// SDK photos carry a getUrl() function, which cannot live in Redux. The store keeps a
+// serializable reference instead ({ place_id, index } plus size and attributions), and the provider's
+// getPhotoUrl() turns that back into a sized URL when a photo is actually shown.
+
+import { PHOTO_CONFIG } from './constants';
+
+// SDK photos (or already serialized references) -> serializable photo references
+export function serializePlacePhotos(place, maxPhotos = PHOTO_CONFIG.maxPerPlace) {
+  if (!Array.isArray(place?.photos)) {
+    return [];
+  }
+
+  return place.photos.slice(0, maxPhotos).map((photo, index) => {
+    if (!photo || typeof photo !== 'object') {
+      return null;
+    }
+    return {
+      id: `photo_${place.place_id || 'unknown'}_${index}`,
+      place_id: place.place_id || null,
+      index: Number.isInteger(photo.index) ? photo.index : index,
+      width: photo.width || 400,
+      height: photo.height || 300,
+      html_attributions: Array.isArray(photo.html_attributions) ? photo.html_attributions : [],
+      // Web-service style results carry the reference itself; keep it when it is there
+      ...(typeof photo.photo_reference === 'string' && { photo_reference: photo.photo_reference })
+    };
+  }).filter(Boolean);
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", '#39': "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#39|amp|lt|gt|quot|apos|nbsp);/g, (_, name) => ENTITIES[name]);
+
+const stripTags = (html) => decodeEntities(html.replace(/<[^>]*>/g, ''));
+
+const isSafeHref = (href) => /^https?:\/\//i.test(href);
+
+// One html_attributions entry -> [{ text, href? }] segments for React to render. Only anchors with
+// http(s) links survive as links; every other tag is dropped and its text kept, so Google's
+// attribution markup can be shown without injecting HTML.
+export function parseAttributionHtml(input) {
+  if (typeof input !== 'string' || input.length === 0) {
+    return [];
+  }
+
+  // Script and style contents are code, not text
+  const html = input.replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, '');
+
+  const segments = [];
+  const anchor = /<a\b([^>]*)>([\s\S]*?)<\/a>/gi;
+  let cursor = 0;
+  let match;
+
+  const pushText = (text) => {
+    if (text) {
+      segments.push({ text });
+    }
+  };
+
+  while ((match = anchor.exec(html)) !== null) {
+    pushText(stripTags(html.slice(cursor, match.index)));
+
+    const hrefMatch = match[1].match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+    const href = hrefMatch ? decodeEntities(hrefMatch[1] ?? hrefMatch[2]) : null;
+    const text = stripTags(match[2]);
+    if (href && isSafeHref(href)) {
+      segments.push({ text: text || href, href });
+    } else {
+      pushText(text);
+    }
+    cursor = anchor.lastIndex;
+  }
+  pushText(stripTags(html.slice(cursor)));
+
+  return segments;
+}
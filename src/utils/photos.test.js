@@ -0,0 +1,60 @@
+import { serializePlacePhotos, parseAttributionHtml } from './photos';
+
+describe('serializePlacePhotos', () => {
+  const sdkPhoto = (width, attribution) => ({
+    width,
+    height: 300,
+    html_attributions: [attribution],
+    getUrl: () => 'https://photos.example/x'
+  });
+
+  test('keeps a serializable reference per photo and drops getUrl', () => {
+    const photos = serializePlacePhotos({
+      place_id: 'klcc',
+      photos: [sdkPhoto(800, '<a href="https://maps.google.com/contrib/1">Ali</a>'), sdkPhoto(640, 'Mei')]
+    });
+
+    expect(photos).toEqual([
+      { id: 'photo_klcc_0', place_id: 'klcc', index: 0, width: 800, height: 300, html_attributions: ['<a href="https://maps.google.com/contrib/1">Ali</a>'] },
+      { id: 'photo_klcc_1', place_id: 'klcc', index: 1, width: 640, height: 300, html_attributions: ['Mei'] }
+    ]);
+    expect(JSON.parse(JSON.stringify(photos))).toEqual(photos);
+  });
+
+  test('is stable when references are serialized again and caps the count', () => {
+    const place = { place_id: 'klcc', photos: Array.from({ length: 12 }, () => sdkPhoto(400, 'A')) };
+    const once = serializePlacePhotos(place);
+
+    expect(once).toHaveLength(10);
+    expect(serializePlacePhotos({ place_id: 'klcc', photos: once })).toEqual(once);
+  });
+
+  test('keeps a web-service photo_reference and tolerates places without photos', () => {
+    expect(serializePlacePhotos({ place_id: 'p', photos: [{ photo_reference: 'ref-1' }] })[0])
+      .toMatchObject({ photo_reference: 'ref-1', index: 0 });
+    expect(serializePlacePhotos({ place_id: 'p' })).toEqual([]);
+  });
+});
+
+describe('parseAttributionHtml', () => {
+  test('turns anchors into link segments and keeps surrounding text', () => {
+    expect(parseAttributionHtml('Photo by <a href="https://maps.google.com/maps/contrib/1">Ali &amp; Co</a>.')).toEqual([
+      { text: 'Photo by ' },
+      { text: 'Ali & Co', href: 'https://maps.google.com/maps/contrib/1' },
+      { text: '.' }
+    ]);
+  });
+
+  test('drops unsafe links and other markup, keeping only their text', () => {
+    expect(parseAttributionHtml('<a href="javascript:alert(1)">Click</a><script>alert(1)</script><b>Bold</b>')).toEqual([
+      { text: 'Click' },
+      { text: 'Bold' }
+    ]);
+    expect(parseAttributionHtml('<img src=x onerror="alert(1)">')).toEqual([]);
+  });
+
+  test('ignores empty input', () => {
+    expect(parseAttributionHtml('')).toEqual([]);
+    expect(parseAttributionHtml(null)).toEqual([]);
+  });
+});